@@ -1,3 +1,5 @@
+const path = require('path');
+
 /**
  * Configuration for different environments
  * Centralizes all environment-specific settings
@@ -9,8 +11,8 @@ const environments = {
       cors: {
         origin: ['http://localhost:5173', 'http://localhost:5174', 'http://localhost:3000', 'http://localhost:4173'],
         credentials: true,
-        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin']
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Portal-Password', 'X-Requested-With', 'Accept', 'Origin']
       }
     },
     browser: {
@@ -43,8 +45,8 @@ const environments = {
           /^https:\/\/.*\.vercel\.app$/
         ],
         credentials: true,
-        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin']
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Portal-Password', 'X-Requested-With', 'Accept', 'Origin']
       }
     },
     browser: {
@@ -110,15 +112,64 @@ config.global = {
     algorithm: 'aes-256-cbc',
     keyLength: 32
   },
+  credentialVault: {
+    algorithm: 'aes-256-gcm', // authenticated, so a tampered record fails to decrypt
+    ivLength: 12,
+    // Comma-separated "keyId:key" pairs (32-byte keys as hex or base64), newest first:
+    // the first key encrypts, older ones are only used to re-encrypt records to it
+    keys: process.env.CREDENTIAL_VAULT_KEYS || ''
+  },
   upes: {
     portalUrl: 'https://myupes-beta.upes.ac.in/oneportal/app/auth/login',
-    maxRetries: 3,
-    retryDelay: 2000,
+    maxRetries: process.env.SCRAPE_MAX_RETRIES !== undefined ? parseInt(process.env.SCRAPE_MAX_RETRIES) : 3,
+    retryDelay: parseInt(process.env.SCRAPE_RETRY_DELAY) || 2000, // doubled per retry
     sessionTimeout: 300000 // 5 minutes
   },
+  portal: {
+    adapter: process.env.PORTAL_ADAPTER || 'upes', // upes | dynamic
+    fetchMode: process.env.PORTAL_FETCH_MODE || 'browser' // browser | http (falls back to browser)
+  },
   cache: {
-    attendanceTTL: 300000, // 5 minutes
-    maxCacheSize: 100
+    attendanceTTL: parseInt(process.env.ATTENDANCE_CACHE_TTL) || 300000, // 5 minutes
+    maxCacheSize: parseInt(process.env.ATTENDANCE_CACHE_SIZE) || 100 // users
+  },
+  database: {
+    // SQLite file of snapshots and schedules (":memory:" keeps them only while the server runs)
+    path: process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'attendease.sqlite'),
+    persistDelay: 1000 // changes within this long are written to the file together
+  },
+  history: {
+    pageSize: 20,
+    maxPageSize: 100,
+    // Snapshots kept per user, oldest dropped first (a year of daily scheduled fetches and then some)
+    maxSnapshotsPerUser: parseInt(process.env.HISTORY_MAX_SNAPSHOTS) || 500
+  },
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    defaultCron: process.env.SCHEDULE_DEFAULT_CRON || '0 19 * * 1-6', // 7 PM, Monday to Saturday (server time)
+    defaultWindowMinutes: 60, // runs are spread over this long after the cron time
+    maxWindowMinutes: 240,
+    tickInterval: 60000 // 1 minute
+  },
+  queue: {
+    concurrency: parseInt(process.env.SCRAPE_CONCURRENCY) || 2,
+    jobTimeout: parseInt(process.env.SCRAPE_JOB_TIMEOUT) || 120000, // 2 minutes
+    maxQueueSize: parseInt(process.env.SCRAPE_MAX_QUEUE_SIZE) || 50,
+    jobRetention: 600000, // 10 minutes
+    // A job whose progress stream closed is abandoned when the client neither reconnects
+    // nor polls it for this long (EventSource reconnects within a few seconds)
+    streamReconnectGrace: 10000
+  },
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.PORTAL_CIRCUIT_THRESHOLD) || 5, // consecutive outage failures
+    resetTimeout: parseInt(process.env.PORTAL_CIRCUIT_RESET_TIMEOUT) || 60000 // 1 minute before probing again
+  },
+  browserPool: {
+    min: parseInt(process.env.BROWSER_POOL_MIN) || 0,
+    max: parseInt(process.env.BROWSER_POOL_MAX) || 2,
+    maxUses: parseInt(process.env.BROWSER_POOL_MAX_USES) || 25,
+    acquireTimeout: parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT) || 60000, // 1 minute
+    healthCheckInterval: 60000 // 1 minute
   }
 };
 
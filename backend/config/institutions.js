@@ -0,0 +1,66 @@
+const config = require('./environment');
+require('dotenv').config();
+
+/**
+ * Institutions AttendEase can fetch attendance from
+ *
+ * - adapter: portal adapter name (see services/portalAdapterFactory.js)
+ * - fetchMode: "browser", or "http" to use the browserless client and fall back to the adapter
+ * - loginUrl / loginUrlEnv: portal login page; the environment variable wins when set
+ * - userId: format of the portal user ID, checked before a token is issued
+ * - profile: patterns used to read the student ID and course from the dashboard text
+ * - attendancePolicy: minimum attendance required, and the level below which a subject is critical
+ * - enabled: institutions that are switched off are hidden and refused at login
+ */
+const institutions = [
+  {
+    id: 'upes',
+    name: 'UPES Dehradun',
+    shortName: 'UPES',
+    adapter: config.global.portal.adapter,
+    fetchMode: config.global.portal.fetchMode,
+    loginUrl: config.global.upes.portalUrl,
+    loginUrlEnv: 'UPES_PORTAL_URL',
+    userId: {
+      pattern: /^\d{9}$/,
+      hint: 'Your 9-digit SAP ID'
+    },
+    profile: {
+      studentIdPattern: '\\b(\\d{9})\\b',
+      coursePattern: '(B\\.Tech\\s*(?:CSE|Computer Science|ECE|ME|CE|EE|IT)?|BCA|MCA|M\\.Tech|BBA|MBA|B\\.Des|LL\\.B)'
+    },
+    attendancePolicy: {
+      minimumPercentage: 75,
+      warningPercentage: 65
+    },
+    enabled: true
+  },
+  {
+    // Local mock portal (npm run mock-portal), only offered when DEMO_PORTAL_URL is set
+    id: 'demo',
+    name: 'AttendEase Demo Portal',
+    shortName: 'Demo',
+    adapter: 'upes',
+    fetchMode: config.global.portal.fetchMode,
+    loginUrl: null,
+    loginUrlEnv: 'DEMO_PORTAL_URL',
+    userId: {
+      pattern: /^\d{9}$/,
+      hint: 'A test account from mock-portal/accounts.json'
+    },
+    profile: {
+      studentIdPattern: '\\b(\\d{9})\\b',
+      coursePattern: '(B\\.Tech\\s*(?:CSE|ECE)?|BCA)'
+    },
+    attendancePolicy: {
+      minimumPercentage: 75,
+      warningPercentage: 65
+    },
+    enabled: Boolean(process.env.DEMO_PORTAL_URL)
+  }
+];
+
+module.exports = {
+  institutions,
+  defaultInstitutionId: process.env.DEFAULT_INSTITUTION || 'upes'
+};
@@ -140,7 +140,7 @@ class Logger {
     
     const logData = {
       method: req.method,
-      url: req.originalUrl,
+      url: req.originalUrl.replace(/([?&]token=)[^&]+/, '$1[REDACTED]'), // Event streams pass the JWT in the query
       statusCode: res.statusCode,
       responseTime: `${responseTime}ms`,
       ip: req.ip || req.connection.remoteAddress,
@@ -8,7 +8,13 @@ const config = require('./config/environment');
 const logger = require('./config/logger');
 const authRoutes = require('./routes/auth');
 const attendanceRoutes = require('./routes/attendance');
+const scheduleRoutes = require('./routes/schedule');
 const { errorHandler } = require('./middleware/errorHandler');
+const browserPool = require('./services/browserPool');
+const selectorRegistry = require('./services/selectorRegistry');
+const localDatabase = require('./services/localDatabase');
+const attendanceScheduler = require('./services/attendanceScheduler');
+const credentialVault = require('./services/credentialVault');
 
 const app = express();
 const PORT = config.server.port;
@@ -107,14 +113,15 @@ app.get('/api/browser-test', async (req, res) => {
     const scrapingService = new UPESScrapingService();
     
     console.log('Testing browser initialization...');
-    await scrapingService.initBrowser();
+    await scrapingService.open();
     
     console.log('Browser test successful, cleaning up...');
-    await scrapingService.cleanup();
+    await scrapingService.close();
     
     res.status(200).json({
       success: true,
       message: 'Browser test successful',
+      browserPool: browserPool.getStats(),
       chromePath: process.env.PUPPETEER_EXECUTABLE_PATH,
       platform: process.platform,
       environment: process.env.NODE_ENV
@@ -135,6 +142,7 @@ app.get('/api/browser-test', async (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/attendance', attendanceRoutes);
+app.use('/api/schedule', scheduleRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -154,30 +162,55 @@ app.use('*', (req, res) => {
 // Global error handler
 app.use(errorHandler);
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    logger.info('Server closed');
-    process.exit(0);
+// Start the server when run directly (tests import the app without listening)
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    logger.info('Server started', {
+      port: PORT,
+      environment: config.global.environment,
+      cors: config.server.cors.origin,
+      healthCheck: `http://localhost:${PORT}/health`
+    });
+
+    // Launch warm browsers in the background so the first fetch skips the cold start
+    // (in http fetch mode the browser is only a fallback and starts on first use)
+    if (config.global.portal.fetchMode !== 'http') {
+      browserPool.warmUp().catch(error => logger.error('Browser pool warm-up failed', error));
+    }
+
+    // Pick up selector changes without a restart
+    selectorRegistry.watch();
+
+    // Move stored passwords to the newest vault key after a rotation
+    credentialVault.reencrypt().catch(error => logger.error('Credential vault re-encryption failed', error));
+
+    if (config.global.scheduler.enabled) {
+      attendanceScheduler.start();
+    }
   });
-});
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    logger.info('Server closed');
-    process.exit(0);
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, shutting down gracefully');
+    attendanceScheduler.stop();
+    server.close(async () => {
+      await browserPool.drain();
+      await localDatabase.close();
+      logger.info('Server closed');
+      process.exit(0);
+    });
   });
-});
 
-const server = app.listen(PORT, () => {
-  logger.info('Server started', {
-    port: PORT,
-    environment: config.global.environment,
-    cors: config.server.cors.origin,
-    healthCheck: `http://localhost:${PORT}/health`
+  process.on('SIGINT', () => {
+    logger.info('SIGINT received, shutting down gracefully');
+    attendanceScheduler.stop();
+    server.close(async () => {
+      await browserPool.drain();
+      await localDatabase.close();
+      logger.info('Server closed');
+      process.exit(0);
+    });
   });
-});
+}
 
 module.exports = app;
\ No newline at end of file
@@ -1,4 +1,21 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const { asyncHandler } = require('./errorHandler');
+const institutionRegistry = require('../services/institutionRegistry');
+const passwordProofStore = require('../services/passwordProofStore');
+
+// Rate limiting for failed password proofs (each check is a bcrypt compare and a guess at the password)
+const passwordProofLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 refused password proofs per windowMs
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Too many password attempts, please try again later.',
+    code: 'TOO_MANY_PASSWORD_ATTEMPTS'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
 /**
  * JWT Authentication Middleware
@@ -33,6 +50,72 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+/**
+ * JWT Authentication Middleware for Server-Sent Event streams
+ * EventSource cannot send headers, so the token may also come from the `token` query parameter.
+ */
+const authenticateEventStream = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.token) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  authenticateToken(req, res, next);
+};
+
+/**
+ * Password of a request: the body's password, else the X-Portal-Password header
+ * (URI-encoded, since headers can't carry every character)
+ * @returns {string|null}
+ */
+const getPresentedPassword = (req) => {
+  if (req.body && typeof req.body.password === 'string' && req.body.password) {
+    return req.body.password;
+  }
+
+  const header = req.get('X-Portal-Password');
+  if (!header) return null;
+  try {
+    return decodeURIComponent(header);
+  } catch (error) {
+    return header;
+  }
+};
+
+/**
+ * Portal Password Proof Middleware
+ * Our JWT is issued without asking the portal, so routes serving stored data also need the
+ * password the portal last accepted for the user (see passwordProofStore). Use after
+ * authenticateToken.
+ * @param {Object} [options]
+ * @param {Function} [options.onRefused] - Awaited with (req, userKey) before a refusal is sent
+ * @returns {Array<Function>} - Rate limiter and proof check
+ */
+const requirePasswordProof = ({ onRefused } = {}) => [
+  passwordProofLimiter,
+  asyncHandler(async (req, res, next) => {
+    const userKey = institutionRegistry.getUserKey(req.user);
+    const password = getPresentedPassword(req);
+
+    if (password && await passwordProofStore.verify(userKey, password)) {
+      return next();
+    }
+
+    if (onRefused) {
+      await onRefused(req, userKey);
+    }
+
+    if (!password) {
+      return res.status(401).json({
+        error: 'Your portal password is required',
+        code: 'PORTAL_PASSWORD_REQUIRED'
+      });
+    }
+    res.status(403).json({
+      error: 'Your portal password could not be confirmed. Fetch your attendance with it, then try again.',
+      code: 'PASSWORD_PROOF_FAILED'
+    });
+  })
+];
+
 /**
  * Generate JWT Token
  */
@@ -55,6 +138,8 @@ const verifyToken = (token) => {
 
 module.exports = {
   authenticateToken,
+  authenticateEventStream,
+  requirePasswordProof,
   generateToken,
   verifyToken
 };
\ No newline at end of file
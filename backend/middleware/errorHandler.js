@@ -1,13 +1,17 @@
+const { PortalError, describeError } = require('../services/portalErrors');
+
 /**
  * Global Error Handler Middleware
+ * Portal errors get the same status, code and message as on the fetch route.
  */
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
 
   // Default error
+  const { statusCode, code, message, retryable, retryAfter } = describeError(err);
   let error = {
-    message: err.message || 'Internal Server Error',
-    status: err.statusCode || 500
+    message,
+    status: statusCode
   };
 
   // Validation errors
@@ -27,25 +31,19 @@ const errorHandler = (err, req, res, next) => {
     error.status = 401;
   }
 
-  // Puppeteer errors
-  if (err.message.includes('puppeteer') || err.message.includes('browser')) {
-    error.message = 'Browser automation failed. Please try again.';
-    error.status = 503;
-  }
-
   // Network errors
   if (err.code === 'ECONNREFUSED' || err.code === 'TIMEOUT') {
     error.message = 'Network connection failed. Please check your internet connection.';
     error.status = 503;
   }
 
-  // Login failures
-  if (err.message.includes('Login failed')) {
-    error.status = 401;
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
   }
 
   res.status(error.status).json({
     error: error.message,
+    ...(err instanceof PortalError && { code, retryable }),
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
       details: err
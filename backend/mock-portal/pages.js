@@ -0,0 +1,195 @@
+/**
+ * HTML pages of the mock UPES portal
+ * The markup mirrors the parts of the real portal the scrapers depend on
+ * (see config/selectors.json) and nothing more.
+ */
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body>
+  <app-root>
+${body}
+  </app-root>
+</body>
+</html>`;
+
+/**
+ * Login form, optionally with an error banner
+ * @param {Object} [options]
+ * @param {string} [options.error] - Message shown above the form
+ * @param {string} options.action - Form action URL
+ * @param {string} [options.csrfToken] - Token the form must post back
+ * @returns {string} - HTML
+ */
+function loginPage({ error = null, action, csrfToken = null }) {
+  const banner = error
+    ? `      <div class="alert alert-danger" role="alert">${escapeHtml(error)}</div>\n`
+    : '';
+
+  return layout('Login | myUPES', `    <div class="login-container">
+      <h2>Sign in to your account</h2>
+${banner}      <form class="login-form" action="${escapeHtml(action)}" method="post">
+${csrfToken ? `        <input type="hidden" name="_csrf" value="${escapeHtml(csrfToken)}">\n` : ''}        <input type="text" id="userid" name="userid" placeholder="Enter your user ID">
+        <input type="password" id="password" name="password" placeholder="Enter your password">
+        <button type="submit" class="btn btn-primary">Login</button>
+      </form>
+    </div>`);
+}
+
+/**
+ * Script that calls the portal API on load, like the Angular app
+ * @param {Array<string>} apiUrls - API URLs
+ * @returns {string} - HTML
+ */
+const apiScriptFor = (apiUrls) => (apiUrls.length > 0
+  ? `\n    <script>
+      ${JSON.stringify(apiUrls)}.forEach(url => fetch(url, { credentials: 'same-origin' }));
+    </script>`
+  : '');
+
+/**
+ * Student dashboard with profile header and attendance list
+ * @param {Object} account - Mock account
+ * @param {string} logoutUrl - Logout link
+ * @param {Array<string>} [apiUrls] - Portal API calls the page makes on load, like the Angular app
+ * @param {string} [subjectUrl] - Subject detail route (":subjectCode" is replaced)
+ * @returns {string} - HTML
+ */
+function dashboardPage(account, logoutUrl, apiUrls = [], subjectUrl = null) {
+  const { profile } = account;
+
+  const apiScript = apiScriptFor(apiUrls);
+
+  const photo = profile.photo
+    ? `      <div class="profile-avatar-wrapper">
+        <img class="user-avatar" alt="avatar" src="${escapeHtml(profile.photo)}">
+      </div>\n`
+    : '';
+
+  const rows = account.attendance.map((record) => {
+    const percentage = record.total > 0 ? (record.attended / record.total) * 100 : 0;
+    const details = [
+      record.subjectCode && `<span class="subject-code">${escapeHtml(record.subjectCode)}</span>`,
+      record.component && `<span class="component-type">${escapeHtml(record.component)}</span>`,
+      record.faculty && `<span class="faculty-name">${escapeHtml(record.faculty)}</span>`
+    ].filter(Boolean);
+    const detailRow = details.length > 0
+      ? `\n          <div class="col-12 subject-meta">${details.join(' | ')}</div>`
+      : '';
+    const detailLink = subjectUrl && record.subjectCode
+      ? `\n          <div class="col-12"><a class="attendance-detail-link" href="${escapeHtml(subjectUrl.replace(':subjectCode', encodeURIComponent(record.subjectCode)))}">View details</a></div>`
+      : '';
+
+    return `        <div class="row mb-2">
+          <div class="col-7"><span class="attndnce-mod">${escapeHtml(record.subject)}</span></div>
+          <div class="col-3"><span class="count-text">${record.attended}/${record.total}</span></div>
+          <div class="col-2"><span class="percentage-text">${percentage.toFixed(2)}%</span></div>${detailRow}${detailLink}
+        </div>`;
+  }).join('\n');
+
+  return layout('Dashboard | myUPES', `    <nav class="navbar">
+      <a href="#" class="nav-link">Home</a>
+      <a href="${escapeHtml(logoutUrl)}" class="logout">Logout</a>
+    </nav>
+    <header class="profile-header">
+${photo}      <h3 class="user-name"><a class="student-profile-link" href="#">${escapeHtml(profile.name)}</a></h3>
+      <p class="student-meta">Student ID: ${escapeHtml(account.userId)} | ${escapeHtml(profile.course)} | ${escapeHtml(profile.semester)}</p>
+    </header>
+    <section class="dashboard-content">
+      <div class="attendance-warpper">
+${rows}
+      </div>
+    </section>${apiScript}`);
+}
+
+/**
+ * Subject detail view with one row per class session
+ * Dates are shown as DD-MM-YYYY, like the real portal.
+ * @param {Object} record - Attendance record
+ * @param {Array} sessions - Class sessions ({ date, timeSlot, type, present })
+ * @param {string} backUrl - Dashboard link
+ * @param {Array<string>} [apiUrls] - Portal API calls the page makes on load
+ * @returns {string} - HTML
+ */
+function subjectPage(record, sessions, backUrl, apiUrls = []) {
+  const rows = sessions.map(session => {
+    const [year, month, day] = session.date.split('-');
+
+    return `          <tr class="session-row">
+            <td class="session-date">${day}-${month}-${year}</td>
+            <td class="session-time">${escapeHtml(session.timeSlot)}</td>
+            <td class="session-type">${escapeHtml(session.type)}</td>
+            <td class="session-status">${session.present ? 'Present' : 'Absent'}</td>
+          </tr>`;
+  }).join('\n');
+
+  return layout(`${record.subject} | myUPES`, `    <nav class="navbar">
+      <a href="${escapeHtml(backUrl)}" class="nav-link">Dashboard</a>
+    </nav>
+    <section class="subject-detail">
+      <h3 class="subject-name">${escapeHtml(record.subject)} (${escapeHtml(record.subjectCode)})</h3>
+      <table class="session-table">
+        <tbody>
+${rows}
+        </tbody>
+      </table>
+    </section>${apiScriptFor(apiUrls)}`);
+}
+
+/**
+ * Weekly timetable, one row per class
+ * @param {Array} entries - Timetable entries ({ day, startTime, endTime, subject, subjectCode, room, faculty })
+ * @param {string} backUrl - Dashboard link
+ * @param {Array<string>} [apiUrls] - Portal API calls the page makes on load
+ * @returns {string} - HTML
+ */
+function timetablePage(entries, backUrl, apiUrls = []) {
+  const rows = entries.map(entry => `          <tr class="timetable-row">
+            <td class="tt-day">${escapeHtml(entry.day)}</td>
+            <td class="tt-time">${escapeHtml(entry.startTime)} - ${escapeHtml(entry.endTime)}</td>
+            <td class="tt-subject">${escapeHtml(entry.subject)}</td>
+            <td class="tt-code">${escapeHtml(entry.subjectCode || '')}</td>
+            <td class="tt-room">${escapeHtml(entry.room || '')}</td>
+            <td class="tt-faculty">${escapeHtml(entry.faculty || '')}</td>
+          </tr>`).join('\n');
+
+  return layout('Timetable | myUPES', `    <nav class="navbar">
+      <a href="${escapeHtml(backUrl)}" class="nav-link">Dashboard</a>
+    </nav>
+    <section class="timetable-content">
+      <table class="timetable-table">
+        <tbody>
+${rows}
+        </tbody>
+      </table>
+    </section>${apiScriptFor(apiUrls)}`);
+}
+
+/**
+ * Scheduled maintenance page
+ * @returns {string} - HTML
+ */
+function maintenancePage() {
+  return layout('myUPES', `    <div class="maintenance">
+      <h1>we'll be back soon</h1>
+      <p>the portal is down for scheduled maintenance. please try again after some time.</p>
+    </div>`);
+}
+
+module.exports = {
+  loginPage,
+  dashboardPage,
+  subjectPage,
+  timetablePage,
+  maintenancePage
+};
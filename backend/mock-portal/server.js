@@ -0,0 +1,447 @@
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const { loginPage, dashboardPage, subjectPage, timetablePage, maintenancePage } = require('./pages');
+require('dotenv').config();
+
+const LOGIN_PATH = '/oneportal/app/auth/login';
+const LOGOUT_PATH = '/oneportal/app/auth/logout';
+const DASHBOARD_PATH = '/oneportal/app/dashboard';
+const API_PROFILE_PATH = '/oneportal/app/api/student/profile';
+const API_ATTENDANCE_PATH = '/oneportal/app/api/student/attendance';
+const SUBJECT_PATH = '/oneportal/app/attendance/:subjectCode';
+const API_SESSIONS_PATH = '/oneportal/app/api/student/attendance/:subjectCode/sessions';
+const TIMETABLE_PATH = '/oneportal/app/timetable';
+const API_TIMETABLE_PATH = '/oneportal/app/api/student/timetable';
+const SESSION_COOKIE = 'MOCKPORTALSESSION';
+const CSRF_COOKIE = 'MOCKPORTALCSRF';
+
+const MODES = ['normal', 'slow', 'maintenance'];
+
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid username or password.';
+const CSRF_MESSAGE = 'Your login page has expired. Please try again.';
+const LOCKOUT_MESSAGE = 'Too many login attempts. Please try again later.';
+
+const DEFAULT_OPTIONS = {
+  accounts: require('./accounts.json'),
+  mode: process.env.MOCK_PORTAL_MODE || 'normal',
+  slowDelay: parseInt(process.env.MOCK_PORTAL_SLOW_DELAY) || 8000,
+  api: process.env.MOCK_PORTAL_API !== 'false',
+  lockoutThreshold: 3,
+  lockoutDuration: 15 * 60 * 1000
+};
+
+const TIME_SLOTS = ['09:00-09:55', '10:00-10:55', '11:00-11:55', '14:00-15:50'];
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+// Classes of the generated timetables start on this Monday
+const SEMESTER_START = Date.UTC(2025, 6, 21);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Weekly timetable of an account
+ * Accounts may list their own; otherwise every subject gets three lectures a week,
+ * or one long slot for labs.
+ * @param {Object} account - Mock account
+ * @returns {Array<{ day, startTime, endTime, subject, subjectCode, room, faculty }>}
+ */
+const timetableOf = (account) => {
+  if (Array.isArray(account.timetable)) return account.timetable;
+
+  return account.attendance.flatMap((record, index) => {
+    const isLab = /lab/i.test(record.subject);
+    const days = isLab ? [(index + 3) % 5] : [index % 5, (index + 2) % 5, (index + 4) % 5];
+    const [startTime, endTime] = TIME_SLOTS[index % TIME_SLOTS.length].split('-');
+
+    return days.map(day => ({
+      day: WEEKDAYS[day],
+      startTime,
+      endTime,
+      subject: record.subject,
+      subjectCode: record.subjectCode || null,
+      room: isLab ? `Lab ${index + 1}` : `LT-${101 + index}`,
+      faculty: record.faculty || null
+    }));
+  });
+};
+
+/**
+ * Course component of an attendance record, labelled like the portal does
+ * @param {Object} record - Account attendance record
+ * @returns {string} - "Theory", "Practical" or the record's own component
+ */
+const componentOf = (record) => record.component || (/lab/i.test(record.subject) ? 'Practical' : 'Theory');
+
+/**
+ * Class sessions of an attendance record
+ * Records may list their own; otherwise one class per weekday is generated, with the
+ * absences spread evenly so the sessions always add up to attended/total.
+ * @param {Object} record - Account attendance record
+ * @param {number} index - Position of the record (picks the time slot)
+ * @returns {Array<{ date: string, timeSlot: string, type: string, present: boolean }>}
+ */
+const sessionsOf = (record, index) => {
+  if (Array.isArray(record.sessions)) return record.sessions;
+
+  const absences = record.total - record.attended;
+  const sessions = [];
+  let day = 0;
+
+  for (let number = 0; number < record.total; number++) {
+    let date = new Date(SEMESTER_START + day * 86400000);
+    while (date.getUTCDay() === 0 || date.getUTCDay() === 6) {
+      day++;
+      date = new Date(SEMESTER_START + day * 86400000);
+    }
+    day++;
+
+    sessions.push({
+      date: date.toISOString().slice(0, 10),
+      timeSlot: TIME_SLOTS[index % TIME_SLOTS.length],
+      type: /lab/i.test(record.subject) ? 'Lab' : 'Lecture',
+      present: absences === 0 || Math.floor((number + 1) * absences / record.total) === Math.floor(number * absences / record.total)
+    });
+  }
+  return sessions;
+};
+
+/**
+ * Read a cookie from the request
+ * @param {Request} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim());
+  const match = cookies.find(cookie => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+/**
+ * Create the mock UPES portal
+ *
+ * Serves the login form, validates the test accounts and renders a dashboard with
+ * each account's profile and attendance, plus a detail view per subject (class sessions)
+ * and the weekly timetable. Unless `api` is false, these pages also load the same data
+ * as JSON from the portal API, like the real Angular app does.
+ * The login form carries a CSRF token (bound to a cookie) that must be posted back.
+ * Failure modes:
+ * - wrong password: login page with an error banner
+ * - lockout: after `lockoutThreshold` failed attempts, or for accounts with scenario "locked"
+ * - slow load: mode "slow", or accounts with scenario "slow", delay every page by `slowDelay`
+ * - maintenance: mode "maintenance" answers every page with a 503 maintenance page
+ *
+ * Accounts and the mode can be changed at runtime through the /__mock endpoints.
+ *
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {Express} - App with the portal state in app.locals.portal
+ */
+function createMockPortal(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  const state = {
+    mode: settings.mode,
+    accounts: new Map(),
+    sessions: new Map(),
+    failedAttempts: new Map()
+  };
+
+  const loadAccounts = (accounts) => {
+    state.accounts = new Map(accounts.map(account => [account.userId, JSON.parse(JSON.stringify(account))]));
+    state.sessions.clear();
+    state.failedAttempts.clear();
+  };
+
+  loadAccounts(settings.accounts);
+
+  const app = express();
+  app.locals.portal = state;
+
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json());
+
+  // Control API for tests and local development
+  app.get('/__mock/accounts', (req, res) => {
+    res.json({ mode: state.mode, accounts: Array.from(state.accounts.values()) });
+  });
+
+  app.put('/__mock/accounts/:userId', (req, res) => {
+    const existing = state.accounts.get(req.params.userId) || {
+      userId: req.params.userId,
+      password: 'test-password',
+      scenario: 'normal',
+      profile: { name: 'Test Student', course: 'B.Tech CSE', semester: 'Semester 1', photo: null },
+      attendance: []
+    };
+
+    const account = {
+      ...existing,
+      ...req.body,
+      userId: req.params.userId,
+      profile: { ...existing.profile, ...(req.body.profile || {}) }
+    };
+
+    state.accounts.set(account.userId, account);
+    res.json(account);
+  });
+
+  app.put('/__mock/mode', (req, res) => {
+    if (!MODES.includes(req.body.mode)) {
+      return res.status(400).json({ error: `Mode must be one of: ${MODES.join(', ')}` });
+    }
+
+    state.mode = req.body.mode;
+    res.json({ mode: state.mode });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    state.mode = settings.mode;
+    loadAccounts(settings.accounts);
+    res.json({ mode: state.mode, accounts: state.accounts.size });
+  });
+
+  // Portal-wide failure modes
+  app.use(async (req, res, next) => {
+    if (state.mode === 'maintenance') {
+      return res.status(503).send(maintenancePage());
+    }
+    if (state.mode === 'slow') {
+      await wait(settings.slowDelay);
+    }
+    next();
+  });
+
+  const getSessionAccount = (req) => {
+    const userId = state.sessions.get(readCookie(req, SESSION_COOKIE));
+    return userId ? state.accounts.get(userId) : null;
+  };
+
+  const isLockedOut = (account, userId) => {
+    if (account && account.scenario === 'locked') return true;
+
+    const attempts = state.failedAttempts.get(userId);
+    return Boolean(attempts && attempts.count >= settings.lockoutThreshold &&
+      Date.now() - attempts.lastAttempt < settings.lockoutDuration);
+  };
+
+  const recordFailedAttempt = (userId) => {
+    const attempts = state.failedAttempts.get(userId) || { count: 0, lastAttempt: 0 };
+    state.failedAttempts.set(userId, { count: attempts.count + 1, lastAttempt: Date.now() });
+  };
+
+  app.get('/', (req, res) => res.redirect(LOGIN_PATH));
+
+  /**
+   * Login form with a fresh CSRF token
+   */
+  const sendLoginPage = (res, error = null, status = 200) => {
+    const csrfToken = crypto.randomBytes(16).toString('hex');
+    res.cookie(CSRF_COOKIE, csrfToken, { httpOnly: true, sameSite: 'lax', path: '/' });
+    res.status(status).send(loginPage({ action: LOGIN_PATH, error, csrfToken }));
+  };
+
+  app.get(LOGIN_PATH, (req, res) => {
+    // Logged in users are sent straight to the dashboard, like the real portal
+    if (getSessionAccount(req)) {
+      return res.redirect(DASHBOARD_PATH);
+    }
+    sendLoginPage(res);
+  });
+
+  app.post(LOGIN_PATH, async (req, res) => {
+    const userId = String(req.body.userid || '').trim();
+    const password = String(req.body.password || '');
+    const account = state.accounts.get(userId);
+
+    const csrfToken = readCookie(req, CSRF_COOKIE);
+    if (!csrfToken || req.body._csrf !== csrfToken) {
+      return sendLoginPage(res, CSRF_MESSAGE, 403);
+    }
+
+    if (isLockedOut(account, userId)) {
+      return sendLoginPage(res, LOCKOUT_MESSAGE);
+    }
+
+    if (!account || account.password !== password) {
+      recordFailedAttempt(userId);
+      const error = isLockedOut(account, userId) ? LOCKOUT_MESSAGE : INVALID_CREDENTIALS_MESSAGE;
+      return sendLoginPage(res, error);
+    }
+
+    state.failedAttempts.delete(userId);
+
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    state.sessions.set(sessionId, account.userId);
+
+    if (account.scenario === 'slow') {
+      await wait(settings.slowDelay);
+    }
+
+    res.clearCookie(CSRF_COOKIE, { path: '/' });
+    res.cookie(SESSION_COOKIE, sessionId, { httpOnly: true, sameSite: 'lax', path: '/' });
+    res.redirect(DASHBOARD_PATH);
+  });
+
+  app.get(DASHBOARD_PATH, async (req, res) => {
+    const account = getSessionAccount(req);
+    if (!account) {
+      return res.redirect(LOGIN_PATH);
+    }
+
+    if (account.scenario === 'slow') {
+      await wait(settings.slowDelay);
+    }
+
+    const apiUrls = settings.api ? [API_PROFILE_PATH, API_ATTENDANCE_PATH] : [];
+    const attendance = account.attendance.map(record => ({ ...record, component: componentOf(record) }));
+    res.send(dashboardPage({ ...account, attendance }, LOGOUT_PATH, apiUrls, SUBJECT_PATH));
+  });
+
+  const findRecord = (account, subjectCode) => {
+    const index = account.attendance.findIndex(record => record.subjectCode === subjectCode);
+    return index === -1 ? null : { record: account.attendance[index], index };
+  };
+
+  app.get(SUBJECT_PATH, (req, res) => {
+    const account = getSessionAccount(req);
+    if (!account) {
+      return res.redirect(LOGIN_PATH);
+    }
+
+    const found = findRecord(account, req.params.subjectCode);
+    if (!found) {
+      return res.status(404).send('Subject not found');
+    }
+
+    const apiUrls = settings.api ? [API_SESSIONS_PATH.replace(':subjectCode', encodeURIComponent(req.params.subjectCode))] : [];
+    res.send(subjectPage(found.record, sessionsOf(found.record, found.index), DASHBOARD_PATH, apiUrls));
+  });
+
+  // JSON API the dashboard loads its data from
+  const requireApiSession = (req, res, next) => {
+    if (!settings.api) {
+      return res.status(404).json({ status: 'error', message: 'Not found' });
+    }
+
+    req.account = getSessionAccount(req);
+    if (!req.account) {
+      return res.status(401).json({ status: 'error', message: 'Session expired' });
+    }
+    next();
+  };
+
+  app.get(API_PROFILE_PATH, requireApiSession, (req, res) => {
+    const { userId, profile } = req.account;
+
+    res.json({
+      status: 'success',
+      data: {
+        studentName: profile.name,
+        sapId: Number(userId),
+        programName: profile.course,
+        semesterName: profile.semester,
+        photoUrl: profile.photo
+      }
+    });
+  });
+
+  app.get(API_ATTENDANCE_PATH, requireApiSession, (req, res) => {
+    res.json({
+      status: 'success',
+      data: {
+        semesterName: req.account.profile.semester,
+        subjects: req.account.attendance.map(record => ({
+          subjectCode: record.subjectCode || null,
+          subjectName: record.subject,
+          facultyName: record.faculty || null,
+          componentType: componentOf(record),
+          attendedClasses: record.attended,
+          totalClasses: record.total,
+          attendancePercentage: (record.total > 0 ? (record.attended / record.total) * 100 : 0).toFixed(2)
+        }))
+      }
+    });
+  });
+
+  app.get(TIMETABLE_PATH, (req, res) => {
+    const account = getSessionAccount(req);
+    if (!account) {
+      return res.redirect(LOGIN_PATH);
+    }
+
+    res.send(timetablePage(timetableOf(account), DASHBOARD_PATH, settings.api ? [API_TIMETABLE_PATH] : []));
+  });
+
+  app.get(API_TIMETABLE_PATH, requireApiSession, (req, res) => {
+    res.json({
+      status: 'success',
+      data: {
+        timetable: timetableOf(req.account).map(entry => ({
+          dayName: entry.day,
+          startTime: entry.startTime,
+          endTime: entry.endTime,
+          subjectName: entry.subject,
+          subjectCode: entry.subjectCode,
+          roomNo: entry.room,
+          facultyName: entry.faculty
+        }))
+      }
+    });
+  });
+
+  app.get(API_SESSIONS_PATH, requireApiSession, (req, res) => {
+    const found = findRecord(req.account, req.params.subjectCode);
+    if (!found) {
+      return res.status(404).json({ status: 'error', message: 'Subject not found' });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        subjectCode: found.record.subjectCode,
+        sessions: sessionsOf(found.record, found.index).map(session => ({
+          sessionDate: session.date,
+          timeSlot: session.timeSlot,
+          sessionType: session.type,
+          attendanceStatus: session.present ? 'P' : 'A'
+        }))
+      }
+    });
+  });
+
+  app.get(LOGOUT_PATH, (req, res) => {
+    state.sessions.delete(readCookie(req, SESSION_COOKIE));
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.redirect(LOGIN_PATH);
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_PORTAL_PORT) || 4000;
+  const accountsFile = process.env.MOCK_PORTAL_ACCOUNTS;
+
+  const app = createMockPortal(accountsFile ? { accounts: require(path.resolve(accountsFile)) } : {});
+
+  app.listen(port, () => {
+    console.log(`Mock UPES portal running on http://localhost:${port}`);
+    console.log(`Set UPES_PORTAL_URL=http://localhost:${port}${LOGIN_PATH} to use it`);
+  });
+}
+
+module.exports = {
+  createMockPortal,
+  LOGIN_PATH,
+  DASHBOARD_PATH,
+  API_PROFILE_PATH,
+  API_ATTENDANCE_PATH,
+  SUBJECT_PATH,
+  API_SESSIONS_PATH,
+  TIMETABLE_PATH,
+  API_TIMETABLE_PATH,
+  componentOf,
+  sessionsOf,
+  timetableOf
+};
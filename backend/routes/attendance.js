@@ -1,9 +1,20 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authenticateEventStream, requirePasswordProof } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const UPESScrapingService = require('../services/upesScrapingService');
+const { createPortalAdapter } = require('../services/portalAdapterFactory');
+const PortalAdapter = require('../services/portalAdapter');
+const institutionRegistry = require('../services/institutionRegistry');
+const scrapingQueue = require('../services/scrapingQueue');
+const attendanceCache = require('../services/attendanceCache');
+const snapshotStore = require('../services/snapshotStore');
+const { diffReports, detectCorrections } = require('../services/snapshotDiff');
+const config = require('../config/environment');
+const portalCircuitBreaker = require('../services/portalCircuitBreaker');
+const browserPool = require('../services/browserPool');
+const selectorRegistry = require('../services/selectorRegistry');
+const { enqueueAttendanceFetch } = require('../services/attendanceFetcher');
 
 const router = express.Router();
 
@@ -19,6 +30,19 @@ const attendanceLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting for cached report lookups: each one is a bcrypt compare, so they are
+// throttled too (more loosely than fetches, as dashboard reloads land here)
+const cachedReportLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 20, // limit each IP to 20 cached report lookups per windowMs
+  message: {
+    error: 'Too many attendance requests, please try again later.',
+    code: 'TOO_MANY_FETCH_ATTEMPTS'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Validation middleware for attendance fetching
 const validateAttendanceInput = [
   body('password')
@@ -28,13 +52,200 @@ const validateAttendanceInput = [
     .withMessage('Password cannot be empty'),
 ];
 
+// Validation middleware for the history query
+const validateHistoryQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: config.global.history.maxPageSize })
+    .withMessage(`Limit must be between 1 and ${config.global.history.maxPageSize}`)
+    .toInt(),
+  query(['from', 'to'])
+    .optional()
+    // Strict: impossible dates like 2025-02-30 are rejected instead of rolling over
+    .isISO8601({ strict: true })
+    .withMessage('Dates must be ISO 8601 (e.g. 2025-08-01)'),
+];
+
+// Validation middleware for the changes query
+const validateChangesQuery = [
+  query('since')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Since must be an ISO 8601 date or time (e.g. 2025-08-01)'),
+];
+
+/**
+ * Turn a from/to query value into a capture time bound
+ * A plain date ("2025-08-01") covers that whole day, so ?to=2025-08-01 includes the 1st.
+ * @param {string} [value] - ISO 8601 date or date-time
+ * @param {boolean} endOfDay - Whether a plain date means its last millisecond
+ * @returns {string|undefined} - ISO timestamp
+ */
+const toRangeBound = (value, endOfDay) => {
+  if (!value) return undefined;
+
+  const isPlainDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isPlainDate && endOfDay ? `${value}T23:59:59.999Z` : value);
+  return date.toISOString();
+};
+
+/**
+ * History entry of a snapshot: the summary and per-subject counts, without session lists
+ * @param {Object} snapshot - { id, capturedAt, report }
+ * @returns {Object}
+ */
+const toHistoryEntry = ({ id, capturedAt, report }) => ({
+  id,
+  capturedAt,
+  summary: report.summary,
+  attendance: (report.attendance || []).map(({ sessions, ...record }) => record)
+});
+
+// Open progress streams per job ID
+const jobStreams = new Map();
+
+/**
+ * Count an open progress stream of a job
+ * @param {Object} job - Job
+ */
+const holdJobStream = (job) => {
+  const streams = jobStreams.get(job.id) || { count: 0, timer: null };
+  clearTimeout(streams.timer);
+  streams.count++;
+  jobStreams.set(job.id, streams);
+};
+
+/**
+ * Abandon a job whose client doesn't come back (reconnect or poll) within the grace period
+ * @param {Object} job - Job
+ * @param {Object} streams - Stream count and timer of the job
+ */
+const abandonUnlessClientReturns = (job, streams) => {
+  clearTimeout(streams.timer);
+  streams.timer = setTimeout(() => {
+    jobStreams.delete(job.id);
+    if (!scrapingQueue.isFinished(job)) {
+      scrapingQueue.abandon(job.id);
+    }
+  }, config.global.queue.streamReconnectGrace);
+  if (streams.timer.unref) streams.timer.unref();
+};
+
+/**
+ * Forget a closed progress stream of a job
+ * Once the last stream is gone and the client neither reconnects nor polls the job, the
+ * client has left and the fetch is stopped instead of running until the job timeout.
+ * @param {Object} job - Job
+ */
+const releaseJobStream = (job) => {
+  const streams = jobStreams.get(job.id);
+  if (!streams) return;
+
+  streams.count--;
+  if (streams.count > 0) return;
+
+  if (scrapingQueue.isFinished(job)) {
+    jobStreams.delete(job.id);
+    return;
+  }
+
+  abandonUnlessClientReturns(job, streams);
+};
+
+/**
+ * Count a status poll as the client still following a job
+ * A stream can close for good (e.g. once its ?token= expires) while the client keeps
+ * polling, so each poll restarts the grace period.
+ * @param {Object} job - Job
+ */
+const notePollOfJob = (job) => {
+  const streams = jobStreams.get(job.id);
+  if (!streams || streams.count > 0) return;
+
+  if (scrapingQueue.isFinished(job)) {
+    clearTimeout(streams.timer);
+    jobStreams.delete(job.id);
+    return;
+  }
+
+  abandonUnlessClientReturns(job, streams);
+};
+
+/**
+ * Answer a fetch with the user's cached report, unless ?force=true asks for a fresh one
+ * Runs before the fetch rate limiter (behind its own), so reloading the dashboard doesn't
+ * use up fetches.
+ */
+const serveCachedReport = asyncHandler(async (req, res, next) => {
+  const { password } = req.body || {};
+  if (req.query.force === 'true' || typeof password !== 'string' || !password) {
+    return next();
+  }
+
+  const cached = await attendanceCache.get(institutionRegistry.getUserKey(req.user), password);
+  if (!cached) {
+    return next();
+  }
+
+  const { report, cachedAt } = cached;
+  res.status(200).json({
+    success: true,
+    message: 'Attendance served from cache',
+    data: {
+      state: 'succeeded',
+      servedFromCache: true,
+      cachedAt,
+      result: {
+        ...report,
+        metadata: { ...report.metadata, cachedAt, servedFromCache: true }
+      }
+    }
+  });
+});
+
+/**
+ * Load a job and make sure it belongs to the requesting user
+ * Sends the error response itself and returns null when access is not possible.
+ */
+const findOwnJob = (req, res, jobId) => {
+  const job = scrapingQueue.getJob(jobId);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found or expired',
+      code: 'JOB_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (job.userId !== institutionRegistry.getUserKey(req.user)) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied. You can only access your own jobs.',
+      code: 'ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return job;
+};
+
 /**
  * @route   POST /api/attendance/fetch
- * @desc    Fetch attendance data from UPES Beta Portal
+ * @desc    Queue an attendance fetch from the user's institution portal
+ *          (answered from the attendance cache unless ?force=true)
  * @access  Private
  */
 router.post('/fetch', 
   authenticateToken, 
+  cachedReportLimiter, 
+  serveCachedReport, 
   attendanceLimiter, 
   validateAttendanceInput, 
   asyncHandler(async (req, res) => {
@@ -58,96 +269,228 @@ router.post('/fetch',
       });
     }
 
-    const scrapingService = new UPESScrapingService();
+    const institution = institutionRegistry.getForUser(req.user);
+    if (!institution) {
+      return res.status(400).json({
+        error: 'Your institution is no longer available. Please sign in again.',
+        code: 'UNKNOWN_INSTITUTION'
+      });
+    }
 
+    // A user only ever needs one fetch in flight (user IDs are only unique per institution)
+    const userKey = institutionRegistry.getUserKey(req.user);
+    const activeJob = scrapingQueue.getActiveJobForUser(userKey);
+    if (activeJob) {
+      return res.status(202).json({
+        success: true,
+        message: 'Attendance fetch already in progress',
+        data: scrapingQueue.serialize(activeJob)
+      });
+    }
+
+    // While the portal is down, fail fast (PORTAL_DOWN + Retry-After) instead of queueing a browser
+    portalCircuitBreaker.check(institution.id);
+
+    let job;
     try {
-      console.log(`Starting attendance fetch for user: ${userId}`);
-      
-      // Set a timeout for the entire operation
-      const fetchTimeout = setTimeout(() => {
-        throw new Error('Attendance fetch timeout - operation took too long');
-      }, 120000); // 2 minutes timeout
+      job = enqueueAttendanceFetch({ userId, userKey, password, institution });
+    } catch (error) {
+      return res.status(error.statusCode || 503).json({
+        success: false,
+        error: error.message,
+        code: error.code || 'SERVICE_UNAVAILABLE'
+      });
+    }
 
-      // Fetch attendance report
-      const attendanceReport = await scrapingService.fetchAttendanceReport(userId, password);
-      
-      clearTimeout(fetchTimeout);
+    res.status(202).json({
+      success: true,
+      message: 'Attendance fetch queued',
+      data: scrapingQueue.serialize(job)
+    });
+  })
+);
+
+/**
+ * @route   GET /api/attendance/fetch/:jobId/events
+ * @desc    Stream progress stages of an attendance fetch job (Server-Sent Events)
+ * @access  Private (token may be passed as ?token= since EventSource cannot set headers)
+ */
+router.get('/fetch/:jobId/events',
+  authenticateEventStream,
+  (req, res) => {
+    const job = findOwnJob(req, res, req.params.jobId);
+    if (!job) return;
 
-      // Add request metadata
-      attendanceReport.metadata = {
-        requestedBy: userId,
-        requestTime: new Date().toISOString(),
-        source: 'UPES Beta Portal',
-        version: '1.0'
-      };
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive immediately
+    });
 
-      console.log(`Attendance fetch successful for user: ${userId}`);
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
 
-      res.status(200).json({
-        success: true,
-        message: 'Attendance data fetched successfully',
-        data: attendanceReport
-      });
+    // Job snapshot without the (potentially large) result; clients poll the job for it
+    const jobSummary = () => {
+      const { result, ...summary } = scrapingQueue.serialize(job);
+      return summary;
+    };
 
-    } catch (error) {
-      console.error(`Attendance fetch failed for user ${userId}:`, error.message);
-
-      // Determine appropriate error response
-      let statusCode = 500;
-      let errorCode = 'FETCH_ERROR';
-      let errorMessage = 'Failed to fetch attendance data';
-
-      if (error.message.includes('Login failed') || error.message.includes('credentials')) {
-        statusCode = 401;
-        errorCode = 'INVALID_CREDENTIALS';
-        errorMessage = 'Invalid login credentials. Please check your user ID and password.';
-      } else if (error.message.includes('RATE_LIMITED') || error.message.includes('too many login attempts')) {
-        statusCode = 429;
-        errorCode = 'RATE_LIMITED';
-        errorMessage = 'Too many login attempts. Please wait 15-30 minutes before trying again.';
-      } else if (error.message.includes('timeout') || error.message.includes('Network')) {
-        statusCode = 504;
-        errorCode = 'TIMEOUT_ERROR';
-        errorMessage = 'Request timeout. Please try again later.';
-      } else if (error.message.includes('Browser') || error.message.includes('puppeteer')) {
-        statusCode = 503;
-        errorCode = 'SERVICE_UNAVAILABLE';
-        errorMessage = 'Service temporarily unavailable. Please try again later.';
-      } else if (error.message.includes('No attendance data found')) {
-        statusCode = 404;
-        errorCode = 'NO_DATA_FOUND';
-        errorMessage = 'No attendance data found. Please check if data is available on the portal.';
+    const onProgress = (progressJob, progress) => {
+      if (progressJob === job) sendEvent('stage', progress);
+    };
+
+    const onStateChange = (changedJob) => {
+      if (changedJob !== job) return;
+
+      if (scrapingQueue.isFinished(job)) {
+        sendEvent('done', jobSummary());
+        res.end();
+      } else {
+        sendEvent('job', jobSummary());
       }
+    };
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    let subscribed = false;
+    const unsubscribe = () => {
+      clearInterval(heartbeat);
+      scrapingQueue.off('progress', onProgress);
+      scrapingQueue.off('started', onStateChange);
+      scrapingQueue.off('finished', onStateChange);
+
+      if (subscribed) {
+        subscribed = false;
+        releaseJobStream(job);
+      }
+    };
+
+    // Send the current state first so late subscribers know where the job is
+    sendEvent('job', jobSummary());
+    sendEvent('stage', job.progress);
+
+    if (scrapingQueue.isFinished(job)) {
+      clearInterval(heartbeat);
+      sendEvent('done', jobSummary());
+      return res.end();
+    }
+
+    scrapingQueue.on('progress', onProgress);
+    scrapingQueue.on('started', onStateChange);
+    scrapingQueue.on('finished', onStateChange);
+    holdJobStream(job);
+    subscribed = true;
+
+    req.on('close', unsubscribe);
+    res.on('finish', unsubscribe);
+  }
+);
+
+/**
+ * @route   GET /api/attendance/jobs/:id
+ * @desc    Get state (and result once finished) of an attendance fetch job
+ * @access  Private
+ */
+router.get('/jobs/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const job = findOwnJob(req, res, req.params.id);
+    if (!job) return;
+
+    notePollOfJob(job);
 
-      res.status(statusCode).json({
+    res.status(200).json({
+      success: true,
+      data: scrapingQueue.serialize(job)
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/attendance/jobs/:id
+ * @desc    Cancel a queued or running attendance fetch job
+ * @access  Private
+ */
+router.delete('/jobs/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const job = findOwnJob(req, res, req.params.id);
+    if (!job) return;
+
+    if (scrapingQueue.isFinished(job)) {
+      return res.status(409).json({
         success: false,
-        error: errorMessage,
-        code: errorCode,
-        ...(process.env.NODE_ENV === 'development' && {
-          details: error.message,
-          stack: error.stack
-        })
+        error: `Job already ${job.state}`,
+        code: 'JOB_ALREADY_FINISHED'
       });
+    }
 
-    } finally {
-      // Ensure cleanup happens even if an error occurs
-      try {
-        await scrapingService.cleanup();
-      } catch (cleanupError) {
-        console.error('Cleanup error:', cleanupError);
-      }
+    scrapingQueue.cancel(job.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance fetch cancelled',
+      data: scrapingQueue.serialize(job)
+    });
+  })
+);
+
+/**
+ * @route   GET /api/attendance/timetable
+ * @desc    Weekly timetable from the user's latest attendance snapshot, linked to its subjects
+ * @access  Private (portal password as X-Portal-Password)
+ */
+router.get('/timetable',
+  authenticateToken,
+  requirePasswordProof(),
+  asyncHandler(async (req, res) => {
+    const { snapshots: [latest] } = await snapshotStore.listSnapshots(institutionRegistry.getUserKey(req.user), { limit: 1 });
+
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        error: 'No timetable available yet. Fetch your attendance first.',
+        code: 'NO_DATA_FOUND'
+      });
     }
+
+    const timetable = latest.report.timetable || [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fetchedAt: latest.capturedAt,
+        timetable,
+        weeklyClasses: PortalAdapter.countWeeklyClasses(timetable)
+      }
+    });
   })
 );
 
 /**
  * @route   GET /api/attendance/history/:userId
- * @desc    Get attendance history for a user (if implementing caching)
- * @access  Private
+ * @desc    Get the user's attendance snapshots, newest first
+ *          (?page, ?limit, and ?from / ?to as ISO 8601 dates or times)
+ * @access  Private (portal password as X-Portal-Password)
  */
 router.get('/history/:userId', 
   authenticateToken, 
+  requirePasswordProof(), 
+  validateHistoryQuery, 
   asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
     const { userId } = req.params;
     const requestingUser = req.user.userId;
 
@@ -159,15 +502,137 @@ router.get('/history/:userId',
       });
     }
 
-    // For now, return empty history as we're not implementing persistent storage
-    // In a production app, you would fetch from a database here
+    const page = req.query.page || 1;
+    const limit = req.query.limit || config.global.history.pageSize;
+    const from = toRangeBound(req.query.from, false);
+    const to = toRangeBound(req.query.to, true);
+
+    const { snapshots, total } = await snapshotStore.listSnapshots(institutionRegistry.getUserKey(req.user), {
+      from,
+      to,
+      page,
+      limit
+    });
+
     res.status(200).json({
       success: true,
       message: 'Attendance history retrieved',
       data: {
         userId,
-        history: [],
-        message: 'History feature not implemented. Data is fetched in real-time.'
+        history: snapshots.map(toHistoryEntry),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        },
+        filters: { from: from || null, to: to || null }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/attendance/changes
+ * @desc    Per-subject changes between the user's latest snapshot and the one before it,
+ *          with any corrections the portal made in between
+ *          (?since compares with the last snapshot taken before that date or time instead)
+ * @access  Private (portal password as X-Portal-Password)
+ */
+router.get('/changes', 
+  authenticateToken, 
+  requirePasswordProof(), 
+  validateChangesQuery, 
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const userKey = institutionRegistry.getUserKey(req.user);
+    const { snapshots: [latest] } = await snapshotStore.listSnapshots(userKey, { limit: 1 });
+
+    const { snapshots: [previous] } = req.query.since
+      ? await snapshotStore.listSnapshots(userKey, { to: new Date(new Date(req.query.since).getTime() - 1).toISOString(), limit: 1 })
+      : await snapshotStore.listSnapshots(userKey, { page: 2, limit: 1 });
+
+    // Nothing to compare until the user has fetched twice
+    if (!latest || !previous || previous.id === latest.id) {
+      return res.status(200).json({
+        success: true,
+        message: 'Not enough attendance history to compare yet',
+        data: {
+          current: latest ? { id: latest.id, capturedAt: latest.capturedAt } : null,
+          previous: null,
+          subjects: [],
+          totals: null,
+          corrections: []
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance changes retrieved',
+      data: {
+        current: { id: latest.id, capturedAt: latest.capturedAt },
+        previous: { id: previous.id, capturedAt: previous.capturedAt },
+        ...diffReports(previous.report, latest.report),
+        corrections: detectCorrections(previous.report, latest.report)
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/attendance/corrections
+ * @desc    Corrections the portal made to the user's attendance after the fact (counts
+ *          lowered, subjects removed or renamed), newest first, with the values before
+ *          and after (?page, ?limit, and ?from / ?to on the detection date)
+ * @access  Private (portal password as X-Portal-Password)
+ */
+router.get('/corrections', 
+  authenticateToken, 
+  requirePasswordProof(), 
+  validateHistoryQuery, 
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid input data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || config.global.history.pageSize;
+    const from = toRangeBound(req.query.from, false);
+    const to = toRangeBound(req.query.to, true);
+
+    const { corrections, total } = await snapshotStore.listCorrections(institutionRegistry.getUserKey(req.user), {
+      from,
+      to,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance corrections retrieved',
+      data: {
+        corrections,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        },
+        filters: { from: from || null, to: to || null }
       }
     });
   })
@@ -179,11 +644,20 @@ router.get('/history/:userId',
  * @access  Public
  */
 router.get('/status', asyncHandler(async (req, res) => {
+  // The default institution can be disabled in config/institutions.js
+  const institution = institutionRegistry.get();
+  // Circuit breaker view of the portal: closed (up), open (down) or half_open (being probed)
+  const portal = institution ? portalCircuitBreaker.getStatus(institution.id) : null;
+
   try {
-    // Basic health check - try to initialize browser
-    const scrapingService = new UPESScrapingService();
-    await scrapingService.initBrowser();
-    await scrapingService.cleanup();
+    // Basic health check - try to borrow a page from the browser pool
+    const checkedInstitution = institution || institutionRegistry.list()[0];
+    if (!checkedInstitution) {
+      throw new Error('No institution is enabled');
+    }
+    const portalAdapter = createPortalAdapter(checkedInstitution, { fetchMode: 'browser' });
+    await portalAdapter.open();
+    await portalAdapter.close();
 
     res.status(200).json({
       success: true,
@@ -191,8 +665,13 @@ router.get('/status', asyncHandler(async (req, res) => {
       services: {
         webScraping: 'operational',
         browser: 'operational',
-        upesPortal: 'not_tested'
+        upesPortal: portal ? portal.state : null
       },
+      portal,
+      queue: scrapingQueue.getStats(),
+      cache: attendanceCache.getStats(),
+      browserPool: browserPool.getStats(),
+      selectors: selectorRegistry.getInfo(),
       timestamp: new Date().toISOString()
     });
 
@@ -203,8 +682,13 @@ router.get('/status', asyncHandler(async (req, res) => {
       services: {
         webScraping: 'error',
         browser: 'error',
-        upesPortal: 'not_tested'
+        upesPortal: portal ? portal.state : null
       },
+      portal,
+      queue: scrapingQueue.getStats(),
+      cache: attendanceCache.getStats(),
+      browserPool: browserPool.getStats(),
+      selectors: selectorRegistry.getInfo(),
       error: error.message,
       timestamp: new Date().toISOString()
     });
@@ -213,21 +697,29 @@ router.get('/status', asyncHandler(async (req, res) => {
 
 /**
  * @route   POST /api/attendance/test-connection
- * @desc    Test connection to UPES portal (without login)
+ * @desc    Test connection to the user's institution portal (without login)
  * @access  Private
  */
 router.post('/test-connection', 
   authenticateToken,
   asyncHandler(async (req, res) => {
-    const scrapingService = new UPESScrapingService();
+    const institution = institutionRegistry.getForUser(req.user);
+    if (!institution) {
+      return res.status(400).json({
+        error: 'Your institution is no longer available. Please sign in again.',
+        code: 'UNKNOWN_INSTITUTION'
+      });
+    }
+
+    const scrapingService = createPortalAdapter(institution, { fetchMode: 'browser' });
 
     try {
-      console.log('Testing connection to UPES portal...');
+      console.log(`Testing connection to ${institution.name} portal...`);
       
-      await scrapingService.initBrowser();
+      await scrapingService.open();
       
       // Just try to navigate to the login page
-      await scrapingService.page.goto(process.env.UPES_PORTAL_URL || 'https://beta.upes.ac.in/', {
+      await scrapingService.page.goto(institution.loginUrl, {
         waitUntil: 'networkidle2',
         timeout: 30000
       });
@@ -237,7 +729,7 @@ router.post('/test-connection',
 
       res.status(200).json({
         success: true,
-        message: 'Connection to UPES portal successful',
+        message: `Connection to ${institution.name} portal successful`,
         data: {
           portalUrl: currentUrl,
           pageTitle: pageTitle,
@@ -250,13 +742,13 @@ router.post('/test-connection',
       
       res.status(503).json({
         success: false,
-        error: 'Failed to connect to UPES portal',
+        error: `Failed to connect to ${institution.name} portal`,
         code: 'CONNECTION_FAILED',
         details: error.message
       });
 
     } finally {
-      await scrapingService.cleanup();
+      await scrapingService.close();
     }
   })
 );
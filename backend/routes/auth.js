@@ -4,6 +4,7 @@ const bcrypt = require('bcryptjs');
 const rateLimit = require('express-rate-limit');
 const { generateToken } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const institutionRegistry = require('../services/institutionRegistry');
 
 const router = express.Router();
 
@@ -34,9 +35,28 @@ const validateLoginInput = [
     .notEmpty()
     .withMessage('Password is required')
     .isLength({ min: 1 })
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+
+  body('institutionId')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Institution ID contains invalid characters')
 ];
 
+/**
+ * @route   GET /api/auth/institutions
+ * @desc    Institutions users can sign in with
+ * @access  Public
+ */
+router.get('/institutions', asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    institutions: institutionRegistry.list().map(institution => institutionRegistry.toPublic(institution)),
+    defaultInstitutionId: institutionRegistry.defaultId
+  });
+}));
+
 /**
  * @route   POST /api/auth/login
  * @desc    Authenticate user credentials (validation only, no actual login)
@@ -53,7 +73,7 @@ router.post('/login', loginLimiter, validateLoginInput, asyncHandler(async (req,
     });
   }
 
-  const { userId, password } = req.body;
+  const { userId, password, institutionId = institutionRegistry.defaultId } = req.body;
 
   // Input sanitization
   const sanitizedUserId = userId.trim().toLowerCase();
@@ -67,6 +87,21 @@ router.post('/login', loginLimiter, validateLoginInput, asyncHandler(async (req,
     });
   }
 
+  const institution = institutionRegistry.get(institutionId);
+  if (!institution) {
+    return res.status(400).json({
+      error: 'Unknown institution',
+      code: 'UNKNOWN_INSTITUTION'
+    });
+  }
+
+  if (!institutionRegistry.isValidUserId(institution, sanitizedUserId)) {
+    return res.status(400).json({
+      error: `Invalid ${institution.shortName} user ID. ${institution.userId.hint}`,
+      code: 'INVALID_USER_ID'
+    });
+  }
+
   // For this implementation, we'll just validate the format and return a token
   // The actual UPES login validation happens during attendance fetching
   // This approach is more secure as we don't store credentials
@@ -75,6 +110,7 @@ router.post('/login', loginLimiter, validateLoginInput, asyncHandler(async (req,
     // Generate a session token
     const payload = {
       userId: sanitizedUserId,
+      institutionId: institution.id,
       loginTime: Date.now(),
       sessionId: `session_${Date.now()}_${Math.random().toString(36).substring(2)}`
     };
@@ -82,7 +118,7 @@ router.post('/login', loginLimiter, validateLoginInput, asyncHandler(async (req,
     const token = generateToken(payload);
 
     // Log successful login attempt (without password)
-    console.log(`Login attempt for user: ${sanitizedUserId} at ${new Date().toISOString()}`);
+    console.log(`Login attempt for user: ${sanitizedUserId} (${institution.id}) at ${new Date().toISOString()}`);
 
     res.status(200).json({
       success: true,
@@ -90,6 +126,8 @@ router.post('/login', loginLimiter, validateLoginInput, asyncHandler(async (req,
       token,
       user: {
         userId: sanitizedUserId,
+        institutionId: institution.id,
+        institutionName: institution.name,
         loginTime: new Date().toISOString()
       }
     });
@@ -126,6 +164,7 @@ router.post('/validate', asyncHandler(async (req, res) => {
       valid: true,
       user: {
         userId: decoded.userId,
+        institutionId: decoded.institutionId || institutionRegistry.defaultId,
         loginTime: new Date(decoded.loginTime).toISOString(),
         sessionId: decoded.sessionId
       }
@@ -188,6 +227,7 @@ router.get('/session-info', require('../middleware/auth').authenticateToken, asy
     success: true,
     session: {
       userId: user.userId,
+      institutionId: user.institutionId || institutionRegistry.defaultId,
       loginTime: new Date(user.loginTime).toISOString(),
       sessionId: user.sessionId,
       tokenIssuedAt: new Date(user.iat * 1000).toISOString(),
@@ -0,0 +1,248 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePasswordProof } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const institutionRegistry = require('../services/institutionRegistry');
+const attendanceScheduler = require('../services/attendanceScheduler');
+const credentialVault = require('../services/credentialVault');
+const { isValidCron } = require('../services/cronSchedule');
+const config = require('../config/environment');
+
+const router = express.Router();
+
+const { maxWindowMinutes } = config.global.scheduler;
+
+// Validation middleware for schedule settings (all optional; enrolment also needs the password)
+const validateScheduleSettings = [
+  body('cron')
+    .optional()
+    .isString()
+    .custom(isValidCron)
+    .withMessage('Cron must be a five-field cron expression (e.g. "0 19 * * 1-6")'),
+  body('windowMinutes')
+    .optional()
+    .isInt({ min: 0, max: maxWindowMinutes })
+    .withMessage(`Window must be between 0 and ${maxWindowMinutes} minutes`)
+    .toInt(),
+];
+
+const validateEnrollment = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('consent')
+    .custom(value => value === true)
+    .withMessage('Consent to store your portal password is required'),
+  ...validateScheduleSettings,
+];
+
+const validateScheduleUpdate = [
+  body('paused')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Paused must be true or false'),
+  body('password')
+    .optional()
+    .notEmpty()
+    .withMessage('Password cannot be empty'),
+  ...validateScheduleSettings,
+];
+
+// Validation middleware for the audit trail query
+const validateAuditQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: config.global.history.maxPageSize })
+    .withMessage(`Limit must be between 1 and ${config.global.history.maxPageSize}`)
+    .toInt(),
+];
+
+/**
+ * Proof check that records refusals in the credential audit trail
+ * @param {string} action - Audited action (delete | read_audit)
+ * @returns {Array<Function>}
+ */
+const requireAuditedPasswordProof = (action) => requirePasswordProof({
+  onRefused: (req, userKey) => credentialVault.auditRefusal(userKey, action)
+});
+
+/**
+ * Send 400 VALIDATION_ERROR when the request failed validation
+ * @returns {boolean} - Whether a response was sent
+ */
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    error: 'Invalid input data',
+    details: errors.array(),
+    code: 'VALIDATION_ERROR'
+  });
+  return true;
+};
+
+/**
+ * @route   GET /api/schedule
+ * @desc    Get the user's scheduled attendance refresh (null when not enrolled)
+ * @access  Private (portal password as X-Portal-Password)
+ */
+router.get('/',
+  authenticateToken,
+  requirePasswordProof(),
+  asyncHandler(async (req, res) => {
+    const schedule = await attendanceScheduler.getSchedule(institutionRegistry.getUserKey(req.user));
+
+    res.status(200).json({
+      success: true,
+      message: schedule ? 'Schedule retrieved' : 'Not enrolled in scheduled refresh',
+      data: { schedule }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/schedule
+ * @desc    Enrol in scheduled attendance refresh (or replace the schedule and password);
+ *          the password is stored in the credential vault and needs consent: true. It must
+ *          be the password the portal last accepted, so a wrong one never reaches the
+ *          scheduled runs (whose failed logins could lock the account)
+ * @access  Private
+ */
+router.post('/',
+  authenticateToken,
+  requirePasswordProof(),
+  validateEnrollment,
+  asyncHandler(async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    if (!institutionRegistry.getForUser(req.user)) {
+      return res.status(400).json({
+        error: 'Your institution is no longer available. Please sign in again.',
+        code: 'UNKNOWN_INSTITUTION'
+      });
+    }
+
+    if (!credentialVault.isAvailable()) {
+      return res.status(503).json({
+        error: 'Scheduled refresh is not available on this server.',
+        code: 'VAULT_UNAVAILABLE'
+      });
+    }
+
+    const { password, consent, cron, windowMinutes } = req.body;
+    const { schedule, created } = await attendanceScheduler.enroll(req.user, { password, consent, cron, windowMinutes });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Enrolled in scheduled refresh' : 'Schedule replaced',
+      data: { schedule }
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/schedule
+ * @desc    Pause, resume or change the user's schedule, or update the stored password
+ *          (a new password must be the one the portal last accepted)
+ * @access  Private (portal password as X-Portal-Password when not changing it)
+ */
+router.patch('/',
+  authenticateToken,
+  requirePasswordProof(),
+  validateScheduleUpdate,
+  asyncHandler(async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const { cron, windowMinutes, paused, password } = req.body;
+    const changes = { cron, windowMinutes, paused, password };
+    Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to change. Send cron, windowMinutes, paused or password.',
+        code: 'NO_CHANGES'
+      });
+    }
+
+    const schedule = await attendanceScheduler.update(institutionRegistry.getUserKey(req.user), changes);
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'You are not enrolled in scheduled refresh',
+        code: 'SCHEDULE_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule updated',
+      data: { schedule }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/schedule
+ * @desc    Leave scheduled refresh and delete the stored password (withdraws consent);
+ *          refused attempts are recorded in the audit trail
+ * @access  Private (portal password as X-Portal-Password)
+ */
+router.delete('/',
+  authenticateToken,
+  requireAuditedPasswordProof('delete'),
+  asyncHandler(async (req, res) => {
+    const removed = await attendanceScheduler.unenroll(institutionRegistry.getUserKey(req.user));
+    if (!removed) {
+      return res.status(404).json({
+        error: 'You are not enrolled in scheduled refresh',
+        code: 'SCHEDULE_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Left scheduled refresh'
+    });
+  })
+);
+
+/**
+ * @route   GET /api/schedule/audit
+ * @desc    Audit trail of the user's stored password: every store, decryption,
+ *          re-encryption and deletion, and refused attempts to delete it or read
+ *          this trail (kept after leaving scheduled refresh)
+ * @access  Private (portal password as X-Portal-Password)
+ */
+router.get('/audit',
+  authenticateToken,
+  requireAuditedPasswordProof('read_audit'),
+  validateAuditQuery,
+  asyncHandler(async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || config.global.history.pageSize;
+    const { entries, total } = await credentialVault.listAudit(institutionRegistry.getUserKey(req.user), { page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Credential audit trail retrieved',
+      data: {
+        audit: entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const bcrypt = require('bcryptjs');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+
+/**
+ * Attendance Cache
+ * Keeps each user's last attendance report for config.global.cache.attendanceTTL, so
+ * reloading the dashboard doesn't start another scrape. Least recently used reports are
+ * dropped beyond config.global.cache.maxCacheSize users.
+ *
+ * Like the portal session store, a cached report is only handed to a caller presenting
+ * the password of the fetch that produced it (our JWT doesn't prove the portal password).
+ */
+class AttendanceCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Lifetime of a report in milliseconds
+   * @param {number} [options.maxSize] - Users kept at most
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || config.global.cache.attendanceTTL;
+    this.maxSize = options.maxSize || config.global.cache.maxCacheSize;
+    // Map iteration order is insertion order: the first entry is the least recently used
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Cache the report of a successful fetch
+   * @param {string} userKey - User key (institution and user ID)
+   * @param {string} password - Password the report was fetched with
+   * @param {Object} report - Attendance report
+   * @returns {Promise<string>} - cachedAt timestamp (report.metadata.cachedAt when set)
+   */
+  async set(userKey, password, report) {
+    const cachedAt = (report.metadata && report.metadata.cachedAt) || new Date().toISOString();
+    const passwordHash = await bcrypt.hash(password, config.security.bcryptRounds);
+
+    this.entries.delete(userKey);
+    this.entries.set(userKey, {
+      report,
+      passwordHash,
+      cachedAt,
+      expiresAt: Date.now() + this.ttl
+    });
+
+    while (this.entries.size > this.maxSize) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+
+    return cachedAt;
+  }
+
+  /**
+   * Get a user's cached report
+   * @param {string} userKey - User key
+   * @param {string} password - Password presented by the caller
+   * @returns {Promise<{ report: Object, cachedAt: string }|null>} - null when nothing usable is cached
+   */
+  async get(userKey, password) {
+    const entry = this.entries.get(userKey);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(userKey);
+      this.misses++;
+      return null;
+    }
+
+    const passwordMatches = await bcrypt.compare(password, entry.passwordHash);
+    if (!passwordMatches) {
+      logger.security('Cached attendance refused - password mismatch', { userKey });
+      this.misses++;
+      return null;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(userKey);
+    this.entries.set(userKey, entry);
+    this.hits++;
+
+    return { report: entry.report, cachedAt: entry.cachedAt };
+  }
+
+  /**
+   * Forget a user's report
+   * @param {string} userKey - User key
+   */
+  invalidate(userKey) {
+    this.entries.delete(userKey);
+  }
+
+  /**
+   * Cache statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      ttl: this.ttl,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+const attendanceCache = new AttendanceCache();
+
+module.exports = attendanceCache;
+module.exports.AttendanceCache = AttendanceCache;
@@ -0,0 +1,110 @@
+const { createPortalAdapter } = require('./portalAdapterFactory');
+const scrapingQueue = require('./scrapingQueue');
+const portalCircuitBreaker = require('./portalCircuitBreaker');
+const attendanceCache = require('./attendanceCache');
+const snapshotStore = require('./snapshotStore');
+const passwordProofStore = require('./passwordProofStore');
+const { toPortalError, describeError } = require('./portalErrors');
+const logger = require('../config/logger');
+
+/**
+ * Attendance Fetcher
+ * The attendance fetch job shared by the fetch route and the refresh scheduler: runs
+ * the portal adapter in the scraping queue, then caches the report, saves it as a
+ * snapshot and records the password the portal accepted.
+ */
+
+/**
+ * Map a scraping failure to an HTTP status, error code and user-facing message
+ * @param {Error} error - Error thrown by the portal adapter
+ * @returns {Error} - Error carrying statusCode, code and retryable
+ */
+const toFetchError = (error) => {
+  const { statusCode, code, message, retryable, retryAfter } = describeError(toPortalError(error));
+
+  const fetchError = new Error(message);
+  fetchError.statusCode = statusCode;
+  fetchError.code = code;
+  fetchError.retryable = retryable;
+  fetchError.retryAfter = retryAfter;
+
+  if (process.env.NODE_ENV === 'development') {
+    fetchError.details = error.message;
+  }
+
+  return fetchError;
+};
+
+/**
+ * Queue an attendance fetch
+ * Throws when the queue is full (QUEUE_FULL, 503).
+ * @param {Object} options
+ * @param {string} options.userId - Portal user ID
+ * @param {string} options.userKey - User key (institution and user ID) owning the job
+ * @param {string} options.password - Portal password
+ * @param {Object} options.institution - Institution from the registry
+ * @param {string} [options.trigger] - What started the fetch: "user" or "schedule"
+ * @returns {Object} - The queued job
+ */
+const enqueueAttendanceFetch = ({ userId, userKey, password, institution, trigger = 'user' }) => {
+  const portalAdapter = createPortalAdapter(institution);
+
+  return scrapingQueue.enqueue({
+    userId: userKey,
+    task: async (job) => {
+      logger.debug('Attendance fetch started', { jobId: job.id, trigger });
+
+      try {
+        // The circuit may have opened while the job was queued
+        portalCircuitBreaker.check(institution.id);
+
+        // job.signal stops the fetch (and frees its page) when the job times out or is cancelled
+        const attendanceReport = await portalAdapter.fetchAttendanceReport(userId, password, {
+          onProgress: (progress) => scrapingQueue.updateProgress(job, progress),
+          onAttempt: (attempt) => {
+            scrapingQueue.recordAttempt(job, attempt);
+            portalCircuitBreaker.recordAttempt(institution.id, attempt);
+          },
+          signal: job.signal
+        });
+
+        // Add request metadata
+        const requestTime = new Date().toISOString();
+        attendanceReport.metadata = {
+          requestedBy: userId,
+          requestTime,
+          source: institution.name,
+          trigger,
+          version: '1.0',
+          cachedAt: requestTime,
+          servedFromCache: false
+        };
+
+        await attendanceCache.set(userKey, password, attendanceReport);
+        // Losing a history entry or the password proof must not cost the user their report
+        try {
+          await snapshotStore.saveSnapshot(userKey, attendanceReport);
+        } catch (error) {
+          console.error(`Saving attendance snapshot failed for user ${userId}:`, error.message);
+        }
+        try {
+          await passwordProofStore.record(userKey, password);
+        } catch (error) {
+          console.error(`Recording the password proof failed for user ${userId}:`, error.message);
+        }
+
+        logger.debug('Attendance fetch succeeded', { jobId: job.id, trigger });
+        return attendanceReport;
+
+      } catch (error) {
+        logger.warn('Attendance fetch failed', { jobId: job.id, trigger, reason: error.message });
+        throw toFetchError(error);
+      }
+    }
+  });
+};
+
+module.exports = {
+  toFetchError,
+  enqueueAttendanceFetch
+};
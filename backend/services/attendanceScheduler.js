@@ -0,0 +1,438 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const localDatabase = require('./localDatabase');
+const scrapingQueue = require('./scrapingQueue');
+const portalCircuitBreaker = require('./portalCircuitBreaker');
+const institutionRegistry = require('./institutionRegistry');
+const { enqueueAttendanceFetch } = require('./attendanceFetcher');
+const credentialVault = require('./credentialVault');
+const { parseCron, getNextRun } = require('./cronSchedule');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS schedules (
+    user_key TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    institution_id TEXT NOT NULL,
+    cron TEXT NOT NULL,
+    window_minutes INTEGER NOT NULL,
+    paused INTEGER NOT NULL DEFAULT 0,
+    paused_reason TEXT,
+    next_run_at TEXT,
+    last_run TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_schedules_next_run ON schedules (paused, next_run_at);
+`;
+
+// Purpose recorded in the credential vault's audit trail
+const VAULT_PURPOSE = 'scheduled_refresh';
+
+// Failures that would repeat on every run (and could lock the account): pause until the user acts
+const PAUSING_ERRORS = ['INVALID_CREDENTIALS', 'RATE_LIMITED'];
+
+// Pauses a new password lifts
+const REPLACED_PASSWORD_RESUMES = ['INVALID_CREDENTIALS', 'CREDENTIAL_UNAVAILABLE'];
+
+/**
+ * Attendance Scheduler
+ * Opt-in refresh of enrolled users' attendance on a cron schedule. Runs go through the
+ * scraping queue like any other fetch, so their reports are cached and saved as snapshots.
+ * Portal passwords are kept in the credential vault, with the user's consent.
+ *
+ * Each user's runs are shifted by a fixed offset within their window (derived from the
+ * user key), so users on the same schedule don't all hit the portal at once.
+ */
+class AttendanceScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.database] - LocalDatabase (defaults to the shared one)
+   * @param {Object} [options.vault] - CredentialVault (defaults to the shared one)
+   * @param {Function} [options.enqueueFetch] - Queues a fetch (defaults to enqueueAttendanceFetch)
+   */
+  constructor(options = {}) {
+    const settings = config.global.scheduler;
+
+    this.database = options.database || localDatabase;
+    this.vault = options.vault || credentialVault;
+    this.enqueueFetch = options.enqueueFetch || enqueueAttendanceFetch;
+    this.defaultCron = settings.defaultCron;
+    this.defaultWindowMinutes = settings.defaultWindowMinutes;
+    this.tickInterval = settings.tickInterval;
+    this.schemaReady = null;
+    this.timer = null;
+    this.ticking = null;
+    // Queue job ID -> user key of the runs this scheduler started
+    this.runningJobs = new Map();
+
+    scrapingQueue.on('finished', job => this.handleJobFinished(job));
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    const db = await this.database.open();
+    // Reopening the database (after close) needs the schema again
+    if (this.schemaReady !== db) {
+      db.run(SCHEMA);
+      this.schemaReady = db;
+    }
+  }
+
+  /**
+   * Seconds a user's runs are shifted by within their window
+   * @param {string} userKey - User key
+   * @param {number} windowMinutes - Window length
+   * @returns {number}
+   */
+  getOffsetSeconds(userKey, windowMinutes) {
+    if (windowMinutes <= 0) return 0;
+    const hash = crypto.createHash('sha256').update(userKey).digest();
+    return hash.readUInt32BE(0) % (windowMinutes * 60);
+  }
+
+  /**
+   * Next run of a schedule after a given time
+   * @param {string} userKey - User key
+   * @param {string} cron - Cron expression
+   * @param {number} windowMinutes - Window length
+   * @param {Date} [after] - Start of the search (defaults to now)
+   * @returns {string|null} - ISO time, or null when the cron never fires
+   */
+  getNextRunAt(userKey, cron, windowMinutes, after = new Date()) {
+    const offset = this.getOffsetSeconds(userKey, windowMinutes) * 1000;
+    // Searching from (after - offset) keeps a run whose window is still open today
+    const next = getNextRun(cron, new Date(after.getTime() - offset));
+    return next ? new Date(next.getTime() + offset).toISOString() : null;
+  }
+
+  /**
+   * Enrol a user, or replace their schedule and stored password
+   * @param {Object} user - Decoded JWT payload
+   * @param {Object} options
+   * @param {string} options.password - Portal password used for the runs
+   * @param {boolean} options.consent - The user agreed to the password being stored
+   * @param {string} [options.cron] - Cron expression (defaults to config)
+   * @param {number} [options.windowMinutes] - Window the run is spread over (defaults to config)
+   * @returns {Promise<{ schedule: Object, created: boolean }>}
+   */
+  async enroll(user, { password, consent, cron = this.defaultCron, windowMinutes = this.defaultWindowMinutes }) {
+    await this.ready();
+    parseCron(cron);
+
+    const userKey = institutionRegistry.getUserKey(user);
+    const institutionId = institutionRegistry.getForUser(user).id;
+    await this.vault.store(userKey, password, { consent, purpose: VAULT_PURPOSE });
+
+    const existing = await this.findRow(userKey);
+    const now = new Date().toISOString();
+
+    await this.database.run(
+      `INSERT OR REPLACE INTO schedules
+        (user_key, user_id, institution_id, cron, window_minutes, paused, paused_reason, next_run_at, last_run, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, 0, NULL, ?, ?, ?, ?)`,
+      [
+        userKey,
+        user.userId,
+        institutionId,
+        cron,
+        windowMinutes,
+        this.getNextRunAt(userKey, cron, windowMinutes),
+        existing ? existing.last_run : null,
+        existing ? existing.created_at : now,
+        now
+      ]
+    );
+    this.database.persist();
+
+    logger.info('Attendance schedule enrolled', { userKey, cron, windowMinutes });
+    return { schedule: await this.getSchedule(userKey), created: !existing };
+  }
+
+  /**
+   * Change a user's schedule
+   * A new password also lifts a pause caused by a rejected or unreadable password.
+   * @param {string} userKey - User key
+   * @param {Object} changes - { cron, windowMinutes, paused, password }, all optional
+   * @returns {Promise<Object|null>} - Updated schedule, or null when the user isn't enrolled
+   */
+  async update(userKey, changes) {
+    await this.ready();
+    const row = await this.findRow(userKey);
+    if (!row) return null;
+
+    const cron = changes.cron !== undefined ? changes.cron : row.cron;
+    const windowMinutes = changes.windowMinutes !== undefined ? changes.windowMinutes : row.window_minutes;
+    parseCron(cron);
+
+    let paused = Boolean(row.paused);
+    let pausedReason = row.paused_reason;
+    if (changes.paused !== undefined) {
+      paused = changes.paused;
+      pausedReason = paused ? 'USER' : null;
+    } else if (changes.password !== undefined && REPLACED_PASSWORD_RESUMES.includes(pausedReason)) {
+      paused = false;
+      pausedReason = null;
+    }
+
+    if (changes.password !== undefined) {
+      // Consent given on enrolment covers replacing the password
+      await this.vault.store(userKey, changes.password, { consent: true, purpose: VAULT_PURPOSE });
+    }
+
+    await this.database.run(
+      `UPDATE schedules
+        SET cron = ?, window_minutes = ?, paused = ?, paused_reason = ?, next_run_at = ?, updated_at = ?
+        WHERE user_key = ?`,
+      [
+        cron,
+        windowMinutes,
+        paused ? 1 : 0,
+        pausedReason,
+        paused ? null : this.getNextRunAt(userKey, cron, windowMinutes),
+        new Date().toISOString(),
+        userKey
+      ]
+    );
+    this.database.persist();
+
+    logger.info('Attendance schedule updated', { userKey, cron, windowMinutes, paused });
+    return this.getSchedule(userKey);
+  }
+
+  /**
+   * Remove a user's schedule and stored password
+   * @param {string} userKey - User key
+   * @returns {Promise<boolean>} - Whether the user was enrolled
+   */
+  async unenroll(userKey) {
+    await this.ready();
+    const { changes } = await this.database.run('DELETE FROM schedules WHERE user_key = ?', [userKey]);
+    this.database.persist();
+    // Also removes a password left behind by an enrolment that failed halfway
+    await this.vault.delete(userKey);
+
+    if (changes > 0) {
+      logger.info('Attendance schedule removed', { userKey });
+    }
+    return changes > 0;
+  }
+
+  /**
+   * Public view of a user's schedule (never the stored password)
+   * @param {string} userKey - User key
+   * @returns {Promise<Object|null>}
+   */
+  async getSchedule(userKey) {
+    await this.ready();
+    const row = await this.findRow(userKey);
+    if (!row) return null;
+
+    return {
+      userId: row.user_id,
+      institutionId: row.institution_id,
+      cron: row.cron,
+      windowMinutes: row.window_minutes,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      paused: Boolean(row.paused),
+      pausedReason: row.paused_reason,
+      nextRunAt: row.next_run_at,
+      lastRun: row.last_run ? JSON.parse(row.last_run) : null,
+      credential: await this.vault.describe(userKey),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * @param {string} userKey - User key
+   * @returns {Promise<Object|undefined>} - Database row
+   */
+  async findRow(userKey) {
+    const [row] = await this.database.query('SELECT * FROM schedules WHERE user_key = ?', [userKey]);
+    return row;
+  }
+
+  /**
+   * Check for due schedules every tickInterval
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Attendance scheduler tick failed', error));
+    }, this.tickInterval);
+    // The scheduler alone must not keep the process alive
+    this.timer.unref();
+
+    logger.info('Attendance scheduler started', { tickInterval: this.tickInterval });
+  }
+
+  /**
+   * Stop checking for due schedules (runs already queued still finish)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Start the runs that are due
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} - Number of runs queued
+   */
+  tick(now = new Date()) {
+    // A slow tick must not overlap the next one and start runs twice
+    if (!this.ticking) {
+      this.ticking = (async () => {
+        await this.ready();
+        const due = await this.database.query(
+          'SELECT * FROM schedules WHERE paused = 0 AND next_run_at <= ? ORDER BY next_run_at',
+          [now.toISOString()]
+        );
+
+        let queued = 0;
+        for (const row of due) {
+          if (await this.runSchedule(row, now)) queued++;
+        }
+        if (due.length > 0) {
+          this.database.persist();
+        }
+        return queued;
+      })().finally(() => {
+        this.ticking = null;
+      });
+    }
+    return this.ticking;
+  }
+
+  /**
+   * Queue one scheduled run and move the schedule to its next run
+   * @param {Object} row - Database row
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} - Whether a fetch was queued
+   */
+  async runSchedule(row, now) {
+    const userKey = row.user_key;
+    const nextRunAt = this.getNextRunAt(userKey, row.cron, row.window_minutes, now);
+    const institution = institutionRegistry.get(row.institution_id);
+
+    const skip = async (code) => {
+      logger.info('Scheduled attendance fetch skipped', { userKey, code });
+      await this.recordRun(userKey, { at: now.toISOString(), state: 'skipped', code }, { nextRunAt });
+      return false;
+    };
+
+    if (!institution) {
+      await this.pause(userKey, 'UNKNOWN_INSTITUTION', { at: now.toISOString(), state: 'skipped', code: 'UNKNOWN_INSTITUTION' });
+      return false;
+    }
+
+    // The user started a fetch themselves; it will refresh the same data
+    if (scrapingQueue.getActiveJobForUser(userKey)) {
+      return skip('FETCH_IN_PROGRESS');
+    }
+
+    try {
+      portalCircuitBreaker.check(institution.id);
+    } catch (error) {
+      return skip(error.code);
+    }
+
+    let password;
+    try {
+      password = await this.vault.reveal(userKey, { purpose: VAULT_PURPOSE });
+    } catch (error) {
+      password = null;
+    }
+    if (!password) {
+      await this.pause(userKey, 'CREDENTIAL_UNAVAILABLE', { at: now.toISOString(), state: 'skipped', code: 'CREDENTIAL_UNAVAILABLE' });
+      return false;
+    }
+
+    let job;
+    try {
+      job = this.enqueueFetch({
+        userId: row.user_id,
+        userKey,
+        password,
+        institution,
+        trigger: 'schedule'
+      });
+    } catch (error) {
+      return skip(error.code || 'SERVICE_UNAVAILABLE');
+    }
+
+    this.runningJobs.set(job.id, userKey);
+    await this.recordRun(userKey, { at: now.toISOString(), state: 'queued', jobId: job.id }, { nextRunAt });
+    logger.info('Scheduled attendance fetch queued', { userKey, jobId: job.id, nextRunAt });
+    return true;
+  }
+
+  /**
+   * Record the outcome of a run this scheduler started
+   * @param {Object} job - Finished queue job
+   * @returns {Promise<void>|undefined} - Settles once the outcome is saved
+   */
+  handleJobFinished(job) {
+    const userKey = this.runningJobs.get(job.id);
+    if (!userKey) return;
+    this.runningJobs.delete(job.id);
+
+    const lastRun = {
+      at: job.finishedAt,
+      state: job.state,
+      jobId: job.id,
+      ...(job.error && { code: job.error.code })
+    };
+
+    const recording = job.error && PAUSING_ERRORS.includes(job.error.code)
+      ? this.pause(userKey, job.error.code, lastRun)
+      : this.recordRun(userKey, lastRun);
+
+    return recording
+      .then(() => this.database.persist())
+      .catch(error => logger.error('Recording a scheduled attendance fetch failed', error));
+  }
+
+  /**
+   * @param {string} userKey - User key
+   * @param {Object} lastRun - { at, state, jobId, code }
+   * @param {Object} [options]
+   * @param {string} [options.nextRunAt] - New next run time
+   * @returns {Promise<void>}
+   */
+  async recordRun(userKey, lastRun, { nextRunAt } = {}) {
+    if (nextRunAt !== undefined) {
+      await this.database.run(
+        'UPDATE schedules SET last_run = ?, next_run_at = ? WHERE user_key = ?',
+        [JSON.stringify(lastRun), nextRunAt, userKey]
+      );
+    } else {
+      await this.database.run('UPDATE schedules SET last_run = ? WHERE user_key = ?', [JSON.stringify(lastRun), userKey]);
+    }
+  }
+
+  /**
+   * Pause a schedule the scheduler can't run
+   * @param {string} userKey - User key
+   * @param {string} reason - Error code
+   * @param {Object} lastRun - Run that caused the pause
+   * @returns {Promise<void>}
+   */
+  async pause(userKey, reason, lastRun) {
+    await this.database.run(
+      'UPDATE schedules SET paused = 1, paused_reason = ?, next_run_at = NULL, last_run = ? WHERE user_key = ?',
+      [reason, JSON.stringify(lastRun), userKey]
+    );
+    logger.warn('Attendance schedule paused', { userKey, reason });
+  }
+}
+
+const attendanceScheduler = new AttendanceScheduler();
+
+module.exports = attendanceScheduler;
+module.exports.AttendanceScheduler = AttendanceScheduler;
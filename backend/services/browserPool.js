@@ -0,0 +1,385 @@
+const puppeteer = require('puppeteer');
+const { findChrome } = require('../utils/browserFinder');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const { BrowserLaunchError } = require('./portalErrors');
+require('dotenv').config();
+
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+// Enhanced browser args for cloud deployment
+const BROWSER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-gpu',
+  '--disable-web-security',
+  '--disable-features=VizDisplayCompositor',
+  '--window-size=1280,720',
+  '--disable-extensions',
+  '--disable-plugins',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding',
+  '--disable-default-apps',
+  '--disable-sync',
+  '--no-default-browser-check',
+  '--disable-background-networking'
+];
+
+/**
+ * Launch a Chrome/Chromium instance
+ * In production the system browser is tried first with a fallback to bundled Chromium.
+ * @returns {Promise<Browser>} - Puppeteer browser
+ */
+async function launchBrowser() {
+  const browserOptions = {
+    headless: 'new',
+    timeout: parseInt(process.env.BROWSER_TIMEOUT) || 60000,
+    defaultViewport: { width: 1280, height: 720 },
+    args: BROWSER_ARGS
+  };
+
+  if (process.env.NODE_ENV === 'production' && process.env.PUPPETEER_EXECUTABLE_PATH) {
+    logger.debug('Trying system Chrome', { executablePath: process.env.PUPPETEER_EXECUTABLE_PATH });
+
+    try {
+      return await puppeteer.launch({
+        ...browserOptions,
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH
+      });
+    } catch (systemError) {
+      logger.warn('System Chrome failed, falling back to bundled Chromium', { reason: systemError.message });
+      return puppeteer.launch(browserOptions);
+    }
+  }
+
+  // Development: find local Chrome or use bundled
+  const chromePath = await findChrome();
+  if (chromePath) {
+    browserOptions.executablePath = chromePath;
+  }
+
+  return puppeteer.launch(browserOptions);
+}
+
+/**
+ * Browser Pool
+ * Keeps warm Chrome instances around so requests don't pay for a cold start.
+ * Each lease gets its own incognito browser context (isolated cookies and storage)
+ * on a browser that serves one lease at a time. Browsers are recycled after a number
+ * of uses and checked periodically while idle.
+ */
+class BrowserPool {
+  constructor(options = {}) {
+    const poolConfig = config.global.browserPool;
+
+    this.min = options.min ?? poolConfig.min;
+    this.max = options.max ?? poolConfig.max;
+    this.maxUses = options.maxUses ?? poolConfig.maxUses;
+    this.acquireTimeout = options.acquireTimeout ?? poolConfig.acquireTimeout;
+    this.healthCheckInterval = options.healthCheckInterval ?? poolConfig.healthCheckInterval;
+    this.launch = options.launch || launchBrowser;
+
+    this.entries = [];
+    this.waiters = [];
+    this.launching = 0;
+    this.nextId = 1;
+    this.healthTimer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Launch the minimum number of browsers and start health checks
+   */
+  async warmUp() {
+    this.closed = false;
+    this.startHealthChecks();
+    await this.ensureMinimum();
+
+    logger.info('Browser pool warmed up', this.getStats());
+  }
+
+  /**
+   * Borrow an isolated page
+   * @returns {Promise<Object>} - Lease with { browser, context, page }
+   */
+  async acquire() {
+    if (this.closed) {
+      throw new BrowserLaunchError('Browser pool is shut down');
+    }
+
+    const entry = await this.reserveEntry();
+
+    try {
+      const context = await entry.browser.createIncognitoBrowserContext();
+      const page = await context.newPage();
+
+      return {
+        entry,
+        browser: entry.browser,
+        context,
+        page,
+        released: false
+      };
+    } catch (error) {
+      logger.error('Browser context creation failed, retiring browser', error);
+      entry.busy = false;
+      await this.retire(entry);
+      this.dispatch();
+      throw new BrowserLaunchError(`Browser context creation failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Return a lease to the pool
+   * Closes the incognito context, recycles worn out browsers and serves waiters.
+   * Releasing the same lease twice is a no-op.
+   * @param {Object} lease - Lease returned by acquire()
+   */
+  async release(lease) {
+    if (!lease || lease.released) return;
+    lease.released = true;
+
+    const { entry } = lease;
+
+    try {
+      await lease.context.close();
+    } catch (error) {
+      logger.warn('Failed to close browser context', { browserId: entry.id, reason: error.message });
+    }
+
+    entry.busy = false;
+    entry.lastUsedAt = Date.now();
+
+    if (entry.uses >= this.maxUses || !entry.browser.isConnected()) {
+      logger.info('Recycling browser', { browserId: entry.id, uses: entry.uses });
+      await this.retire(entry);
+    }
+
+    this.dispatch();
+    this.ensureMinimum().catch(error => logger.error('Browser pool refill failed', error));
+  }
+
+  /**
+   * Get an idle browser, launch a new one or wait for one to be released
+   * @returns {Promise<Object>} - Reserved pool entry
+   */
+  reserveEntry() {
+    const idle = this.findIdle();
+    if (idle) {
+      return Promise.resolve(this.markBusy(idle));
+    }
+
+    if (this.hasRoom()) {
+      return this.launchEntry(true);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new BrowserLaunchError('Browser pool timeout - no browser available'));
+      }, this.acquireTimeout);
+
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Hand idle (or newly launched) browsers to waiting callers
+   */
+  dispatch() {
+    while (this.waiters.length > 0) {
+      const idle = this.findIdle();
+
+      if (!idle && !this.hasRoom()) break;
+
+      const waiter = this.waiters.shift();
+      clearTimeout(waiter.timer);
+
+      if (idle) {
+        waiter.resolve(this.markBusy(idle));
+      } else {
+        this.launchEntry(true).then(waiter.resolve, waiter.reject);
+      }
+    }
+  }
+
+  /**
+   * Launch a browser and add it to the pool
+   * @param {boolean} busy - Reserve the new browser for the caller
+   * @returns {Promise<Object>} - Pool entry
+   */
+  async launchEntry(busy) {
+    this.launching++;
+
+    let browser;
+    try {
+      browser = await this.launch();
+    } catch (error) {
+      logger.error('Browser launch failed', error);
+      throw new BrowserLaunchError(`Browser launch failed: ${error.message}`, { cause: error });
+    } finally {
+      this.launching--;
+    }
+
+    const entry = {
+      id: this.nextId++,
+      browser,
+      busy: false,
+      uses: 0,
+      createdAt: Date.now(),
+      lastUsedAt: Date.now()
+    };
+
+    browser.on('disconnected', () => {
+      if (this.entries.includes(entry)) {
+        logger.warn('Pooled browser disconnected', { browserId: entry.id });
+        this.entries = this.entries.filter(e => e !== entry);
+        this.dispatch();
+      }
+    });
+
+    this.entries.push(entry);
+    logger.info('Browser launched into pool', { browserId: entry.id, size: this.entries.length });
+
+    return busy ? this.markBusy(entry) : entry;
+  }
+
+  /**
+   * Remove a browser from the pool and close it
+   * @param {Object} entry - Pool entry
+   */
+  async retire(entry) {
+    this.entries = this.entries.filter(e => e !== entry);
+
+    try {
+      await entry.browser.close();
+    } catch (error) {
+      logger.warn('Failed to close retired browser', { browserId: entry.id, reason: error.message });
+    }
+  }
+
+  /**
+   * Launch browsers until the pool holds the configured minimum
+   */
+  async ensureMinimum() {
+    const missing = this.min - (this.entries.length + this.launching);
+    if (this.closed || missing <= 0) return;
+
+    const launches = Array.from({ length: missing }, () => this.launchEntry(false));
+    await Promise.all(launches);
+    this.dispatch();
+  }
+
+  /**
+   * Check idle browsers and replace the ones that stopped responding
+   */
+  async checkHealth() {
+    const idleEntries = this.entries.filter(entry => !entry.busy);
+
+    for (const entry of idleEntries) {
+      let healthy = entry.browser.isConnected();
+
+      if (healthy) {
+        let timer;
+        try {
+          await Promise.race([
+            entry.browser.version(),
+            new Promise((resolve, reject) => {
+              timer = setTimeout(() => reject(new Error('Health check timeout')), HEALTH_CHECK_TIMEOUT);
+            })
+          ]);
+        } catch (error) {
+          healthy = false;
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+
+      // The browser may have been leased while we were waiting
+      if (!healthy && !entry.busy) {
+        logger.warn('Unhealthy browser removed from pool', { browserId: entry.id });
+        await this.retire(entry);
+      }
+    }
+
+    await this.ensureMinimum();
+  }
+
+  /**
+   * Run health checks periodically
+   */
+  startHealthChecks() {
+    if (this.healthTimer || !this.healthCheckInterval) return;
+
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch(error => logger.error('Browser pool health check failed', error));
+    }, this.healthCheckInterval);
+
+    if (this.healthTimer.unref) this.healthTimer.unref();
+  }
+
+  /**
+   * Close all browsers and reject pending acquires (used on shutdown)
+   */
+  async drain() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+
+    for (const waiter of this.waiters) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new BrowserLaunchError('Browser pool is shut down'));
+    }
+    this.waiters = [];
+
+    await Promise.all([...this.entries].map(entry => this.retire(entry)));
+    logger.info('Browser pool drained');
+  }
+
+  findIdle() {
+    return this.entries.find(entry => !entry.busy && entry.browser.isConnected()) || null;
+  }
+
+  hasRoom() {
+    return this.entries.length + this.launching < this.max;
+  }
+
+  markBusy(entry) {
+    entry.busy = true;
+    entry.uses++;
+    entry.lastUsedAt = Date.now();
+    return entry;
+  }
+
+  /**
+   * Pool statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      size: this.entries.length,
+      busy: this.entries.filter(entry => entry.busy).length,
+      idle: this.entries.filter(entry => !entry.busy).length,
+      launching: this.launching,
+      waiting: this.waiters.length,
+      min: this.min,
+      max: this.max,
+      maxUses: this.maxUses
+    };
+  }
+}
+
+// Create singleton instance shared by all scrapers
+const browserPool = new BrowserPool();
+
+module.exports = browserPool;
+module.exports.BrowserPool = BrowserPool;
+module.exports.launchBrowser = launchBrowser;
+module.exports.BROWSER_ARGS = BROWSER_ARGS;
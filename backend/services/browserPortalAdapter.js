@@ -0,0 +1,94 @@
+const PortalAdapter = require('./portalAdapter');
+const browserPool = require('./browserPool');
+const selectorRegistry = require('./selectorRegistry');
+const { PortalError, BrowserLaunchError } = require('./portalErrors');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Browser Portal Adapter
+ * Base for adapters that drive the portal in Chrome. open() borrows an isolated
+ * page from the browser pool and close() returns it.
+ */
+class BrowserPortalAdapter extends PortalAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.viewport] - Page viewport
+   * @param {number} [options.timeout] - Default page timeout in milliseconds
+   */
+  constructor(options = {}) {
+    super(options);
+    this.fetchMode = 'browser';
+    this.lease = null;
+    this.page = null;
+    this.viewport = options.viewport || { width: 1280, height: 720 };
+    this.timeout = options.timeout || parseInt(process.env.UPES_NAVIGATION_TIMEOUT) || 15000;
+  }
+
+  /**
+   * Borrow an isolated page from the browser pool
+   */
+  async open() {
+    try {
+      this.lease = await browserPool.acquire();
+      this.page = this.lease.page;
+
+      // Aborted while waiting for a browser: the workflow has already given up on this page
+      this.throwIfAborted();
+
+      await this.page.setViewport(this.viewport);
+      await this.page.setUserAgent(USER_AGENT);
+      this.page.setDefaultTimeout(this.timeout);
+
+      console.log('Page borrowed from browser pool');
+    } catch (error) {
+      console.error('Failed to initialize browser:', error);
+      await this.close();
+      throw error instanceof PortalError
+        ? error
+        : new BrowserLaunchError(`Browser initialization failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Return the page to the browser pool
+   */
+  async close() {
+    const lease = this.lease;
+    this.lease = null;
+    this.page = null;
+
+    try {
+      if (lease) {
+        await browserPool.release(lease);
+      }
+    } catch (error) {
+      console.error('Cleanup failed:', error);
+    }
+  }
+
+  /**
+   * Follow the portal's logout link and drop the session cookies
+   */
+  async logout() {
+    if (!this.page) return;
+
+    for (const selector of selectorRegistry.select('dashboard.logoutLink')) {
+      const link = await this.page.$(selector);
+      if (link) {
+        await Promise.all([
+          this.page.waitForNavigation({ waitUntil: 'networkidle2' }).catch(() => {}),
+          link.click()
+        ]);
+        break;
+      }
+    }
+
+    const cookies = await this.page.cookies();
+    if (cookies.length > 0) {
+      await this.page.deleteCookie(...cookies);
+    }
+  }
+}
+
+module.exports = BrowserPortalAdapter;
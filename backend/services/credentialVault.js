@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const localDatabase = require('./localDatabase');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS vault_credentials (
+    user_key TEXT PRIMARY KEY,
+    key_id TEXT NOT NULL,
+    iv TEXT NOT NULL,
+    auth_tag TEXT NOT NULL,
+    ciphertext TEXT NOT NULL,
+    purpose TEXT NOT NULL,
+    consented_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    last_used_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS vault_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_key TEXT NOT NULL,
+    action TEXT NOT NULL,
+    purpose TEXT,
+    outcome TEXT NOT NULL,
+    key_id TEXT,
+    at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_vault_audit_user_at ON vault_audit (user_key, at);
+`;
+
+// Key used outside production when CREDENTIAL_VAULT_KEYS is not set
+const LOCAL_KEY_ID = 'local';
+const LOCAL_KEY_SALT = 'attendease-credential-vault';
+
+/**
+ * Error with the HTTP status and code the routes answer with
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error}
+ */
+const vaultError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Parse "keyId:key" pairs, newest first
+ * @param {string} spec - Configured keys
+ * @param {number} keyLength - Required key length in bytes
+ * @returns {Map<string, Buffer>}
+ */
+const parseKeys = (spec, keyLength) => {
+  const keys = new Map();
+
+  spec.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    // Without a separator the entry is probably a bare key, which must not end up in the error
+    const keyId = separator > 0 ? entry.slice(0, separator) : '';
+    const encoded = entry.slice(separator + 1);
+    const key = /^[0-9a-f]+$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+
+    if (!keyId || key.length !== keyLength) {
+      throw new Error(`Invalid credential vault key "${keyId}": expected keyId:key with a ${keyLength}-byte key (hex or base64)`);
+    }
+    if (keys.has(keyId)) {
+      throw new Error(`Duplicate credential vault key ID "${keyId}"`);
+    }
+    keys.set(keyId, key);
+  });
+
+  return keys;
+};
+
+/**
+ * Credential Vault
+ * Keeps the portal passwords users agreed to store (for scheduled refresh), encrypted
+ * with AES-256-GCM under a key from the environment and a fresh IV per record. The
+ * user key is authenticated with each record, so a record copied to another user fails
+ * to decrypt.
+ *
+ * Every decryption (and store, re-encryption and deletion) is written to an audit trail,
+ * as are refused attempts to delete the password or read the trail.
+ */
+class CredentialVault {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.database] - LocalDatabase (defaults to the shared one)
+   * @param {string} [options.keys] - "keyId:key" pairs (defaults to config)
+   */
+  constructor(options = {}) {
+    const settings = config.global.credentialVault;
+
+    this.database = options.database || localDatabase;
+    this.algorithm = settings.algorithm;
+    this.ivLength = settings.ivLength;
+    this.keyLength = config.global.encryption.keyLength;
+    this.keys = parseKeys(options.keys !== undefined ? options.keys : settings.keys, this.keyLength);
+    this.schemaReady = null;
+
+    // Development and tests get a key derived from the app secret; production must configure one
+    if (this.keys.size === 0 && config.global.environment !== 'production') {
+      const secret = process.env.ENCRYPTION_KEY || config.global.jwtSecret;
+      this.keys.set(LOCAL_KEY_ID, crypto.scryptSync(secret, LOCAL_KEY_SALT, this.keyLength));
+    }
+    this.activeKeyId = this.keys.keys().next().value || null;
+  }
+
+  /**
+   * Create the tables on first use
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    const db = await this.database.open();
+    // Reopening the database (after close) needs the schema again
+    if (this.schemaReady !== db) {
+      db.run(SCHEMA);
+      this.schemaReady = db;
+    }
+  }
+
+  /**
+   * @returns {boolean} - Whether a key is configured
+   */
+  isAvailable() {
+    return this.activeKeyId !== null;
+  }
+
+  /**
+   * Encrypt and store a user's password, replacing any stored one
+   * @param {string} userKey - User key
+   * @param {string} secret - Password
+   * @param {Object} options
+   * @param {boolean} options.consent - The user explicitly agreed to storing it (must be true)
+   * @param {string} options.purpose - What the password is stored for
+   * @returns {Promise<void>}
+   */
+  async store(userKey, secret, { consent, purpose }) {
+    if (consent !== true) {
+      throw vaultError('CONSENT_REQUIRED', 'Storing your portal password needs your explicit consent.', 400);
+    }
+    if (!this.isAvailable()) {
+      throw vaultError('VAULT_UNAVAILABLE', 'Stored passwords are not available on this server.', 503);
+    }
+    await this.ready();
+
+    const { iv, authTag, ciphertext } = this.encrypt(userKey, secret, this.activeKeyId);
+    const now = new Date().toISOString();
+    const [existing] = await this.database.query('SELECT consented_at FROM vault_credentials WHERE user_key = ?', [userKey]);
+
+    await this.database.run(
+      `INSERT OR REPLACE INTO vault_credentials
+        (user_key, key_id, iv, auth_tag, ciphertext, purpose, consented_at, updated_at, last_used_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, NULL)`,
+      [userKey, this.activeKeyId, iv, authTag, ciphertext, purpose, existing ? existing.consented_at : now, now]
+    );
+    await this.audit(userKey, 'store', { purpose, keyId: this.activeKeyId });
+    this.database.persist();
+  }
+
+  /**
+   * Decrypt a user's stored password (audited)
+   * @param {string} userKey - User key
+   * @param {Object} options
+   * @param {string} options.purpose - Why the password is needed
+   * @returns {Promise<string|null>} - Password, or null when none is stored
+   */
+  async reveal(userKey, { purpose }) {
+    await this.ready();
+    const [record] = await this.database.query('SELECT * FROM vault_credentials WHERE user_key = ?', [userKey]);
+    if (!record) return null;
+
+    let secret;
+    try {
+      secret = this.decrypt(userKey, record);
+    } catch (error) {
+      await this.audit(userKey, 'decrypt', { purpose, keyId: record.key_id, outcome: 'failed' });
+      this.database.persist();
+      logger.security('Credential vault decryption failed', { userKey, keyId: record.key_id, reason: error.message });
+      throw vaultError('VAULT_DECRYPT_FAILED', 'The stored password could not be read. Please enter it again.', 500);
+    }
+
+    await this.database.run('UPDATE vault_credentials SET last_used_at = ? WHERE user_key = ?', [new Date().toISOString(), userKey]);
+    await this.audit(userKey, 'decrypt', { purpose, keyId: record.key_id });
+    this.database.persist();
+    return secret;
+  }
+
+  /**
+   * Delete a user's stored password (withdrawing consent)
+   * @param {string} userKey - User key
+   * @returns {Promise<boolean>} - Whether a password was stored
+   */
+  async delete(userKey) {
+    await this.ready();
+    const { changes } = await this.database.run('DELETE FROM vault_credentials WHERE user_key = ?', [userKey]);
+
+    if (changes > 0) {
+      await this.audit(userKey, 'delete');
+      this.database.persist();
+    }
+    return changes > 0;
+  }
+
+  /**
+   * What is stored for a user, without the password
+   * @param {string} userKey - User key
+   * @returns {Promise<Object|null>} - { purpose, consentedAt, updatedAt, lastUsedAt }
+   */
+  async describe(userKey) {
+    await this.ready();
+    const [record] = await this.database.query(
+      'SELECT purpose, consented_at, updated_at, last_used_at FROM vault_credentials WHERE user_key = ?',
+      [userKey]
+    );
+    if (!record) return null;
+
+    return {
+      purpose: record.purpose,
+      consentedAt: record.consented_at,
+      updatedAt: record.updated_at,
+      lastUsedAt: record.last_used_at
+    };
+  }
+
+  /**
+   * Re-encrypt records under older keys with the active key (after a key rotation)
+   * Records whose key is no longer configured can't be read and are left alone.
+   * @returns {Promise<{ reencrypted: number, failed: number }>}
+   */
+  async reencrypt() {
+    if (!this.isAvailable()) return { reencrypted: 0, failed: 0 };
+    await this.ready();
+
+    const records = await this.database.query('SELECT * FROM vault_credentials WHERE key_id != ?', [this.activeKeyId]);
+    let reencrypted = 0;
+    let failed = 0;
+
+    for (const record of records) {
+      try {
+        const { iv, authTag, ciphertext } = this.encrypt(record.user_key, this.decrypt(record.user_key, record), this.activeKeyId);
+        await this.database.run(
+          'UPDATE vault_credentials SET key_id = ?, iv = ?, auth_tag = ?, ciphertext = ? WHERE user_key = ?',
+          [this.activeKeyId, iv, authTag, ciphertext, record.user_key]
+        );
+        await this.audit(record.user_key, 'reencrypt', { purpose: 'key_rotation', keyId: this.activeKeyId });
+        reencrypted++;
+      } catch (error) {
+        await this.audit(record.user_key, 'reencrypt', { purpose: 'key_rotation', keyId: record.key_id, outcome: 'failed' });
+        logger.security('Credential vault re-encryption failed', { userKey: record.user_key, keyId: record.key_id, reason: error.message });
+        failed++;
+      }
+    }
+
+    if (records.length > 0) {
+      this.database.persist();
+      logger.info('Credential vault re-encrypted', { activeKeyId: this.activeKeyId, reencrypted, failed });
+    }
+    return { reencrypted, failed };
+  }
+
+  /**
+   * A user's audit trail, newest first
+   * @param {string} userKey - User key
+   * @param {Object} [options]
+   * @param {number} [options.page] - Page number, from 1
+   * @param {number} [options.limit] - Entries per page
+   * @returns {Promise<{ entries: Array<Object>, total: number }>}
+   */
+  async listAudit(userKey, { page = 1, limit = config.global.history.pageSize } = {}) {
+    await this.ready();
+
+    const [{ total }] = await this.database.query('SELECT COUNT(*) AS total FROM vault_audit WHERE user_key = ?', [userKey]);
+    const rows = await this.database.query(
+      'SELECT id, action, purpose, outcome, key_id, at FROM vault_audit WHERE user_key = ? ORDER BY at DESC, id DESC LIMIT ? OFFSET ?',
+      [userKey, limit, (page - 1) * limit]
+    );
+
+    return {
+      entries: rows.map(row => ({
+        id: row.id,
+        action: row.action,
+        purpose: row.purpose,
+        outcome: row.outcome,
+        keyId: row.key_id,
+        at: row.at
+      })),
+      total
+    };
+  }
+
+  /**
+   * Record a refused request to delete the stored password or read its audit trail
+   * (the caller could not prove the user's portal password)
+   * @param {string} userKey - User key
+   * @param {string} action - delete | read_audit
+   * @returns {Promise<void>}
+   */
+  async auditRefusal(userKey, action) {
+    await this.ready();
+    await this.audit(userKey, action, { outcome: 'failed' });
+    this.database.persist();
+  }
+
+  /**
+   * @param {string} userKey - User key
+   * @param {string} action - store | decrypt | reencrypt | delete | read_audit
+   * @param {Object} [details] - { purpose, keyId, outcome }
+   * @returns {Promise<void>}
+   */
+  async audit(userKey, action, { purpose = null, keyId = null, outcome = 'succeeded' } = {}) {
+    await this.database.run(
+      'INSERT INTO vault_audit (user_key, action, purpose, outcome, key_id, at) VALUES (?, ?, ?, ?, ?, ?)',
+      [userKey, action, purpose, outcome, keyId, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * @param {string} userKey - User key (authenticated with the record)
+   * @param {string} secret - Plaintext
+   * @param {string} keyId - Key to encrypt with
+   * @returns {{ iv: string, authTag: string, ciphertext: string }} - Hex
+   */
+  encrypt(userKey, secret, keyId) {
+    const iv = crypto.randomBytes(this.ivLength);
+    const cipher = crypto.createCipheriv(this.algorithm, this.keys.get(keyId), iv);
+    cipher.setAAD(Buffer.from(userKey, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex')
+    };
+  }
+
+  /**
+   * @param {string} userKey - User key the record belongs to
+   * @param {Object} record - Database row
+   * @returns {string} - Plaintext
+   */
+  decrypt(userKey, record) {
+    const key = this.keys.get(record.key_id);
+    if (!key) {
+      throw new Error(`Key "${record.key_id}" is not configured`);
+    }
+
+    const decipher = crypto.createDecipheriv(this.algorithm, key, Buffer.from(record.iv, 'hex'));
+    decipher.setAAD(Buffer.from(userKey, 'utf8'));
+    decipher.setAuthTag(Buffer.from(record.auth_tag, 'hex'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(record.ciphertext, 'hex')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+}
+
+const credentialVault = new CredentialVault();
+
+module.exports = credentialVault;
+module.exports.CredentialVault = CredentialVault;
@@ -0,0 +1,178 @@
+/**
+ * Cron Schedule
+ * Parser for standard five-field cron expressions (minute hour day-of-month month
+ * day-of-week) and the next time one fires. Fields take numbers, names (MON, JAN),
+ * "*", lists, ranges and steps, e.g. "30 19 * * MON-SAT" or "0 8,20 * * *".
+ * Times are evaluated in the server's time zone (TZ).
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+];
+
+// Expressions that never fire (e.g. "0 0 31 2 *") are given up on after this many years
+const SEARCH_YEARS = 5;
+
+/**
+ * Value of a single field item (number or name)
+ * @param {string} text - Item text
+ * @param {Object} field - Field definition
+ * @returns {number}
+ */
+const parseValue = (text, field) => {
+  const nameIndex = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  // Only digits: Number() would also take "", "1e1" and " 5 "
+  const value = nameIndex >= 0 ? nameIndex + field.offset : (/^\d+$/.test(text) ? Number(text) : NaN);
+
+  if (Number.isNaN(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} value "${text}"`);
+  }
+  return value;
+};
+
+/**
+ * Values a field matches
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>}
+ */
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, ...extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if ((stepText !== undefined && !/^\d+$/.test(stepText)) || step < 1 || extra.length > 0) {
+      throw new Error(`Invalid ${field.name} step "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const ends = range.split('-');
+      // "-5", "1-" and "1-2-3" aren't ranges
+      if (ends.length !== 2 || ends.includes('')) {
+        throw new Error(`Invalid ${field.name} range "${part}"`);
+      }
+      [start, end] = ends.map(value => parseValue(value, field));
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 from 5
+      end = stepText === undefined ? start : field.max;
+    }
+    if (start > end) {
+      throw new Error(`Invalid ${field.name} range "${part}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} - { minute, hour, dayOfMonth, month, dayOfWeek } value sets plus restriction flags
+ */
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    try {
+      schedule[field.name] = parseField(parts[index], field);
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+    }
+  });
+
+  // 7 is Sunday too
+  if (schedule.dayOfWeek.delete(7)) schedule.dayOfWeek.add(0);
+
+  // As in cron, when both day fields are restricted a day matching either one fires
+  schedule.dayOfMonthRestricted = parts[2] !== '*';
+  schedule.dayOfWeekRestricted = parts[4] !== '*';
+
+  return schedule;
+};
+
+/**
+ * @param {string} expression - Cron expression
+ * @returns {boolean}
+ */
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Whether a parsed schedule fires on the day of a date
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Date
+ * @returns {boolean}
+ */
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+};
+
+/**
+ * Next time a cron expression fires, strictly after a given time
+ * @param {string|Object} expression - Cron expression or parsed schedule
+ * @param {Date} [after] - Start of the search (defaults to now)
+ * @returns {Date|null} - null when the expression never fires
+ */
+const getNextRun = (expression, after = new Date()) => {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const next = new Date(after.getTime());
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  const limit = new Date(after.getTime());
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  // Skip whole months, days and hours that can't match before stepping minutes
+  while (next <= limit) {
+    if (!schedule.month.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1, 0, 0);
+    } else {
+      return next;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextRun
+};
@@ -1,127 +1,52 @@
-const puppeteer = require('puppeteer');
-const { findChrome } = require('../utils/browserFinder');
+const BrowserPortalAdapter = require('./browserPortalAdapter');
+const { getAttendanceStatus } = require('./portalAdapter');
+const selectorRegistry = require('./selectorRegistry');
 const logger = require('../config/logger');
+const {
+  PortalError,
+  PortalAuthError,
+  PortalLockoutError,
+  PortalUnavailableError,
+  ScrapeSchemaError,
+  toPortalError
+} = require('./portalErrors');
 require('dotenv').config();
 
 /**
  * Dynamic Attendance Scraping Service
- * Scrapes student profile data and attendance information from UPES portal
+ * Portal adapter that scrapes student profile data and attendance tables from UPES portal
  * Works for any logged-in student dynamically
  */
-class DynamicAttendanceScrapingService {
-  constructor() {
-    this.browser = null;
-    this.page = null;
+class DynamicAttendanceScrapingService extends BrowserPortalAdapter {
+  constructor(options = {}) {
+    super({ viewport: { width: 1366, height: 768 }, timeout: 30000, ...options });
     this.isLoggedIn = false;
     this.studentData = null;
-    
-    // Portal selectors - placeholders for dynamic portal elements
-    this.selectors = {
-      // Login page selectors
-      login: {
-        userIdField: '[placeholder="Enter your user ID"], input[name="userid"], input[id="userid"], input[type="text"]:first-of-type',
-        passwordField: '[placeholder="Enter your password"], input[name="password"], input[id="password"], input[type="password"]',
-        loginButton: 'button[type="submit"], input[type="submit"], .login-button, #login-btn, .btn-login'
-      },
-      
-      // Student profile selectors (to be populated based on actual portal structure)
-      profile: {
-        name: '.student-name, .profile-name, .user-name, h2.name, .student-info h3',
-        studentId: '.student-id, .profile-id, .student-number, .enrollment-no',
-        semester: '.semester, .current-semester, .sem-info',
-        course: '.course, .program, .degree',
-        profilePicture: '.profile-photo img, .student-photo img, .avatar img, .profile-image img'
-      },
-      
-      // Attendance page selectors
-      attendance: {
-        attendanceTable: '.attendance-table, table.attendance, .subject-attendance-table',
-        tableRows: 'tbody tr, .attendance-row, .subject-row',
-        subjectName: '.subject-name, td:nth-child(1), .course-name',
-        subjectCode: '.subject-code, .course-code', 
-        totalClasses: '.total-classes, .total, td.total',
-        attendedClasses: '.attended-classes, .attended, td.attended',
-        percentage: '.attendance-percentage, .percentage, td.percentage',
-        faculty: '.faculty-name, .instructor, .teacher'
-      }
-    };
-  }
-
-  /**
-   * Initialize browser instance with optimized settings
-   */
-  async initializeBrowser() {
-    try {
-      logger.info('Initializing browser for dynamic attendance scraping');
-
-      const browserOptions = {
-        headless: process.env.NODE_ENV === 'production' ? 'new' : false,
-        timeout: parseInt(process.env.BROWSER_TIMEOUT) || 60000,
-        defaultViewport: { width: 1366, height: 768 },
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-          '--disable-web-security',
-          '--disable-features=VizDisplayCompositor',
-          '--window-size=1366,768'
-        ]
-      };
-
-      // Try to use system Chrome in production, fallback to bundled Chromium
-      if (process.env.NODE_ENV === 'production' && process.env.PUPPETEER_EXECUTABLE_PATH) {
-        browserOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
-      } else {
-        const chromePath = await findChrome();
-        if (chromePath) {
-          browserOptions.executablePath = chromePath;
-        }
-      }
-
-      this.browser = await puppeteer.launch(browserOptions);
-      this.page = await this.browser.newPage();
-
-      // Set user agent and viewport
-      await this.page.setUserAgent(
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      );
-      
-      await this.page.setViewport({ width: 1366, height: 768 });
-      this.page.setDefaultTimeout(30000);
-
-      logger.info('Browser initialized successfully');
-      return true;
-
-    } catch (error) {
-      logger.error('Failed to initialize browser:', error);
-      throw new Error(`Browser initialization failed: ${error.message}`);
-    }
   }
 
   /**
    * Login to UPES portal with provided credentials
    * @param {string} userId - Student user ID
    * @param {string} password - Student password
-   * @returns {Promise<boolean>} - Login success status
+   * @returns {Promise<{ sessionReused: boolean }>}
    */
-  async loginToPortal(userId, password) {
+  async login(userId, password) {
     try {
       if (!this.page) {
-        throw new Error('Browser not initialized. Call initializeBrowser() first.');
+        throw new Error('Browser not initialized. Call open() first.');
       }
 
       logger.info(`Attempting login for user: ${userId}`);
       
       // Navigate to UPES portal login page
-      const loginUrl = process.env.UPES_PORTAL_URL || 'https://myupes-beta.upes.ac.in/oneportal/app/auth/login';
-      await this.page.goto(loginUrl, {
+      const loginUrl = this.institution.loginUrl;
+      const response = await this.page.goto(loginUrl, {
         waitUntil: 'networkidle2',
         timeout: 30000
       });
+      if (response && response.status() >= 500) {
+        throw new PortalUnavailableError(`Portal unavailable: HTTP ${response.status()} from login page`);
+      }
 
       logger.info('Navigated to login page');
 
@@ -141,14 +66,14 @@ class DynamicAttendanceScrapingService {
         this.isLoggedIn = true;
         logger.info(`Login successful for user: ${userId}`);
       } else {
-        throw new Error('Login verification failed');
+        throw new PortalAuthError('Login failed: Login verification failed');
       }
 
-      return loginSuccess;
+      return { sessionReused: false };
 
     } catch (error) {
       logger.error(`Login failed for user ${userId}:`, error);
-      throw new Error(`Login failed: ${error.message}`);
+      throw toPortalError(error);
     }
   }
 
@@ -158,13 +83,13 @@ class DynamicAttendanceScrapingService {
   async waitForLoginForm() {
     try {
       // Wait for user ID field with multiple selector attempts
-      const userIdSelector = await this.waitForAnySelector(this.selectors.login.userIdField.split(', '));
+      const userIdSelector = await this.waitForAnySelector(selectorRegistry.select('login.userIdField'));
       if (!userIdSelector) {
         throw new Error('User ID field not found');
       }
 
       // Wait for password field
-      const passwordSelector = await this.waitForAnySelector(this.selectors.login.passwordField.split(', '));
+      const passwordSelector = await this.waitForAnySelector(selectorRegistry.select('login.passwordField'));
       if (!passwordSelector) {
         throw new Error('Password field not found');
       }
@@ -185,7 +110,7 @@ class DynamicAttendanceScrapingService {
       );
       logger.debug('Available input fields:', inputs);
       
-      throw new Error(`Login form not found: ${error.message}`);
+      throw new ScrapeSchemaError(`Login form not found: ${error.message}`);
     }
   }
 
@@ -197,7 +122,7 @@ class DynamicAttendanceScrapingService {
   async fillLoginCredentials(userId, password) {
     try {
       // Find and fill user ID field
-      const userIdSelectors = this.selectors.login.userIdField.split(', ');
+      const userIdSelectors = selectorRegistry.select('login.userIdField');
       for (const selector of userIdSelectors) {
         try {
           const element = await this.page.$(selector);
@@ -214,7 +139,7 @@ class DynamicAttendanceScrapingService {
       }
 
       // Find and fill password field
-      const passwordSelectors = this.selectors.login.passwordField.split(', ');
+      const passwordSelectors = selectorRegistry.select('login.passwordField');
       for (const selector of passwordSelectors) {
         try {
           const element = await this.page.$(selector);
@@ -244,7 +169,7 @@ class DynamicAttendanceScrapingService {
   async submitLoginForm() {
     try {
       // Find login button with multiple selectors
-      const loginSelectors = this.selectors.login.loginButton.split(', ');
+      const loginSelectors = selectorRegistry.select('login.submitButton');
       let submitted = false;
 
       for (const selector of loginSelectors) {
@@ -312,14 +237,18 @@ class DynamicAttendanceScrapingService {
       );
 
       if (errorMessages.length > 0) {
-        throw new Error(`Login failed: ${errorMessages[0]}`);
+        const lockoutText = selectorRegistry.select('login.lockoutText') || [];
+        if (lockoutText.some(text => errorMessages[0].toLowerCase().includes(text))) {
+          throw new PortalLockoutError(`RATE_LIMITED: ${errorMessages[0]}`);
+        }
+        throw new PortalAuthError(`Login failed: ${errorMessages[0]}`);
       }
 
       // If still on login page, login likely failed
       if (currentUrl.includes('login')) {
         const loginForm = await this.page.$('form, .login-form');
         if (loginForm) {
-          throw new Error('Still on login page - credentials may be incorrect');
+          throw new PortalAuthError('Login failed: Still on login page - credentials may be incorrect');
         }
       }
 
@@ -327,6 +256,10 @@ class DynamicAttendanceScrapingService {
 
     } catch (error) {
       logger.error('Login verification failed:', error);
+      // The portal's own answer (rejected credentials, lockout) is worth more than "not logged in"
+      if (error instanceof PortalError) {
+        throw error;
+      }
       return false;
     }
   }
@@ -335,7 +268,7 @@ class DynamicAttendanceScrapingService {
    * Scrape student profile data dynamically
    * @returns {Promise<Object>} - Student profile data
    */
-  async scrapeStudentProfile() {
+  async fetchProfile() {
     try {
       if (!this.isLoggedIn) {
         throw new Error('Must be logged in to scrape profile data');
@@ -354,19 +287,19 @@ class DynamicAttendanceScrapingService {
       };
 
       // Scrape profile name
-      studentData.name = await this.extractTextFromSelectors(this.selectors.profile.name);
+      studentData.name = await this.extractTextFromSelectors(selectorRegistry.select('profile.name'));
       
       // Scrape student ID
-      studentData.studentId = await this.extractTextFromSelectors(this.selectors.profile.studentId);
+      studentData.studentId = await this.extractTextFromSelectors(selectorRegistry.select('profile.studentId'));
       
       // Scrape semester
-      studentData.semester = await this.extractTextFromSelectors(this.selectors.profile.semester);
+      studentData.semester = await this.extractTextFromSelectors(selectorRegistry.select('profile.semester'));
       
       // Scrape course/program
-      studentData.course = await this.extractTextFromSelectors(this.selectors.profile.course);
+      studentData.course = await this.extractTextFromSelectors(selectorRegistry.select('profile.course'));
       
       // Scrape profile picture
-      studentData.profilePhoto = await this.extractImageFromSelectors(this.selectors.profile.profilePicture);
+      studentData.profilePhoto = await this.extractImageFromSelectors(selectorRegistry.select('profile.photo'));
 
       // Clean and validate data
       studentData.name = this.cleanText(studentData.name) || 'Student Name';
@@ -380,15 +313,15 @@ class DynamicAttendanceScrapingService {
 
     } catch (error) {
       logger.error('Failed to scrape student profile:', error);
-      throw new Error(`Profile scraping failed: ${error.message}`);
+      throw toPortalError(error);
     }
   }
 
   /**
    * Scrape attendance data dynamically
-   * @returns {Promise<Object>} - Attendance data
+   * @returns {Promise<Array>} - Array of attendance objects
    */
-  async scrapeAttendanceData() {
+  async fetchAttendance() {
     try {
       if (!this.isLoggedIn) {
         throw new Error('Must be logged in to scrape attendance data');
@@ -405,24 +338,12 @@ class DynamicAttendanceScrapingService {
       // Scrape attendance table data
       const attendanceData = await this.extractAttendanceFromTable();
 
-      // Calculate overall statistics
-      const overallStats = this.calculateOverallAttendance(attendanceData);
-
       logger.info(`Scraped attendance for ${attendanceData.length} subjects`);
-
-      return {
-        attendance: attendanceData,
-        overallAttendance: overallStats,
-        metadata: {
-          scrapedAt: new Date().toISOString(),
-          totalSubjects: attendanceData.length,
-          source: 'UPES Portal - Dynamic Scraping'
-        }
-      };
+      return attendanceData;
 
     } catch (error) {
       logger.error('Failed to scrape attendance data:', error);
-      throw new Error(`Attendance scraping failed: ${error.message}`);
+      throw toPortalError(error);
     }
   }
 
@@ -432,13 +353,7 @@ class DynamicAttendanceScrapingService {
   async navigateToAttendancePage() {
     try {
       // Common attendance page links
-      const attendanceLinks = [
-        'a[href*="attendance"]',
-        '.attendance-link',
-        '.nav-attendance', 
-        'a:contains("Attendance")',
-        'a:contains("attendance")'
-      ];
+      const attendanceLinks = selectorRegistry.select('dashboard.attendanceLink');
 
       for (const linkSelector of attendanceLinks) {
         try {
@@ -467,7 +382,8 @@ class DynamicAttendanceScrapingService {
    */
   async waitForAttendanceTable() {
     try {
-      const tableSelectors = this.selectors.attendance.attendanceTable.split(', ');
+      const tableSelectors = selectorRegistry.getStrategies('table')
+        .reduce((selectors, strategy) => selectors.concat(strategy.container || []), []);
       const foundSelector = await this.waitForAnySelector(tableSelectors);
       
       if (!foundSelector) {
@@ -489,7 +405,7 @@ class DynamicAttendanceScrapingService {
       );
       logger.debug('Available tables:', tables);
       
-      throw new Error(`Attendance table not found: ${error.message}`);
+      throw new ScrapeSchemaError(`Attendance table not found: ${error.message}`);
     }
   }
 
@@ -501,21 +417,29 @@ class DynamicAttendanceScrapingService {
     try {
       const attendanceData = [];
       
-      // Get table rows
-      const rowSelectors = this.selectors.attendance.tableRows.split(', ');
+      // Get table rows, trying each table strategy in priority order
       let rows = [];
+      let fields = null;
+
+      for (const strategy of selectorRegistry.getStrategies('table')) {
+        for (const selector of strategy.row || []) {
+          try {
+            rows = await this.page.$$(selector);
+            if (rows.length > 0) break;
+          } catch (e) {
+            continue;
+          }
+        }
 
-      for (const selector of rowSelectors) {
-        try {
-          rows = await this.page.$$(selector);
-          if (rows.length > 0) break;
-        } catch (e) {
-          continue;
+        if (rows.length > 0) {
+          fields = strategy.fields;
+          logger.debug(`Using attendance strategy ${strategy.name}`);
+          break;
         }
       }
 
       if (rows.length === 0) {
-        throw new Error('No attendance rows found');
+        throw new ScrapeSchemaError('No attendance rows found');
       }
 
       logger.info(`Processing ${rows.length} attendance rows`);
@@ -523,7 +447,7 @@ class DynamicAttendanceScrapingService {
       // Process each row
       for (let i = 0; i < rows.length; i++) {
         try {
-          const rowData = await this.extractRowData(rows[i]);
+          const rowData = await this.extractRowData(rows[i], fields);
           if (rowData && rowData.subject) {
             attendanceData.push(rowData);
           }
@@ -536,16 +460,17 @@ class DynamicAttendanceScrapingService {
       return attendanceData;
 
     } catch (error) {
-      throw new Error(`Failed to extract attendance data: ${error.message}`);
+      throw toPortalError(error);
     }
   }
 
   /**
    * Extract data from a single attendance row
    * @param {ElementHandle} row - Row element
+   * @param {Object} [fields] - Field selectors of the table strategy (defaults to the first one)
    * @returns {Promise<Object>} - Row attendance data
    */
-  async extractRowData(row) {
+  async extractRowData(row, fields = selectorRegistry.getStrategies('table')[0].fields) {
     try {
       // Extract text from cells in the row
       const cells = await row.$$('td');
@@ -562,13 +487,15 @@ class DynamicAttendanceScrapingService {
         attended: 0,
         percentage: 0,
         status: 'Unknown',
-        faculty: null
+        faculty: null,
+        componentType: null
       };
 
       // Method 1: Try specific selectors within the row
-      rowData.subject = await this.extractTextFromElement(row, this.selectors.attendance.subjectName);
-      rowData.subjectCode = await this.extractTextFromElement(row, this.selectors.attendance.subjectCode);
-      rowData.faculty = await this.extractTextFromElement(row, this.selectors.attendance.faculty);
+      rowData.subject = await this.extractTextFromElement(row, fields.subject);
+      rowData.subjectCode = await this.extractTextFromElement(row, fields.subjectCode);
+      rowData.faculty = await this.extractTextFromElement(row, fields.faculty);
+      rowData.componentType = await this.extractTextFromElement(row, fields.componentType);
 
       // Method 2: Extract from cells by position (fallback)
       if (!rowData.subject && cells.length >= 1) {
@@ -602,22 +529,13 @@ class DynamicAttendanceScrapingService {
       }
 
       // Determine status based on percentage
-      if (rowData.percentage >= 90) {
-        rowData.status = 'Perfect';
-      } else if (rowData.percentage >= 85) {
-        rowData.status = 'Excellent';
-      } else if (rowData.percentage >= 75) {
-        rowData.status = 'Good';
-      } else if (rowData.percentage >= 65) {
-        rowData.status = 'Warning';
-      } else {
-        rowData.status = 'Critical';
-      }
+      rowData.status = getAttendanceStatus(rowData.percentage, this.attendancePolicy);
 
       // Clean data
       rowData.subject = this.cleanText(rowData.subject);
       rowData.subjectCode = this.cleanText(rowData.subjectCode);
       rowData.faculty = this.cleanText(rowData.faculty);
+      rowData.componentType = this.cleanText(rowData.componentType);
 
       return rowData;
 
@@ -627,122 +545,6 @@ class DynamicAttendanceScrapingService {
     }
   }
 
-  /**
-   * Calculate overall attendance statistics
-   * @param {Array} attendanceData - Array of attendance objects
-   * @returns {Object} - Overall statistics
-   */
-  calculateOverallAttendance(attendanceData) {
-    if (!attendanceData || attendanceData.length === 0) {
-      return {
-        totalClasses: 0,
-        attendedClasses: 0,
-        overallPercentage: 0,
-        status: 'No Data',
-        totalSubjects: 0,
-        safeSubjects: 0,
-        warningSubjects: 0,
-        criticalSubjects: 0,
-        recommendations: ['No attendance data available']
-      };
-    }
-
-    const totalClasses = attendanceData.reduce((sum, subject) => sum + subject.total, 0);
-    const attendedClasses = attendanceData.reduce((sum, subject) => sum + subject.attended, 0);
-    const overallPercentage = totalClasses > 0 ? parseFloat(((attendedClasses / totalClasses) * 100).toFixed(2)) : 0;
-    
-    const safeSubjects = attendanceData.filter(s => s.percentage >= 75).length;
-    const warningSubjects = attendanceData.filter(s => s.percentage >= 65 && s.percentage < 75).length;
-    const criticalSubjects = attendanceData.filter(s => s.percentage < 65).length;
-
-    let status = 'Unknown';
-    let recommendations = [];
-
-    if (overallPercentage >= 90) {
-      status = 'Excellent';
-      recommendations.push('Outstanding attendance! Keep up the great work.');
-    } else if (overallPercentage >= 85) {
-      status = 'Very Good';
-      recommendations.push('Great attendance! Continue maintaining regularity.');
-    } else if (overallPercentage >= 75) {
-      status = 'Good';
-      recommendations.push('Good attendance. Try to improve further.');
-    } else if (overallPercentage >= 65) {
-      status = 'Warning';
-      recommendations.push('Attendance is below optimal. Focus on attending more classes.');
-    } else {
-      status = 'Critical';
-      recommendations.push('Critical: Attendance is too low. Immediate improvement needed.');
-    }
-
-    if (criticalSubjects > 0) {
-      recommendations.push(`${criticalSubjects} subject(s) need immediate attention.`);
-    }
-    if (warningSubjects > 0) {
-      recommendations.push(`${warningSubjects} subject(s) need improvement.`);
-    }
-
-    return {
-      totalClasses,
-      attendedClasses,
-      overallPercentage,
-      status,
-      totalSubjects: attendanceData.length,
-      safeSubjects,
-      warningSubjects,
-      criticalSubjects,
-      recommendations
-    };
-  }
-
-  /**
-   * Complete attendance scraping process
-   * @param {string} userId - Student user ID
-   * @param {string} password - Student password
-   * @returns {Promise<Object>} - Complete attendance report
-   */
-  async scrapeCompleteAttendanceData(userId, password) {
-    try {
-      logger.info(`Starting complete attendance scraping for user: ${userId}`);
-
-      // Initialize browser
-      await this.initializeBrowser();
-
-      // Login to portal
-      await this.loginToPortal(userId, password);
-
-      // Scrape student profile
-      const studentProfile = await this.scrapeStudentProfile();
-
-      // Scrape attendance data
-      const attendanceInfo = await this.scrapeAttendanceData();
-
-      // Combine all data
-      const completeReport = {
-        success: true,
-        student: studentProfile,
-        ...attendanceInfo,
-        metadata: {
-          ...attendanceInfo.metadata,
-          requestedBy: userId,
-          requestTime: new Date().toISOString(),
-          version: '4.0',
-          lastUpdated: new Date().toLocaleString()
-        }
-      };
-
-      logger.info(`Complete attendance report generated for: ${studentProfile.name}`);
-      return completeReport;
-
-    } catch (error) {
-      logger.error(`Complete scraping failed for user ${userId}:`, error);
-      throw error;
-    } finally {
-      // Cleanup browser resources
-      await this.cleanup();
-    }
-  }
-
   /**
    * Utility: Wait for any of the provided selectors to be available
    * @param {Array} selectors - Array of selectors to try
@@ -771,13 +573,11 @@ class DynamicAttendanceScrapingService {
 
   /**
    * Utility: Extract text from selectors
-   * @param {string} selectors - Comma-separated selectors
+   * @param {Array<string>} selectors - Selectors in priority order
    * @returns {Promise<string|null>} - Extracted text
    */
   async extractTextFromSelectors(selectors) {
-    const selectorArray = selectors.split(', ');
-    
-    for (const selector of selectorArray) {
+    for (const selector of selectors || []) {
       try {
         const element = await this.page.$(selector);
         if (element) {
@@ -795,13 +595,11 @@ class DynamicAttendanceScrapingService {
   /**
    * Utility: Extract text from element using selectors
    * @param {ElementHandle} parentElement - Parent element
-   * @param {string} selectors - Comma-separated selectors
+   * @param {Array<string>} selectors - Selectors in priority order
    * @returns {Promise<string|null>} - Extracted text
    */
   async extractTextFromElement(parentElement, selectors) {
-    const selectorArray = selectors.split(', ');
-    
-    for (const selector of selectorArray) {
+    for (const selector of selectors || []) {
       try {
         const element = await parentElement.$(selector);
         if (element) {
@@ -818,13 +616,11 @@ class DynamicAttendanceScrapingService {
 
   /**
    * Utility: Extract image source from selectors
-   * @param {string} selectors - Comma-separated selectors
+   * @param {Array<string>} selectors - Selectors in priority order
    * @returns {Promise<string|null>} - Image source URL
    */
   async extractImageFromSelectors(selectors) {
-    const selectorArray = selectors.split(', ');
-    
-    for (const selector of selectorArray) {
+    for (const selector of selectors || []) {
       try {
         const element = await this.page.$(selector);
         if (element) {
@@ -858,28 +654,13 @@ class DynamicAttendanceScrapingService {
   }
 
   /**
-   * Cleanup browser resources
+   * Return the page to the browser pool and forget the session state
    */
-  async cleanup() {
-    try {
-      if (this.page) {
-        await this.page.close();
-        this.page = null;
-      }
-      
-      if (this.browser) {
-        await this.browser.close();
-        this.browser = null;
-      }
-      
-      this.isLoggedIn = false;
-      this.studentData = null;
-      
-      logger.info('Browser cleanup completed');
-
-    } catch (error) {
-      logger.error('Cleanup error:', error);
-    }
+  async close() {
+    await super.close();
+    this.isLoggedIn = false;
+    this.studentData = null;
+    logger.info('Browser cleanup completed');
   }
 }
 
@@ -0,0 +1,298 @@
+const logger = require('../config/logger');
+const PortalAdapter = require('./portalAdapter');
+const PortalHttpClient = require('./portalHttpClient');
+const PortalApiCapture = require('./portalApiCapture');
+const portalSessionStore = require('./portalSessionStore');
+const selectorRegistry = require('./selectorRegistry');
+const { PortalAuthError, PortalLockoutError, PortalUnavailableError, UnsupportedFlowError } = require('./portalErrors');
+const { parseLoginForm, parseCsrfMeta, textOf } = PortalHttpClient;
+require('dotenv').config();
+
+// Elements the portal shows login errors in
+const ERROR_ELEMENT_PATTERN = /<(div|span|p|li)\b[^>]*(?:class="[^"]*\b(?:error|alert|danger|invalid)[^"]*"|role="alert")[^>]*>([\s\S]*?)<\/\1>/gi;
+
+/**
+ * HTTP Portal Adapter
+ * Browserless adapter: posts the portal login form (with its CSRF token and cookies)
+ * and reads attendance and profile from the same JSON API the Angular dashboard uses.
+ * When the portal needs a flow it can't handle, fetchAttendanceReport() hands the
+ * whole fetch to the browser adapter created by options.fallback.
+ */
+class HttpPortalAdapter extends PortalAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.fallback] - Creates the browser adapter used for unsupported flows
+   * @param {number} [options.timeout] - Per-request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    super(options);
+    this.fetchMode = 'http';
+    this.createFallback = options.fallback || null;
+    this.fallbackAdapter = null;
+    this.timeout = options.timeout || parseInt(process.env.UPES_NAVIGATION_TIMEOUT) || 15000;
+    this.client = null;
+    this.userId = null;
+  }
+
+  async open() {
+    this.client = new PortalHttpClient({ timeout: this.timeout, signal: this.signal });
+  }
+
+  async close() {
+    this.client = null;
+
+    const fallbackAdapter = this.fallbackAdapter;
+    this.fallbackAdapter = null;
+    if (fallbackAdapter) {
+      await fallbackAdapter.close();
+    }
+  }
+
+  /**
+   * Run the fetch over HTTP, or in the browser when the portal flow isn't supported
+   * @param {string} userId - Student ID
+   * @param {string} password - Password
+   * @param {Object} options - Workflow options (see PortalAdapter)
+   * @returns {Promise<Object>} - Canonical attendance report
+   */
+  async fetchAttendanceReport(userId, password, options = {}) {
+    try {
+      return await super.fetchAttendanceReport(userId, password, options);
+    } catch (error) {
+      if (!(error instanceof UnsupportedFlowError) || !this.createFallback) {
+        throw error;
+      }
+
+      logger.warn('HTTP portal client cannot handle this flow, falling back to the browser', {
+        institution: this.institution.id,
+        reason: error.message
+      });
+
+      this.fallbackAdapter = this.createFallback();
+      return this.fallbackAdapter.fetchAttendanceReport(userId, password, options);
+    }
+  }
+
+  /**
+   * Sign in, reusing a stored portal session when the portal still accepts it
+   * @param {string} userId - Student ID
+   * @param {string} password - Password
+   * @returns {Promise<{ sessionReused: boolean }>}
+   */
+  async login(userId, password) {
+    this.userId = userId;
+
+    const sessionReused = await this.restoreSession(userId, password);
+    if (!sessionReused) {
+      await this.loginWithForm(userId, password);
+    }
+    await this.saveSession(userId, password);
+
+    return { sessionReused };
+  }
+
+  /**
+   * Submit the portal login form
+   * @param {string} userId - Student ID
+   * @param {string} password - Password
+   */
+  async loginWithForm(userId, password) {
+    const loginPage = await this.client.request(this.institution.loginUrl);
+    if (loginPage.status >= 500) {
+      throw new PortalUnavailableError(`Portal unavailable: HTTP ${loginPage.status} from login page`);
+    }
+
+    const form = parseLoginForm(loginPage.body, loginPage.url);
+    if (!form) {
+      throw new UnsupportedFlowError('login page has no HTML login form');
+    }
+    if (form.hasCaptcha) {
+      throw new UnsupportedFlowError('login form has a captcha');
+    }
+    if (!form.userIdField || !form.passwordField) {
+      throw new UnsupportedFlowError('login form fields not recognised');
+    }
+
+    // Some portals publish the CSRF token in a meta tag instead of a hidden input
+    const csrfToken = parseCsrfMeta(loginPage.body);
+    const fields = {
+      ...form.fields,
+      [form.userIdField]: userId,
+      [form.passwordField]: password
+    };
+
+    const result = form.method === 'POST'
+      ? await this.client.request(form.action, {
+        method: 'POST',
+        form: fields,
+        headers: csrfToken ? { 'X-CSRF-Token': csrfToken } : {}
+      })
+      : await this.client.request(`${form.action}${form.action.includes('?') ? '&' : '?'}${new URLSearchParams(fields)}`);
+
+    if (!this.isLoginPage(result.url) && result.status < 400) {
+      logger.debug('Portal login over HTTP succeeded', { institution: this.institution.id });
+      return;
+    }
+
+    const errorMessage = HttpPortalAdapter.parseErrorMessages(result.body).join(', ');
+    if (!errorMessage) {
+      throw new PortalAuthError(`Login failed: Still on login page (HTTP ${result.status})`);
+    }
+
+    const lockoutText = selectorRegistry.select('login.lockoutText') || [];
+    if (lockoutText.some(text => errorMessage.toLowerCase().includes(text))) {
+      throw new PortalLockoutError(`RATE_LIMITED: ${errorMessage}`);
+    }
+    throw new PortalAuthError(`Login failed: ${errorMessage}`);
+  }
+
+  /**
+   * Try to resume a stored portal session (from either fetch mode)
+   * @param {string} userId - Student ID
+   * @param {string} password - Password the session must have been created with
+   * @returns {Promise<boolean>} - True when the portal accepted the stored session
+   */
+  async restoreSession(userId, password) {
+    const cookies = await portalSessionStore.restore(this.getSessionKey(userId), password);
+    if (!cookies) {
+      return false;
+    }
+
+    try {
+      this.client.jar.setAll(cookies);
+
+      // A logged in session gets redirected from the login page to the dashboard
+      const page = await this.client.request(this.institution.loginUrl);
+      if (page.status < 400 && !this.isLoginPage(page.url)) {
+        return true;
+      }
+    } catch (error) {
+      logger.debug('Stored portal session check failed', { reason: error.message });
+    }
+
+    portalSessionStore.invalidate(this.getSessionKey(userId));
+    this.client.jar.clear();
+    return false;
+  }
+
+  /**
+   * Store the portal cookies of the current session for later fetches
+   * @param {string} userId - Student ID
+   * @param {string} password - Password used for the session
+   */
+  async saveSession(userId, password) {
+    try {
+      await portalSessionStore.save(this.getSessionKey(userId), password, this.client.jar.getAll());
+    } catch (error) {
+      logger.error('Failed to store portal session', error);
+    }
+  }
+
+  async fetchAttendance() {
+    return this.fetchApiData('attendance', PortalApiCapture.parseAttendance);
+  }
+
+  async fetchProfile() {
+    const profile = await this.fetchApiData('profile', PortalApiCapture.parseProfile);
+    return { ...profile, studentId: profile.studentId || this.userId };
+  }
+
+  /**
+   * Class sessions of a subject from the portal's session API
+   * @param {Object} record - Attendance record
+   * @returns {Promise<Array|null>} - Sessions, or null when the portal doesn't provide them
+   */
+  async fetchSessions(record) {
+    if (!record.subjectCode) return null;
+    return this.fetchOptionalApiData('sessions', PortalApiCapture.parseSessions, { subjectCode: record.subjectCode });
+  }
+
+  /**
+   * Weekly timetable from the portal's timetable API
+   * @returns {Promise<Array|null>} - Timetable entries, or null when the portal doesn't provide one
+   */
+  async fetchTimetable() {
+    return this.fetchOptionalApiData('timetable', PortalApiCapture.parseTimetable);
+  }
+
+  /**
+   * Forget the stored session and the cookies
+   */
+  async logout() {
+    if (this.userId) {
+      portalSessionStore.invalidate(this.getSessionKey(this.userId));
+    }
+    if (this.client) {
+      this.client.jar.clear();
+    }
+  }
+
+  /**
+   * Request the portal API endpoints of a kind until one returns usable data
+   * @param {string} kind - "attendance" or "profile"
+   * @param {Function} parse - Payload parser
+   * @returns {Promise<*>} - Parsed data
+   */
+  async fetchApiData(kind, parse) {
+    const api = (selectorRegistry.get().api || {})[kind];
+    if (!api || !api.endpoints || api.endpoints.length === 0) {
+      throw new UnsupportedFlowError(`no ${kind} API endpoint configured`);
+    }
+
+    for (const endpoint of api.endpoints) {
+      const url = new URL(endpoint, this.institution.loginUrl).toString();
+      const response = await this.client.getJson(url);
+
+      if (response.status === 200 && response.data) {
+        const data = parse(response.data, api.fields);
+        if (data) return data;
+      }
+
+      logger.debug('Portal API endpoint gave no usable data', { kind, url, status: response.status });
+    }
+
+    throw new UnsupportedFlowError(`no usable ${kind} API response`);
+  }
+
+  /**
+   * Like fetchApiData(), for data the report can do without
+   * @param {string} kind - "sessions" or "timetable"
+   * @param {Function} parse - Payload parser
+   * @param {Object} [params] - Values for the {placeholders} of the endpoint paths
+   * @returns {Promise<*>} - Parsed data, or null when no endpoint returned any
+   */
+  async fetchOptionalApiData(kind, parse, params = {}) {
+    const api = (selectorRegistry.get().api || {})[kind];
+    if (!api || !api.endpoints) return null;
+
+    for (const endpoint of api.endpoints) {
+      const path = endpoint.replace(/\{(\w+)\}/g, (placeholder, name) => encodeURIComponent(params[name] || ''));
+      const response = await this.client.getJson(new URL(path, this.institution.loginUrl).toString());
+
+      if (response.status === 200 && response.data) {
+        const data = parse(response.data, api.fields);
+        if (data) return data;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Error messages shown on a portal page
+   * @param {string} html - Page HTML
+   * @returns {Array<string>}
+   */
+  static parseErrorMessages(html) {
+    const messages = [];
+    let match;
+
+    ERROR_ELEMENT_PATTERN.lastIndex = 0;
+    while ((match = ERROR_ELEMENT_PATTERN.exec(html)) !== null) {
+      const text = textOf(match[2]);
+      if (text && !messages.includes(text)) messages.push(text);
+    }
+    return messages;
+  }
+}
+
+module.exports = HttpPortalAdapter;
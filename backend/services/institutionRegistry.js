@@ -0,0 +1,92 @@
+const { institutions, defaultInstitutionId } = require('../config/institutions');
+
+/**
+ * Institution Registry
+ * Looks up the institutions configured in config/institutions.js and resolves their
+ * runtime settings (login URL overrides, enabled flag).
+ */
+class InstitutionRegistry {
+  constructor(entries = institutions, defaultId = defaultInstitutionId) {
+    this.entries = new Map(entries.map(entry => [entry.id, entry]));
+    this.defaultId = defaultId;
+  }
+
+  /**
+   * Get an enabled institution
+   * @param {string} [id] - Institution ID (defaults to the default institution)
+   * @returns {Object|null} - Institution with its resolved login URL, or null
+   */
+  get(id = this.defaultId) {
+    const entry = this.entries.get(id);
+    if (!entry || !entry.enabled) {
+      return null;
+    }
+
+    return {
+      ...entry,
+      loginUrl: (entry.loginUrlEnv && process.env[entry.loginUrlEnv]) || entry.loginUrl
+    };
+  }
+
+  /**
+   * Get the institution of an authenticated user
+   * Tokens issued before institutions existed carry no institutionId and belong to the default one.
+   * @param {Object} user - Decoded JWT payload
+   * @returns {Object|null}
+   */
+  getForUser(user) {
+    return this.get(user.institutionId || this.defaultId);
+  }
+
+  /**
+   * Key identifying a user across institutions (user IDs are only unique per portal)
+   * @param {Object} user - Decoded JWT payload
+   * @returns {string}
+   */
+  getUserKey(user) {
+    return `${user.institutionId || this.defaultId}:${user.userId}`;
+  }
+
+  /**
+   * All enabled institutions
+   * @returns {Array}
+   */
+  list() {
+    return Array.from(this.entries.keys())
+      .map(id => this.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Check a user ID against the institution's format
+   * @param {Object} institution - Institution
+   * @param {string} userId - Portal user ID
+   * @returns {boolean}
+   */
+  isValidUserId(institution, userId) {
+    return !institution.userId || institution.userId.pattern.test(userId);
+  }
+
+  /**
+   * Public view of an institution for the login form
+   * @param {Object} institution - Institution
+   * @returns {Object}
+   */
+  toPublic(institution) {
+    return {
+      id: institution.id,
+      name: institution.name,
+      shortName: institution.shortName,
+      userIdPattern: institution.userId ? institution.userId.pattern.source : null,
+      userIdHint: institution.userId ? institution.userId.hint : null,
+      attendancePolicy: institution.attendancePolicy,
+      isDefault: institution.id === this.defaultId
+    };
+  }
+}
+
+// Create singleton instance
+const institutionRegistry = new InstitutionRegistry();
+
+module.exports = institutionRegistry;
+module.exports.InstitutionRegistry = InstitutionRegistry;
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+
+// Databases that live only as long as the process (tests)
+const IN_MEMORY = ':memory:';
+
+/**
+ * Local Database
+ * Embedded SQLite database (sql.js, so no native build is needed) shared by the stores
+ * that keep data across restarts: attendance snapshots and refresh schedules. The
+ * database is kept in memory and written to config.global.database.path shortly after a
+ * change; changes made in the meantime go out in the same write.
+ */
+class LocalDatabase {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.databasePath] - SQLite file, or ":memory:" to keep nothing on disk
+   */
+  constructor(options = {}) {
+    this.databasePath = options.databasePath || config.global.database.path;
+    this.persistDelay = options.persistDelay ?? config.global.database.persistDelay;
+    this.db = null;
+    this.opening = null;
+    this.persistTimer = null;
+    // Writes to the file are chained so an older export never overwrites a newer one
+    this.persisting = Promise.resolve();
+  }
+
+  /**
+   * Open the database, loading the file when there is one
+   * @returns {Promise<Object>} - sql.js Database
+   */
+  open() {
+    if (!this.opening) {
+      this.opening = (async () => {
+        const SQL = await initSqlJs();
+        const data = this.isPersistent() && fs.existsSync(this.databasePath)
+          ? await fs.promises.readFile(this.databasePath)
+          : undefined;
+
+        this.db = new SQL.Database(data);
+        logger.info('Local database opened', { databasePath: this.databasePath });
+        return this.db;
+      })().catch(error => {
+        this.opening = null;
+        throw error;
+      });
+    }
+    return this.opening;
+  }
+
+  /**
+   * @returns {boolean} - Whether the database is written to disk
+   */
+  isPersistent() {
+    return this.databasePath !== IN_MEMORY;
+  }
+
+  /**
+   * Schedule a write of the database to its file
+   * Exporting the database blocks the event loop, so changes are batched into one write
+   * per persistDelay instead of one per change.
+   */
+  persist() {
+    if (!this.isPersistent() || !this.db || this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.writeFile();
+    }, this.persistDelay);
+    // close() writes pending changes; the timer alone shouldn't keep the process running
+    this.persistTimer.unref();
+  }
+
+  /**
+   * Write the database to its file now (through a temporary file, so a crash can't truncate it)
+   * @returns {Promise<void>} - Settles once written; failures are logged
+   */
+  writeFile() {
+    const db = this.db;
+    this.persisting = this.persisting.then(async () => {
+      const tempPath = `${this.databasePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.databasePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, Buffer.from(db.export()));
+      await fs.promises.rename(tempPath, this.databasePath);
+    }).catch(error => logger.error('Writing the local database failed', error));
+    return this.persisting;
+  }
+
+  /**
+   * Run a statement that changes data
+   * @param {string} sql - Statement
+   * @param {Array} [params] - Bound parameters
+   * @returns {Promise<{ lastInsertId: number, changes: number }>}
+   */
+  async run(sql, params = []) {
+    const db = await this.open();
+    db.run(sql, params);
+
+    return {
+      lastInsertId: db.exec('SELECT last_insert_rowid()')[0].values[0][0],
+      changes: db.getRowsModified()
+    };
+  }
+
+  /**
+   * Run a SELECT and return its rows as objects
+   * @param {string} sql - Statement
+   * @param {Array} [params] - Bound parameters
+   * @returns {Promise<Array<Object>>}
+   */
+  async query(sql, params = []) {
+    const db = await this.open();
+    const statement = db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  /**
+   * Write pending changes and close the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.opening) return;
+
+    await this.opening.catch(() => {});
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+      this.writeFile();
+    }
+    await this.persisting;
+    if (this.db) this.db.close();
+    this.db = null;
+    this.opening = null;
+  }
+}
+
+const localDatabase = new LocalDatabase();
+
+module.exports = localDatabase;
+module.exports.LocalDatabase = LocalDatabase;
@@ -0,0 +1,89 @@
+const bcrypt = require('bcryptjs');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const localDatabase = require('./localDatabase');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS password_proofs (
+    user_key TEXT PRIMARY KEY,
+    password_hash TEXT NOT NULL,
+    verified_at TEXT NOT NULL
+  );
+`;
+
+/**
+ * Password Proof Store
+ * Keeps a bcrypt hash of the last password the portal accepted for each user, next to
+ * their snapshots. Our JWT is issued for any user ID without asking the portal, so
+ * stored data (history, changes, corrections, schedules) is only handed to a caller
+ * presenting that password, the same way the attendance cache guards cached reports.
+ */
+class PasswordProofStore {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.database] - LocalDatabase (defaults to the shared one)
+   */
+  constructor(options = {}) {
+    this.database = options.database || localDatabase;
+    this.schemaReady = null;
+  }
+
+  /**
+   * Create the table on first use
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    const db = await this.database.open();
+    // Reopening the database (after close) needs the schema again
+    if (this.schemaReady !== db) {
+      db.run(SCHEMA);
+      this.schemaReady = db;
+    }
+  }
+
+  /**
+   * Record a password the portal just accepted
+   * @param {string} userKey - User key (institution and user ID)
+   * @param {string} password - Portal password
+   * @returns {Promise<void>}
+   */
+  async record(userKey, password) {
+    await this.ready();
+    const [proof] = await this.database.query('SELECT password_hash FROM password_proofs WHERE user_key = ?', [userKey]);
+    const now = new Date().toISOString();
+
+    // Hashing is slow on purpose: only hash again when the password changed
+    if (proof && await bcrypt.compare(password, proof.password_hash)) {
+      await this.database.run('UPDATE password_proofs SET verified_at = ? WHERE user_key = ?', [now, userKey]);
+    } else {
+      const passwordHash = await bcrypt.hash(password, config.security.bcryptRounds);
+      await this.database.run(
+        'INSERT OR REPLACE INTO password_proofs (user_key, password_hash, verified_at) VALUES (?, ?, ?)',
+        [userKey, passwordHash, now]
+      );
+    }
+    this.database.persist();
+  }
+
+  /**
+   * Check a password against the last one the portal accepted
+   * @param {string} userKey - User key
+   * @param {string} password - Password presented by the caller
+   * @returns {Promise<boolean>} - false on a mismatch or when the user never fetched successfully
+   */
+  async verify(userKey, password) {
+    await this.ready();
+    const [proof] = await this.database.query('SELECT password_hash FROM password_proofs WHERE user_key = ?', [userKey]);
+
+    const verified = Boolean(proof) && await bcrypt.compare(password, proof.password_hash);
+    if (!verified) {
+      logger.security('Portal password proof refused', { userKey, reason: proof ? 'mismatch' : 'no accepted password' });
+    }
+    return verified;
+  }
+}
+
+const passwordProofStore = new PasswordProofStore();
+
+module.exports = passwordProofStore;
+module.exports.PasswordProofStore = PasswordProofStore;
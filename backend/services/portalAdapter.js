@@ -0,0 +1,664 @@
+const config = require('../config/environment');
+const institutionRegistry = require('./institutionRegistry');
+const { toPortalError } = require('./portalErrors');
+
+// Progress percentage reported when each step of a fetch starts
+const PROGRESS_STAGES = {
+  initBrowser: 5,
+  login: 20,
+  scrapeAttendanceData: 45,
+  getStudentProfile: 65,
+  scrapeSessions: 75,
+  scrapeTimetable: 85,
+  complete: 100
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Normalize a portal date to YYYY-MM-DD
+ * Accepts ISO dates, DD-MM-YYYY / DD/MM/YYYY and "21 Jul 2025"; anything else is kept as is.
+ * @param {string} value - Date as shown by the portal
+ * @returns {string|null}
+ */
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  const pad = (number) => String(number).padStart(2, '0');
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (match) return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+
+  match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-,]+(\d{4})$/);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return `${match[3]}-${pad(MONTHS.indexOf(match[2].toLowerCase()) + 1)}-${pad(match[1])}`;
+  }
+
+  return text;
+};
+
+/**
+ * Normalize a weekday ("MON", "monday", 1 for Monday...)
+ * @param {*} value - Day as sent by the portal
+ * @returns {string|null} - Full English day name, or the portal's own label
+ */
+const toDayName = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return DAYS[value - 1] || null;
+
+  const text = String(value).trim();
+  const day = DAYS.find(name => name.slice(0, 3).toLowerCase() === text.slice(0, 3).toLowerCase());
+  return day || text;
+};
+
+/**
+ * Normalize a clock time to 24-hour HH:MM ("9:00 AM", "14:00:00"...)
+ * @param {*} value - Time as sent by the portal
+ * @returns {string|null}
+ */
+const toClockTime = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  const match = text.match(/^(\d{1,2})[:.](\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+  if (!match) return text;
+
+  let hours = parseInt(match[1]);
+  const meridiem = match[3] ? match[3][0].toLowerCase() : null;
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+};
+
+/**
+ * Normalize a course component ("L", "Practical", "TUT"...)
+ * Without a label from the portal, the component is inferred from the subject name and
+ * its class sessions; everything else is taught as theory.
+ * @param {*} value - Component as sent by the portal
+ * @param {Object} record - Attendance record (subject, sessions)
+ * @returns {string} - Theory, Lab, Tutorial, or the portal's own label
+ */
+const toComponentType = (value, record = {}) => {
+  const text = String(value || '').trim();
+
+  if (text) {
+    if (/^(l|lec|lecture|th|theory)$/i.test(text)) return 'Theory';
+    if (/^(p|pr|prac|practical|lab|laboratory)$/i.test(text)) return 'Lab';
+    if (/^(t|tut|tutorial)$/i.test(text)) return 'Tutorial';
+    return text;
+  }
+
+  if (/\b(lab|laboratory|practical)\b/i.test(record.subject || '')) return 'Lab';
+  if (/\btutorial\b/i.test(record.subject || '')) return 'Tutorial';
+
+  const sessions = record.sessions || [];
+  if (sessions.length > 0 && sessions.every(session => /^(lab|practical)$/i.test(session.type || ''))) return 'Lab';
+
+  return 'Theory';
+};
+
+/**
+ * Split a subject label that carries its code ("CSEG2001 - Data Structures", "Data Structures (CSEG2001)")
+ * @param {string} label - Subject as shown by the portal
+ * @returns {{ subject: string, subjectCode: string|null }}
+ */
+const splitSubjectLabel = (label) => {
+  const text = String(label || '').trim();
+
+  let match = text.match(/^([A-Z]{2,6}\s?\d{3,5}[A-Z]?)\s*[-:|]\s*(.+)$/);
+  if (match) return { subject: match[2].trim(), subjectCode: match[1].replace(/\s/g, '') };
+
+  match = text.match(/^(.+?)\s*[([]\s*([A-Z]{2,6}\s?\d{3,5}[A-Z]?)\s*[)\]]$/);
+  if (match) return { subject: match[1].trim(), subjectCode: match[2].replace(/\s/g, '') };
+
+  return { subject: text, subjectCode: null };
+};
+
+/**
+ * Lookup key for a subject name (case and spacing differ between portal pages)
+ * @param {string} name - Subject name
+ * @returns {string}
+ */
+const subjectKey = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Normalize a present/absent mark ("P", "Absent", true...)
+ * @param {*} value - Mark as sent by the portal
+ * @returns {string} - Present, Absent, or the portal's own label (e.g. "Duty Leave")
+ */
+const toSessionStatus = (value) => {
+  if (value === true) return 'Present';
+  if (value === false) return 'Absent';
+
+  const text = String(value || '').trim();
+  if (/^(p|present|yes)$/i.test(text)) return 'Present';
+  if (/^(a|absent|no)$/i.test(text)) return 'Absent';
+  return text || 'Unknown';
+};
+
+/**
+ * Backoff before retry number `attempt`: the base delay doubled per attempt, half of it jittered
+ * so clients failing together don't retry together
+ * @param {number} attempt - Failed attempt (1-based)
+ * @param {number} baseDelay - Delay before the first retry in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempt, baseDelay) => {
+  const delay = baseDelay * 2 ** (attempt - 1);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+// Attendance policy used when an institution doesn't define one
+const DEFAULT_ATTENDANCE_POLICY = {
+  minimumPercentage: 75,
+  warningPercentage: 65
+};
+
+/**
+ * Status label for an attendance percentage
+ * @param {number} percentage - Attendance percentage
+ * @param {Object} [policy] - Institution attendance policy
+ * @returns {string} - Good, Warning or Critical
+ */
+const getAttendanceStatus = (percentage, policy = DEFAULT_ATTENDANCE_POLICY) => {
+  if (percentage >= policy.minimumPercentage) return 'Good';
+  if (percentage >= policy.warningPercentage) return 'Warning';
+  return 'Critical';
+};
+
+/**
+ * Portal Adapter
+ * Contract shared by every portal implementation. Adapters implement login,
+ * fetchAttendance, fetchProfile and logout (plus open/close for their resources);
+ * the fetch workflow and the report shape live here so every adapter returns the
+ * same canonical report:
+ *
+ *   {
+ *     success, timestamp, sessionReused, fetchMode,
+ *     institution: { id, name, attendancePolicy },
+ *     student: { name, studentId, course, semester, status, profilePhoto },
+ *     attendance: [{ subject, subjectCode, faculty, componentType, attended, total, percentage, status,
+ *                    sessions: [{ date, timeSlot, type, status }] }],
+ *     timetable: [{ day, startTime, endTime, subject, subjectCode, room, faculty, linked }],
+ *     summary: { totalSubjects, safeSubjects, warningSubjects, criticalSubjects, overallPercentage }
+ *   }
+ */
+class PortalAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.institution] - Institution from the registry (defaults to the default institution)
+   * @param {number} [options.maxRetries] - Retries of a failed stage (defaults to config.global.upes.maxRetries)
+   * @param {number} [options.retryDelay] - Delay before the first retry in milliseconds
+   */
+  constructor(options = {}) {
+    this.institution = options.institution || institutionRegistry.get();
+    this.attendancePolicy = this.institution.attendancePolicy || DEFAULT_ATTENDANCE_POLICY;
+    // How the adapter talks to the portal ("browser" or "http"), reported with every fetch
+    this.fetchMode = null;
+    // AbortSignal of the running fetch, if the caller can cancel it
+    this.signal = null;
+    // Retries of a stage that failed with a retryable error, and the base backoff delay
+    this.maxRetries = options.maxRetries ?? config.global.upes.maxRetries;
+    this.retryDelay = options.retryDelay ?? config.global.upes.retryDelay;
+  }
+
+  /**
+   * Acquire the resources the adapter needs (browser page, HTTP client...)
+   */
+  async open() {}
+
+  /**
+   * Release everything acquired by open()
+   * Safe to call more than once (e.g. from a cancel hook and the workflow's finally).
+   */
+  async close() {}
+
+  /**
+   * Sign in to the portal
+   * @param {string} userId - Student ID
+   * @param {string} password - Password
+   * @returns {Promise<{ sessionReused: boolean }>}
+   */
+  async login(userId, password) {
+    throw new Error(`${this.constructor.name} does not implement login()`);
+  }
+
+  /**
+   * Attendance of the logged in student
+   * @returns {Promise<Array>} - Attendance records (any shape normalizeRecord accepts)
+   */
+  async fetchAttendance() {
+    throw new Error(`${this.constructor.name} does not implement fetchAttendance()`);
+  }
+
+  /**
+   * Profile of the logged in student
+   * @returns {Promise<Object>} - Student profile
+   */
+  async fetchProfile() {
+    throw new Error(`${this.constructor.name} does not implement fetchProfile()`);
+  }
+
+  /**
+   * Class sessions of a subject (optional: adapters that can't read them return null)
+   * @param {Object} record - Attendance record returned by fetchAttendance()
+   * @returns {Promise<Array|null>} - Sessions, or null when not available
+   */
+  async fetchSessions(record) {
+    return null;
+  }
+
+  /**
+   * Weekly timetable of the logged in student (optional: adapters that can't read it return null)
+   * @returns {Promise<Array|null>} - Timetable entries, or null when not available
+   */
+  async fetchTimetable() {
+    return null;
+  }
+
+  /**
+   * Attach the class sessions of every subject to its record
+   * A subject whose sessions can't be read keeps an empty list rather than failing the fetch.
+   * @param {Array} attendance - Attendance records
+   */
+  async fetchAllSessions(attendance) {
+    for (const record of attendance) {
+      if (Array.isArray(record.sessions)) continue;
+      this.throwIfAborted();
+
+      try {
+        record.sessions = (await this.fetchSessions(record)) || [];
+      } catch (error) {
+        console.error(`Failed to read class sessions of ${record.subject}:`, error.message);
+        record.sessions = [];
+      }
+    }
+  }
+
+  /**
+   * End the portal session
+   */
+  async logout() {
+    throw new Error(`${this.constructor.name} does not implement logout()`);
+  }
+
+  /**
+   * Portal session store key of a user (user IDs are only unique per institution)
+   * @param {string} userId - Student ID
+   * @returns {string}
+   */
+  getSessionKey(userId) {
+    return `${this.institution.id}:${userId}`;
+  }
+
+  /**
+   * Check whether a URL is the portal login page
+   * @param {string} url - Page URL
+   * @returns {boolean}
+   */
+  isLoginPage(url) {
+    return url.includes('login') ||
+           url.includes('auth') ||
+           url === this.institution.loginUrl;
+  }
+
+  /**
+   * Report progress of the fetch workflow
+   * @param {Function|null} onProgress - Progress listener
+   * @param {string} stage - Stage that is starting
+   */
+  reportProgress(onProgress, stage) {
+    if (typeof onProgress !== 'function') return;
+
+    try {
+      onProgress({
+        stage,
+        percentage: PROGRESS_STAGES[stage],
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Progress listener failed:', error.message);
+    }
+  }
+
+  /**
+   * Throw the abort reason (as a PortalError) once the fetch has been aborted
+   */
+  throwIfAborted() {
+    if (this.signal && this.signal.aborted) {
+      throw toPortalError(this.signal.reason);
+    }
+  }
+
+  /**
+   * Report an attempt at a stage of the fetch workflow
+   * @param {Function|null} onAttempt - Attempt listener
+   * @param {Object} attempt - { stage, attempt, outcome, durationMs, code?, message?, retryInMs? }
+   */
+  reportAttempt(onAttempt, attempt) {
+    if (typeof onAttempt !== 'function') return;
+
+    try {
+      onAttempt({ ...attempt, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error('Attempt listener failed:', error.message);
+    }
+  }
+
+  /**
+   * Wait for a promise, rejecting with the abort reason as soon as the fetch is aborted
+   * The abandoned work keeps running until close() pulls the page or client from under it.
+   * @param {Promise} work - Promise to wait for
+   * @returns {Promise<*>}
+   */
+  async untilAborted(work) {
+    if (!this.signal) {
+      return work;
+    }
+
+    // Abandoned work usually fails once its page is closed; nobody is listening anymore
+    work.catch(() => {});
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(toPortalError(this.signal.reason));
+      this.signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    try {
+      return await Promise.race([work, aborted]);
+    } finally {
+      this.signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Run a step of the workflow
+   * Failures marked retryable (timeouts, portal down, no browser) are retried with exponential
+   * backoff; rejected credentials and lockouts never are, since retrying them only makes it worse.
+   * @param {string} stage - Stage the step belongs to
+   * @param {Function} step - Async function doing the work
+   * @param {Object} [hooks] - { onProgress, onAttempt } listeners
+   * @returns {Promise<*>} - Result of the step
+   */
+  async runStage(stage, step, { onProgress = null, onAttempt = null } = {}) {
+    this.reportProgress(onProgress, stage);
+
+    for (let attempt = 1; ; attempt++) {
+      this.throwIfAborted();
+      const startedAt = Date.now();
+
+      try {
+        const result = await this.untilAborted(step());
+        this.reportAttempt(onAttempt, { stage, attempt, outcome: 'succeeded', durationMs: Date.now() - startedAt });
+        return result;
+
+      } catch (error) {
+        const portalError = toPortalError(error);
+        const aborted = Boolean(this.signal && this.signal.aborted);
+        const retryInMs = !aborted && portalError.retryable && attempt <= this.maxRetries
+          ? getRetryDelay(attempt, this.retryDelay)
+          : null;
+
+        this.reportAttempt(onAttempt, {
+          stage,
+          attempt,
+          outcome: aborted ? 'aborted' : 'failed',
+          durationMs: Date.now() - startedAt,
+          code: portalError.code,
+          message: error.message,
+          ...(retryInMs !== null && { retryInMs })
+        });
+
+        if (retryInMs === null) {
+          throw error;
+        }
+
+        console.warn(`Stage ${stage} failed (${portalError.code}), retrying in ${retryInMs}ms`);
+        await this.untilAborted(new Promise(resolve => setTimeout(resolve, retryInMs)));
+      }
+    }
+  }
+
+  /**
+   * Full attendance fetching workflow
+   * @param {string} userId - Student ID
+   * @param {string} password - Password
+   * @param {Object} options - Workflow options
+   * @param {Function} options.onProgress - Called with { stage, percentage, timestamp } as each step starts
+   * @param {Function} [options.onAttempt] - Called with every attempt at a stage (see reportAttempt)
+   * @param {AbortSignal} [options.signal] - Aborts the fetch (timeout, cancelled job); the fetch then
+   *   rejects with the abort reason as a PortalError and releases its resources
+   * @returns {Promise<Object>} - Canonical attendance report
+   */
+  async fetchAttendanceReport(userId, password, { onProgress = null, onAttempt = null, signal = null } = {}) {
+    this.signal = signal;
+    const hooks = { onProgress, onAttempt };
+
+    try {
+      await this.runStage('initBrowser', () => this.open(), hooks);
+
+      const { sessionReused = false } = (await this.runStage('login', () => this.login(userId, password), hooks)) || {};
+
+      const attendance = await this.runStage('scrapeAttendanceData', () => this.fetchAttendance(), hooks);
+
+      const student = await this.runStage('getStudentProfile', () => this.fetchProfile(), hooks);
+
+      // Last, because reading the subject detail views may leave the dashboard
+      await this.runStage('scrapeSessions', () => this.fetchAllSessions(attendance), hooks);
+
+      const timetable = await this.runStage('scrapeTimetable', () => this.fetchTimetableSafely(), hooks);
+
+      this.throwIfAborted();
+      const report = this.buildReport({ student, attendance, timetable, sessionReused });
+
+      this.reportProgress(onProgress, 'complete');
+      return report;
+
+    } finally {
+      await this.close();
+    }
+  }
+
+  /**
+   * Timetable of the student; a timetable that can't be read doesn't fail the fetch
+   * @returns {Promise<Array>} - Raw timetable entries
+   */
+  async fetchTimetableSafely() {
+    try {
+      return (await this.fetchTimetable()) || [];
+    } catch (error) {
+      console.error('Failed to read the timetable:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Assemble the canonical report
+   * @param {Object} data - { student, attendance, timetable, sessionReused }
+   * @returns {Object} - Canonical attendance report
+   */
+  buildReport({ student, attendance, timetable = [], sessionReused = false }) {
+    const records = attendance.map(record => PortalAdapter.normalizeRecord(record, this.attendancePolicy));
+
+    return {
+      success: true,
+      timestamp: new Date().toISOString(),
+      sessionReused,
+      fetchMode: this.fetchMode,
+      institution: {
+        id: this.institution.id,
+        name: this.institution.name,
+        attendancePolicy: this.attendancePolicy
+      },
+      student: PortalAdapter.normalizeStudent(student),
+      attendance: records,
+      timetable: PortalAdapter.linkTimetable(timetable.map(entry => PortalAdapter.normalizeTimetableEntry(entry)), records),
+      summary: PortalAdapter.summarize(records)
+    };
+  }
+
+  /**
+   * Convert an adapter's attendance record to the canonical shape
+   * @param {Object} record - Raw record
+   * @param {Object} [policy] - Institution attendance policy
+   * @returns {Object} - Canonical record
+   */
+  static normalizeRecord(record, policy = DEFAULT_ATTENDANCE_POLICY) {
+    const attended = Number.isFinite(record.attended) ? record.attended : 0;
+    const total = Number.isFinite(record.total) ? record.total : 0;
+
+    let percentage = Number.isFinite(record.percentage) ? record.percentage : null;
+    if (percentage === null) {
+      percentage = total > 0 ? (attended / total) * 100 : 0;
+    }
+    percentage = parseFloat(percentage.toFixed(2));
+
+    const label = splitSubjectLabel(record.subject);
+
+    return {
+      subject: label.subject,
+      subjectCode: record.subjectCode || label.subjectCode,
+      faculty: record.faculty || null,
+      componentType: toComponentType(record.componentType, record),
+      attended,
+      total,
+      percentage,
+      status: getAttendanceStatus(percentage, policy),
+      sessions: (record.sessions || [])
+        .map(session => PortalAdapter.normalizeSession(session))
+        .sort((a, b) => (a.date || '').localeCompare(b.date || '') || (a.timeSlot || '').localeCompare(b.timeSlot || ''))
+    };
+  }
+
+  /**
+   * Convert an adapter's class session to the canonical shape
+   * @param {Object} session - Raw session
+   * @returns {Object} - { date, timeSlot, type, status }
+   */
+  static normalizeSession(session) {
+    return {
+      date: toIsoDate(session.date),
+      timeSlot: session.timeSlot ? String(session.timeSlot).replace(/\s*-\s*/, '-').trim() : null,
+      type: session.type || null,
+      status: toSessionStatus(session.status)
+    };
+  }
+
+  /**
+   * Convert an adapter's timetable entry to the canonical shape
+   * @param {Object} entry - Raw entry ({ day, startTime, endTime } or { day, time: "09:00 - 09:55" }, ...)
+   * @returns {Object} - { day, startTime, endTime, subject, subjectCode, room, faculty }
+   */
+  static normalizeTimetableEntry(entry) {
+    let { startTime, endTime } = entry;
+    if (!startTime && entry.time) {
+      [startTime, endTime] = String(entry.time).split(/\s*(?:-|–|to)\s*/);
+    }
+
+    return {
+      day: toDayName(entry.day),
+      startTime: toClockTime(startTime),
+      endTime: toClockTime(endTime),
+      subject: entry.subject ? String(entry.subject).trim() : null,
+      subjectCode: entry.subjectCode || null,
+      room: entry.room || null,
+      faculty: entry.faculty || null
+    };
+  }
+
+  /**
+   * Link timetable entries to the attendance records they teach, by subject code or name
+   * Linked entries take the record's subject name and code, so clients can join on either.
+   * Entries are returned in weekly order.
+   * @param {Array} entries - Canonical timetable entries
+   * @param {Array} records - Canonical attendance records
+   * @returns {Array} - Entries with a `linked` flag
+   */
+  static linkTimetable(entries, records) {
+    const dayIndex = (day) => (DAYS.includes(day) ? DAYS.indexOf(day) : DAYS.length);
+
+    return entries
+      .map(entry => {
+        const record = records.find(candidate => entry.subjectCode && candidate.subjectCode === entry.subjectCode) ||
+          records.find(candidate => subjectKey(candidate.subject) === subjectKey(entry.subject));
+
+        if (!record) return { ...entry, linked: false };
+
+        return {
+          ...entry,
+          subject: record.subject,
+          subjectCode: record.subjectCode || entry.subjectCode,
+          faculty: entry.faculty || record.faculty,
+          linked: true
+        };
+      })
+      .sort((a, b) => dayIndex(a.day) - dayIndex(b.day) || (a.startTime || '').localeCompare(b.startTime || ''));
+  }
+
+  /**
+   * Classes per week of every subject in a canonical timetable
+   * @param {Array} timetable - Canonical (linked) timetable
+   * @returns {Array<{ subject, subjectCode, classesPerWeek }>}
+   */
+  static countWeeklyClasses(timetable) {
+    const counts = new Map();
+
+    for (const entry of timetable) {
+      const key = entry.subjectCode || subjectKey(entry.subject);
+      const count = counts.get(key) || { subject: entry.subject, subjectCode: entry.subjectCode, classesPerWeek: 0 };
+      count.classesPerWeek++;
+      counts.set(key, count);
+    }
+    return Array.from(counts.values());
+  }
+
+  /**
+   * Convert an adapter's profile to the canonical shape
+   * @param {Object} student - Raw profile
+   * @returns {Object} - Canonical profile
+   */
+  static normalizeStudent(student = {}) {
+    return {
+      name: student.name || null,
+      studentId: student.studentId || null,
+      course: student.course || null,
+      semester: student.semester || null,
+      status: student.status || 'Active',
+      profilePhoto: student.profilePhoto || null
+    };
+  }
+
+  /**
+   * Summary counts of canonical records
+   * @param {Array} records - Canonical records
+   * @returns {Object} - Report summary
+   */
+  static summarize(records) {
+    return {
+      totalSubjects: records.length,
+      safeSubjects: records.filter(record => record.status === 'Good').length,
+      warningSubjects: records.filter(record => record.status === 'Warning').length,
+      criticalSubjects: records.filter(record => record.status === 'Critical').length,
+      overallPercentage: records.length > 0 ?
+        parseFloat((records.reduce((sum, record) => sum + record.percentage, 0) / records.length).toFixed(2)) : 0
+    };
+  }
+}
+
+module.exports = PortalAdapter;
+module.exports.PROGRESS_STAGES = PROGRESS_STAGES;
+module.exports.DEFAULT_ATTENDANCE_POLICY = DEFAULT_ATTENDANCE_POLICY;
+module.exports.getAttendanceStatus = getAttendanceStatus;
+module.exports.toIsoDate = toIsoDate;
+module.exports.toDayName = toDayName;
+module.exports.toClockTime = toClockTime;
+module.exports.toComponentType = toComponentType;
+module.exports.getRetryDelay = getRetryDelay;
+module.exports.subjectKey = subjectKey;
@@ -0,0 +1,46 @@
+const institutionRegistry = require('./institutionRegistry');
+const UPESScrapingService = require('./upesScrapingService');
+const DynamicAttendanceScrapingService = require('./dynamicAttendanceScrapingService');
+const HttpPortalAdapter = require('./httpPortalAdapter');
+
+// Portal adapters institutions can use (config/institutions.js)
+const ADAPTERS = {
+  upes: UPESScrapingService,
+  dynamic: DynamicAttendanceScrapingService
+};
+
+const FETCH_MODES = ['browser', 'http'];
+
+/**
+ * Create the portal adapter of an institution
+ * In "http" fetch mode the browserless client is used, with the institution's adapter
+ * as the fallback for portal flows it can't handle.
+ * @param {Object} [institution] - Institution from the registry (defaults to the default institution)
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.fetchMode] - Overrides the institution's fetch mode (browser | http)
+ * @returns {PortalAdapter}
+ */
+function createPortalAdapter(institution = institutionRegistry.get(), options = {}) {
+  const Adapter = ADAPTERS[institution.adapter];
+  const { fetchMode = institution.fetchMode || 'browser', ...adapterOptions } = options;
+
+  if (!Adapter) {
+    throw new Error(`Unknown portal adapter: ${institution.adapter}. Must be one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  if (!FETCH_MODES.includes(fetchMode)) {
+    throw new Error(`Unknown fetch mode: ${fetchMode}. Must be one of: ${FETCH_MODES.join(', ')}`);
+  }
+
+  const createAdapter = () => new Adapter({ ...adapterOptions, institution });
+
+  if (fetchMode === 'http') {
+    return new HttpPortalAdapter({ ...adapterOptions, institution, fallback: createAdapter });
+  }
+  return createAdapter();
+}
+
+module.exports = {
+  createPortalAdapter,
+  ADAPTERS,
+  FETCH_MODES
+};
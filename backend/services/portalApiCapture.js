@@ -0,0 +1,301 @@
+const logger = require('../config/logger');
+const selectorRegistry = require('./selectorRegistry');
+
+// How deep to look for the records inside a payload ({ data: { result: { subjects: [...] } } })
+const MAX_PAYLOAD_DEPTH = 6;
+
+/**
+ * Value of the first key of a field that an object has
+ * @param {Object} item - Payload object
+ * @param {Array<string>} keys - Candidate keys, in priority order
+ * @returns {*} - Value, or undefined
+ */
+const pick = (item, keys = []) => {
+  for (const key of keys) {
+    if (item[key] !== undefined && item[key] !== null && item[key] !== '') {
+      return item[key];
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Parse a number the portal may send as a string ("86.67", "86.67%")
+ * @param {*} value - Raw value
+ * @returns {number|null}
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const match = value.match(/-?\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+/**
+ * Depth-first search for the first value in a payload that passes a test
+ * @param {*} value - Payload or part of it
+ * @param {Function} test - Predicate
+ * @param {number} [depth] - Current depth
+ * @returns {*} - Matching value, or undefined
+ */
+const findInPayload = (value, test, depth = 0) => {
+  if (value === null || typeof value !== 'object' || depth > MAX_PAYLOAD_DEPTH) {
+    return undefined;
+  }
+  if (test(value)) {
+    return value;
+  }
+
+  for (const child of Object.values(value)) {
+    const found = findInPayload(child, test, depth + 1);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+};
+
+/**
+ * Portal API Capture
+ * Records the JSON the portal's Angular app loads from its own backend, so attendance,
+ * profile, class sessions and the timetable can be built from structured data instead of
+ * text in the rendered DOM.
+ * Which responses to keep and which keys hold which field come from the "api" section
+ * of the selector registry.
+ */
+class PortalApiCapture {
+  /**
+   * @param {Page} page - Puppeteer page to listen on
+   * @param {Object} [apiConfig] - "api" section of the selector registry
+   */
+  constructor(page, apiConfig = selectorRegistry.get().api || {}) {
+    this.page = page;
+    this.apiConfig = apiConfig;
+    this.payloads = {};
+    this.waiters = [];
+    this.handler = null;
+  }
+
+  /**
+   * Start listening to page responses
+   * @returns {PortalApiCapture}
+   */
+  start() {
+    if (!this.handler) {
+      this.handler = (response) => {
+        this.handleResponse(response).catch(error => {
+          logger.debug('Portal API response skipped', { url: response.url(), reason: error.message });
+        });
+      };
+      this.page.on('response', this.handler);
+    }
+    return this;
+  }
+
+  /**
+   * Stop listening (pages are pooled, so the listener must not outlive the fetch)
+   */
+  stop() {
+    if (this.handler) {
+      this.page.off('response', this.handler);
+      this.handler = null;
+    }
+
+    // Nothing more will arrive for anyone still waiting
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.resolve(null);
+    }
+  }
+
+  /**
+   * Kind of payload ("attendance", "profile", "sessions", "timetable") a URL serves, if any
+   * @param {string} url - Response URL
+   * @returns {string|null}
+   */
+  matchKind(url) {
+    for (const [kind, api] of Object.entries(this.apiConfig)) {
+      if (api.urlPatterns.some(pattern => new RegExp(pattern, 'i').test(url))) {
+        return kind;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Keep a response when it is a JSON payload we know how to read
+   * @param {HTTPResponse} response - Puppeteer response
+   */
+  async handleResponse(response) {
+    const kind = this.matchKind(response.url());
+    if (!kind || !response.ok()) return;
+
+    const contentType = response.headers()['content-type'] || '';
+    if (!contentType.includes('json')) return;
+
+    const payload = await response.json();
+    const data = PortalApiCapture.parse(kind, payload, this.apiConfig[kind].fields);
+
+    if (!data) {
+      logger.debug('Portal API payload did not contain usable data', { kind, url: response.url() });
+      return;
+    }
+
+    logger.debug('Portal API payload captured', { kind, url: response.url() });
+    this.payloads[kind] = data;
+
+    this.waiters = this.waiters.filter(waiter => {
+      if (waiter.kind !== kind) return true;
+      clearTimeout(waiter.timer);
+      waiter.resolve(data);
+      return false;
+    });
+  }
+
+  /**
+   * Forget the captured data of a kind (e.g. before opening the next subject)
+   * @param {string} kind - Payload kind
+   */
+  clear(kind) {
+    delete this.payloads[kind];
+  }
+
+  /**
+   * Captured data of a kind, waiting for it when it hasn't arrived yet
+   * @param {string} kind - "attendance", "profile", "sessions" or "timetable"
+   * @param {number} timeout - Max wait in milliseconds
+   * @returns {Promise<*>} - Parsed data, or null when nothing usable arrived in time
+   */
+  waitFor(kind, timeout) {
+    if (this.payloads[kind]) {
+      return Promise.resolve(this.payloads[kind]);
+    }
+    if (!this.handler || !this.apiConfig[kind]) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+      const waiter = { kind, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(item => item !== waiter);
+        resolve(null);
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Parse a payload of a kind
+   * @param {string} kind - "attendance", "profile", "sessions" or "timetable"
+   * @param {*} payload - Parsed JSON
+   * @param {Object} fields - Candidate keys per field
+   * @returns {*} - Parsed data, or null
+   */
+  static parse(kind, payload, fields) {
+    const parsers = {
+      attendance: PortalApiCapture.parseAttendance,
+      profile: PortalApiCapture.parseProfile,
+      sessions: PortalApiCapture.parseSessions,
+      timetable: PortalApiCapture.parseTimetable
+    };
+    return parsers[kind] ? parsers[kind](payload, fields) : null;
+  }
+
+  /**
+   * Attendance records from an attendance API payload
+   * Finds the first list of objects with a subject and counts or a percentage.
+   * @param {*} payload - Parsed JSON
+   * @param {Object} fields - Candidate keys per record field
+   * @returns {Array|null} - Records, or null when the payload has none
+   */
+  static parseAttendance(payload, fields) {
+    const isRecord = (item) => item && typeof item === 'object' &&
+      typeof pick(item, fields.subject) === 'string' &&
+      ((toNumber(pick(item, fields.attended)) !== null && toNumber(pick(item, fields.total)) !== null) ||
+        toNumber(pick(item, fields.percentage)) !== null);
+
+    const list = findInPayload(payload, value => Array.isArray(value) && value.length > 0 && value.every(isRecord));
+    if (!list) return null;
+
+    return list.map(item => ({
+      subject: pick(item, fields.subject).trim(),
+      subjectCode: pick(item, fields.subjectCode) || null,
+      faculty: pick(item, fields.faculty) || null,
+      componentType: pick(item, fields.componentType) || null,
+      attended: toNumber(pick(item, fields.attended)),
+      total: toNumber(pick(item, fields.total)),
+      percentage: toNumber(pick(item, fields.percentage))
+    }));
+  }
+
+  /**
+   * Class sessions from a subject's session API payload
+   * Finds the first list of objects with a date and a present/absent mark.
+   * @param {*} payload - Parsed JSON
+   * @param {Object} fields - Candidate keys per session field
+   * @returns {Array|null} - Raw sessions, or null when the payload has none
+   */
+  static parseSessions(payload, fields) {
+    const isSession = (item) => item && typeof item === 'object' &&
+      pick(item, fields.date) !== undefined && pick(item, fields.status) !== undefined;
+
+    const list = findInPayload(payload, value => Array.isArray(value) && value.length > 0 && value.every(isSession));
+    if (!list) return null;
+
+    return list.map(item => ({
+      date: pick(item, fields.date),
+      timeSlot: pick(item, fields.timeSlot) || null,
+      type: pick(item, fields.type) || null,
+      status: pick(item, fields.status)
+    }));
+  }
+
+  /**
+   * Weekly timetable from a timetable API payload
+   * Finds the first list of objects with a day, a subject and a time.
+   * @param {*} payload - Parsed JSON
+   * @param {Object} fields - Candidate keys per entry field
+   * @returns {Array|null} - Raw timetable entries, or null when the payload has none
+   */
+  static parseTimetable(payload, fields) {
+    const isEntry = (item) => item && typeof item === 'object' &&
+      pick(item, fields.day) !== undefined && typeof pick(item, fields.subject) === 'string' &&
+      (pick(item, fields.startTime) !== undefined || pick(item, fields.time) !== undefined);
+
+    const list = findInPayload(payload, value => Array.isArray(value) && value.length > 0 && value.every(isEntry));
+    if (!list) return null;
+
+    return list.map(item => ({
+      day: pick(item, fields.day),
+      startTime: pick(item, fields.startTime) || null,
+      endTime: pick(item, fields.endTime) || null,
+      time: pick(item, fields.time) || null,
+      subject: pick(item, fields.subject),
+      subjectCode: pick(item, fields.subjectCode) || null,
+      room: pick(item, fields.room) || null,
+      faculty: pick(item, fields.faculty) || null
+    }));
+  }
+
+  /**
+   * Student profile from a profile API payload
+   * @param {*} payload - Parsed JSON
+   * @param {Object} fields - Candidate keys per profile field
+   * @returns {Object|null} - Profile, or null when the payload has none
+   */
+  static parseProfile(payload, fields) {
+    const profile = findInPayload(payload, value => !Array.isArray(value) && typeof pick(value, fields.name) === 'string');
+    if (!profile) return null;
+
+    const studentId = pick(profile, fields.studentId);
+
+    return {
+      name: pick(profile, fields.name).trim(),
+      studentId: studentId !== undefined ? String(studentId) : null,
+      course: pick(profile, fields.course) || null,
+      semester: pick(profile, fields.semester) || null,
+      status: 'Active',
+      profilePhoto: pick(profile, fields.profilePhoto) || null
+    };
+  }
+}
+
+module.exports = PortalApiCapture;
@@ -0,0 +1,245 @@
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const institutionRegistry = require('./institutionRegistry');
+const PortalHttpClient = require('./portalHttpClient');
+const { PortalDownError } = require('./portalErrors');
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// How long the half-open probe may take to load the login page
+const PROBE_TIMEOUT = 10000;
+
+// Failures that point at an outage rather than at the user or the scraper
+const OUTAGE_CODES = ['PORTAL_UNAVAILABLE', 'TIMEOUT_ERROR'];
+
+// Fetch stages that talk to the portal (initBrowser only borrows a browser)
+const PORTAL_STAGES = ['login', 'scrapeAttendanceData', 'getStudentProfile'];
+
+/**
+ * Check whether the portal answered a probe like a working portal
+ * @param {Object} institution - Institution
+ * @returns {Promise<boolean>}
+ */
+const probeLoginPage = async (institution) => {
+  const client = new PortalHttpClient({ timeout: PROBE_TIMEOUT });
+  const page = await client.request(institution.loginUrl);
+  return page.status < 500;
+};
+
+/**
+ * Portal Circuit Breaker
+ * Stops sending fetches to a portal that keeps failing to connect or is in maintenance,
+ * so users get PORTAL_DOWN at once instead of a browser waiting a minute for a timeout.
+ *
+ * Per institution: closed (fetches run) -> open after failureThreshold consecutive outage
+ * failures (fetches fail fast) -> half_open after resetTimeout, while a light HTTP probe of
+ * the login page decides between closed and another open period.
+ */
+class PortalCircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive outage failures that open the circuit
+   * @param {number} [options.resetTimeout] - Milliseconds the circuit stays open before probing
+   * @param {Function} [options.probe] - async (institution) => boolean, true when the portal is back
+   */
+  constructor(options = {}) {
+    const breakerConfig = config.global.circuitBreaker;
+
+    this.failureThreshold = options.failureThreshold || breakerConfig.failureThreshold;
+    this.resetTimeout = options.resetTimeout || breakerConfig.resetTimeout;
+    this.probe = options.probe || probeLoginPage;
+    this.circuits = new Map();
+  }
+
+  /**
+   * Circuit of an institution, created closed
+   * @param {string} institutionId - Institution ID
+   * @returns {Object}
+   */
+  getCircuit(institutionId) {
+    if (!this.circuits.has(institutionId)) {
+      this.circuits.set(institutionId, {
+        state: CIRCUIT_STATES.CLOSED,
+        consecutiveFailures: 0,
+        openedAt: null,
+        retryAt: null,
+        lastFailure: null,
+        timer: null
+      });
+    }
+    return this.circuits.get(institutionId);
+  }
+
+  /**
+   * Throw PortalDownError unless fetches may go to the portal
+   * @param {string} institutionId - Institution ID
+   */
+  check(institutionId) {
+    const circuit = this.getCircuit(institutionId);
+    if (circuit.state === CIRCUIT_STATES.CLOSED) return;
+
+    throw new PortalDownError(`Circuit for ${institutionId} is ${circuit.state}`, {
+      retryAfter: this.getRetryAfter(institutionId)
+    });
+  }
+
+  /**
+   * Count an attempt at a fetch stage (see PortalAdapter#reportAttempt)
+   * Attempts are counted rather than whole fetches, so a fetch retrying a dead portal
+   * opens the circuit before the job times out.
+   * @param {string} institutionId - Institution ID
+   * @param {Object} attempt - { stage, outcome, code, message }
+   */
+  recordAttempt(institutionId, attempt) {
+    // Fetches stopped by their caller say nothing about the portal
+    if (!PORTAL_STAGES.includes(attempt.stage) || attempt.outcome === 'aborted') return;
+
+    if (attempt.outcome === 'failed' && OUTAGE_CODES.includes(attempt.code)) {
+      this.recordFailure(institutionId, attempt);
+    } else {
+      // The portal answered, even if only to reject the password
+      this.recordSuccess(institutionId);
+    }
+  }
+
+  /**
+   * The portal answered
+   * @param {string} institutionId - Institution ID
+   */
+  recordSuccess(institutionId) {
+    const circuit = this.getCircuit(institutionId);
+    circuit.consecutiveFailures = 0;
+  }
+
+  /**
+   * Count a connection failure, maintenance page or timeout
+   * @param {string} institutionId - Institution ID
+   * @param {Object} failure - { code, message }
+   */
+  recordFailure(institutionId, { code, message }) {
+    const circuit = this.getCircuit(institutionId);
+    circuit.consecutiveFailures++;
+    circuit.lastFailure = { code, message, at: new Date().toISOString() };
+
+    if (circuit.state === CIRCUIT_STATES.CLOSED && circuit.consecutiveFailures >= this.failureThreshold) {
+      this.open(institutionId);
+    }
+  }
+
+  /**
+   * Stop fetches to the portal and schedule the probe
+   * @param {string} institutionId - Institution ID
+   */
+  open(institutionId) {
+    const circuit = this.getCircuit(institutionId);
+
+    clearTimeout(circuit.timer);
+    circuit.state = CIRCUIT_STATES.OPEN;
+    circuit.openedAt = new Date().toISOString();
+    circuit.retryAt = Date.now() + this.resetTimeout;
+
+    logger.warn('Portal circuit opened', {
+      institution: institutionId,
+      consecutiveFailures: circuit.consecutiveFailures,
+      retryInMs: this.resetTimeout
+    });
+
+    circuit.timer = setTimeout(() => this.halfOpen(institutionId), this.resetTimeout);
+    if (circuit.timer.unref) circuit.timer.unref();
+  }
+
+  /**
+   * Probe the portal; close the circuit when it answers, open it again when it doesn't
+   * @param {string} institutionId - Institution ID
+   * @returns {Promise<string>} - State after the probe
+   */
+  async halfOpen(institutionId) {
+    const circuit = this.getCircuit(institutionId);
+    circuit.state = CIRCUIT_STATES.HALF_OPEN;
+    circuit.timer = null;
+
+    let portalUp = false;
+    try {
+      const institution = institutionRegistry.get(institutionId);
+      portalUp = Boolean(institution) && await this.probe(institution);
+    } catch (error) {
+      logger.debug('Portal probe failed', { institution: institutionId, reason: error.message });
+    }
+
+    if (portalUp) {
+      this.close(institutionId);
+    } else {
+      this.open(institutionId);
+    }
+    return circuit.state;
+  }
+
+  /**
+   * Let fetches through again
+   * @param {string} institutionId - Institution ID
+   */
+  close(institutionId) {
+    const circuit = this.getCircuit(institutionId);
+
+    clearTimeout(circuit.timer);
+    Object.assign(circuit, {
+      state: CIRCUIT_STATES.CLOSED,
+      consecutiveFailures: 0,
+      openedAt: null,
+      retryAt: null,
+      timer: null
+    });
+
+    logger.info('Portal circuit closed', { institution: institutionId });
+  }
+
+  /**
+   * Seconds until the portal is probed again (for the Retry-After header)
+   * @param {string} institutionId - Institution ID
+   * @returns {number|null} - Seconds, or null while the circuit is closed
+   */
+  getRetryAfter(institutionId) {
+    const circuit = this.getCircuit(institutionId);
+    if (circuit.state === CIRCUIT_STATES.CLOSED) return null;
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN) return 1;
+    return Math.max(1, Math.ceil((circuit.retryAt - Date.now()) / 1000));
+  }
+
+  /**
+   * Public state of an institution's circuit
+   * @param {string} institutionId - Institution ID
+   * @returns {Object}
+   */
+  getStatus(institutionId) {
+    const circuit = this.getCircuit(institutionId);
+
+    return {
+      state: circuit.state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: circuit.openedAt,
+      retryAfter: this.getRetryAfter(institutionId),
+      lastFailure: circuit.lastFailure
+    };
+  }
+
+  /**
+   * Forget every circuit (tests)
+   */
+  reset() {
+    for (const circuit of this.circuits.values()) {
+      clearTimeout(circuit.timer);
+    }
+    this.circuits.clear();
+  }
+}
+
+const portalCircuitBreaker = new PortalCircuitBreaker();
+
+module.exports = portalCircuitBreaker;
+module.exports.PortalCircuitBreaker = PortalCircuitBreaker;
+module.exports.CIRCUIT_STATES = CIRCUIT_STATES;
@@ -0,0 +1,192 @@
+/**
+ * Portal Errors
+ * Typed failures of a portal fetch. Each class carries a stable error code, the HTTP
+ * status it maps to, whether trying again later can help, and the message shown to
+ * the user; the original portal text stays in error.message for the logs.
+ */
+
+/**
+ * Base class of all portal fetch failures
+ */
+class PortalError extends Error {
+  /**
+   * @param {string} message - Technical message (portal text, selector, cause)
+   * @param {Object} [options]
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+  }
+}
+
+PortalError.prototype.code = 'FETCH_ERROR';
+PortalError.prototype.statusCode = 500;
+PortalError.prototype.retryable = false;
+PortalError.prototype.userMessage = 'Failed to fetch attendance data';
+
+/**
+ * Define the code, status, retryability and user message of an error class
+ * @param {Function} ErrorClass - PortalError subclass
+ * @param {Object} properties - { code, statusCode, retryable, userMessage }
+ * @returns {Function} - The class
+ */
+const define = (ErrorClass, properties) => {
+  Object.assign(ErrorClass.prototype, properties);
+  return ErrorClass;
+};
+
+/** The portal rejected the user ID or password */
+class PortalAuthError extends PortalError {}
+define(PortalAuthError, {
+  code: 'INVALID_CREDENTIALS',
+  statusCode: 401,
+  retryable: false,
+  userMessage: 'Invalid login credentials. Please check your user ID and password.'
+});
+
+/** The portal locked the account after too many login attempts */
+class PortalLockoutError extends PortalError {}
+define(PortalLockoutError, {
+  code: 'RATE_LIMITED',
+  statusCode: 429,
+  retryable: false,
+  userMessage: 'Too many login attempts. Please wait 15-30 minutes before trying again.'
+});
+
+/** The portal is down, in maintenance or unreachable */
+class PortalUnavailableError extends PortalError {}
+define(PortalUnavailableError, {
+  code: 'PORTAL_UNAVAILABLE',
+  statusCode: 503,
+  retryable: true,
+  userMessage: 'The portal is currently unavailable. Please try again later.'
+});
+
+/** The portal did not answer in time */
+class PortalTimeoutError extends PortalError {}
+define(PortalTimeoutError, {
+  code: 'TIMEOUT_ERROR',
+  statusCode: 504,
+  retryable: true,
+  userMessage: 'Request timeout. Please try again later.'
+});
+
+/**
+ * The circuit breaker saw the portal fail repeatedly and stopped sending fetches to it
+ */
+class PortalDownError extends PortalError {
+  /**
+   * @param {string} message - Technical message
+   * @param {Object} [options]
+   * @param {number} [options.retryAfter] - Seconds until the portal is tried again
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfter = options.retryAfter || null;
+  }
+}
+define(PortalDownError, {
+  code: 'PORTAL_DOWN',
+  statusCode: 503,
+  retryable: true,
+  userMessage: 'The portal appears to be down. Please try again in a few minutes.'
+});
+
+/** A portal page or payload no longer has the shape the selectors expect */
+class ScrapeSchemaError extends PortalError {}
+define(ScrapeSchemaError, {
+  code: 'SCRAPE_SCHEMA_ERROR',
+  statusCode: 502,
+  retryable: false,
+  userMessage: 'The portal layout has changed and could not be read. Please try again later.'
+});
+
+/** No browser could be launched or borrowed from the pool */
+class BrowserLaunchError extends PortalError {}
+define(BrowserLaunchError, {
+  code: 'SERVICE_UNAVAILABLE',
+  statusCode: 503,
+  retryable: true,
+  userMessage: 'Service temporarily unavailable. Please try again later.'
+});
+
+/**
+ * Thrown when the portal needs something the HTTP client can't do (JavaScript-rendered
+ * login, captcha, API calls it can't reproduce). The fetch is retried in the browser.
+ */
+class UnsupportedFlowError extends PortalError {
+  constructor(message, options) {
+    super(`Unsupported portal flow: ${message}`, options);
+  }
+}
+define(UnsupportedFlowError, {
+  code: 'UNSUPPORTED_FLOW',
+  statusCode: 502,
+  retryable: false,
+  userMessage: 'The portal could not be read. Please try again later.'
+});
+
+// Chrome's network error codes (net::ERR_CONNECTION_REFUSED) and Node's socket errors
+const NETWORK_ERROR_PATTERN = /net::ERR_|ECONNREFUSED|ECONNRESET|ENOTFOUND|EHOSTUNREACH/;
+
+/**
+ * Turn an error from Puppeteer, fetch() or the adapters into a PortalError
+ * @param {Error} error - Any error
+ * @returns {PortalError} - The error itself when it already is one
+ */
+const toPortalError = (error) => {
+  if (error instanceof PortalError) {
+    return error;
+  }
+  // Puppeteer's TimeoutError and AbortSignal.timeout() both use this name
+  if (error && error.name === 'TimeoutError') {
+    return new PortalTimeoutError(error.message, { cause: error });
+  }
+
+  const cause = error && error.cause;
+  if (error && (NETWORK_ERROR_PATTERN.test(error.message) || (cause && NETWORK_ERROR_PATTERN.test(cause.code || '')))) {
+    return new PortalUnavailableError(error.message, { cause: error });
+  }
+  return new PortalError(error ? error.message : 'Unknown error', { cause: error });
+};
+
+/**
+ * HTTP response of an error, shared by the fetch route and the global error handler
+ * Errors that aren't portal errors keep their own statusCode and message.
+ * @param {Error} error - Any error
+ * @returns {{ statusCode: number, code: string|undefined, message: string, retryable: boolean|undefined, retryAfter: number|null }}
+ */
+const describeError = (error) => {
+  if (error instanceof PortalError) {
+    return {
+      statusCode: error.statusCode,
+      code: error.code,
+      message: error.userMessage,
+      retryable: error.retryable,
+      retryAfter: error.retryAfter || null
+    };
+  }
+
+  return {
+    statusCode: error.statusCode || 500,
+    code: error.code,
+    message: error.message || 'Internal Server Error',
+    retryable: error.retryable,
+    retryAfter: error.retryAfter || null
+  };
+};
+
+module.exports = {
+  PortalError,
+  PortalAuthError,
+  PortalLockoutError,
+  PortalUnavailableError,
+  PortalTimeoutError,
+  PortalDownError,
+  ScrapeSchemaError,
+  BrowserLaunchError,
+  UnsupportedFlowError,
+  toPortalError,
+  describeError
+};
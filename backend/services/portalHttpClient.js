@@ -0,0 +1,310 @@
+const { PortalTimeoutError, PortalUnavailableError, toPortalError } = require('./portalErrors');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+const MAX_REDIRECTS = 10;
+
+const decodeEntities = (value) => value
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, '\'')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Attributes of an HTML tag, e.g. '<input type="hidden" name="_csrf" value="x">'
+ * @param {string} tag - Opening tag
+ * @returns {Object} - Lowercased attribute names to decoded values
+ */
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([^\s=<>/"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+
+  // Skip the tag name itself
+  const body = tag.replace(/^<\s*[\w-]+/, '').replace(/\/?>$/, '');
+  while ((match = pattern.exec(body)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attributes;
+};
+
+/**
+ * Text content of an HTML fragment
+ * @param {string} html - HTML
+ * @returns {string}
+ */
+const textOf = (html) => decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+/**
+ * Login form of a page: the first form with a password field
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL the page was served from (resolves the form action)
+ * @returns {Object|null} - { action, method, fields, userIdField, passwordField, hasCaptcha }
+ */
+const parseLoginForm = (html, pageUrl) => {
+  const forms = html.match(/<form\b[^>]*>[\s\S]*?<\/form>/gi) || [];
+
+  for (const form of forms) {
+    const inputs = (form.match(/<input\b[^>]*>/gi) || []).map(parseAttributes);
+    const passwordInput = inputs.find(input => (input.type || '').toLowerCase() === 'password');
+    if (!passwordInput) continue;
+
+    const userIdInput = inputs.find(input => ['text', 'email', 'tel', 'number', ''].includes((input.type || '').toLowerCase()) && input.name);
+    const formAttributes = parseAttributes(form.match(/<form\b[^>]*>/i)[0]);
+
+    // Hidden inputs carry the CSRF token (and anything else the portal expects back)
+    const fields = {};
+    for (const input of inputs) {
+      if (input.name && (input.type || '').toLowerCase() === 'hidden') {
+        fields[input.name] = input.value || '';
+      }
+    }
+
+    return {
+      action: new URL(formAttributes.action || pageUrl, pageUrl).toString(),
+      method: (formAttributes.method || 'get').toUpperCase(),
+      fields,
+      userIdField: userIdInput ? userIdInput.name : null,
+      passwordField: passwordInput.name || null,
+      hasCaptcha: /captcha/i.test(form)
+    };
+  }
+
+  return null;
+};
+
+/**
+ * CSRF token a page publishes in a meta tag (<meta name="csrf-token" content="...">)
+ * @param {string} html - Page HTML
+ * @returns {string|null}
+ */
+const parseCsrfMeta = (html) => {
+  const metas = (html.match(/<meta\b[^>]*>/gi) || []).map(parseAttributes);
+  const meta = metas.find(attributes => /csrf|xsrf/i.test(attributes.name || ''));
+  return meta ? meta.content || null : null;
+};
+
+/**
+ * Cookie Jar
+ * Minimal cookie storage for a single portal. Cookies are kept in the same shape
+ * Puppeteer uses, so sessions can move between the HTTP client and the browser.
+ */
+class CookieJar {
+  constructor() {
+    this.cookies = new Map();
+  }
+
+  /**
+   * Store the cookies of a response
+   * @param {Array<string>} headers - Set-Cookie header values
+   * @param {string} url - URL the response came from
+   */
+  store(headers, url) {
+    const { hostname, protocol } = new URL(url);
+
+    for (const header of headers) {
+      const [pair, ...attributeParts] = header.split(';');
+      const separator = pair.indexOf('=');
+      if (separator <= 0) continue;
+
+      const cookie = {
+        name: pair.slice(0, separator).trim(),
+        value: pair.slice(separator + 1).trim(),
+        domain: hostname,
+        path: '/',
+        expires: -1,
+        httpOnly: false,
+        secure: protocol === 'https:',
+        sameSite: 'Lax'
+      };
+
+      for (const part of attributeParts) {
+        const [rawKey, ...rawValue] = part.split('=');
+        const key = rawKey.trim().toLowerCase();
+        const value = rawValue.join('=').trim();
+
+        if (key === 'path' && value) cookie.path = value;
+        if (key === 'domain' && value) cookie.domain = value.replace(/^\./, '');
+        if (key === 'expires' && value) cookie.expires = Date.parse(value) / 1000;
+        if (key === 'max-age' && value) cookie.expires = Date.now() / 1000 + parseInt(value);
+        if (key === 'httponly') cookie.httpOnly = true;
+        if (key === 'secure') cookie.secure = true;
+        if (key === 'samesite' && value) cookie.sameSite = value;
+      }
+
+      if (cookie.expires !== -1 && cookie.expires * 1000 <= Date.now()) {
+        this.cookies.delete(cookie.name);
+      } else {
+        this.cookies.set(cookie.name, cookie);
+      }
+    }
+  }
+
+  /**
+   * Cookie header for a request
+   * @param {string} url - Request URL
+   * @returns {string}
+   */
+  header(url) {
+    const { hostname, pathname } = new URL(url);
+
+    return this.getAll()
+      .filter(cookie => (hostname === cookie.domain || hostname.endsWith(`.${cookie.domain}`)) && pathname.startsWith(cookie.path))
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Unexpired cookies
+   * @returns {Array} - Cookies in Puppeteer shape
+   */
+  getAll() {
+    const now = Date.now() / 1000;
+    return Array.from(this.cookies.values()).filter(cookie => cookie.expires === -1 || cookie.expires > now);
+  }
+
+  /**
+   * Value of a cookie
+   * @param {string} name - Cookie name
+   * @returns {string|null}
+   */
+  get(name) {
+    const cookie = this.cookies.get(name);
+    return cookie ? cookie.value : null;
+  }
+
+  /**
+   * Replace the jar content (e.g. with a stored session)
+   * @param {Array} cookies - Cookies in Puppeteer shape
+   */
+  setAll(cookies) {
+    this.cookies = new Map(cookies.map(cookie => [cookie.name, { path: '/', expires: -1, ...cookie }]));
+  }
+
+  clear() {
+    this.cookies.clear();
+  }
+}
+
+/**
+ * Portal HTTP Client
+ * fetch() with a cookie jar and manual redirects, for talking to the portal without
+ * a browser.
+ */
+class PortalHttpClient {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Per-request timeout in milliseconds
+   * @param {AbortSignal} [options.signal] - Aborts every request of the client
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 15000;
+    this.signal = options.signal || null;
+    this.jar = new CookieJar();
+  }
+
+  /**
+   * Send a request, following redirects and keeping cookies
+   * @param {string} url - Request URL
+   * @param {Object} [options]
+   * @param {string} [options.method] - HTTP method
+   * @param {Object} [options.headers] - Extra headers
+   * @param {Object} [options.form] - Fields to send urlencoded
+   * @returns {Promise<{ url: string, status: number, headers: Headers, body: string }>}
+   */
+  async request(url, { method = 'GET', headers = {}, form = null } = {}) {
+    let currentUrl = url;
+    let currentMethod = method;
+    let body = form ? new URLSearchParams(form).toString() : undefined;
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      let response;
+      try {
+        response = await fetch(currentUrl, {
+          method: currentMethod,
+          redirect: 'manual',
+          signal: this.signal
+            ? AbortSignal.any([this.signal, AbortSignal.timeout(this.timeout)])
+            : AbortSignal.timeout(this.timeout),
+          headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml,application/json;q=0.9,*/*;q=0.8',
+            ...(body ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {}),
+            ...(this.jar.header(currentUrl) ? { 'Cookie': this.jar.header(currentUrl) } : {}),
+            ...headers
+          },
+          body
+        });
+      } catch (error) {
+        if (this.signal && this.signal.aborted) {
+          throw toPortalError(this.signal.reason);
+        }
+        // fetch() rejects with a TimeoutError on AbortSignal.timeout(), a TypeError on network failures
+        if (error.name === 'TimeoutError') {
+          throw new PortalTimeoutError(`Portal request timed out: ${currentUrl}`, { cause: error });
+        }
+        throw new PortalUnavailableError(`Portal request failed: ${currentUrl}`, { cause: error });
+      }
+
+      const setCookies = typeof response.headers.getSetCookie === 'function'
+        ? response.headers.getSetCookie()
+        : (response.headers.get('set-cookie') ? [response.headers.get('set-cookie')] : []);
+      this.jar.store(setCookies, currentUrl);
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        currentUrl = new URL(location, currentUrl).toString();
+        // Like browsers, a redirected form POST becomes a GET (307/308 keep the method)
+        if (![307, 308].includes(response.status)) {
+          currentMethod = 'GET';
+          body = undefined;
+        }
+        continue;
+      }
+
+      return {
+        url: currentUrl,
+        status: response.status,
+        headers: response.headers,
+        body: await response.text()
+      };
+    }
+
+    throw new PortalUnavailableError(`Too many redirects from ${url}`);
+  }
+
+  /**
+   * GET a JSON resource the way the portal's Angular app does
+   * @param {string} url - Resource URL
+   * @returns {Promise<{ url: string, status: number, data: * }>} - data is null when the response isn't JSON
+   */
+  async getJson(url) {
+    const xsrfToken = this.jar.get('XSRF-TOKEN');
+    const response = await this.request(url, {
+      headers: {
+        'Accept': 'application/json, text/plain, */*',
+        'X-Requested-With': 'XMLHttpRequest',
+        ...(xsrfToken ? { 'X-XSRF-TOKEN': decodeURIComponent(xsrfToken) } : {})
+      }
+    });
+
+    let data = null;
+    if ((response.headers.get('content-type') || '').includes('json')) {
+      try {
+        data = JSON.parse(response.body);
+      } catch (error) {
+        data = null;
+      }
+    }
+
+    return { url: response.url, status: response.status, data };
+  }
+}
+
+module.exports = PortalHttpClient;
+module.exports.CookieJar = CookieJar;
+module.exports.parseLoginForm = parseLoginForm;
+module.exports.parseCsrfMeta = parseCsrfMeta;
+module.exports.textOf = textOf;
@@ -0,0 +1,102 @@
+const bcrypt = require('bcryptjs');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+/**
+ * Portal Session Store
+ * Keeps the UPES portal cookies of recent logins (encrypted, in memory) so the next
+ * fetch can skip the login form. Sessions expire after config.global.upes.sessionTimeout.
+ *
+ * Our own JWT is issued without checking the portal password, so a stored session is
+ * only handed out to a caller that presents the same password it was created with.
+ */
+class PortalSessionStore {
+  constructor(options = {}) {
+    this.ttl = options.ttl || config.global.upes.sessionTimeout;
+    this.sessions = new Map();
+
+    this.purgeTimer = setInterval(() => this.purgeExpired(), this.ttl);
+    if (this.purgeTimer.unref) this.purgeTimer.unref();
+  }
+
+  /**
+   * Store the portal cookies of a logged in user
+   * @param {string} userId - User ID
+   * @param {string} password - Password the session was created with
+   * @param {Array} cookies - Puppeteer cookies
+   */
+  async save(userId, password, cookies) {
+    if (!cookies || cookies.length === 0) return;
+
+    const passwordHash = await bcrypt.hash(password, config.security.bcryptRounds);
+
+    this.sessions.set(userId, {
+      cookies: encrypt(JSON.stringify(cookies)),
+      passwordHash,
+      expiresAt: Date.now() + this.ttl
+    });
+
+    logger.debug('Portal session stored', { userId, cookieCount: cookies.length });
+  }
+
+  /**
+   * Get the stored cookies of a user
+   * @param {string} userId - User ID
+   * @param {string} password - Password presented by the caller
+   * @returns {Promise<Array|null>} Cookies, or null when there is no usable session
+   */
+  async restore(userId, password) {
+    const session = this.sessions.get(userId);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      this.invalidate(userId);
+      return null;
+    }
+
+    const passwordMatches = await bcrypt.compare(password, session.passwordHash);
+    if (!passwordMatches) {
+      logger.security('Portal session reuse refused - password mismatch', { userId });
+      return null;
+    }
+
+    try {
+      const cookies = JSON.parse(decrypt(session.cookies));
+      if (!Array.isArray(cookies)) {
+        throw new Error('Stored session is not a cookie list');
+      }
+      return cookies;
+    } catch (error) {
+      logger.error('Failed to decrypt portal session', error);
+      this.invalidate(userId);
+      return null;
+    }
+  }
+
+  /**
+   * Forget the session of a user (e.g. when the portal rejected it)
+   * @param {string} userId - User ID
+   */
+  invalidate(userId) {
+    this.sessions.delete(userId);
+  }
+
+  /**
+   * Drop all expired sessions
+   */
+  purgeExpired() {
+    const now = Date.now();
+    for (const [userId, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(userId);
+      }
+    }
+  }
+}
+
+// Create singleton instance shared by all scrapers
+const portalSessionStore = new PortalSessionStore();
+
+module.exports = portalSessionStore;
+module.exports.PortalSessionStore = PortalSessionStore;
@@ -0,0 +1,429 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const config = require('../config/environment');
+const logger = require('../config/logger');
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATES = [JOB_STATES.SUCCEEDED, JOB_STATES.FAILED, JOB_STATES.CANCELLED];
+
+// Used for wait estimates until a few jobs have completed
+const DEFAULT_JOB_DURATION = 45000; // 45 seconds
+const DURATION_SAMPLE_SIZE = 20;
+
+/**
+ * Scraping Queue
+ * Limits how many scraping jobs (and therefore browsers) run at the same time.
+ * Jobs wait in FIFO order, run with a per-job timeout and are kept around for
+ * a while after they finish so clients can poll for the result.
+ */
+class ScrapingQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // Every open progress stream subscribes to queue events
+    this.setMaxListeners(0);
+
+    const queueConfig = config.global.queue;
+
+    this.concurrency = options.concurrency || queueConfig.concurrency;
+    this.jobTimeout = options.jobTimeout || queueConfig.jobTimeout;
+    this.maxQueueSize = options.maxQueueSize || queueConfig.maxQueueSize;
+    this.jobRetention = options.jobRetention || queueConfig.jobRetention;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = new Set();
+    this.recentDurations = [];
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} options - Job options
+   * @param {string} options.userId - Owner of the job
+   * @param {Function} options.task - Async function doing the work, receives the job
+   *   (job.signal is aborted when the job times out or is cancelled)
+   * @param {Function} [options.onCancel] - Called when the job is cancelled or times out
+   * @returns {Object} - The queued job
+   */
+  enqueue({ userId, task, onCancel = null }) {
+    if (this.pending.length >= this.maxQueueSize) {
+      const error = new Error('Scraping queue is full. Please try again in a few minutes.');
+      error.code = 'QUEUE_FULL';
+      error.statusCode = 503;
+      throw error;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      state: JOB_STATES.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      progress: {
+        stage: 'queued',
+        percentage: 0,
+        timestamp: new Date().toISOString()
+      },
+      // Every attempt at a stage, retries included, for troubleshooting failed fetches
+      diagnostics: {
+        attempts: []
+      },
+      task,
+      onCancel,
+      controller: new AbortController(),
+      timer: null
+    };
+    job.signal = job.controller.signal;
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+
+    logger.info('Scraping job queued', {
+      jobId: job.id,
+      userId,
+      position: this.pending.length,
+      running: this.running.size
+    });
+
+    this.emit('queued', job);
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - Job or null if unknown/expired
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Get the queued or running job of a user, if any
+   * @param {string} userId - User ID
+   * @returns {Object|null} - Active job or null
+   */
+  getActiveJobForUser(userId) {
+    for (const job of this.jobs.values()) {
+      if (job.userId === userId && !this.isFinished(job)) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Position of a job in the waiting line (1-based, 0 once it is running)
+   * @param {Object} job - Job
+   * @returns {number|null} - Position, or null when the job is finished
+   */
+  getPosition(job) {
+    if (job.state === JOB_STATES.RUNNING) return 0;
+    if (job.state !== JOB_STATES.QUEUED) return null;
+    return this.pending.indexOf(job) + 1;
+  }
+
+  /**
+   * Average duration of recently completed jobs
+   * @returns {number} - Duration in milliseconds
+   */
+  getAverageDuration() {
+    if (this.recentDurations.length === 0) return DEFAULT_JOB_DURATION;
+    const total = this.recentDurations.reduce((sum, duration) => sum + duration, 0);
+    return Math.round(total / this.recentDurations.length);
+  }
+
+  /**
+   * Estimate how long until a job finishes
+   * Queued jobs wait for the batches ahead of them; running jobs for the rest of an average run.
+   * @param {Object} job - Job
+   * @returns {number|null} - Estimated milliseconds, or null when the job is finished
+   */
+  getEstimatedWait(job) {
+    const averageDuration = this.getAverageDuration();
+
+    if (job.state === JOB_STATES.RUNNING) {
+      const elapsed = Date.now() - new Date(job.startedAt).getTime();
+      return Math.max(0, averageDuration - elapsed);
+    }
+
+    if (job.state === JOB_STATES.QUEUED) {
+      const batchesAhead = Math.ceil(this.getPosition(job) / this.concurrency);
+      return batchesAhead * averageDuration;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a job reached a final state
+   * @param {Object} job - Job
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return FINISHED_STATES.includes(job.state);
+  }
+
+  /**
+   * Record a progress update reported by a running job
+   * @param {Object} job - Job
+   * @param {Object} progress - { stage, percentage, timestamp }
+   */
+  updateProgress(job, progress) {
+    if (this.isFinished(job)) return;
+
+    job.progress = progress;
+    this.emit('progress', job, progress);
+  }
+
+  /**
+   * Record an attempt at a stage of a running job
+   * @param {Object} job - Job
+   * @param {Object} attempt - { stage, attempt, outcome, durationMs, code?, message?, retryInMs?, timestamp }
+   */
+  recordAttempt(job, attempt) {
+    if (this.isFinished(job)) return;
+
+    job.diagnostics.attempts.push(attempt);
+    if (attempt.retryInMs !== undefined) {
+      logger.warn('Scraping job stage failed, retrying', { jobId: job.id, ...attempt });
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - Cancelled job, or null if it does not exist
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || this.isFinished(job)) {
+      return job || null;
+    }
+
+    this.finish(job, JOB_STATES.CANCELLED, {
+      error: {
+        code: 'JOB_CANCELLED',
+        message: 'Attendance fetch was cancelled',
+        statusCode: 499,
+        retryable: false
+      }
+    });
+    this.stop(job, new DOMException('Attendance fetch was cancelled', 'AbortError'));
+
+    return job;
+  }
+
+  /**
+   * Give up on a queued or running job nobody is waiting for anymore (client disconnected)
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - The job, or null if it does not exist
+   */
+  abandon(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || this.isFinished(job)) {
+      return job || null;
+    }
+
+    logger.warn('Scraping job abandoned by its client', { jobId: job.id });
+    this.expire(job);
+
+    return job;
+  }
+
+  /**
+   * Fail a job with TIMEOUT_ERROR and stop its task
+   * @param {Object} job - Job
+   */
+  expire(job) {
+    this.finish(job, JOB_STATES.FAILED, {
+      error: {
+        code: 'TIMEOUT_ERROR',
+        message: 'Request timeout. Please try again later.',
+        statusCode: 504,
+        retryable: true
+      }
+    });
+    this.stop(job, new DOMException('Attendance fetch timed out', 'TimeoutError'));
+  }
+
+  /**
+   * Abort the signal of a finished job and run its cancel hook
+   * @param {Object} job - Job
+   * @param {DOMException} reason - Abort reason the task sees
+   */
+  stop(job, reason) {
+    job.controller.abort(reason);
+    this.runCancelHook(job);
+  }
+
+  /**
+   * Start as many pending jobs as the concurrency limit allows
+   */
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.run(job);
+    }
+  }
+
+  /**
+   * Run a single job with a timeout
+   * @param {Object} job - Job to run
+   */
+  async run(job) {
+    job.state = JOB_STATES.RUNNING;
+    job.startedAt = new Date().toISOString();
+    this.running.add(job);
+
+    logger.info('Scraping job started', { jobId: job.id, userId: job.userId });
+    this.emit('started', job);
+
+    job.timer = setTimeout(() => {
+      logger.warn('Scraping job timed out', { jobId: job.id, timeout: this.jobTimeout });
+      this.expire(job);
+    }, this.jobTimeout);
+
+    try {
+      const result = await job.task(job);
+      this.finish(job, JOB_STATES.SUCCEEDED, { result });
+    } catch (error) {
+      this.finish(job, JOB_STATES.FAILED, {
+        error: {
+          code: error.code || 'FETCH_ERROR',
+          message: error.message || 'Failed to fetch attendance data',
+          statusCode: error.statusCode || 500,
+          retryable: Boolean(error.retryable),
+          ...(error.retryAfter && { retryAfter: error.retryAfter }),
+          ...(error.details && { details: error.details })
+        }
+      });
+    }
+  }
+
+  /**
+   * Move a job into a final state and free its slot
+   * Later calls for an already finished job (e.g. the task settling after a timeout) are ignored.
+   * @param {Object} job - Job
+   * @param {string} state - Final state
+   * @param {Object} outcome - { result } or { error }
+   */
+  finish(job, state, { result = null, error = null }) {
+    if (this.isFinished(job)) return;
+
+    clearTimeout(job.timer);
+
+    const pendingIndex = this.pending.indexOf(job);
+    if (pendingIndex !== -1) {
+      this.pending.splice(pendingIndex, 1);
+    }
+    this.running.delete(job);
+
+    job.state = state;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    job.task = null;
+
+    if (state === JOB_STATES.SUCCEEDED) {
+      this.recordDuration(new Date(job.finishedAt) - new Date(job.startedAt));
+    }
+
+    logger.info('Scraping job finished', {
+      jobId: job.id,
+      userId: job.userId,
+      state,
+      ...(error && { errorCode: error.code })
+    });
+
+    this.emit('finished', job);
+    this.scheduleRemoval(job);
+    this.drain();
+  }
+
+  /**
+   * Remember how long a successful job took, for wait estimates
+   * @param {number} duration - Duration in milliseconds
+   */
+  recordDuration(duration) {
+    this.recentDurations.push(duration);
+    if (this.recentDurations.length > DURATION_SAMPLE_SIZE) {
+      this.recentDurations.shift();
+    }
+  }
+
+  /**
+   * Invoke the cancel hook of a job (e.g. browser cleanup)
+   * @param {Object} job - Job
+   */
+  runCancelHook(job) {
+    if (typeof job.onCancel !== 'function') return;
+
+    Promise.resolve()
+      .then(() => job.onCancel(job))
+      .catch(error => logger.error('Scraping job cancel hook failed', error));
+  }
+
+  /**
+   * Forget a finished job after the retention period
+   * @param {Object} job - Job
+   */
+  scheduleRemoval(job) {
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.jobRetention);
+    if (timer.unref) timer.unref();
+  }
+
+  /**
+   * Public representation of a job
+   * @param {Object} job - Job
+   * @returns {Object} - Serializable job data
+   */
+  serialize(job) {
+    return {
+      jobId: job.id,
+      state: job.state,
+      position: this.getPosition(job),
+      estimatedWaitMs: this.getEstimatedWait(job),
+      progress: job.progress,
+      diagnostics: job.diagnostics,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      ...(job.result && { result: job.result }),
+      ...(job.error && { error: job.error })
+    };
+  }
+
+  /**
+   * Queue statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running.size,
+      queued: this.pending.length,
+      maxQueueSize: this.maxQueueSize,
+      averageJobDuration: this.getAverageDuration()
+    };
+  }
+}
+
+// Create singleton instance shared by all routes
+const scrapingQueue = new ScrapingQueue();
+
+module.exports = scrapingQueue;
+module.exports.ScrapingQueue = ScrapingQueue;
+module.exports.JOB_STATES = JOB_STATES;
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+require('dotenv').config();
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'selectors.json');
+const WATCH_INTERVAL = 5000;
+
+// Sections every registry file must provide (lists of selectors, or of texts to look for)
+const REQUIRED_LISTS = [
+  'login.userIdField',
+  'login.passwordField',
+  'login.submitButton',
+  'login.submitButtonText',
+  'login.errorMessage',
+  'login.lockoutText',
+  'dashboard.logoutLink',
+  'dashboard.attendanceLink',
+  'profile.photo',
+  'profile.name'
+];
+
+const STRATEGY_TYPES = ['rows', 'columns', 'table'];
+
+/**
+ * Selector Registry
+ * Single source of the portal DOM selectors used by the scrapers. Loaded from a
+ * versioned JSON file (SELECTOR_REGISTRY_PATH, default config/selectors.json) that
+ * is watched and reloaded on change, so selectors can be updated without a restart.
+ * An invalid file is rejected and the previously loaded registry stays active.
+ */
+class SelectorRegistry {
+  constructor(filePath = process.env.SELECTOR_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+    this.filePath = filePath;
+    this.registry = null;
+    this.loadedAt = null;
+    this.watching = false;
+
+    this.reload();
+  }
+
+  /**
+   * Current registry
+   * @returns {Object}
+   */
+  get() {
+    return this.registry;
+  }
+
+  /**
+   * Get a selector group by dotted path, e.g. "login.userIdField"
+   * @param {string} key - Dotted path
+   * @returns {*} - Selector list or section
+   */
+  select(key) {
+    return key.split('.').reduce((section, part) => (section ? section[part] : undefined), this.registry);
+  }
+
+  /**
+   * Attendance extraction strategies of a given type, in priority order
+   * @param {string} [type] - Strategy type (rows, columns, table)
+   * @returns {Array}
+   */
+  getStrategies(type) {
+    const strategies = this.registry.attendance.strategies;
+    return type ? strategies.filter(strategy => strategy.type === type) : strategies;
+  }
+
+  /**
+   * Re-read the registry file
+   * @returns {boolean} - True when the new registry was applied
+   */
+  reload() {
+    try {
+      const registry = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.validate(registry);
+
+      const previousVersion = this.registry && this.registry.version;
+      this.registry = registry;
+      this.loadedAt = new Date().toISOString();
+
+      logger.info('Selector registry loaded', {
+        version: registry.version,
+        previousVersion,
+        file: this.filePath
+      });
+      return true;
+
+    } catch (error) {
+      // Never start without selectors, but keep serving the last good registry on a bad reload
+      if (!this.registry) {
+        throw new Error(`Selector registry could not be loaded: ${error.message}`);
+      }
+
+      logger.error('Selector registry reload rejected, keeping current version', {
+        version: this.registry.version,
+        reason: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Validate the structure of a registry file
+   * @param {Object} registry - Parsed registry
+   */
+  validate(registry) {
+    if (!registry || typeof registry.version !== 'string' || !registry.version) {
+      throw new Error('Registry must have a version tag');
+    }
+
+    for (const key of REQUIRED_LISTS) {
+      const list = key.split('.').reduce((section, part) => (section ? section[part] : undefined), registry);
+      if (!Array.isArray(list) || list.length === 0 || !list.every(selector => typeof selector === 'string')) {
+        throw new Error(`"${key}" must be a non-empty list of strings`);
+      }
+    }
+
+    // Named selectors whose presence shows the login reached the dashboard
+    const indicators = registry.dashboard.indicators;
+    if (!indicators || typeof indicators !== 'object' || Array.isArray(indicators) ||
+      Object.keys(indicators).length === 0 || !Object.values(indicators).every(selector => typeof selector === 'string')) {
+      throw new Error('"dashboard.indicators" must map names to selectors');
+    }
+
+    const strategies = registry.attendance && registry.attendance.strategies;
+    if (!Array.isArray(strategies) || strategies.length === 0) {
+      throw new Error('"attendance.strategies" must be a non-empty list');
+    }
+
+    for (const strategy of strategies) {
+      if (!strategy.name || !STRATEGY_TYPES.includes(strategy.type)) {
+        throw new Error(`Attendance strategy "${strategy.name}" needs a name and a type (${STRATEGY_TYPES.join(', ')})`);
+      }
+      if (!strategy.fields || !Array.isArray(strategy.fields.subject)) {
+        throw new Error(`Attendance strategy "${strategy.name}" must define fields.subject`);
+      }
+    }
+
+    // The subject detail view (class sessions) is optional
+    const detail = registry.attendance.detail;
+    if (detail && (!Array.isArray(detail.row) || !detail.fields || !Array.isArray(detail.fields.date))) {
+      throw new Error('"attendance.detail" must define row and fields.date');
+    }
+
+    // So is the timetable page
+    const timetable = registry.timetable;
+    if (timetable && (!Array.isArray(timetable.row) || !timetable.fields || !Array.isArray(timetable.fields.day))) {
+      throw new Error('"timetable" must define row and fields.day');
+    }
+
+    // Portal API payloads are optional; without them the scrapers only read the DOM
+    for (const [kind, api] of Object.entries(registry.api || {})) {
+      if (!api || !Array.isArray(api.urlPatterns) || api.urlPatterns.length === 0 || !api.fields) {
+        throw new Error(`"api.${kind}" must define urlPatterns and fields`);
+      }
+      if (api.endpoints !== undefined && (!Array.isArray(api.endpoints) || !api.endpoints.every(endpoint => typeof endpoint === 'string'))) {
+        throw new Error(`"api.${kind}.endpoints" must be a list of paths`);
+      }
+      for (const pattern of api.urlPatterns) {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          throw new Error(`"api.${kind}" has an invalid URL pattern: ${pattern}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Reload automatically whenever the registry file changes
+   */
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+
+    fs.watchFile(this.filePath, { interval: WATCH_INTERVAL, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        logger.info('Selector registry file changed, reloading', { file: this.filePath });
+        this.reload();
+      }
+    });
+  }
+
+  /**
+   * Registry information for status endpoints
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      version: this.registry.version,
+      portal: this.registry.portal,
+      loadedAt: this.loadedAt,
+      strategies: this.registry.attendance.strategies.map(strategy => strategy.name),
+      apiPayloads: Object.keys(this.registry.api || {})
+    };
+  }
+}
+
+// Create singleton instance shared by all scrapers
+const selectorRegistry = new SelectorRegistry();
+
+module.exports = selectorRegistry;
+module.exports.SelectorRegistry = SelectorRegistry;
@@ -0,0 +1,212 @@
+const { subjectKey } = require('./portalAdapter');
+
+/**
+ * Snapshot Diff
+ * Compares two attendance reports subject by subject, so students can see which
+ * classes were held and marked since their previous fetch, and flags corrections the
+ * portal made after the fact (counts that went down, subjects that vanished or were renamed).
+ */
+
+// Transitions that can't come from classes being held and marked
+const CORRECTION_TYPES = {
+  ATTENDED_DECREASED: 'attended_decreased',
+  TOTAL_DECREASED: 'total_decreased',
+  SUBJECT_REMOVED: 'subject_removed',
+  SUBJECT_RENAMED: 'subject_renamed'
+};
+
+/**
+ * Identity of an attendance record across reports
+ * A subject's theory and lab components are separate records, so the component is part of it.
+ * @param {Object} record - Canonical attendance record
+ * @returns {string}
+ */
+const recordKey = (record) => `${record.subjectCode || subjectKey(record.subject)}|${record.componentType || ''}`;
+
+/**
+ * Change of one subject between two reports
+ * @param {Object|undefined} previous - Record in the older report
+ * @param {Object|undefined} current - Record in the newer report
+ * @returns {Object}
+ */
+const diffRecord = (previous, current) => {
+  const { subject, subjectCode, componentType } = current || previous;
+  const before = previous || { attended: 0, total: 0, percentage: 0, status: null };
+  const after = current || { attended: 0, total: 0, percentage: 0, status: null };
+
+  const newClassesHeld = after.total - before.total;
+  const newClassesAttended = after.attended - before.attended;
+  const percentageChange = parseFloat((after.percentage - before.percentage).toFixed(2));
+  const statusChange = previous && current && previous.status !== current.status
+    ? { from: previous.status, to: current.status }
+    : null;
+
+  let change = 'unchanged';
+  if (!previous) change = 'added';
+  else if (!current) change = 'removed';
+  else if (newClassesHeld || newClassesAttended || percentageChange || statusChange) change = 'updated';
+
+  return {
+    subject,
+    subjectCode: subjectCode || null,
+    componentType: componentType || null,
+    change,
+    newClassesHeld,
+    newClassesAttended,
+    percentageChange,
+    statusChange,
+    attended: after.attended,
+    total: after.total,
+    percentage: after.percentage,
+    status: after.status
+  };
+};
+
+/**
+ * Per-subject deltas between an older and a newer report
+ * Subjects keep the newer report's order; subjects that disappeared come last.
+ * @param {Object} previous - Older report
+ * @param {Object} current - Newer report
+ * @returns {{ subjects: Array<Object>, totals: { newClassesHeld, newClassesAttended, statusChanges, changedSubjects } }}
+ */
+const diffReports = (previous, current) => {
+  const previousRecords = new Map((previous.attendance || []).map(record => [recordKey(record), record]));
+  const currentRecords = current.attendance || [];
+  const currentKeys = new Set(currentRecords.map(recordKey));
+
+  const subjects = [
+    ...currentRecords.map(record => diffRecord(previousRecords.get(recordKey(record)), record)),
+    ...Array.from(previousRecords.entries())
+      .filter(([key]) => !currentKeys.has(key))
+      .map(([, record]) => diffRecord(record, undefined))
+  ];
+
+  const updated = subjects.filter(subject => subject.change === 'updated');
+
+  return {
+    subjects,
+    totals: {
+      newClassesHeld: updated.reduce((sum, subject) => sum + subject.newClassesHeld, 0),
+      newClassesAttended: updated.reduce((sum, subject) => sum + subject.newClassesAttended, 0),
+      statusChanges: subjects.filter(subject => subject.statusChange).length,
+      changedSubjects: subjects.filter(subject => subject.change !== 'unchanged').length
+    }
+  };
+};
+
+/**
+ * Counts of a record as kept in a correction event
+ * @param {Object} record - Canonical attendance record
+ * @returns {Object}
+ */
+const toCounts = ({ subject, subjectCode, componentType, attended, total, percentage, status }) => ({
+  subject,
+  subjectCode: subjectCode || null,
+  componentType: componentType || null,
+  attended,
+  total,
+  percentage,
+  status
+});
+
+/**
+ * Sessions of the older record that the newer record lost or marks differently
+ * @param {Object} previous - Older record
+ * @param {Object} current - Newer record
+ * @param {boolean} missing - Whether to return the lost sessions (otherwise the re-marked ones)
+ * @returns {Array<{ date, timeSlot, type, before, after }>}
+ */
+const changedSessions = (previous, current, missing) => {
+  const sessionKey = (session) => `${session.date}|${session.timeSlot}`;
+  const currentSessions = new Map((current.sessions || []).map(session => [sessionKey(session), session]));
+
+  return (previous.sessions || [])
+    .map(session => ({ session, now: currentSessions.get(sessionKey(session)) }))
+    .filter(({ session, now }) => (missing ? !now : now && now.status !== session.status))
+    .map(({ session, now }) => ({
+      date: session.date,
+      timeSlot: session.timeSlot,
+      type: session.type,
+      before: session.status,
+      after: now ? now.status : null
+    }));
+};
+
+/**
+ * Correction event of a subject
+ * @param {string} type - One of CORRECTION_TYPES
+ * @param {Object} previous - Older record
+ * @param {Object|null} current - Newer record, null when the subject is gone
+ * @param {Array} [sessions] - Sessions backing the event
+ * @returns {Object}
+ */
+const toCorrection = (type, previous, current, sessions = []) => ({
+  type,
+  subject: (current || previous).subject,
+  subjectCode: (current || previous).subjectCode || null,
+  componentType: (current || previous).componentType || null,
+  before: toCounts(previous),
+  after: current ? toCounts(current) : null,
+  sessions
+});
+
+/**
+ * Corrections the portal made between an older and a newer report
+ * Held and attended classes only ever grow, so a lower count means the portal rewrote
+ * its records. A vanished subject whose counts reappear under another name (or code)
+ * with the same component is reported as renamed rather than removed.
+ * @param {Object} previous - Older report
+ * @param {Object} current - Newer report
+ * @returns {Array<Object>} - Correction events: { type, subject, subjectCode, componentType, before, after, sessions }
+ */
+const detectCorrections = (previous, current) => {
+  const previousRecords = new Map((previous.attendance || []).map(record => [recordKey(record), record]));
+  const currentRecords = current.attendance || [];
+  const corrections = [];
+  const added = [];
+
+  for (const record of currentRecords) {
+    const before = previousRecords.get(recordKey(record));
+    if (!before) {
+      added.push(record);
+      continue;
+    }
+    previousRecords.delete(recordKey(record));
+
+    if (subjectKey(before.subject) !== subjectKey(record.subject)) {
+      corrections.push(toCorrection(CORRECTION_TYPES.SUBJECT_RENAMED, before, record));
+    }
+    if (record.attended < before.attended) {
+      corrections.push(toCorrection(CORRECTION_TYPES.ATTENDED_DECREASED, before, record, changedSessions(before, record, false)));
+    }
+    if (record.total < before.total) {
+      corrections.push(toCorrection(CORRECTION_TYPES.TOTAL_DECREASED, before, record, changedSessions(before, record, true)));
+    }
+  }
+
+  // Whatever is left of the older report is gone from the newer one
+  for (const before of previousRecords.values()) {
+    const renamedIndex = added.findIndex(record =>
+      (record.componentType || null) === (before.componentType || null) &&
+      record.attended === before.attended &&
+      record.total === before.total
+    );
+
+    if (renamedIndex >= 0) {
+      const [renamed] = added.splice(renamedIndex, 1);
+      corrections.push(toCorrection(CORRECTION_TYPES.SUBJECT_RENAMED, before, renamed));
+    } else {
+      corrections.push(toCorrection(CORRECTION_TYPES.SUBJECT_REMOVED, before, null));
+    }
+  }
+
+  return corrections;
+};
+
+module.exports = {
+  CORRECTION_TYPES,
+  recordKey,
+  diffRecord,
+  diffReports,
+  detectCorrections
+};
@@ -0,0 +1,192 @@
+const config = require('../config/environment');
+const logger = require('../config/logger');
+const localDatabase = require('./localDatabase');
+const { detectCorrections } = require('./snapshotDiff');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_key TEXT NOT NULL,
+    captured_at TEXT NOT NULL,
+    report TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_snapshots_user_captured ON snapshots (user_key, captured_at);
+  CREATE TABLE IF NOT EXISTS correction_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_key TEXT NOT NULL,
+    snapshot_id INTEGER NOT NULL,
+    previous_snapshot_id INTEGER NOT NULL,
+    detected_at TEXT NOT NULL,
+    type TEXT NOT NULL,
+    event TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_corrections_user_detected ON correction_events (user_key, detected_at);
+`;
+
+/**
+ * The parts of a report that history, diffs and the timetable read back
+ * Student details (with the profile photo) and fetch details are left out.
+ * @param {Object} report - Attendance report
+ * @returns {Object} - { timestamp, summary, attendance, timetable }
+ */
+const toSnapshotReport = ({ timestamp, summary, attendance, timetable }) => ({ timestamp, summary, attendance, timetable });
+
+/**
+ * Snapshot Store
+ * Saves every successful attendance report as a timestamped snapshot in the local
+ * SQLite database (the attendance and timetable, not the student's details), keeping
+ * a user's newest config.history.maxSnapshotsPerUser.
+ *
+ * Each snapshot is compared with the user's previous one; corrections the portal made
+ * after the fact are kept as correction events, with the counts before and after.
+ */
+class SnapshotStore {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.database] - LocalDatabase (defaults to the shared one)
+   * @param {number} [options.maxSnapshotsPerUser] - Snapshots kept per user (defaults to config)
+   */
+  constructor(options = {}) {
+    this.database = options.database || localDatabase;
+    this.maxSnapshotsPerUser = options.maxSnapshotsPerUser || config.global.history.maxSnapshotsPerUser;
+    this.schemaReady = null;
+  }
+
+  /**
+   * Create the tables on first use
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    const db = await this.database.open();
+    // Reopening the database (after close) needs the schema again
+    if (this.schemaReady !== db) {
+      db.run(SCHEMA);
+      this.schemaReady = db;
+    }
+  }
+
+  /**
+   * Save a report as a snapshot and record the corrections since the previous one
+   * @param {string} userKey - User key (institution and user ID)
+   * @param {Object} report - Attendance report
+   * @returns {Promise<{ id: number, capturedAt: string, corrections: Array<Object> }>}
+   */
+  async saveSnapshot(userKey, report) {
+    await this.ready();
+    const capturedAt = report.timestamp || new Date().toISOString();
+    const { snapshots: [previous] } = await this.listSnapshots(userKey, { limit: 1 });
+
+    const { lastInsertId: id } = await this.database.run(
+      'INSERT INTO snapshots (user_key, captured_at, report) VALUES (?, ?, ?)',
+      [userKey, capturedAt, JSON.stringify(toSnapshotReport(report))]
+    );
+
+    const corrections = previous
+      ? detectCorrections(previous.report, report).map(correction => ({
+        ...correction,
+        snapshotId: id,
+        previousSnapshotId: previous.id,
+        capturedAt,
+        previousCapturedAt: previous.capturedAt
+      }))
+      : [];
+
+    for (const correction of corrections) {
+      await this.database.run(
+        'INSERT INTO correction_events (user_key, snapshot_id, previous_snapshot_id, detected_at, type, event) VALUES (?, ?, ?, ?, ?, ?)',
+        [userKey, id, previous.id, capturedAt, correction.type, JSON.stringify(correction)]
+      );
+    }
+    // The database is held in memory, so a user's history can't grow forever
+    await this.database.run(
+      `DELETE FROM snapshots WHERE user_key = ? AND id NOT IN
+        (SELECT id FROM snapshots WHERE user_key = ? ORDER BY captured_at DESC, id DESC LIMIT ?)`,
+      [userKey, userKey, this.maxSnapshotsPerUser]
+    );
+
+    if (corrections.length > 0) {
+      logger.warn('Portal corrected attendance records', {
+        userKey,
+        corrections: corrections.map(({ type, subject }) => `${type}: ${subject}`)
+      });
+    }
+
+    this.database.persist();
+    return { id, capturedAt, corrections };
+  }
+
+  /**
+   * A user's snapshots, newest first
+   * @param {string} userKey - User key
+   * @param {Object} [options]
+   * @param {string} [options.from] - Earliest capture time (ISO 8601, inclusive)
+   * @param {string} [options.to] - Latest capture time (ISO 8601, inclusive)
+   * @param {number} [options.page] - Page number, from 1
+   * @param {number} [options.limit] - Snapshots per page
+   * @returns {Promise<{ snapshots: Array<{ id, capturedAt, report }>, total: number }>}
+   */
+  async listSnapshots(userKey, options = {}) {
+    const { rows, total } = await this.listPage('snapshots', 'captured_at', 'id, captured_at, report', userKey, options);
+
+    return {
+      snapshots: rows.map(row => ({
+        id: row.id,
+        capturedAt: row.captured_at,
+        report: JSON.parse(row.report)
+      })),
+      total
+    };
+  }
+
+  /**
+   * A user's correction events, newest first
+   * @param {string} userKey - User key
+   * @param {Object} [options] - { from, to, page, limit } as for listSnapshots, on the detection time
+   * @returns {Promise<{ corrections: Array<Object>, total: number }>}
+   */
+  async listCorrections(userKey, options = {}) {
+    const { rows, total } = await this.listPage('correction_events', 'detected_at', 'id, event', userKey, options);
+
+    return {
+      corrections: rows.map(row => ({ id: row.id, ...JSON.parse(row.event) })),
+      total
+    };
+  }
+
+  /**
+   * One page of a user's rows of a table, newest first
+   * @param {string} table - Table name
+   * @param {string} timeColumn - ISO timestamp column the range and order apply to
+   * @param {string} columns - Selected columns
+   * @param {string} userKey - User key
+   * @param {Object} options - { from, to, page, limit }
+   * @returns {Promise<{ rows: Array<Object>, total: number }>}
+   */
+  async listPage(table, timeColumn, columns, userKey, { from, to, page = 1, limit = config.global.history.pageSize }) {
+    await this.ready();
+
+    let where = 'user_key = ?';
+    const params = [userKey];
+    if (from) {
+      where += ` AND ${timeColumn} >= ?`;
+      params.push(from);
+    }
+    if (to) {
+      where += ` AND ${timeColumn} <= ?`;
+      params.push(to);
+    }
+
+    const [{ total }] = await this.database.query(`SELECT COUNT(*) AS total FROM ${table} WHERE ${where}`, params);
+    const rows = await this.database.query(
+      `SELECT ${columns} FROM ${table} WHERE ${where} ORDER BY ${timeColumn} DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return { rows, total };
+  }
+}
+
+const snapshotStore = new SnapshotStore();
+
+module.exports = snapshotStore;
+module.exports.SnapshotStore = SnapshotStore;
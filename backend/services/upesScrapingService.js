@@ -1,129 +1,299 @@
-const puppeteer = require('puppeteer');
-const { findChrome } = require('../utils/browserFinder');
+const BrowserPortalAdapter = require('./browserPortalAdapter');
+const portalSessionStore = require('./portalSessionStore');
+const selectorRegistry = require('./selectorRegistry');
+const PortalApiCapture = require('./portalApiCapture');
+const {
+  PortalAuthError,
+  PortalLockoutError,
+  PortalUnavailableError,
+  ScrapeSchemaError,
+  toPortalError
+} = require('./portalErrors');
 require('dotenv').config();
 
-class UPESScrapingService {
-  constructor() {
-    this.browser = null;
-    this.page = null;
+// How long to wait for the Angular dashboard to render the attendance block
+const ATTENDANCE_RENDER_TIMEOUT = 10000;
+
+// How long to wait for the dashboard's API calls once logged in
+const API_CAPTURE_TIMEOUT = 5000;
+
+// How long to wait for a subject detail view's (or the timetable's) API call once the page has loaded
+const SESSIONS_API_TIMEOUT = 1000;
+
+/**
+ * UPES Beta Portal adapter
+ * Logs in through the portal form (reusing stored sessions when possible) and reads
+ * attendance and profile from the JSON the Angular dashboard loads, falling back to
+ * the rendered DOM when no usable payload was captured.
+ */
+class UPESScrapingService extends BrowserPortalAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.renderTimeout] - Max wait for the attendance block to render
+   * @param {number} [options.apiTimeout] - Max wait for the dashboard's API payloads
+   */
+  constructor(options = {}) {
+    super(options);
+    this.userId = null;
+    this.apiCapture = null;
+    this.apiDeadline = null;
+    this.renderTimeout = options.renderTimeout || ATTENDANCE_RENDER_TIMEOUT;
+    this.apiTimeout = options.apiTimeout || parseInt(process.env.UPES_API_CAPTURE_TIMEOUT) || API_CAPTURE_TIMEOUT;
+  }
+
+  /**
+   * Stop capturing API payloads and return the page to the pool
+   */
+  async close() {
+    if (this.apiCapture) {
+      this.apiCapture.stop();
+      this.apiCapture = null;
+    }
+    await super.close();
+  }
+
+  /**
+   * Sign in, reusing a stored portal session when the portal still accepts it
+   * @param {string} userId - Student ID
+   * @param {string} password - Password
+   * @returns {Promise<{ sessionReused: boolean }>}
+   */
+  async login(userId, password) {
+    this.userId = userId;
+
+    // A retried login must not leave the previous attempt's listener on the (pooled) page
+    if (this.apiCapture) {
+      this.apiCapture.stop();
+    }
+    // The dashboard loads its data right after login, so listen before navigating there
+    this.apiCapture = new PortalApiCapture(this.page).start();
+    this.apiDeadline = null;
+
+    const sessionReused = await this.restoreSession(userId, password);
+    if (!sessionReused) {
+      await this.loginWithForm(userId, password);
+    }
+    await this.saveSession(userId, password);
+
+    return { sessionReused };
+  }
+
+  /**
+   * Attendance of the logged in student
+   * @returns {Promise<Array>} - Attendance records
+   */
+  async fetchAttendance() {
+    const records = await this.getCapturedPayload('attendance');
+    if (records) {
+      console.log(`Read ${records.length} attendance records from the portal API`);
+      return records;
+    }
+
+    console.log('No attendance API payload captured, reading the dashboard DOM...');
+    return this.scrapeAttendanceData();
+  }
+
+  /**
+   * Profile of the logged in student
+   * @returns {Promise<Object>} - Student profile
+   */
+  async fetchProfile() {
+    const profile = await this.getCapturedPayload('profile');
+    if (profile) {
+      console.log('Read student profile from the portal API');
+      return { ...profile, studentId: profile.studentId || this.userId };
+    }
+
+    console.log('No profile API payload captured, reading the dashboard DOM...');
+    return this.getStudentProfile();
+  }
+
+  /**
+   * Class sessions of a subject, from its detail view on the portal
+   * @param {Object} record - Attendance record (with detailUrl or subjectCode)
+   * @returns {Promise<Array|null>} - Sessions, or null when the subject has no detail view
+   */
+  async fetchSessions(record) {
+    const detail = selectorRegistry.get().attendance.detail;
+    if (!detail || !this.page) return null;
+
+    const detailUrl = record.detailUrl || (record.subjectCode && detail.urlTemplate
+      ? new URL(detail.urlTemplate.replace('{subjectCode}', encodeURIComponent(record.subjectCode)), this.institution.loginUrl).toString()
+      : null);
+    if (!detailUrl) return null;
+
+    // Only wait for the detail view's API call when the dashboard used the API too
+    const portalHasApi = Boolean(this.apiCapture && Object.keys(this.apiCapture.payloads).length > 0);
+    if (this.apiCapture) {
+      this.apiCapture.clear('sessions');
+    }
+
+    console.log(`Opening detail view of ${record.subject}...`);
+    await this.page.goto(detailUrl, { waitUntil: 'networkidle2' });
+
+    if (portalHasApi) {
+      const sessions = await this.apiCapture.waitFor('sessions', SESSIONS_API_TIMEOUT);
+      if (sessions) return sessions;
+    }
+
+    return this.scrapeSessions(detail);
   }
 
   /**
-   * Initialize browser and page
+   * Weekly timetable, from the portal's timetable page
+   * @returns {Promise<Array|null>} - Timetable entries, or null when the portal has no timetable page
    */
-  async initBrowser() {
+  async fetchTimetable() {
+    const timetable = selectorRegistry.get().timetable;
+    if (!timetable || !timetable.url || !this.page) return null;
+
+    const portalHasApi = Boolean(this.apiCapture && Object.keys(this.apiCapture.payloads).length > 0);
+
+    console.log('Opening the timetable...');
+    await this.page.goto(new URL(timetable.url, this.institution.loginUrl).toString(), { waitUntil: 'networkidle2' });
+
+    if (portalHasApi) {
+      const entries = await this.apiCapture.waitFor('timetable', SESSIONS_API_TIMEOUT);
+      if (entries) return entries;
+    }
+
+    return this.scrapeTimetable(timetable);
+  }
+
+  /**
+   * Read the timetable from the rendered timetable page
+   * @param {Object} timetable - timetable section of the selector registry
+   * @returns {Promise<Array|null>} - Timetable entries, or null when the page didn't render
+   */
+  async scrapeTimetable(timetable) {
     try {
-      console.log('Environment:', process.env.NODE_ENV);
-      console.log('Platform:', process.platform);
+      await this.page.waitForSelector(timetable.container.join(', '), { timeout: this.renderTimeout });
+    } catch (waitError) {
+      console.log('Timetable did not render in time');
+      return null;
+    }
 
-      let browserOptions = {
-        headless: 'new',
-        timeout: parseInt(process.env.BROWSER_TIMEOUT) || 60000,
-        defaultViewport: { width: 1280, height: 720 }
+    return this.page.evaluate((timetable) => {
+      const textIn = (row, selectorList) => {
+        for (const selector of selectorList || []) {
+          const element = row.querySelector(selector);
+          if (element && element.textContent.trim()) return element.textContent.trim();
+        }
+        return null;
       };
 
-      // Enhanced browser args for cloud deployment
-      const browserArgs = [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor',
-        '--window-size=1280,720',
-        '--disable-extensions',
-        '--disable-plugins',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-renderer-backgrounding',
-        '--disable-default-apps',
-        '--disable-sync',
-        '--no-default-browser-check',
-        '--no-first-run',
-        '--disable-background-networking'
-      ];
-
-      // For production, try system browser first, fallback to bundled Chromium
-      if (process.env.NODE_ENV === 'production' && process.env.PUPPETEER_EXECUTABLE_PATH) {
-        console.log('Trying system Chrome:', process.env.PUPPETEER_EXECUTABLE_PATH);
-        browserOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
-        browserOptions.args = browserArgs;
-        
-        try {
-          this.browser = await puppeteer.launch(browserOptions);
-          console.log('System Chrome launched successfully');
-        } catch (systemError) {
-          console.log('System Chrome failed, falling back to bundled Chromium:', systemError.message);
-          // Fallback to bundled Chromium
-          delete browserOptions.executablePath;
-          this.browser = await puppeteer.launch(browserOptions);
-          console.log('Bundled Chromium launched successfully');
-        }
-      } else {
-        // Development: find local Chrome or use bundled
-        const chromePath = await findChrome();
-        if (chromePath) {
-          console.log('Using local Chrome:', chromePath);
-          browserOptions.executablePath = chromePath;
-        } else {
-          console.log('Using bundled Chromium');
+      let rows = [];
+      for (const selector of timetable.row) {
+        rows = document.querySelectorAll(selector);
+        if (rows.length > 0) break;
+      }
+
+      return Array.from(rows)
+        .map(row => {
+          const entry = {};
+          for (const field of Object.keys(timetable.fields)) {
+            entry[field] = textIn(row, timetable.fields[field]);
+          }
+          return entry;
+        })
+        .filter(entry => entry.day && entry.subject);
+    }, timetable);
+  }
+
+  /**
+   * Read the class sessions from the rendered subject detail view
+   * @param {Object} detail - attendance.detail section of the selector registry
+   * @returns {Promise<Array|null>} - Sessions, or null when the view didn't render
+   */
+  async scrapeSessions(detail) {
+    try {
+      await this.page.waitForSelector(detail.container.join(', '), { timeout: this.renderTimeout });
+    } catch (waitError) {
+      console.log('Subject detail view did not render in time');
+      return null;
+    }
+
+    return this.page.evaluate((detail) => {
+      const textIn = (row, selectorList) => {
+        for (const selector of selectorList || []) {
+          const element = row.querySelector(selector);
+          if (element) return element.textContent.trim();
         }
-        browserOptions.args = browserArgs;
-        this.browser = await puppeteer.launch(browserOptions);
+        return null;
+      };
+
+      let rows = [];
+      for (const selector of detail.row) {
+        rows = document.querySelectorAll(selector);
+        if (rows.length > 0) break;
       }
 
-      console.log('Browser launched successfully');
+      return Array.from(rows)
+        .map(row => ({
+          date: textIn(row, detail.fields.date),
+          timeSlot: textIn(row, detail.fields.timeSlot),
+          type: textIn(row, detail.fields.type),
+          status: textIn(row, detail.fields.status)
+        }))
+        .filter(session => session.date && session.status);
+    }, detail);
+  }
 
-      this.page = await this.browser.newPage();
-      
-      console.log('New page created successfully');
+  /**
+   * Data captured from the dashboard's API calls
+   * @param {string} kind - "attendance" or "profile"
+   * @returns {Promise<*>} - Parsed payload, or null when none was captured in time
+   */
+  async getCapturedPayload(kind) {
+    if (!this.apiCapture) return null;
 
-      this.page = await this.browser.newPage();
-      
-      // Set viewport and user agent
-      await this.page.setViewport({ width: 1280, height: 720 });
-      await this.page.setUserAgent(
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      );
+    // One wait budget for all payloads, so a portal without an API costs apiTimeout once
+    if (!this.apiDeadline) {
+      this.apiDeadline = Date.now() + this.apiTimeout;
+    }
+    return this.apiCapture.waitFor(kind, Math.max(0, this.apiDeadline - Date.now()));
+  }
 
-      // Set timeouts
-      this.page.setDefaultTimeout(parseInt(process.env.UPES_NAVIGATION_TIMEOUT) || 15000);
-      
-      console.log('Browser initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize browser:', error);
-      throw new Error('Browser initialization failed');
+  /**
+   * Log out of the portal and forget the stored session
+   */
+  async logout() {
+    if (this.userId) {
+      portalSessionStore.invalidate(this.getSessionKey(this.userId));
     }
+    await super.logout();
   }
 
   /**
-   * Login to UPES Beta Portal
+   * Login to UPES Beta Portal through the login form
    * @param {string} userId - Student ID
    * @param {string} password - Password
    * @returns {Promise<boolean>} - Login success status
    */
-  async login(userId, password) {
+  async loginWithForm(userId, password) {
     try {
       if (!this.page) {
         throw new Error('Browser not initialized');
       }
 
-      console.log('Navigating to UPES Beta Portal...');
+      const selectors = selectorRegistry.get().login;
+
+      console.log(`Navigating to ${this.institution.name} portal...`);
       
       // Navigate to login page
-      await this.page.goto(process.env.UPES_PORTAL_URL || 'https://myupes-beta.upes.ac.in/oneportal/app/auth/login', {
+      const response = await this.page.goto(this.institution.loginUrl, {
         waitUntil: 'networkidle2',
         timeout: parseInt(process.env.UPES_LOGIN_TIMEOUT) || 30000
       });
+      if (response && response.status() >= 500) {
+        throw new PortalUnavailableError(`Portal unavailable: HTTP ${response.status()} from login page`);
+      }
 
       // Wait for login form elements with multiple strategies
       console.log('Waiting for login form elements...');
       
       try {
-        await this.page.waitForSelector('input[name="userid"], input[id="userid"], input[type="text"], input[placeholder*="ID"], input[placeholder*="Email"]', { timeout: 15000 });
+        await this.page.waitForSelector(selectors.userIdField.join(', '), { timeout: 15000 });
         console.log('User ID field found');
       } catch (e) {
         console.log('Standard user ID selectors failed, trying alternatives...');
@@ -137,30 +307,23 @@ class UPESScrapingService {
           }))
         );
         console.log('Available input fields:', allInputs);
-        throw new Error('User ID field not found');
+        throw new ScrapeSchemaError('User ID field not found');
       }
 
       try {
-        await this.page.waitForSelector('input[name="password"], input[id="password"], input[type="password"]', { timeout: 10000 });
+        await this.page.waitForSelector(selectors.passwordField.join(', '), { timeout: 10000 });
         console.log('Password field found');
       } catch (e) {
         console.log('Password field not found with standard selectors');
-        throw new Error('Password field not found');
+        throw new ScrapeSchemaError('Password field not found');
       }
 
       // Get login form elements with improved selectors
-      let userIdSelector = await this.page.$('input[name="userid"]') || 
-                          await this.page.$('input[id="userid"]') || 
-                          await this.page.$('input[type="text"]') ||
-                          await this.page.$('input[placeholder*="ID"]') ||
-                          await this.page.$('input[placeholder*="Email"]');
-      
-      let passwordSelector = await this.page.$('input[name="password"]') || 
-                            await this.page.$('input[id="password"]') || 
-                            await this.page.$('input[type="password"]');
+      let userIdSelector = await this.findFirst(selectors.userIdField);
+      let passwordSelector = await this.findFirst(selectors.passwordField);
 
       if (!userIdSelector || !passwordSelector) {
-        throw new Error('Login form elements not found after detection');
+        throw new ScrapeSchemaError('Login form elements not found after detection');
       }
 
       console.log('Filling login credentials...');
@@ -180,12 +343,7 @@ class UPESScrapingService {
 
       // Find submit button with multiple strategies
       console.log('Looking for submit button...');
-      let submitButton = await this.page.$('input[type="submit"]') || 
-                        await this.page.$('button[type="submit"]') ||
-                        await this.page.$('button[class*="submit"]') ||
-                        await this.page.$('button[class*="login"]') ||
-                        await this.page.$('input[value*="Login"]') ||
-                        await this.page.$('input[value*="login"]');
+      let submitButton = await this.findFirst(selectors.submitButton);
 
       // If no specific submit button found, look for any button
       if (!submitButton) {
@@ -195,7 +353,7 @@ class UPESScrapingService {
         for (const button of buttons) {
           const text = await this.page.evaluate(el => el.textContent.toLowerCase(), button);
           console.log('Button text:', text);
-          if (text.includes('login') || text.includes('submit') || text.includes('sign in')) {
+          if (selectors.submitButtonText.some(buttonText => text.includes(buttonText))) {
             submitButton = button;
             break;
           }
@@ -230,7 +388,7 @@ class UPESScrapingService {
 
       // Check for error messages with expanded selectors including rate limiting
       const errorElements = await this.page.$$eval(
-        'div.error, .alert-danger, .error-message, [class*="error"], .alert, .warning, [class*="alert"]',
+        selectors.errorMessage.join(', '),
         elements => elements.map(el => el.textContent.trim()).filter(text => text.length > 0)
       );
 
@@ -239,30 +397,24 @@ class UPESScrapingService {
         console.log('Login error detected:', errorMessage);
         
         // Check for rate limiting specifically
-        if (errorMessage.toLowerCase().includes('too many') || 
-            errorMessage.toLowerCase().includes('login attempts') ||
-            errorMessage.toLowerCase().includes('try again later')) {
-          throw new Error(`RATE_LIMITED: ${errorMessage}`);
+        if (selectors.lockoutText.some(text => errorMessage.toLowerCase().includes(text))) {
+          throw new PortalLockoutError(`RATE_LIMITED: ${errorMessage}`);
         }
         
-        throw new Error(`Login failed: ${errorMessage}`);
+        throw new PortalAuthError(`Login failed: ${errorMessage}`);
       }
 
       // Enhanced login success detection
-      const isStillOnLoginPage = currentUrl.includes('login') || 
-                                currentUrl.includes('auth') ||
-                                currentUrl === (process.env.UPES_PORTAL_URL || 'https://myupes-beta.upes.ac.in/oneportal/app/auth/login');
+      const isStillOnLoginPage = this.isLoginPage(currentUrl);
 
       // Check for dashboard indicators
-      const dashboardIndicators = await this.page.evaluate(() => {
+      const dashboardIndicators = await this.page.evaluate((indicatorSelectors) => {
         const indicators = [];
         
         // Look for common dashboard elements
-        if (document.querySelector('[class*="dashboard"]')) indicators.push('dashboard-class');
-        if (document.querySelector('[class*="attendance"]')) indicators.push('attendance-class');
-        if (document.querySelector('[class*="student"]')) indicators.push('student-class');
-        if (document.querySelector('nav, .navbar')) indicators.push('navigation');
-        if (document.querySelector('.logout, [class*="logout"]')) indicators.push('logout-button');
+        for (const [indicator, selector] of Object.entries(indicatorSelectors)) {
+          if (document.querySelector(selector)) indicators.push(indicator);
+        }
         
         // Check page title
         if (document.title && !document.title.toLowerCase().includes('login')) {
@@ -270,13 +422,13 @@ class UPESScrapingService {
         }
         
         return indicators;
-      });
+      }, selectorRegistry.get().dashboard.indicators);
 
       console.log('Dashboard indicators found:', dashboardIndicators);
 
       if (isStillOnLoginPage && dashboardIndicators.length === 0) {
         console.log('Still appears to be on login page with no dashboard indicators');
-        throw new Error('Login failed: Still on login page');
+        throw new PortalAuthError('Login failed: Still on login page');
       }
 
       console.log('Login successful - proceeding to attendance page');
@@ -284,7 +436,62 @@ class UPESScrapingService {
 
     } catch (error) {
       console.error('Login failed:', error.message);
-      throw new Error(`Login failed: ${error.message}`);
+      // Keep the type (a lockout must not turn into rejected credentials)
+      throw toPortalError(error);
+    }
+  }
+
+  /**
+   * Try to resume a stored portal session instead of logging in
+   * @param {string} userId - Student ID
+   * @param {string} password - Password the session must have been created with
+   * @returns {Promise<boolean>} - True when the portal accepted the stored session
+   */
+  async restoreSession(userId, password) {
+    const cookies = await portalSessionStore.restore(this.getSessionKey(userId), password);
+    if (!cookies) {
+      return false;
+    }
+
+    console.log('Trying stored portal session...');
+
+    try {
+      await this.page.setCookie(...cookies);
+
+      // A logged in session gets redirected from the login page to the dashboard
+      await this.page.goto(this.institution.loginUrl, {
+        waitUntil: 'networkidle2',
+        timeout: parseInt(process.env.UPES_LOGIN_TIMEOUT) || 30000
+      });
+
+      if (!this.isLoginPage(this.page.url())) {
+        console.log('Stored portal session accepted');
+        return true;
+      }
+    } catch (error) {
+      console.log('Stored portal session check failed:', error.message);
+    }
+
+    console.log('Stored portal session rejected, falling back to full login');
+    portalSessionStore.invalidate(this.getSessionKey(userId));
+    await this.page.deleteCookie(...cookies).catch(() => {});
+    return false;
+  }
+
+  /**
+   * Store the portal cookies of the current session for later fetches
+   * @param {string} userId - Student ID
+   * @param {string} password - Password used for the session
+   */
+  async saveSession(userId, password) {
+    try {
+      // Keep only the fields page.setCookie() accepts
+      const cookies = (await this.page.cookies()).map(({ name, value, domain, path, expires, httpOnly, secure, sameSite }) => ({
+        name, value, domain, path, expires, httpOnly, secure, sameSite
+      }));
+      await portalSessionStore.save(this.getSessionKey(userId), password, cookies);
+    } catch (error) {
+      console.error('Failed to store portal session:', error.message);
     }
   }
 
@@ -300,150 +507,163 @@ class UPESScrapingService {
 
       console.log('Extracting attendance data from UPES dashboard...');
 
-      // Wait for the page to fully load and Angular to render
-      await this.page.waitForTimeout(10000);
+      // Wait for Angular to render any of the known attendance blocks
+      const strategies = selectorRegistry.getStrategies().filter(strategy => strategy.type !== 'table');
+      const renderSelectors = strategies.reduce(
+        (selectors, strategy) => selectors.concat(strategy.container || strategy.fields.subject),
+        []
+      );
+
+      try {
+        await this.page.waitForSelector(renderSelectors.join(', '), { timeout: this.renderTimeout });
+      } catch (waitError) {
+        console.log('Attendance block did not render in time, extracting from current page...');
+      }
 
       // Take a screenshot for debugging
-      await this.page.screenshot({ 
-        path: 'upes-dashboard.png', 
-        fullPage: true 
-      });
-      console.log('Dashboard screenshot saved as upes-dashboard.png');
+      if (process.env.SCRAPER_DEBUG_SCREENSHOTS === 'true') {
+        await this.page.screenshot({ 
+          path: 'upes-dashboard.png', 
+          fullPage: true 
+        });
+        console.log('Dashboard screenshot saved as upes-dashboard.png');
+      }
 
-      // Extract attendance data from the UPES dashboard using the specific Angular structure
-      const attendanceData = await this.page.evaluate(() => {
-        const attendanceInfo = [];
+      // Extract attendance data using the registry strategies; the first one that yields records wins
+      const attendanceData = await this.page.evaluate((strategies) => {
+        const queryFirst = (root, selectorList) => {
+          for (const selector of selectorList || []) {
+            const element = root.querySelector(selector);
+            if (element) return element;
+          }
+          return null;
+        };
 
-        // Look for the specific UPES attendance wrapper
-        const attendanceWrapper = document.querySelector('.attendance-warpper');
-        
-        if (attendanceWrapper) {
-          console.log('Found attendance wrapper');
+        const queryAll = (selectorList) => {
+          for (const selector of selectorList || []) {
+            const elements = document.querySelectorAll(selector);
+            if (elements.length > 0) return Array.from(elements);
+          }
+          return [];
+        };
+
+        const textOf = (element) => (element ? element.textContent.trim() : null);
+
+        const buildRecord = (subjectName, countText, percentageText) => {
+          // Parse the count (e.g., "13/15")
+          const countMatch = countText.match(/(\d+)\/(\d+)/);
+          let attended = null;
+          let total = null;
           
-          // Get all attendance rows
-          const attendanceRows = attendanceWrapper.querySelectorAll('.row.mb-2');
-          console.log('Found attendance rows:', attendanceRows.length);
+          if (countMatch) {
+            attended = parseInt(countMatch[1]);
+            total = parseInt(countMatch[2]);
+          }
           
-          for (const row of attendanceRows) {
-            try {
-              // Extract subject name from .attndnce-mod span
-              const subjectElement = row.querySelector('.attndnce-mod');
-              const subjectName = subjectElement ? subjectElement.textContent.trim() : null;
-              
-              // Extract count (attended/total) from .count-text span
-              const countElement = row.querySelector('.count-text');
-              const countText = countElement ? countElement.textContent.trim() : null;
-              
-              // Extract percentage from .percentage-text span
-              const percentageElement = row.querySelector('.percentage-text');
-              const percentageText = percentageElement ? percentageElement.textContent.trim() : null;
-              
-              if (subjectName && countText && percentageText) {
-                // Parse the count (e.g., "13/15")
-                const countMatch = countText.match(/(\d+)\/(\d+)/);
-                let attended = null;
-                let total = null;
-                
-                if (countMatch) {
-                  attended = parseInt(countMatch[1]);
-                  total = parseInt(countMatch[2]);
-                }
-                
-                // Parse percentage (e.g., "86.67%")
-                const percentageMatch = percentageText.match(/(\d+(?:\.\d+)?)/);
-                const percentage = percentageMatch ? parseFloat(percentageMatch[1]) : 0;
+          // Parse percentage (e.g., "86.67%")
+          const percentageMatch = percentageText.match(/(\d+(?:\.\d+)?)/);
+          const percentage = percentageMatch ? parseFloat(percentageMatch[1]) : 0;
+          
+          // Determine status based on percentage
+          let status = 'Unknown';
+          if (percentage >= 75) {
+            status = 'Good';
+          } else if (percentage >= 65) {
+            status = 'Warning';
+          } else {
+            status = 'Critical';
+          }
+          
+          return {
+            subject: subjectName,
+            subjectCode: null,
+            faculty: null,
+            componentType: null,
+            attended: attended,
+            total: total,
+            percentage: parseFloat(percentage.toFixed(2)),
+            status: status
+          };
+        };
+
+        for (const strategy of strategies) {
+          const attendanceInfo = [];
+          const fields = strategy.fields;
+
+          if (strategy.type === 'rows') {
+            // One container with a row per subject (e.g. the UPES .attendance-warpper)
+            const container = queryFirst(document, strategy.container);
+            if (!container) {
+              console.log(`Strategy ${strategy.name}: container not found`);
+              continue;
+            }
+
+            let rows = [];
+            for (const selector of strategy.row) {
+              rows = container.querySelectorAll(selector);
+              if (rows.length > 0) break;
+            }
+            console.log(`Strategy ${strategy.name}: found attendance rows:`, rows.length);
+
+            for (const row of rows) {
+              try {
+                const subjectName = textOf(queryFirst(row, fields.subject));
+                const countText = textOf(queryFirst(row, fields.count));
+                const percentageText = textOf(queryFirst(row, fields.percentage));
                 
-                // Determine status based on percentage
-                let status = 'Unknown';
-                if (percentage >= 75) {
-                  status = 'Good';
-                } else if (percentage >= 65) {
-                  status = 'Warning';
-                } else {
-                  status = 'Critical';
+                if (subjectName && countText && percentageText) {
+                  const record = buildRecord(subjectName, countText, percentageText);
+                  record.subjectCode = textOf(queryFirst(row, fields.subjectCode)) || null;
+                  record.faculty = textOf(queryFirst(row, fields.faculty)) || null;
+                  record.componentType = textOf(queryFirst(row, fields.componentType)) || null;
+
+                  // Link to the subject detail view (class sessions), when the row has one
+                  const detailLink = queryFirst(row, fields.detailLink);
+                  if (detailLink && detailLink.href) {
+                    record.detailUrl = detailLink.href;
+                  }
+
+                  attendanceInfo.push(record);
                 }
-                
-                attendanceInfo.push({
-                  subject: subjectName,
-                  attended: attended,
-                  total: total,
-                  percentage: parseFloat(percentage.toFixed(2)),
-                  status: status
-                });
-                
-                console.log('Extracted:', {
-                  subject: subjectName,
-                  count: countText,
-                  percentage: percentageText,
-                  parsed: { attended, total, percentage }
-                });
+              } catch (rowError) {
+                console.error('Error processing row:', rowError);
+                continue;
               }
-            } catch (rowError) {
-              console.error('Error processing row:', rowError);
-              continue;
             }
-          }
-        } else {
-          console.log('Attendance wrapper not found, trying alternative selectors...');
-          
-          // Alternative: Look for any elements with the specific class names
-          const subjectElements = document.querySelectorAll('.attndnce-mod');
-          const countElements = document.querySelectorAll('.count-text');
-          const percentageElements = document.querySelectorAll('.percentage-text');
-          
-          console.log('Found elements:', {
-            subjects: subjectElements.length,
-            counts: countElements.length,
-            percentages: percentageElements.length
-          });
-          
-          // Match them up if they have the same count
-          if (subjectElements.length === countElements.length && 
-              countElements.length === percentageElements.length) {
+          } else if (strategy.type === 'columns') {
+            // Loose elements anywhere on the page, matched up by position
+            const subjectElements = queryAll(fields.subject);
+            const countElements = queryAll(fields.count);
+            const percentageElements = queryAll(fields.percentage);
             
-            for (let i = 0; i < subjectElements.length; i++) {
-              const subjectName = subjectElements[i].textContent.trim();
-              const countText = countElements[i].textContent.trim();
-              const percentageText = percentageElements[i].textContent.trim();
-              
-              // Parse the count
-              const countMatch = countText.match(/(\d+)\/(\d+)/);
-              let attended = null;
-              let total = null;
-              
-              if (countMatch) {
-                attended = parseInt(countMatch[1]);
-                total = parseInt(countMatch[2]);
-              }
-              
-              // Parse percentage
-              const percentageMatch = percentageText.match(/(\d+(?:\.\d+)?)/);
-              const percentage = percentageMatch ? parseFloat(percentageMatch[1]) : 0;
-              
-              // Determine status
-              let status = 'Unknown';
-              if (percentage >= 75) {
-                status = 'Good';
-              } else if (percentage >= 65) {
-                status = 'Warning';
-              } else {
-                status = 'Critical';
+            console.log(`Strategy ${strategy.name}: found elements:`, {
+              subjects: subjectElements.length,
+              counts: countElements.length,
+              percentages: percentageElements.length
+            });
+            
+            // Match them up if they have the same count
+            if (subjectElements.length === countElements.length && 
+                countElements.length === percentageElements.length) {
+              for (let i = 0; i < subjectElements.length; i++) {
+                attendanceInfo.push(buildRecord(
+                  textOf(subjectElements[i]),
+                  textOf(countElements[i]),
+                  textOf(percentageElements[i])
+                ));
               }
-              
-              attendanceInfo.push({
-                subject: subjectName,
-                attended: attended,
-                total: total,
-                percentage: parseFloat(percentage.toFixed(2)),
-                status: status
-              });
             }
           }
+
+          if (attendanceInfo.length > 0) {
+            console.log(`Strategy ${strategy.name} extracted:`, attendanceInfo);
+            return attendanceInfo;
+          }
         }
 
-        console.log('Final attendance data:', attendanceInfo);
-        return attendanceInfo;
-      });
+        console.log('No attendance strategy matched');
+        return [];
+      }, strategies);
 
       console.log(`Successfully extracted ${attendanceData.length} attendance records`);
 
@@ -459,7 +679,7 @@ class UPESScrapingService {
       console.error('Stack trace:', error.stack);
       
       // Don't return sample data, let the error bubble up so we can debug
-      throw new Error(`Failed to scrape attendance data: ${error.message}`);
+      throw toPortalError(error);
     }
   }
 
@@ -469,12 +689,12 @@ class UPESScrapingService {
    */
   async getStudentProfile() {
     try {
-      const profile = await this.page.evaluate(() => {
+      const profile = await this.page.evaluate((selectors, patterns, defaults) => {
         // Simple and robust profile extraction
-        let name = 'Student Name'; // Better default
-        let studentId = '590018413'; // Default from logs
-        let course = 'B.Tech CSE'; // Default
-        let semester = 'Semester 3'; // Default
+        let name = defaults.name; // Better default
+        let studentId = defaults.studentId;
+        let course = defaults.course;
+        let semester = defaults.semester;
         let profilePhoto = null;
         let status = 'Active';
 
@@ -484,11 +704,14 @@ class UPESScrapingService {
         // Enhanced profile photo extraction with base64 support
         console.log('Looking for profile photos...');
         
-        // First, try the specific selector from the provided HTML
-        const profileAvatarImg = document.querySelector('.profile-avatar-wrapper img.user-avatar');
-        if (profileAvatarImg && profileAvatarImg.src) {
-          profilePhoto = profileAvatarImg.src;
-          console.log('✅ Found profile avatar with specific selector:', profilePhoto.substring(0, 100) + '...');
+        // First, try the specific profile avatar selectors
+        for (const selector of selectors.photo) {
+          const profileAvatarImg = document.querySelector(selector);
+          if (profileAvatarImg && profileAvatarImg.src) {
+            profilePhoto = profileAvatarImg.src;
+            console.log('✅ Found profile avatar with specific selector:', profilePhoto.substring(0, 100) + '...');
+            break;
+          }
         }
         
         // If not found, look for any base64 images (data:image/...)
@@ -505,18 +728,7 @@ class UPESScrapingService {
         
         // Fallback to other selectors if needed
         if (!profilePhoto) {
-          const photoSelectors = [
-            'img.user-avatar',
-            'img[class*="avatar"]',
-            'img[class*="profile"]',
-            'img[alt*="profile" i]',
-            'img[alt*="photo" i]',
-            '.user-avatar img',
-            '.profile-photo img',
-            'img[class*="user"]'
-          ];
-
-          for (const selector of photoSelectors) {
+          for (const selector of selectors.photoFallback) {
             try {
               const photoElement = document.querySelector(selector);
               if (photoElement && photoElement.src) {
@@ -561,11 +773,11 @@ class UPESScrapingService {
           
           // First, try to find name in welcome/greeting messages, avoiding unwanted text
           const namePatterns = [
-            /Welcome[,\s]+([A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,3})(?!\s*selected)/i,
-            /Hello[,\s]+([A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,3})(?!\s*selected)/i,
-            /Hi[,\s]+([A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,3})(?!\s*selected)/i,
-            /Student Name:\s*([A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,3})/i,
-            /Name:\s*([A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,3})/i
+            /Welcome[,\s]+([A-Z][a-z]+(?:[ \t]+[A-Z][a-z]+){1,3})(?!\s*selected)/i,
+            /Hello[,\s]+([A-Z][a-z]+(?:[ \t]+[A-Z][a-z]+){1,3})(?!\s*selected)/i,
+            /Hi[,\s]+([A-Z][a-z]+(?:[ \t]+[A-Z][a-z]+){1,3})(?!\s*selected)/i,
+            /Student Name:\s*([A-Z][a-z]+(?:[ \t]+[A-Z][a-z]+){1,3})/i,
+            /Name:\s*([A-Z][a-z]+(?:[ \t]+[A-Z][a-z]+){1,3})/i
           ];
           
           for (const pattern of namePatterns) {
@@ -595,9 +807,11 @@ class UPESScrapingService {
           
           // If still no valid name, try element-based extraction with strict filtering
           if (name === 'Student Name') {
-            // First try the specific UPES selector for student name
+            // First try the specific UPES selectors for student name
             try {
-              const userNameElement = document.querySelector('h3.user-name a.student-profile-link');
+              const userNameElement = selectors.name
+                .map(selector => document.querySelector(selector))
+                .find(element => element);
               if (userNameElement) {
                 const extractedName = userNameElement.textContent.trim();
                 console.log('Found name from specific UPES selector:', extractedName);
@@ -625,13 +839,7 @@ class UPESScrapingService {
             
             // Fallback to other selectors if needed
             if (name === 'Student Name') {
-              const nameSelectors = [
-                '.user-name a', '.user-name', 'h3.user-name', 
-                'h1', 'h2', 'h3', '.student-name', 
-                '.profile-name', '[class*="name"]', '.welcome-message'
-              ];
-            
-              for (const selector of nameSelectors) {
+              for (const selector of selectors.nameFallback) {
                 try {
                   const elements = document.querySelectorAll(selector);
                   for (const element of elements) {
@@ -701,15 +909,14 @@ class UPESScrapingService {
 
           // Look for student ID
           const idMatch = bodyText.match(/(?:Student\s*ID|ID):\s*(\d{8,12})/i) || 
-                          bodyText.match(/\b(590018\d{3})\b/) || // UPES pattern
-                          bodyText.match(/\b(\d{9,10})\b/);
+                          (patterns.studentIdPattern && bodyText.match(new RegExp(patterns.studentIdPattern))); // Institution ID format
           if (idMatch) {
             studentId = idMatch[1];
             console.log('Found student ID:', studentId);
           }
 
           // Look for course
-          const courseMatch = bodyText.match(/(B\.Tech\s*(?:CSE|Computer Science|ECE|ME|CE|EE|IT)?|BCA|MCA|M\.Tech)/i);
+          const courseMatch = patterns.coursePattern && bodyText.match(new RegExp(patterns.coursePattern, 'i'));
           if (courseMatch) {
             course = courseMatch[1];
             console.log('Found course:', course);
@@ -737,7 +944,7 @@ class UPESScrapingService {
         
         console.log('Final profile result:', result);
         return result;
-      });
+      }, selectorRegistry.get().profile, this.institution.profile || {}, this.getDefaultProfile());
 
       console.log('Extracted student profile:', profile);
       return profile;
@@ -745,10 +952,7 @@ class UPESScrapingService {
       console.error('Failed to get student profile:', error);
       // Return default profile
       return {
-        name: 'Student Name',
-        studentId: '590018413',
-        course: 'B.Tech CSE',
-        semester: 'Semester 3',
+        ...this.getDefaultProfile(),
         status: 'Active',
         profilePhoto: null
       };
@@ -756,61 +960,33 @@ class UPESScrapingService {
   }
 
   /**
-   * Close browser and cleanup
+   * Profile values used when the dashboard doesn't show them
+   * @returns {Object}
    */
-  async cleanup() {
-    try {
-      if (this.page) {
-        await this.page.close();
-        this.page = null;
-      }
-      if (this.browser) {
-        await this.browser.close();
-        this.browser = null;
-      }
-      console.log('Browser cleanup completed');
-    } catch (error) {
-      console.error('Cleanup failed:', error);
-    }
+  getDefaultProfile() {
+    return {
+      name: 'Student Name',
+      studentId: this.userId || null,
+      course: null,
+      semester: null
+    };
   }
 
   /**
-   * Full attendance fetching workflow
-   * @param {string} userId - Student ID
-   * @param {string} password - Password
-   * @returns {Promise<Object>} - Complete attendance report
+   * Find the first element matching one of the given selectors
+   * @param {Array<string>} selectors - Selectors in priority order
+   * @returns {Promise<ElementHandle|null>}
    */
-  async fetchAttendanceReport(userId, password) {
-    try {
-      await this.initBrowser();
-      await this.login(userId, password);
-      
-      const attendanceData = await this.scrapeAttendanceData();
-      const profile = await this.getStudentProfile();
-      
-      const report = {
-        success: true,
-        timestamp: new Date().toISOString(),
-        student: profile,
-        attendance: attendanceData,
-        summary: {
-          totalSubjects: attendanceData.length,
-          safeSubjects: attendanceData.filter(a => a.status === 'Good' || a.percentage >= 75).length,
-          warningSubjects: attendanceData.filter(a => a.status === 'Warning' || (a.percentage >= 65 && a.percentage < 75)).length,
-          criticalSubjects: attendanceData.filter(a => a.status === 'Critical' || a.percentage < 65).length,
-          overallPercentage: attendanceData.length > 0 ? 
-            parseFloat((attendanceData.reduce((sum, a) => sum + a.percentage, 0) / attendanceData.length).toFixed(2)) : 0
-        }
-      };
-
-      return report;
-
-    } catch (error) {
-      throw error;
-    } finally {
-      await this.cleanup();
+  async findFirst(selectors) {
+    for (const selector of selectors) {
+      const element = await this.page.$(selector);
+      if (element) {
+        console.log(`Found element with selector: ${selector}`);
+        return element;
+      }
     }
+    return null;
   }
 }
 
-module.exports = UPESScrapingService;
\ No newline at end of file
+module.exports = UPESScrapingService;
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const app = require('../index');
+const attendanceCache = require('../services/attendanceCache');
+const portalCircuitBreaker = require('../services/portalCircuitBreaker');
+const { AttendanceCache } = attendanceCache;
+
+const report = (name) => ({
+  student: { name },
+  attendance: [],
+  metadata: { requestedBy: '500123456', cachedAt: '2025-08-01T10:00:00.000Z', servedFromCache: false }
+});
+
+describe('AttendanceCache', () => {
+  it('only serves a report to the password it was fetched with', async () => {
+    const cache = new AttendanceCache({ ttl: 60000, maxSize: 10 });
+    await cache.set('upes:500123456', 'test-password', report('Aarav Sharma'));
+
+    expect(await cache.get('upes:500123456', 'test-password')).toEqual({
+      report: report('Aarav Sharma'),
+      cachedAt: '2025-08-01T10:00:00.000Z'
+    });
+    expect(await cache.get('upes:500123456', 'wrong-password')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ size: 1, hits: 1, misses: 1 });
+  });
+
+  it('expires reports after the TTL', async () => {
+    const cache = new AttendanceCache({ ttl: 20, maxSize: 10 });
+    await cache.set('upes:500123456', 'test-password', report('Aarav Sharma'));
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    expect(await cache.get('upes:500123456', 'test-password')).toBeNull();
+    expect(cache.getStats().size).toBe(0);
+  });
+
+  it('drops the least recently used report when full', async () => {
+    const cache = new AttendanceCache({ ttl: 60000, maxSize: 2 });
+    await cache.set('upes:1', 'password', report('One'));
+    await cache.set('upes:2', 'password', report('Two'));
+
+    // Reading the first report makes the second the least recently used
+    await cache.get('upes:1', 'password');
+    await cache.set('upes:3', 'password', report('Three'));
+
+    expect(await cache.get('upes:1', 'password')).not.toBeNull();
+    expect(await cache.get('upes:2', 'password')).toBeNull();
+    expect(await cache.get('upes:3', 'password')).not.toBeNull();
+  });
+});
+
+describe('attendance fetch with a cached report', () => {
+  let auth;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ userId: '500123456', password: 'secret', institutionId: 'upes' })
+      .expect(200);
+    auth = `Bearer ${res.body.token}`;
+
+    await attendanceCache.set('upes:500123456', 'secret', report('Aarav Sharma'));
+    // Requests that get past the cache fail fast instead of starting a scrape
+    portalCircuitBreaker.open('upes');
+  });
+
+  afterAll(() => {
+    attendanceCache.invalidate('upes:500123456');
+    portalCircuitBreaker.reset();
+  });
+
+  it('answers from the cache with cachedAt and servedFromCache', async () => {
+    const res = await request(app)
+      .post('/api/attendance/fetch')
+      .set('Authorization', auth)
+      .send({ password: 'secret' })
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({
+      state: 'succeeded',
+      servedFromCache: true,
+      cachedAt: '2025-08-01T10:00:00.000Z',
+      result: {
+        student: { name: 'Aarav Sharma' },
+        metadata: { cachedAt: '2025-08-01T10:00:00.000Z', servedFromCache: true }
+      }
+    });
+  });
+
+  it('goes to the portal when forced or given another password', async () => {
+    const forced = await request(app)
+      .post('/api/attendance/fetch?force=true')
+      .set('Authorization', auth)
+      .send({ password: 'secret' })
+      .expect(503);
+    expect(forced.body.code).toBe('PORTAL_DOWN');
+
+    await request(app)
+      .post('/api/attendance/fetch')
+      .set('Authorization', auth)
+      .send({ password: 'other-secret' })
+      .expect(503);
+  });
+
+  it('throttles cache lookups before comparing passwords', async () => {
+    const guesses = [];
+    for (let i = 0; i < 20; i++) {
+      guesses.push(await request(app)
+        .post('/api/attendance/fetch')
+        .set('Authorization', auth)
+        .send({ password: 'secret' }));
+    }
+    // Earlier tests in this file already made 3 lookups
+    expect(guesses.filter(res => res.status === 429)).toHaveLength(3);
+
+    const compare = jest.spyOn(attendanceCache, 'get');
+    const res = await request(app)
+      .post('/api/attendance/fetch')
+      .set('Authorization', auth)
+      .send({ password: 'secret' })
+      .expect(429);
+    expect(res.body.code).toBe('TOO_MANY_FETCH_ATTEMPTS');
+    expect(compare).not.toHaveBeenCalled();
+    compare.mockRestore();
+  });
+});
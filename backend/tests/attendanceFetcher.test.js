@@ -0,0 +1,52 @@
+const { createMockPortal, LOGIN_PATH } = require('../mock-portal/server');
+const { enqueueAttendanceFetch } = require('../services/attendanceFetcher');
+const institutionRegistry = require('../services/institutionRegistry');
+const scrapingQueue = require('../services/scrapingQueue');
+const snapshotStore = require('../services/snapshotStore');
+const passwordProofStore = require('../services/passwordProofStore');
+const portalSessionStore = require('../services/portalSessionStore');
+const localDatabase = require('../services/localDatabase');
+
+const userKey = 'upes:500123456';
+
+describe('enqueueAttendanceFetch', () => {
+  let server;
+  let institution;
+
+  beforeAll(async () => {
+    server = createMockPortal().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    institution = {
+      ...institutionRegistry.get('upes'),
+      loginUrl: `http://127.0.0.1:${server.address().port}${LOGIN_PATH}`,
+      fetchMode: 'http'
+    };
+  });
+
+  afterAll(async () => {
+    portalSessionStore.sessions.clear();
+    await new Promise(resolve => server.close(resolve));
+    await localDatabase.close();
+  });
+
+  it('saves the snapshot even when the password proof can\'t be recorded', async () => {
+    const record = jest.spyOn(passwordProofStore, 'record').mockRejectedValue(new Error('disk full'));
+
+    try {
+      const job = enqueueAttendanceFetch({ userId: '500123456', userKey, password: 'test-password', institution });
+      await new Promise(resolve => scrapingQueue.on('finished', function onFinished(finished) {
+        if (finished !== job) return;
+        scrapingQueue.off('finished', onFinished);
+        resolve();
+      }));
+
+      expect(job.state).toBe('succeeded');
+      expect(record).toHaveBeenCalledWith(userKey, 'test-password');
+    } finally {
+      record.mockRestore();
+    }
+
+    const { total } = await snapshotStore.listSnapshots(userKey);
+    expect(total).toBe(1);
+  }, 30000);
+});
@@ -0,0 +1,275 @@
+const request = require('supertest');
+const app = require('../index');
+const scrapingQueue = require('../services/scrapingQueue');
+const portalCircuitBreaker = require('../services/portalCircuitBreaker');
+const localDatabase = require('../services/localDatabase');
+const passwordProofStore = require('../services/passwordProofStore');
+const { AttendanceScheduler } = require('../services/attendanceScheduler');
+const { CredentialVault } = require('../services/credentialVault');
+const { LocalDatabase } = localDatabase;
+const { parseCron, isValidCron, getNextRun } = require('../services/cronSchedule');
+
+const user = { userId: '500123456', institutionId: 'upes' };
+const userKey = 'upes:500123456';
+
+describe('cronSchedule', () => {
+  it('finds the next run for ranges, steps and names', () => {
+    // Friday 1 August 2025, 18:30 server time
+    const friday = new Date(2025, 7, 1, 18, 30);
+
+    expect(getNextRun('0 19 * * 1-6', friday)).toEqual(new Date(2025, 7, 1, 19, 0));
+    expect(getNextRun('0 19 * * MON-SAT', new Date(2025, 7, 2, 19, 0))).toEqual(new Date(2025, 7, 4, 19, 0));
+    expect(getNextRun('*/20 8-9 * * *', friday)).toEqual(new Date(2025, 7, 2, 8, 0));
+    expect(getNextRun('15 6 1 JAN *', friday)).toEqual(new Date(2026, 0, 1, 6, 15));
+  });
+
+  it('fires when either restricted day field matches', () => {
+    // The 15th of the month or any Sunday
+    expect(getNextRun('0 9 15 * 0', new Date(2025, 7, 1, 12, 0))).toEqual(new Date(2025, 7, 3, 9, 0));
+    expect(parseCron('0 9 * * 7').dayOfWeek).toEqual(new Set([0]));
+  });
+
+  it('rejects malformed expressions and never-firing dates', () => {
+    [
+      '0 19 * *', '60 * * * *', '* * * * 8', '5-1 * * * *', '*/0 * * * *', 'x * * * *',
+      '-5 * * * *', '1- * * * *', '1-2-3 * * * *', '1e1 * * * *', '0x1 * * * *', '*/1e1 * * * *', '*/5/2 * * * *'
+    ].forEach(expression => {
+      expect(isValidCron(expression)).toBe(false);
+    });
+    expect(() => parseCron('0 25 * * *')).toThrow('Invalid cron expression "0 25 * * *": Invalid hour value "25"');
+    expect(() => parseCron('-5 * * * *')).toThrow('Invalid minute range "-5"');
+    expect(getNextRun('0 0 31 2 *', new Date(2025, 7, 1))).toBeNull();
+  });
+});
+
+describe('AttendanceScheduler', () => {
+  let database;
+  let vault;
+  let scheduler;
+  let enqueueFetch;
+  let jobs;
+
+  beforeEach(() => {
+    jobs = 0;
+    enqueueFetch = jest.fn(() => ({ id: `job-${++jobs}` }));
+    database = new LocalDatabase({ databasePath: ':memory:' });
+    vault = new CredentialVault({ database });
+    scheduler = new AttendanceScheduler({ database, vault, enqueueFetch });
+  });
+
+  afterEach(async () => {
+    portalCircuitBreaker.reset();
+    await database.close();
+  });
+
+  it('spreads users over the window after the cron time', () => {
+    const after = new Date(2025, 7, 1, 12, 0);
+    const cronTime = new Date(2025, 7, 1, 19, 0).getTime();
+    const runs = ['upes:1', 'upes:2', 'upes:3', 'upes:4'].map(key => scheduler.getNextRunAt(key, '0 19 * * *', 60, after));
+
+    runs.forEach(run => {
+      const offset = new Date(run).getTime() - cronTime;
+      expect(offset).toBeGreaterThanOrEqual(0);
+      expect(offset).toBeLessThan(60 * 60 * 1000);
+    });
+    expect(new Set(runs).size).toBeGreaterThan(1);
+    // The same user always gets the same slot
+    expect(scheduler.getNextRunAt('upes:1', '0 19 * * *', 60, after)).toBe(runs[0]);
+    expect(scheduler.getNextRunAt('upes:1', '0 19 * * *', 0, after)).toBe(new Date(cronTime).toISOString());
+  });
+
+  it('queues due runs with the stored password and moves to the next run', async () => {
+    const { schedule, created } = await scheduler.enroll(user, { password: 'secret', consent: true, cron: '0 19 * * *', windowMinutes: 30 });
+    expect(created).toBe(true);
+    expect(schedule).toMatchObject({ userId: '500123456', cron: '0 19 * * *', windowMinutes: 30, paused: false, lastRun: null });
+    expect(schedule.credential).toMatchObject({ purpose: 'scheduled_refresh', lastUsedAt: null });
+
+    // Nothing is due yet
+    expect(await scheduler.tick(new Date(new Date(schedule.nextRunAt).getTime() - 1000))).toBe(0);
+
+    const now = new Date(schedule.nextRunAt);
+    expect(await scheduler.tick(now)).toBe(1);
+    expect(enqueueFetch).toHaveBeenCalledWith(expect.objectContaining({
+      userId: '500123456',
+      userKey,
+      password: 'secret',
+      institution: expect.objectContaining({ id: 'upes' }),
+      trigger: 'schedule'
+    }));
+
+    const afterRun = await scheduler.getSchedule(userKey);
+    expect(afterRun.lastRun).toEqual({ at: now.toISOString(), state: 'queued', jobId: 'job-1' });
+    expect(new Date(afterRun.nextRunAt).getTime() - now.getTime()).toBe(24 * 60 * 60 * 1000);
+
+    await scheduler.handleJobFinished({ id: 'job-1', state: 'succeeded', finishedAt: now.toISOString(), error: null });
+    expect((await scheduler.getSchedule(userKey)).lastRun).toEqual({ at: now.toISOString(), state: 'succeeded', jobId: 'job-1' });
+
+    const { entries } = await vault.listAudit(userKey);
+    expect(entries.map(entry => [entry.action, entry.purpose])).toEqual([
+      ['decrypt', 'scheduled_refresh'],
+      ['store', 'scheduled_refresh']
+    ]);
+  });
+
+  it('skips runs while the portal circuit is open', async () => {
+    const { schedule } = await scheduler.enroll(user, { password: 'secret', consent: true });
+    portalCircuitBreaker.open('upes');
+
+    expect(await scheduler.tick(new Date(schedule.nextRunAt))).toBe(0);
+    expect(enqueueFetch).not.toHaveBeenCalled();
+
+    const skipped = await scheduler.getSchedule(userKey);
+    expect(skipped.lastRun).toMatchObject({ state: 'skipped', code: 'PORTAL_DOWN' });
+    expect(skipped.paused).toBe(false);
+    expect(skipped.nextRunAt > schedule.nextRunAt).toBe(true);
+  });
+
+  it('pauses on rejected credentials until a new password is stored', async () => {
+    const { schedule } = await scheduler.enroll(user, { password: 'old-password', consent: true });
+    await scheduler.tick(new Date(schedule.nextRunAt));
+
+    await scheduler.handleJobFinished({
+      id: 'job-1',
+      state: 'failed',
+      finishedAt: schedule.nextRunAt,
+      error: { code: 'INVALID_CREDENTIALS', message: 'Invalid login credentials.' }
+    });
+
+    const paused = await scheduler.getSchedule(userKey);
+    expect(paused).toMatchObject({ paused: true, pausedReason: 'INVALID_CREDENTIALS', nextRunAt: null });
+    expect(await scheduler.tick(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000))).toBe(0);
+
+    const resumed = await scheduler.update(userKey, { password: 'new-password' });
+    expect(resumed).toMatchObject({ paused: false, pausedReason: null });
+
+    await scheduler.tick(new Date(resumed.nextRunAt));
+    expect(enqueueFetch).toHaveBeenLastCalledWith(expect.objectContaining({ password: 'new-password' }));
+  });
+
+  it('needs consent to enrol and deletes the password on leaving', async () => {
+    await expect(scheduler.enroll(user, { password: 'secret' })).rejects.toMatchObject({ code: 'CONSENT_REQUIRED' });
+    expect(await scheduler.getSchedule(userKey)).toBeNull();
+
+    await scheduler.enroll(user, { password: 'secret', consent: true });
+    expect(await scheduler.unenroll(userKey)).toBe(true);
+    expect(await vault.reveal(userKey, { purpose: 'test' })).toBeNull();
+  });
+
+  it('pauses when the stored password can\'t be read', async () => {
+    const { schedule } = await scheduler.enroll(user, { password: 'secret', consent: true });
+    await database.run('DELETE FROM vault_credentials');
+
+    expect(await scheduler.tick(new Date(schedule.nextRunAt))).toBe(0);
+    expect(await scheduler.getSchedule(userKey)).toMatchObject({ paused: true, pausedReason: 'CREDENTIAL_UNAVAILABLE', credential: null });
+
+    expect(await scheduler.update(userKey, { password: 'secret' })).toMatchObject({ paused: false });
+  });
+
+  it('leaves runs started by others and for users with a fetch in progress alone', async () => {
+    const { schedule } = await scheduler.enroll(user, { password: 'secret', consent: true });
+    const active = jest.spyOn(scrapingQueue, 'getActiveJobForUser').mockReturnValue({ id: 'user-job' });
+
+    try {
+      expect(await scheduler.tick(new Date(schedule.nextRunAt))).toBe(0);
+    } finally {
+      active.mockRestore();
+    }
+    expect((await scheduler.getSchedule(userKey)).lastRun).toMatchObject({ state: 'skipped', code: 'FETCH_IN_PROGRESS' });
+
+    expect(scheduler.handleJobFinished({ id: 'user-job', state: 'failed', error: { code: 'INVALID_CREDENTIALS' } })).toBeUndefined();
+    expect((await scheduler.getSchedule(userKey)).paused).toBe(false);
+  });
+});
+
+describe('schedule routes', () => {
+  let auth;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ userId: '500123456', password: 'secret', institutionId: 'upes' })
+      .expect(200);
+    auth = `Bearer ${res.body.token}`;
+
+    // As if a fetch with this password had succeeded
+    await passwordProofStore.record(userKey, 'secret');
+  });
+
+  afterAll(async () => {
+    await localDatabase.close();
+  });
+
+  it('enrols, pauses, changes and removes a schedule', async () => {
+    let res = await request(app).get('/api/schedule').set('Authorization', auth).set('X-Portal-Password', 'secret').expect(200);
+    expect(res.body.data.schedule).toBeNull();
+
+    res = await request(app)
+      .post('/api/schedule')
+      .set('Authorization', auth)
+      .send({ password: 'secret', consent: true, cron: '30 18 * * MON-FRI', windowMinutes: 15 })
+      .expect(201);
+    expect(res.body.data.schedule).toMatchObject({ cron: '30 18 * * MON-FRI', windowMinutes: 15, paused: false });
+    expect(JSON.stringify(res.body)).not.toContain('secret');
+
+    res = await request(app).patch('/api/schedule').set('Authorization', auth).set('X-Portal-Password', 'secret').send({ paused: true }).expect(200);
+    expect(res.body.data.schedule).toMatchObject({ paused: true, pausedReason: 'USER', nextRunAt: null });
+
+    res = await request(app).patch('/api/schedule').set('Authorization', auth).set('X-Portal-Password', 'secret').send({ paused: false, cron: '0 7 * * *' }).expect(200);
+    expect(res.body.data.schedule).toMatchObject({ paused: false, cron: '0 7 * * *' });
+    expect(res.body.data.schedule.nextRunAt).not.toBeNull();
+
+    await request(app).delete('/api/schedule').set('Authorization', auth).set('X-Portal-Password', 'secret').expect(200);
+
+    res = await request(app).get('/api/schedule/audit').set('Authorization', auth).set('X-Portal-Password', 'secret').expect(200);
+    expect(res.body.data.audit.map(entry => entry.action)).toEqual(['delete', 'store']);
+    expect(res.body.data.pagination).toEqual({ page: 1, limit: 20, total: 2, totalPages: 1 });
+
+    res = await request(app).patch('/api/schedule').set('Authorization', auth).set('X-Portal-Password', 'secret').send({ paused: true }).expect(404);
+    expect(res.body.code).toBe('SCHEDULE_NOT_FOUND');
+  });
+
+  it('only stores the password the portal last accepted', async () => {
+    let res = await request(app)
+      .post('/api/schedule')
+      .set('Authorization', auth)
+      .send({ password: 'wrong-password', consent: true })
+      .expect(403);
+    expect(res.body.code).toBe('PASSWORD_PROOF_FAILED');
+
+    res = await request(app).get('/api/schedule').set('Authorization', auth).expect(401);
+    expect(res.body.code).toBe('PORTAL_PASSWORD_REQUIRED');
+
+    res = await request(app).get('/api/schedule').set('Authorization', auth).set('X-Portal-Password', 'secret').expect(200);
+    expect(res.body.data.schedule).toBeNull();
+
+    await request(app).post('/api/schedule').set('Authorization', auth).send({ password: 'secret', consent: true }).expect(201);
+    await request(app).patch('/api/schedule').set('Authorization', auth).send({ password: 'wrong-password' }).expect(403);
+    await request(app).delete('/api/schedule').set('Authorization', auth).expect(401);
+    await request(app).get('/api/schedule/audit').set('Authorization', auth).set('X-Portal-Password', 'guessed').expect(403);
+    await request(app).delete('/api/schedule').set('Authorization', auth).set('X-Portal-Password', 'secret').expect(200);
+
+    // Refused deletions and trail reads are audited, not carried out
+    res = await request(app).get('/api/schedule/audit?limit=3').set('Authorization', auth).set('X-Portal-Password', 'secret').expect(200);
+    expect(res.body.data.audit.map(({ action, outcome }) => [action, outcome])).toEqual([
+      ['delete', 'succeeded'],
+      ['read_audit', 'failed'],
+      ['delete', 'failed']
+    ]);
+  });
+
+  it('validates schedule settings', async () => {
+    let res = await request(app)
+      .post('/api/schedule')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .send({ cron: 'every day', windowMinutes: 1000 })
+      .expect(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.details.map(detail => detail.path)).toEqual(['password', 'consent', 'cron', 'windowMinutes']);
+
+    res = await request(app).patch('/api/schedule').set('Authorization', auth).set('X-Portal-Password', 'secret').send({}).expect(400);
+    expect(res.body.code).toBe('NO_CHANGES');
+
+    await request(app).get('/api/schedule').expect(401);
+  });
+});
@@ -0,0 +1,54 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const app = require('../index');
+
+describe('auth routes', () => {
+  it('lists the institutions users can sign in with', async () => {
+    const res = await request(app)
+      .get('/api/auth/institutions')
+      .expect(200);
+
+    expect(res.body.defaultInstitutionId).toBe('upes');
+    expect(res.body.institutions).toEqual([
+      {
+        id: 'upes',
+        name: 'UPES Dehradun',
+        shortName: 'UPES',
+        userIdPattern: '^\\d{9}$',
+        userIdHint: 'Your 9-digit SAP ID',
+        attendancePolicy: { minimumPercentage: 75, warningPercentage: 65 },
+        isDefault: true
+      }
+    ]);
+  });
+
+  it('puts the institution in the session token', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ userId: '500123456', password: 'secret', institutionId: 'upes' })
+      .expect(200);
+
+    expect(res.body.user).toMatchObject({ userId: '500123456', institutionId: 'upes' });
+    expect(jwt.decode(res.body.token)).toMatchObject({ userId: '500123456', institutionId: 'upes' });
+  });
+
+  it('refuses unknown institutions', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ userId: '500123456', password: 'secret', institutionId: 'demo' })
+      .expect(400);
+
+    expect(res.body.code).toBe('UNKNOWN_INSTITUTION');
+  });
+
+  it('checks the user ID format of the institution', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ userId: 'student.name', password: 'secret' })
+      .expect(400);
+
+    expect(res.body.code).toBe('INVALID_USER_ID');
+    expect(res.body.error).toContain('9-digit SAP ID');
+  });
+});
@@ -0,0 +1,157 @@
+jest.mock('../utils/browserFinder', () => ({ findChrome: jest.fn().mockResolvedValue(null) }));
+
+const { EventEmitter } = require('events');
+const puppeteer = require('puppeteer');
+const { BrowserPool } = require('../services/browserPool');
+const { BrowserLaunchError } = require('../services/portalErrors');
+
+/**
+ * Stand-in for a puppeteer Browser that records what the pool does with it
+ */
+class FakeBrowser extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = true;
+    this.closed = false;
+    this.contexts = [];
+    this.version = jest.fn().mockResolvedValue('HeadlessChrome/120.0');
+  }
+
+  async createIncognitoBrowserContext() {
+    const context = {
+      closed: false,
+      newPage: async () => ({}),
+      close: async () => { context.closed = true; }
+    };
+    this.contexts.push(context);
+    return context;
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async close() {
+    this.closed = true;
+    this.connected = false;
+  }
+}
+
+describe('BrowserPool', () => {
+  let launched;
+  let pool;
+
+  const createPool = (options = {}) => {
+    pool = new BrowserPool({ min: 0, max: 1, maxUses: 10, acquireTimeout: 1000, healthCheckInterval: 0, ...options });
+    return pool;
+  };
+
+  beforeEach(() => {
+    launched = [];
+    jest.spyOn(puppeteer, 'launch').mockImplementation(async () => {
+      const browser = new FakeBrowser();
+      launched.push(browser);
+      return browser;
+    });
+  });
+
+  afterEach(async () => {
+    await pool.drain();
+    jest.restoreAllMocks();
+  });
+
+  it('leases an isolated context and reuses the browser after release', async () => {
+    createPool();
+
+    const lease = await pool.acquire();
+    expect(launched).toHaveLength(1);
+    expect(lease.browser).toBe(launched[0]);
+    expect(pool.getStats()).toMatchObject({ size: 1, busy: 1 });
+
+    await pool.release(lease);
+    expect(lease.context.closed).toBe(true);
+    expect(pool.getStats()).toMatchObject({ size: 1, busy: 0, idle: 1 });
+
+    // A second release of the same lease must not free the browser twice
+    const next = await pool.acquire();
+    await pool.release(lease);
+    expect(pool.getStats()).toMatchObject({ busy: 1 });
+
+    expect(next.browser).toBe(launched[0]);
+    expect(next.context).not.toBe(lease.context);
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+    await pool.release(next);
+  });
+
+  it('hands a released browser to the caller waiting for it', async () => {
+    createPool();
+
+    const first = await pool.acquire();
+    const waiting = pool.acquire();
+    expect(pool.getStats().waiting).toBe(1);
+
+    await pool.release(first);
+    const second = await waiting;
+
+    expect(second.browser).toBe(first.browser);
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+    await pool.release(second);
+  });
+
+  it('closes a browser once it reaches maxUses and launches a fresh one', async () => {
+    createPool({ maxUses: 2 });
+
+    await pool.release(await pool.acquire());
+    await pool.release(await pool.acquire());
+
+    expect(launched[0].closed).toBe(true);
+    expect(pool.getStats().size).toBe(0);
+
+    const lease = await pool.acquire();
+    expect(lease.browser).toBe(launched[1]);
+    expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+    await pool.release(lease);
+  });
+
+  it('replaces idle browsers that fail the health check', async () => {
+    createPool({ min: 2, max: 2 });
+    await pool.warmUp();
+    expect(launched).toHaveLength(2);
+
+    launched[0].version.mockRejectedValue(new Error('Target closed'));
+    launched[1].connected = false;
+    await pool.checkHealth();
+
+    expect(launched[0].closed).toBe(true);
+    expect(launched[1].closed).toBe(true);
+    expect(launched).toHaveLength(4);
+    expect(pool.entries.map(entry => entry.browser)).toEqual([launched[2], launched[3]]);
+  });
+
+  it('leaves leased browsers alone during health checks', async () => {
+    createPool();
+
+    const lease = await pool.acquire();
+    lease.browser.version.mockRejectedValue(new Error('Target closed'));
+    await pool.checkHealth();
+
+    expect(lease.browser.closed).toBe(false);
+    expect(lease.browser.version).not.toHaveBeenCalled();
+    await pool.release(lease);
+  });
+
+  it('rejects waiting callers and closes every browser on drain', async () => {
+    createPool();
+
+    const lease = await pool.acquire();
+    const waiting = pool.acquire();
+
+    await pool.drain();
+
+    await expect(waiting).rejects.toBeInstanceOf(BrowserLaunchError);
+    await expect(waiting).rejects.toThrow('Browser pool is shut down');
+    expect(lease.browser.closed).toBe(true);
+    expect(pool.getStats()).toMatchObject({ size: 0, waiting: 0 });
+    await expect(pool.acquire()).rejects.toThrow('Browser pool is shut down');
+  });
+});
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { LocalDatabase } = require('../services/localDatabase');
+const { CredentialVault } = require('../services/credentialVault');
+
+const userKey = 'upes:500123456';
+const purpose = 'scheduled_refresh';
+
+const newKey = (keyId) => `${keyId}:${crypto.randomBytes(32).toString('hex')}`;
+
+describe('CredentialVault', () => {
+  let database;
+
+  beforeEach(() => {
+    database = new LocalDatabase({ databasePath: ':memory:' });
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  it('stores passwords encrypted with a fresh IV and audits every decryption', async () => {
+    const vault = new CredentialVault({ database, keys: newKey('2025-08') });
+    await vault.store(userKey, 'portal-password', { consent: true, purpose });
+    await vault.store('upes:500123457', 'portal-password', { consent: true, purpose });
+
+    const records = await database.query('SELECT * FROM vault_credentials ORDER BY user_key');
+    expect(records.map(record => record.key_id)).toEqual(['2025-08', '2025-08']);
+    expect(JSON.stringify(records)).not.toContain('portal-password');
+    expect(records[0].iv).not.toBe(records[1].iv);
+    expect(records[0].ciphertext).not.toBe(records[1].ciphertext);
+
+    expect(await vault.reveal(userKey, { purpose })).toBe('portal-password');
+    expect(await vault.describe(userKey)).toMatchObject({ purpose, lastUsedAt: expect.any(String) });
+
+    const { entries, total } = await vault.listAudit(userKey);
+    expect(total).toBe(2);
+    expect(entries.map(({ action, purpose: why, outcome, keyId }) => ({ action, why, outcome, keyId }))).toEqual([
+      { action: 'decrypt', why: purpose, outcome: 'succeeded', keyId: '2025-08' },
+      { action: 'store', why: purpose, outcome: 'succeeded', keyId: '2025-08' }
+    ]);
+  });
+
+  it('needs explicit consent and forgets the password on deletion', async () => {
+    const vault = new CredentialVault({ database });
+
+    await expect(vault.store(userKey, 'portal-password', { consent: 'yes', purpose }))
+      .rejects.toMatchObject({ code: 'CONSENT_REQUIRED', statusCode: 400 });
+    expect(await vault.describe(userKey)).toBeNull();
+
+    await vault.store(userKey, 'portal-password', { consent: true, purpose });
+    expect(await vault.delete(userKey)).toBe(true);
+    expect(await vault.delete(userKey)).toBe(false);
+    expect(await vault.reveal(userKey, { purpose })).toBeNull();
+
+    const { entries } = await vault.listAudit(userKey);
+    expect(entries.map(entry => entry.action)).toEqual(['delete', 'store']);
+  });
+
+  it('refuses records that were tampered with or moved to another user', async () => {
+    const vault = new CredentialVault({ database });
+    await vault.store(userKey, 'portal-password', { consent: true, purpose });
+
+    // Another user's row holding this user's ciphertext
+    await database.run(
+      `INSERT INTO vault_credentials (user_key, key_id, iv, auth_tag, ciphertext, purpose, consented_at, updated_at)
+        SELECT 'upes:500123457', key_id, iv, auth_tag, ciphertext, purpose, consented_at, updated_at FROM vault_credentials`
+    );
+    await expect(vault.reveal('upes:500123457', { purpose })).rejects.toMatchObject({ code: 'VAULT_DECRYPT_FAILED' });
+
+    const [record] = await database.query('SELECT ciphertext FROM vault_credentials WHERE user_key = ?', [userKey]);
+    const flipped = (parseInt(record.ciphertext[0], 16) ^ 1).toString(16) + record.ciphertext.slice(1);
+    await database.run('UPDATE vault_credentials SET ciphertext = ? WHERE user_key = ?', [flipped, userKey]);
+    await expect(vault.reveal(userKey, { purpose })).rejects.toMatchObject({ code: 'VAULT_DECRYPT_FAILED' });
+
+    const { entries } = await vault.listAudit(userKey);
+    expect(entries[0]).toMatchObject({ action: 'decrypt', outcome: 'failed' });
+  });
+
+  it('re-encrypts records to the newest key after a rotation', async () => {
+    const oldKey = newKey('2025-01');
+    const lostKey = newKey('2024-06');
+
+    await new CredentialVault({ database, keys: oldKey }).store(userKey, 'portal-password', { consent: true, purpose });
+    await new CredentialVault({ database, keys: lostKey }).store('upes:500123457', 'other-password', { consent: true, purpose });
+
+    const currentKey = newKey('2025-08');
+    const rotated = new CredentialVault({ database, keys: `${currentKey},${oldKey}` });
+    expect(await rotated.reencrypt()).toEqual({ reencrypted: 1, failed: 1 });
+
+    const records = await database.query('SELECT user_key, key_id FROM vault_credentials ORDER BY user_key');
+    expect(records).toEqual([
+      { user_key: userKey, key_id: '2025-08' },
+      { user_key: 'upes:500123457', key_id: '2024-06' }
+    ]);
+
+    // The old key can be retired once everything is re-encrypted
+    const retired = new CredentialVault({ database, keys: currentKey });
+    expect(await retired.reveal(userKey, { purpose })).toBe('portal-password');
+
+    const { entries } = await retired.listAudit(userKey);
+    expect(entries.map(entry => [entry.action, entry.purpose, entry.keyId])).toContainEqual(['reencrypt', 'key_rotation', '2025-08']);
+  });
+
+  it('rejects malformed keys', () => {
+    expect(() => new CredentialVault({ database, keys: 'short:abcd' })).toThrow('Invalid credential vault key "short"');
+    expect(() => new CredentialVault({ database, keys: crypto.randomBytes(32).toString('hex') })).toThrow('Invalid credential vault key "":');
+    const key = newKey('same');
+    expect(() => new CredentialVault({ database, keys: `${key},${key}` })).toThrow('Duplicate credential vault key ID "same"');
+  });
+});
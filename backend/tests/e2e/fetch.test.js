@@ -0,0 +1,167 @@
+const request = require('supertest');
+const { createMockPortal, LOGIN_PATH } = require('../../mock-portal/server');
+const { describeWithBrowser } = require('../helpers/fixtureBrowser');
+
+const app = require('../../index');
+const browserPool = require('../../services/browserPool');
+
+// Polling counts against the API rate limit of the testing profile
+const JOB_POLL_INTERVAL = 2000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Log in to AttendEase and run a full attendance fetch job
+ * @param {boolean} [force] - Skip the attendance cache
+ * @returns {Promise<{ job: Object, auth: string }>} - Finished job and the Authorization header used
+ */
+const runFetch = async (userId, password, force = false) => {
+  const loginRes = await request(app)
+    .post('/api/auth/login')
+    .send({ userId, password })
+    .expect(200);
+
+  const auth = `Bearer ${loginRes.body.token}`;
+
+  const fetchRes = await request(app)
+    .post(`/api/attendance/fetch${force ? '?force=true' : ''}`)
+    .set('Authorization', auth)
+    .send({ password })
+    .expect(202);
+
+  let job = fetchRes.body.data;
+  while (['queued', 'running'].includes(job.state)) {
+    await wait(JOB_POLL_INTERVAL);
+    const jobRes = await request(app)
+      .get(`/api/attendance/jobs/${job.jobId}`)
+      .set('Authorization', auth)
+      .expect(200);
+    job = jobRes.body.data;
+  }
+
+  return { job, auth };
+};
+
+describeWithBrowser('attendance fetch against the mock portal', () => {
+  let portalServer;
+  let previousPortalUrl;
+
+  beforeAll(async () => {
+    portalServer = createMockPortal().listen(0);
+    await new Promise(resolve => portalServer.once('listening', resolve));
+
+    previousPortalUrl = process.env.UPES_PORTAL_URL;
+    process.env.UPES_PORTAL_URL = `http://127.0.0.1:${portalServer.address().port}${LOGIN_PATH}`;
+  });
+
+  afterAll(async () => {
+    process.env.UPES_PORTAL_URL = previousPortalUrl;
+    await browserPool.drain();
+    await new Promise(resolve => portalServer.close(resolve));
+  });
+
+  it('fetches the attendance report end to end', async () => {
+    const { job, auth } = await runFetch('500123456', 'test-password');
+
+    expect(job.state).toBe('succeeded');
+    expect(job.result.student).toMatchObject({
+      name: 'Aarav Sharma',
+      studentId: '500123456',
+      course: 'B.Tech CSE',
+      semester: 'Semester 5'
+    });
+    // Read from the portal API, which also carries subject codes and faculty
+    expect(job.result.attendance.map(({ sessions, ...record }) => record)).toEqual([
+      { subject: 'Data Structures', subjectCode: 'CSEG2001', faculty: 'Dr. R. Mehta', componentType: 'Theory', attended: 13, total: 15, percentage: 86.67, status: 'Good' },
+      { subject: 'Operating Systems', subjectCode: 'CSEG2004', faculty: 'Prof. N. Kapoor', componentType: 'Theory', attended: 20, total: 28, percentage: 71.43, status: 'Warning' },
+      { subject: 'Discrete Mathematics', subjectCode: 'MATH2012', faculty: 'Dr. S. Iqbal', componentType: 'Theory', attended: 9, total: 16, percentage: 56.25, status: 'Critical' },
+      { subject: 'Algorithms Lab', subjectCode: 'CSEG2102', faculty: 'Prof. A. Iyer', componentType: 'Lab', attended: 12, total: 12, percentage: 100, status: 'Good' }
+    ]);
+    // Every subject's detail view lists one session per class
+    for (const record of job.result.attendance) {
+      expect(record.sessions).toHaveLength(record.total);
+      expect(record.sessions.filter(session => session.status === 'Present')).toHaveLength(record.attended);
+    }
+    expect(job.result.attendance[3].sessions[0]).toEqual({ date: '2025-07-21', timeSlot: '14:00-15:50', type: 'Lab', status: 'Present' });
+    expect(job.result.summary).toMatchObject({
+      totalSubjects: 4,
+      safeSubjects: 2,
+      warningSubjects: 1,
+      criticalSubjects: 1
+    });
+    expect(job.result.metadata).toMatchObject({ servedFromCache: false, cachedAt: expect.any(String) });
+
+    // Fetching again within the cache TTL returns the same report without a scrape
+    const cachedRes = await request(app)
+      .post('/api/attendance/fetch')
+      .set('Authorization', auth)
+      .send({ password: 'test-password' })
+      .expect(200);
+    expect(cachedRes.body.data).toMatchObject({ state: 'succeeded', servedFromCache: true, cachedAt: job.result.metadata.cachedAt });
+    expect(cachedRes.body.data.result.summary).toEqual(job.result.summary);
+
+    // Only the fetch from the portal was saved to the history
+    const historyRes = await request(app)
+      .get('/api/attendance/history/500123456')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'test-password')
+      .expect(200);
+    expect(historyRes.body.data.history).toHaveLength(1);
+    expect(historyRes.body.data.history[0]).toMatchObject({ capturedAt: job.result.timestamp, summary: job.result.summary });
+
+    const timetableRes = await request(app)
+      .get('/api/attendance/timetable')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'test-password')
+      .expect(200);
+    expect(timetableRes.body.data.timetable).toHaveLength(10);
+    expect(timetableRes.body.data.timetable.every(entry => entry.linked)).toBe(true);
+    expect(timetableRes.body.data.weeklyClasses).toEqual([
+      { subject: 'Data Structures', subjectCode: 'CSEG2001', classesPerWeek: 3 },
+      { subject: 'Operating Systems', subjectCode: 'CSEG2004', classesPerWeek: 3 },
+      { subject: 'Discrete Mathematics', subjectCode: 'MATH2012', classesPerWeek: 3 },
+      { subject: 'Algorithms Lab', subjectCode: 'CSEG2102', classesPerWeek: 1 }
+    ]);
+  }, 120000);
+
+  it('falls back to the dashboard DOM when the portal API is unavailable', async () => {
+    const htmlOnlyPortal = createMockPortal({ api: false }).listen(0);
+    await new Promise(resolve => htmlOnlyPortal.once('listening', resolve));
+    process.env.UPES_PORTAL_URL = `http://127.0.0.1:${htmlOnlyPortal.address().port}${LOGIN_PATH}`;
+    // Don't wait long for API calls that never come
+    process.env.UPES_API_CAPTURE_TIMEOUT = '1000';
+
+    try {
+      // The report of the first test is still cached
+      const { job } = await runFetch('500123456', 'test-password', true);
+
+      expect(job.state).toBe('succeeded');
+      expect(job.result.student).toMatchObject({ name: 'Aarav Sharma', course: 'B.Tech CSE' });
+      const { sessions, ...record } = job.result.attendance[0];
+      expect(record).toEqual(
+        { subject: 'Data Structures', subjectCode: 'CSEG2001', faculty: 'Dr. R. Mehta', componentType: 'Theory', attended: 13, total: 15, percentage: 86.67, status: 'Good' }
+      );
+      // Sessions come from the rendered detail view, linked from the dashboard row
+      expect(sessions).toHaveLength(15);
+      expect(sessions[1]).toEqual({ date: '2025-07-22', timeSlot: '09:00-09:55', type: 'Lecture', status: 'Present' });
+      // The timetable page is read from the DOM too, and linked by subject name
+      expect(job.result.timetable).toHaveLength(10);
+      expect(job.result.timetable[0]).toMatchObject({ day: 'Monday', startTime: '09:00', subject: 'Data Structures', room: 'LT-101', linked: true });
+    } finally {
+      process.env.UPES_PORTAL_URL = `http://127.0.0.1:${portalServer.address().port}${LOGIN_PATH}`;
+      delete process.env.UPES_API_CAPTURE_TIMEOUT;
+      await new Promise(resolve => htmlOnlyPortal.close(resolve));
+    }
+  }, 120000);
+
+  it('reports rejected credentials', async () => {
+    const { job } = await runFetch('500123457', 'wrong-password');
+
+    expect(job.state).toBe('failed');
+    expect(job.error.code).toBe('INVALID_CREDENTIALS');
+    // Rejected credentials are never retried
+    expect(job.diagnostics.attempts.filter(attempt => attempt.stage === 'login')).toEqual([
+      expect.objectContaining({ attempt: 1, outcome: 'failed', code: 'INVALID_CREDENTIALS' })
+    ]);
+  }, 120000);
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { BROWSER_ARGS } = require('../../services/browserPool');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'portal');
+
+// Common system browser locations, checked when there is no bundled Chromium
+const SYSTEM_CHROME_PATHS = [
+  '/usr/bin/google-chrome-stable',
+  '/usr/bin/google-chrome',
+  '/usr/bin/chromium-browser',
+  '/usr/bin/chromium',
+  '/snap/bin/chromium',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe'
+];
+
+/**
+ * Find a Chrome executable for the fixture tests
+ * PUPPETEER_EXECUTABLE_PATH wins, then the bundled Chromium, then a system install.
+ * @returns {string|null} - Executable path or null when no browser is available
+ */
+function resolveChromePath() {
+  let bundledPath = null;
+  try {
+    bundledPath = puppeteer.executablePath();
+  } catch (error) {
+    // Bundled Chromium was not downloaded
+  }
+
+  const candidates = [process.env.PUPPETEER_EXECUTABLE_PATH, bundledPath, ...SYSTEM_CHROME_PATHS];
+  return candidates.find(candidate => candidate && fs.existsSync(candidate)) || null;
+}
+
+const chromePath = resolveChromePath();
+
+if (!chromePath) {
+  console.warn('No Chrome executable found - skipping scraper fixture tests (set PUPPETEER_EXECUTABLE_PATH)');
+}
+
+// describe() when a browser is available, describe.skip() otherwise
+const describeWithBrowser = chromePath ? describe : describe.skip;
+
+/**
+ * Launch headless Chrome for fixture tests
+ * @returns {Promise<Browser>}
+ */
+function launchFixtureBrowser() {
+  return puppeteer.launch({
+    headless: 'new',
+    executablePath: chromePath,
+    args: BROWSER_ARGS
+  });
+}
+
+/**
+ * Read a saved portal page
+ * @param {string} name - Fixture file name without extension
+ * @returns {string} - HTML
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+}
+
+/**
+ * Load a saved portal page into a page
+ * @param {Page} page - Puppeteer page
+ * @param {string} name - Fixture file name without extension
+ */
+async function loadFixture(page, name) {
+  await page.setContent(readFixture(name), { waitUntil: 'domcontentloaded' });
+}
+
+module.exports = {
+  chromePath,
+  describeWithBrowser,
+  launchFixtureBrowser,
+  readFixture,
+  loadFixture
+};
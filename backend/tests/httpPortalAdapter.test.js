@@ -0,0 +1,205 @@
+const { createMockPortal, LOGIN_PATH } = require('../mock-portal/server');
+const { describeWithBrowser } = require('./helpers/fixtureBrowser');
+const HttpPortalAdapter = require('../services/httpPortalAdapter');
+const PortalAdapter = require('../services/portalAdapter');
+const UPESScrapingService = require('../services/upesScrapingService');
+const { parseLoginForm, CookieJar } = require('../services/portalHttpClient');
+const { createPortalAdapter } = require('../services/portalAdapterFactory');
+const institutionRegistry = require('../services/institutionRegistry');
+const portalSessionStore = require('../services/portalSessionStore');
+const browserPool = require('../services/browserPool');
+const { UnsupportedFlowError } = require('../services/portalErrors');
+
+/**
+ * Start a mock portal on a free port and an institution pointing at it
+ */
+const startPortal = async (options = {}) => {
+  const server = createMockPortal({ slowDelay: 10, ...options }).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+
+  return {
+    server,
+    institution: {
+      ...institutionRegistry.get('upes'),
+      loginUrl: `http://127.0.0.1:${server.address().port}${LOGIN_PATH}`
+    }
+  };
+};
+
+const stopPortal = (server) => new Promise(resolve => server.close(resolve));
+
+describe('portal HTTP client helpers', () => {
+  it('finds the login form with its hidden CSRF field', () => {
+    const html = `<form class="login-form" action="/auth/login" method="post">
+      <input type="hidden" name="_csrf" value="abc&amp;123">
+      <input type="text" id="userid" name="userid">
+      <input type="password" name="password">
+    </form>`;
+
+    expect(parseLoginForm(html, 'https://portal.example/app/auth/login')).toEqual({
+      action: 'https://portal.example/auth/login',
+      method: 'POST',
+      fields: { _csrf: 'abc&123' },
+      userIdField: 'userid',
+      passwordField: 'password',
+      hasCaptcha: false
+    });
+  });
+
+  it('returns null when the login form is rendered by JavaScript', () => {
+    expect(parseLoginForm('<app-root></app-root><script src="main.js"></script>', 'https://portal.example/')).toBeNull();
+  });
+
+  it('keeps and expires cookies', () => {
+    const jar = new CookieJar();
+    jar.store(['SESSION=abc; Path=/; HttpOnly', 'CSRF=xyz; Path=/'], 'http://127.0.0.1:4000/login');
+    expect(jar.header('http://127.0.0.1:4000/dashboard')).toBe('SESSION=abc; CSRF=xyz');
+
+    jar.store(['CSRF=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT'], 'http://127.0.0.1:4000/login');
+    expect(jar.header('http://127.0.0.1:4000/dashboard')).toBe('SESSION=abc');
+    expect(jar.getAll()[0]).toMatchObject({ name: 'SESSION', domain: '127.0.0.1', path: '/', httpOnly: true });
+  });
+});
+
+describe('HttpPortalAdapter against the mock portal', () => {
+  let portal;
+
+  beforeAll(async () => {
+    portal = await startPortal();
+  });
+
+  afterAll(async () => {
+    await stopPortal(portal.server);
+  });
+
+  afterEach(() => {
+    portalSessionStore.sessions.clear();
+  });
+
+  it('logs in with the CSRF token and reads the portal API', async () => {
+    const adapter = new HttpPortalAdapter({ institution: portal.institution });
+
+    const report = await adapter.fetchAttendanceReport('500123456', 'test-password');
+
+    expect(report).toMatchObject({
+      fetchMode: 'http',
+      sessionReused: false,
+      student: { name: 'Aarav Sharma', studentId: '500123456', course: 'B.Tech CSE', semester: 'Semester 5' },
+      summary: { totalSubjects: 4, safeSubjects: 2, warningSubjects: 1, criticalSubjects: 1 }
+    });
+    expect(report.attendance[0]).toMatchObject({
+      subject: 'Data Structures',
+      subjectCode: 'CSEG2001',
+      faculty: 'Dr. R. Mehta',
+      componentType: 'Theory',
+      attended: 13,
+      total: 15,
+      percentage: 86.67,
+      status: 'Good'
+    });
+    expect(report.attendance[3].componentType).toBe('Lab');
+    expect(report.attendance[0].sessions).toHaveLength(15);
+    expect(report.attendance[0].sessions[0]).toEqual({ date: '2025-07-21', timeSlot: '09:00-09:55', type: 'Lecture', status: 'Present' });
+    expect(report.attendance[0].sessions.filter(session => session.status === 'Present')).toHaveLength(13);
+    expect(report.timetable).toHaveLength(10);
+    expect(report.timetable[0]).toEqual({
+      day: 'Monday',
+      startTime: '09:00',
+      endTime: '09:55',
+      subject: 'Data Structures',
+      subjectCode: 'CSEG2001',
+      room: 'LT-101',
+      faculty: 'Dr. R. Mehta',
+      linked: true
+    });
+  });
+
+  it('reuses the stored portal session', async () => {
+    await new HttpPortalAdapter({ institution: portal.institution }).fetchAttendanceReport('500123456', 'test-password');
+
+    const report = await new HttpPortalAdapter({ institution: portal.institution }).fetchAttendanceReport('500123456', 'test-password');
+
+    expect(report.sessionReused).toBe(true);
+  });
+
+  it('reports rejected credentials', async () => {
+    const adapter = new HttpPortalAdapter({ institution: portal.institution });
+
+    await expect(adapter.fetchAttendanceReport('500123457', 'wrong-password'))
+      .rejects.toThrow('Login failed: Invalid username or password.');
+  });
+
+  it('reports a locked out account', async () => {
+    const adapter = new HttpPortalAdapter({ institution: portal.institution });
+
+    await expect(adapter.fetchAttendanceReport('500123458', 'test-password')).rejects.toThrow('RATE_LIMITED');
+  });
+});
+
+describe('HttpPortalAdapter fallback', () => {
+  let portal;
+
+  beforeAll(async () => {
+    // Without the JSON API the data can only be read from the rendered dashboard
+    portal = await startPortal({ api: false });
+  });
+
+  afterAll(async () => {
+    await stopPortal(portal.server);
+  });
+
+  afterEach(() => {
+    portalSessionStore.sessions.clear();
+  });
+
+  it('reports flows it cannot handle', async () => {
+    const adapter = new HttpPortalAdapter({ institution: portal.institution });
+
+    await expect(adapter.fetchAttendanceReport('500123456', 'test-password')).rejects.toThrow(UnsupportedFlowError);
+  });
+
+  it('hands unsupported flows to the fallback adapter', async () => {
+    class FallbackAdapter extends PortalAdapter {
+      async login() { return { sessionReused: true }; }
+      async fetchAttendance() { return [{ subject: 'Data Structures', attended: 13, total: 15 }]; }
+      async fetchProfile() { return { name: 'Aarav Sharma' }; }
+    }
+
+    const adapter = new HttpPortalAdapter({
+      institution: portal.institution,
+      fallback: () => new FallbackAdapter({ institution: portal.institution })
+    });
+
+    const report = await adapter.fetchAttendanceReport('500123456', 'test-password');
+
+    expect(report.student.name).toBe('Aarav Sharma');
+    expect(report.attendance).toHaveLength(1);
+  });
+
+  it('is what "http" fetch mode creates', () => {
+    const adapter = createPortalAdapter(portal.institution, { fetchMode: 'http' });
+
+    expect(adapter).toBeInstanceOf(HttpPortalAdapter);
+    expect(adapter.createFallback()).toBeInstanceOf(UPESScrapingService);
+    expect(() => createPortalAdapter(portal.institution, { fetchMode: 'carrier-pigeon' })).toThrow('Unknown fetch mode');
+  });
+
+  describeWithBrowser('with the browser adapter', () => {
+    afterAll(async () => {
+      await browserPool.drain();
+    });
+
+    it('finishes the fetch in the browser on the session the HTTP client opened', async () => {
+      const adapter = createPortalAdapter(portal.institution, { fetchMode: 'http', renderTimeout: 1000, apiTimeout: 500 });
+
+      const report = await adapter.fetchAttendanceReport('500123456', 'test-password');
+
+      expect(report).toMatchObject({
+        fetchMode: 'browser',
+        sessionReused: true,
+        student: { name: 'Aarav Sharma' },
+        summary: { totalSubjects: 4 }
+      });
+    }, 60000);
+  });
+});
@@ -0,0 +1,200 @@
+const request = require('supertest');
+const {
+  createMockPortal,
+  LOGIN_PATH,
+  DASHBOARD_PATH,
+  API_PROFILE_PATH,
+  API_ATTENDANCE_PATH,
+  TIMETABLE_PATH,
+  API_TIMETABLE_PATH
+} = require('../mock-portal/server');
+
+const SUBJECT_URL = '/oneportal/app/attendance/CSEG2001';
+const SESSIONS_API_URL = '/oneportal/app/api/student/attendance/CSEG2001/sessions';
+
+/**
+ * Submit the login form with the CSRF token of a freshly loaded login page
+ */
+const login = async (agent, userid, password) => {
+  const form = await agent.get(LOGIN_PATH);
+  const match = form.text.match(/name="_csrf" value="([^"]+)"/);
+
+  return agent
+    .post(LOGIN_PATH)
+    .type('form')
+    .send({ userid, password, _csrf: match ? match[1] : '' });
+};
+
+describe('mock UPES portal', () => {
+  let portal;
+  let agent;
+
+  beforeEach(() => {
+    portal = createMockPortal({ slowDelay: 10 });
+    agent = request.agent(portal);
+  });
+
+  it('serves the login form', async () => {
+    const res = await agent.get(LOGIN_PATH);
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('name="userid"');
+    expect(res.text).toContain('type="password"');
+  });
+
+  it('logs a test account in and shows its dashboard', async () => {
+    const res = await login(agent, '500123456', 'test-password');
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe(DASHBOARD_PATH);
+
+    const dashboard = await agent.get(DASHBOARD_PATH);
+    expect(dashboard.text).toContain('Aarav Sharma');
+    expect(dashboard.text).toContain('<span class="count-text">13/15</span>');
+    expect(dashboard.text).toContain('<span class="percentage-text">86.67%</span>');
+    expect(dashboard.text).toContain('<span class="subject-code">CSEG2001</span> | <span class="component-type">Theory</span> | <span class="faculty-name">Dr. R. Mehta</span>');
+  });
+
+  it('redirects a logged in session from the login page to the dashboard', async () => {
+    await login(agent, '500123456', 'test-password');
+
+    const res = await agent.get(LOGIN_PATH);
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe(DASHBOARD_PATH);
+  });
+
+  it('requires a session for the dashboard', async () => {
+    const res = await agent.get(DASHBOARD_PATH);
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe(LOGIN_PATH);
+  });
+
+  it('rejects a login without the CSRF token of the form', async () => {
+    const res = await agent
+      .post(LOGIN_PATH)
+      .type('form')
+      .send({ userid: '500123456', password: 'test-password' });
+
+    expect(res.status).toBe(403);
+    expect(res.text).toContain('Your login page has expired.');
+  });
+
+  it('rejects a wrong password', async () => {
+    const res = await login(agent, '500123456', 'wrong-password');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('Invalid username or password.');
+  });
+
+  it('locks an account out after repeated failures', async () => {
+    await login(agent, '500123456', 'wrong-password');
+    await login(agent, '500123456', 'wrong-password');
+    const res = await login(agent, '500123456', 'wrong-password');
+    expect(res.text).toContain('Too many login attempts. Please try again later.');
+
+    const retry = await login(agent, '500123456', 'test-password');
+    expect(retry.text).toContain('Too many login attempts. Please try again later.');
+  });
+
+  it('always locks out accounts with the locked scenario', async () => {
+    const res = await login(agent, '500123458', 'test-password');
+
+    expect(res.text).toContain('Too many login attempts. Please try again later.');
+  });
+
+  it('serves the maintenance page in maintenance mode', async () => {
+    await agent.put('/__mock/mode').send({ mode: 'maintenance' }).expect(200);
+
+    const res = await agent.get(LOGIN_PATH);
+    expect(res.status).toBe(503);
+    expect(res.text).toContain('scheduled maintenance');
+  });
+
+  it('serves the dashboard data from its JSON API', async () => {
+    await login(agent, '500123456', 'test-password');
+
+    const profile = await agent.get(API_PROFILE_PATH).expect(200);
+    expect(profile.body.data).toMatchObject({ studentName: 'Aarav Sharma', sapId: 500123456, programName: 'B.Tech CSE' });
+
+    const attendance = await agent.get(API_ATTENDANCE_PATH).expect(200);
+    expect(attendance.body.data.subjects[0]).toEqual({
+      subjectCode: 'CSEG2001',
+      subjectName: 'Data Structures',
+      facultyName: 'Dr. R. Mehta',
+      componentType: 'Theory',
+      attendedClasses: 13,
+      totalClasses: 15,
+      attendancePercentage: '86.67'
+    });
+  });
+
+  it('serves the class sessions of a subject', async () => {
+    await login(agent, '500123456', 'test-password');
+
+    const dashboard = await agent.get(DASHBOARD_PATH);
+    expect(dashboard.text).toContain(`href="${SUBJECT_URL}"`);
+
+    const { body } = await agent.get(SESSIONS_API_URL).expect(200);
+    expect(body.data.sessions).toHaveLength(15);
+    expect(body.data.sessions.filter(session => session.attendanceStatus === 'P')).toHaveLength(13);
+    expect(body.data.sessions[0]).toEqual({ sessionDate: '2025-07-21', timeSlot: '09:00-09:55', sessionType: 'Lecture', attendanceStatus: 'P' });
+
+    const detail = await agent.get(SUBJECT_URL).expect(200);
+    expect(detail.text.match(/class="session-row"/g)).toHaveLength(15);
+    expect(detail.text).toContain('<td class="session-date">21-07-2025</td>');
+
+    await agent.get('/oneportal/app/api/student/attendance/NOPE0000/sessions').expect(404);
+  });
+
+  it('serves the weekly timetable', async () => {
+    await login(agent, '500123456', 'test-password');
+
+    const { body } = await agent.get(API_TIMETABLE_PATH).expect(200);
+    // Three lectures a week for each of the three theory subjects, one lab slot
+    expect(body.data.timetable).toHaveLength(10);
+    expect(body.data.timetable[0]).toEqual({
+      dayName: 'Monday',
+      startTime: '09:00',
+      endTime: '09:55',
+      subjectName: 'Data Structures',
+      subjectCode: 'CSEG2001',
+      roomNo: 'LT-101',
+      facultyName: 'Dr. R. Mehta'
+    });
+
+    const page = await agent.get(TIMETABLE_PATH).expect(200);
+    expect(page.text.match(/class="timetable-row"/g)).toHaveLength(10);
+    expect(page.text).toContain('<td class="tt-time">09:00 - 09:55</td>');
+  });
+
+  it('requires a session for the JSON API', async () => {
+    const res = await agent.get(API_ATTENDANCE_PATH);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('serves rendered HTML only when the API is disabled', async () => {
+    const htmlOnly = request.agent(createMockPortal({ api: false }));
+    await login(htmlOnly, '500123456', 'test-password');
+
+    const dashboard = await htmlOnly.get(DASHBOARD_PATH);
+    expect(dashboard.text).toContain('Data Structures');
+    expect(dashboard.text).not.toContain('<script>');
+    await htmlOnly.get(API_ATTENDANCE_PATH).expect(404);
+  });
+
+  it('updates the attendance of an account at runtime', async () => {
+    await agent
+      .put('/__mock/accounts/500123456')
+      .send({ attendance: [{ subject: 'Compiler Design', attended: 3, total: 4 }] })
+      .expect(200);
+
+    await login(agent, '500123456', 'test-password');
+    const dashboard = await agent.get(DASHBOARD_PATH);
+
+    expect(dashboard.text).toContain('Compiler Design');
+    expect(dashboard.text).toContain('75.00%');
+    expect(dashboard.text).not.toContain('Data Structures');
+  });
+});
@@ -0,0 +1,280 @@
+const PortalAdapter = require('../services/portalAdapter');
+const institutionRegistry = require('../services/institutionRegistry');
+const { createPortalAdapter } = require('../services/portalAdapterFactory');
+const UPESScrapingService = require('../services/upesScrapingService');
+const DynamicAttendanceScrapingService = require('../services/dynamicAttendanceScrapingService');
+const { PortalTimeoutError, PortalLockoutError } = require('../services/portalErrors');
+
+class FakeAdapter extends PortalAdapter {
+  constructor({ attendance = [], failAt = null, institution } = {}) {
+    super({ institution });
+    this.attendance = attendance;
+    this.failAt = failAt;
+    this.calls = [];
+  }
+
+  async open() { this.calls.push('open'); }
+  async close() { this.calls.push('close'); }
+
+  async login() {
+    this.calls.push('login');
+    if (this.failAt === 'login') throw new Error('Login failed: Invalid username or password.');
+    return { sessionReused: true };
+  }
+
+  async fetchAttendance() {
+    this.calls.push('fetchAttendance');
+    return this.attendance;
+  }
+
+  async fetchProfile() {
+    this.calls.push('fetchProfile');
+    return { name: 'Aarav Sharma', studentId: '500123456' };
+  }
+}
+
+describe('PortalAdapter', () => {
+  describe('normalizeRecord', () => {
+    it('fills in the canonical fields', () => {
+      expect(PortalAdapter.normalizeRecord({ subject: 'Data Structures', attended: 13, total: 15 })).toEqual({
+        subject: 'Data Structures',
+        subjectCode: null,
+        faculty: null,
+        componentType: 'Theory',
+        attended: 13,
+        total: 15,
+        percentage: 86.67,
+        status: 'Good',
+        sessions: []
+      });
+    });
+
+    it('normalizes and orders the class sessions', () => {
+      const record = PortalAdapter.normalizeRecord({
+        subject: 'Data Structures',
+        attended: 1,
+        total: 2,
+        sessions: [
+          { date: '22-07-2025', timeSlot: '09:00 - 09:55', type: 'Lecture', status: 'A' },
+          { date: '2025-07-21', timeSlot: '09:00-09:55', type: 'Lecture', status: 'Present' }
+        ]
+      });
+
+      expect(record.sessions).toEqual([
+        { date: '2025-07-21', timeSlot: '09:00-09:55', type: 'Lecture', status: 'Present' },
+        { date: '2025-07-22', timeSlot: '09:00-09:55', type: 'Lecture', status: 'Absent' }
+      ]);
+    });
+
+    it('reads the subject code and component from the portal labels', () => {
+      const normalize = (record) => PortalAdapter.normalizeRecord({ attended: 1, total: 1, ...record });
+
+      expect(normalize({ subject: 'CSEG2001 - Data Structures' })).toMatchObject({ subject: 'Data Structures', subjectCode: 'CSEG2001', componentType: 'Theory' });
+      expect(normalize({ subject: 'Data Structures (CSEG2001)', componentType: 'P' })).toMatchObject({ subject: 'Data Structures', subjectCode: 'CSEG2001', componentType: 'Lab' });
+      expect(normalize({ subject: 'Algorithms Lab' }).componentType).toBe('Lab');
+      expect(normalize({ subject: 'Engineering Maths', componentType: 'TUT' }).componentType).toBe('Tutorial');
+      expect(normalize({ subject: 'Networks', sessions: [{ date: '2025-07-21', type: 'Lab', status: 'P' }] }).componentType).toBe('Lab');
+    });
+
+    it('uses the shared status thresholds', () => {
+      const statusOf = (percentage) => PortalAdapter.normalizeRecord({ subject: 'X', attended: 0, total: 0, percentage }).status;
+
+      expect(statusOf(96)).toBe('Good');
+      expect(statusOf(75)).toBe('Good');
+      expect(statusOf(74.99)).toBe('Warning');
+      expect(statusOf(65)).toBe('Warning');
+      expect(statusOf(64.99)).toBe('Critical');
+    });
+
+    it('applies an institution attendance policy', () => {
+      const policy = { minimumPercentage: 80, warningPercentage: 70 };
+      const statusOf = (percentage) => PortalAdapter.normalizeRecord({ subject: 'X', attended: 0, total: 0, percentage }, policy).status;
+
+      expect(statusOf(80)).toBe('Good');
+      expect(statusOf(75)).toBe('Warning');
+      expect(statusOf(69.99)).toBe('Critical');
+    });
+  });
+
+  describe('timetable', () => {
+    it('normalizes entries and links them to the attendance records', () => {
+      const records = [
+        PortalAdapter.normalizeRecord({ subject: 'Data Structures', subjectCode: 'CSEG2001', faculty: 'Dr. R. Mehta', attended: 13, total: 15 }),
+        PortalAdapter.normalizeRecord({ subject: 'Operating Systems', attended: 20, total: 28 })
+      ];
+      const entries = [
+        { day: 'WED', time: '2:00 PM - 2:55 PM', subject: 'OPERATING SYSTEMS', room: 'LT-102' },
+        { day: 'Monday', startTime: '09:00', endTime: '09:55', subject: 'DS', subjectCode: 'CSEG2001' },
+        { day: 'Friday', startTime: '11:00', endTime: '11:55', subject: 'Yoga' }
+      ].map(entry => PortalAdapter.normalizeTimetableEntry(entry));
+
+      const timetable = PortalAdapter.linkTimetable(entries, records);
+
+      expect(timetable).toEqual([
+        { day: 'Monday', startTime: '09:00', endTime: '09:55', subject: 'Data Structures', subjectCode: 'CSEG2001', room: null, faculty: 'Dr. R. Mehta', linked: true },
+        { day: 'Wednesday', startTime: '14:00', endTime: '14:55', subject: 'Operating Systems', subjectCode: null, room: 'LT-102', faculty: null, linked: true },
+        { day: 'Friday', startTime: '11:00', endTime: '11:55', subject: 'Yoga', subjectCode: null, room: null, faculty: null, linked: false }
+      ]);
+      expect(PortalAdapter.countWeeklyClasses([...timetable, timetable[0]])).toEqual([
+        { subject: 'Data Structures', subjectCode: 'CSEG2001', classesPerWeek: 2 },
+        { subject: 'Operating Systems', subjectCode: null, classesPerWeek: 1 },
+        { subject: 'Yoga', subjectCode: null, classesPerWeek: 1 }
+      ]);
+    });
+  });
+
+  describe('fetchAttendanceReport', () => {
+    it('runs the workflow and returns the canonical report', async () => {
+      const adapter = new FakeAdapter({
+        attendance: [
+          { subject: 'Data Structures', subjectCode: 'CSEG2001', attended: 13, total: 15, percentage: 86.67, status: 'Excellent' },
+          { subject: 'Operating Systems', attended: 20, total: 28 }
+        ]
+      });
+      const stages = [];
+
+      const report = await adapter.fetchAttendanceReport('500123456', 'secret', {
+        onProgress: (progress) => stages.push(progress.stage)
+      });
+
+      expect(adapter.calls).toEqual(['open', 'login', 'fetchAttendance', 'fetchProfile', 'close']);
+      expect(stages).toEqual(['initBrowser', 'login', 'scrapeAttendanceData', 'getStudentProfile', 'scrapeSessions', 'scrapeTimetable', 'complete']);
+      expect(report).toMatchObject({
+        success: true,
+        sessionReused: true,
+        institution: {
+          id: 'upes',
+          name: 'UPES Dehradun',
+          attendancePolicy: { minimumPercentage: 75, warningPercentage: 65 }
+        },
+        student: {
+          name: 'Aarav Sharma',
+          studentId: '500123456',
+          course: null,
+          semester: null,
+          status: 'Active',
+          profilePhoto: null
+        },
+        summary: {
+          totalSubjects: 2,
+          safeSubjects: 1,
+          warningSubjects: 1,
+          criticalSubjects: 0,
+          overallPercentage: 79.05
+        }
+      });
+      expect(report.attendance[0].status).toBe('Good');
+      expect(report.timetable).toEqual([]);
+      expect(report.attendance[1]).toEqual({
+        subject: 'Operating Systems',
+        subjectCode: null,
+        faculty: null,
+        componentType: 'Theory',
+        attended: 20,
+        total: 28,
+        percentage: 71.43,
+        status: 'Warning',
+        sessions: []
+      });
+    });
+
+    it('grades records with the institution policy', async () => {
+      const institution = { ...institutionRegistry.get('upes'), attendancePolicy: { minimumPercentage: 85, warningPercentage: 75 } };
+      const adapter = new FakeAdapter({
+        institution,
+        attendance: [{ subject: 'Data Structures', attended: 13, total: 15 }]
+      });
+
+      const report = await adapter.fetchAttendanceReport('500123456', 'secret');
+
+      expect(report.attendance[0].status).toBe('Good');
+      expect(report.summary.safeSubjects).toBe(1);
+      expect(report.institution.attendancePolicy).toEqual({ minimumPercentage: 85, warningPercentage: 75 });
+    });
+
+    it('always releases its resources', async () => {
+      const adapter = new FakeAdapter({ failAt: 'login' });
+
+      await expect(adapter.fetchAttendanceReport('500123456', 'wrong')).rejects.toThrow('Login failed');
+      expect(adapter.calls).toEqual(['open', 'login', 'close']);
+    });
+
+    it('retries a stage that timed out and records every attempt', async () => {
+      const adapter = new FakeAdapter({ attendance: [{ subject: 'Data Structures', attended: 13, total: 15 }] });
+      const fetchAttendance = adapter.fetchAttendance.bind(adapter);
+      let failures = 2;
+      adapter.fetchAttendance = async () => {
+        if (failures-- > 0) throw new PortalTimeoutError('Waiting for selector `.attendance-wrapper` failed');
+        return fetchAttendance();
+      };
+      const attempts = [];
+
+      const report = await adapter.fetchAttendanceReport('500123456', 'secret', { onAttempt: attempt => attempts.push(attempt) });
+
+      expect(report.attendance).toHaveLength(1);
+      expect(attempts.filter(attempt => attempt.stage === 'scrapeAttendanceData')).toEqual([
+        expect.objectContaining({ attempt: 1, outcome: 'failed', code: 'TIMEOUT_ERROR', retryInMs: expect.any(Number) }),
+        expect.objectContaining({ attempt: 2, outcome: 'failed', code: 'TIMEOUT_ERROR', retryInMs: expect.any(Number) }),
+        expect.objectContaining({ attempt: 3, outcome: 'succeeded' })
+      ]);
+    });
+
+    it('never retries a lockout', async () => {
+      const adapter = new FakeAdapter();
+      adapter.login = jest.fn(async () => {
+        throw new PortalLockoutError('RATE_LIMITED: Account locked');
+      });
+      const attempts = [];
+
+      await expect(adapter.fetchAttendanceReport('500123456', 'secret', { onAttempt: attempt => attempts.push(attempt) }))
+        .rejects.toThrow(PortalLockoutError);
+      expect(adapter.login).toHaveBeenCalledTimes(1);
+      expect(attempts[attempts.length - 1]).toMatchObject({ stage: 'login', attempt: 1, outcome: 'failed', code: 'RATE_LIMITED' });
+    });
+
+    it('gives up after the configured retries', async () => {
+      const adapter = new FakeAdapter();
+      adapter.maxRetries = 2;
+      adapter.login = jest.fn(async () => {
+        throw new PortalTimeoutError('Navigation timeout of 30000 ms exceeded');
+      });
+
+      await expect(adapter.fetchAttendanceReport('500123456', 'secret')).rejects.toThrow(PortalTimeoutError);
+      expect(adapter.login).toHaveBeenCalledTimes(3);
+    });
+
+    it('backs off exponentially with jitter', () => {
+      for (const attempt of [1, 2, 3]) {
+        const delay = PortalAdapter.getRetryDelay(attempt, 2000);
+        expect(delay).toBeGreaterThanOrEqual(1000 * 2 ** (attempt - 1));
+        expect(delay).toBeLessThanOrEqual(2000 * 2 ** (attempt - 1));
+      }
+    });
+
+    it('gives up on a stage that hangs once the fetch is aborted', async () => {
+      const adapter = new FakeAdapter();
+      adapter.fetchAttendance = () => new Promise(() => {});
+      const controller = new AbortController();
+
+      const fetching = adapter.fetchAttendanceReport('500123456', 'secret', { signal: controller.signal });
+      setTimeout(() => controller.abort(new DOMException('Attendance fetch timed out', 'TimeoutError')), 10);
+
+      await expect(fetching).rejects.toThrow(PortalTimeoutError);
+      expect(adapter.calls).toEqual(['open', 'login', 'close']);
+    });
+  });
+
+  describe('createPortalAdapter', () => {
+    const upes = institutionRegistry.get('upes');
+
+    it('creates the adapter of an institution', () => {
+      expect(createPortalAdapter({ ...upes, adapter: 'upes' })).toBeInstanceOf(UPESScrapingService);
+      expect(createPortalAdapter({ ...upes, adapter: 'dynamic' })).toBeInstanceOf(DynamicAttendanceScrapingService);
+      expect(createPortalAdapter().institution.id).toBe('upes');
+    });
+
+    it('rejects unknown adapters', () => {
+      expect(() => createPortalAdapter({ ...upes, adapter: 'moodle' })).toThrow('Unknown portal adapter: moodle');
+    });
+  });
+});
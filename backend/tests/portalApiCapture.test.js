@@ -0,0 +1,125 @@
+const { EventEmitter } = require('events');
+const PortalApiCapture = require('../services/portalApiCapture');
+const selectorRegistry = require('../services/selectorRegistry');
+
+const { api } = selectorRegistry.get();
+
+/**
+ * Minimal stand-in for a Puppeteer HTTPResponse
+ */
+const fakeResponse = (url, body, { status = 200, contentType = 'application/json' } = {}) => ({
+  url: () => url,
+  ok: () => status >= 200 && status < 300,
+  headers: () => ({ 'content-type': contentType }),
+  json: async () => body
+});
+
+const ATTENDANCE_PAYLOAD = {
+  status: 'success',
+  data: {
+    semesterName: 'Semester 5',
+    subjects: [
+      { subjectCode: 'CSEG2001', subjectName: 'Data Structures', facultyName: 'Dr. R. Mehta', componentType: 'Theory', attendedClasses: 13, totalClasses: 15, attendancePercentage: '86.67' },
+      { subjectCode: 'CSEG2004', subjectName: 'Operating Systems', facultyName: null, attendedClasses: '20', totalClasses: '28' }
+    ]
+  }
+};
+
+describe('PortalApiCapture', () => {
+  describe('parseAttendance', () => {
+    it('reads records nested anywhere in the payload', () => {
+      expect(PortalApiCapture.parseAttendance(ATTENDANCE_PAYLOAD, api.attendance.fields)).toEqual([
+        { subject: 'Data Structures', subjectCode: 'CSEG2001', faculty: 'Dr. R. Mehta', componentType: 'Theory', attended: 13, total: 15, percentage: 86.67 },
+        { subject: 'Operating Systems', subjectCode: 'CSEG2004', faculty: null, componentType: null, attended: 20, total: 28, percentage: null }
+      ]);
+    });
+
+    it('ignores payloads without attendance records', () => {
+      expect(PortalApiCapture.parseAttendance({ data: { notices: [{ title: 'Holiday' }] } }, api.attendance.fields)).toBeNull();
+      expect(PortalApiCapture.parseAttendance({ data: { subjects: [] } }, api.attendance.fields)).toBeNull();
+    });
+  });
+
+  describe('parseSessions', () => {
+    it('reads the class sessions of a subject', () => {
+      const payload = { data: { subjectCode: 'CSEG2001', sessions: [{ sessionDate: '2025-07-21', timeSlot: '09:00-09:55', sessionType: 'Lecture', attendanceStatus: 'P' }] } };
+
+      expect(PortalApiCapture.parseSessions(payload, api.sessions.fields)).toEqual([
+        { date: '2025-07-21', timeSlot: '09:00-09:55', type: 'Lecture', status: 'P' }
+      ]);
+      expect(PortalApiCapture.parseSessions({ data: { sessions: [] } }, api.sessions.fields)).toBeNull();
+    });
+  });
+
+  describe('parseTimetable', () => {
+    it('reads the weekly timetable', () => {
+      const payload = { data: { timetable: [{ dayName: 'Monday', startTime: '09:00', endTime: '09:55', subjectName: 'Data Structures', subjectCode: 'CSEG2001', roomNo: 'LT-101', facultyName: 'Dr. R. Mehta' }] } };
+
+      expect(PortalApiCapture.parseTimetable(payload, api.timetable.fields)).toEqual([
+        { day: 'Monday', startTime: '09:00', endTime: '09:55', time: null, subject: 'Data Structures', subjectCode: 'CSEG2001', room: 'LT-101', faculty: 'Dr. R. Mehta' }
+      ]);
+      expect(PortalApiCapture.parseTimetable(ATTENDANCE_PAYLOAD, api.timetable.fields)).toBeNull();
+    });
+  });
+
+  describe('parseProfile', () => {
+    it('reads the student profile', () => {
+      const payload = { data: { studentName: 'Aarav Sharma', sapId: 500123456, programName: 'B.Tech CSE', semesterName: 'Semester 5', photoUrl: null } };
+
+      expect(PortalApiCapture.parseProfile(payload, api.profile.fields)).toEqual({
+        name: 'Aarav Sharma',
+        studentId: '500123456',
+        course: 'B.Tech CSE',
+        semester: 'Semester 5',
+        status: 'Active',
+        profilePhoto: null
+      });
+    });
+  });
+
+  describe('response capture', () => {
+    let page;
+    let capture;
+
+    beforeEach(() => {
+      page = new EventEmitter();
+      capture = new PortalApiCapture(page, api).start();
+    });
+
+    afterEach(() => {
+      capture.stop();
+    });
+
+    it('recognises the portal API calls by URL', () => {
+      expect(capture.matchKind('https://myupes-beta.upes.ac.in/oneportal/app/api/student/attendance')).toBe('attendance');
+      expect(capture.matchKind('https://myupes-beta.upes.ac.in/oneportal/app/api/student/profile')).toBe('profile');
+      expect(capture.matchKind('https://myupes-beta.upes.ac.in/oneportal/app/api/student/attendance/CSEG2001/sessions')).toBe('sessions');
+      expect(capture.matchKind('https://myupes-beta.upes.ac.in/oneportal/app/api/student/timetable')).toBe('timetable');
+      expect(capture.matchKind('https://myupes-beta.upes.ac.in/oneportal/app/dashboard')).toBeNull();
+    });
+
+    it('hands a payload to whoever is waiting for it', async () => {
+      const pending = capture.waitFor('attendance', 1000);
+
+      page.emit('response', fakeResponse('http://portal/oneportal/app/api/student/attendance', ATTENDANCE_PAYLOAD));
+
+      await expect(pending).resolves.toHaveLength(2);
+      await expect(capture.waitFor('attendance', 0)).resolves.toHaveLength(2);
+    });
+
+    it('skips responses that are not JSON or not successful', async () => {
+      page.emit('response', fakeResponse('http://portal/oneportal/app/api/student/attendance', ATTENDANCE_PAYLOAD, { contentType: 'text/html' }));
+      page.emit('response', fakeResponse('http://portal/oneportal/app/api/student/attendance', ATTENDANCE_PAYLOAD, { status: 401 }));
+
+      await expect(capture.waitFor('attendance', 50)).resolves.toBeNull();
+    });
+
+    it('stops listening when stopped', async () => {
+      const pending = capture.waitFor('profile', 1000);
+      capture.stop();
+
+      await expect(pending).resolves.toBeNull();
+      expect(page.listenerCount('response')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const app = require('../index');
+const portalCircuitBreaker = require('../services/portalCircuitBreaker');
+const browserPool = require('../services/browserPool');
+const institutionRegistry = require('../services/institutionRegistry');
+const { PortalCircuitBreaker, CIRCUIT_STATES } = portalCircuitBreaker;
+const { PortalDownError } = require('../services/portalErrors');
+
+const outage = { stage: 'login', attempt: 1, outcome: 'failed', code: 'PORTAL_UNAVAILABLE', message: 'Portal unavailable: HTTP 503 from login page' };
+
+describe('PortalCircuitBreaker', () => {
+  let breaker;
+
+  afterEach(() => {
+    breaker.reset();
+  });
+
+  it('opens after consecutive outage failures and fails fast', () => {
+    breaker = new PortalCircuitBreaker({ failureThreshold: 3, resetTimeout: 60000 });
+
+    breaker.recordAttempt('upes', outage);
+    breaker.recordAttempt('upes', { ...outage, code: 'TIMEOUT_ERROR' });
+    expect(() => breaker.check('upes')).not.toThrow();
+
+    breaker.recordAttempt('upes', outage);
+
+    expect(breaker.getStatus('upes')).toMatchObject({ state: CIRCUIT_STATES.OPEN, consecutiveFailures: 3, retryAfter: 60 });
+    expect(() => breaker.check('upes')).toThrow(PortalDownError);
+    expect(breaker.getStatus('other')).toMatchObject({ state: CIRCUIT_STATES.CLOSED });
+  });
+
+  it('only counts failures that point at an outage', () => {
+    breaker = new PortalCircuitBreaker({ failureThreshold: 2, resetTimeout: 60000 });
+
+    breaker.recordAttempt('upes', outage);
+    // The portal answered: the count starts over
+    breaker.recordAttempt('upes', { ...outage, code: 'INVALID_CREDENTIALS' });
+    breaker.recordAttempt('upes', outage);
+    // Our own browser trouble and cancelled fetches are not counted either way
+    breaker.recordAttempt('upes', { ...outage, stage: 'initBrowser', code: 'SERVICE_UNAVAILABLE' });
+    breaker.recordAttempt('upes', { ...outage, outcome: 'aborted', code: 'TIMEOUT_ERROR' });
+
+    expect(breaker.getStatus('upes')).toMatchObject({ state: CIRCUIT_STATES.CLOSED, consecutiveFailures: 1 });
+  });
+
+  it('half-opens on a timer and closes once the probe reaches the portal', async () => {
+    const probe = jest.fn(async () => true);
+    breaker = new PortalCircuitBreaker({ failureThreshold: 1, resetTimeout: 20, probe });
+
+    breaker.recordAttempt('upes', outage);
+    expect(breaker.getStatus('upes').state).toBe(CIRCUIT_STATES.OPEN);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    expect(probe).toHaveBeenCalledWith(expect.objectContaining({ id: 'upes' }));
+    expect(breaker.getStatus('upes')).toMatchObject({ state: CIRCUIT_STATES.CLOSED, consecutiveFailures: 0 });
+  });
+
+  it('opens again when the probe fails', async () => {
+    breaker = new PortalCircuitBreaker({ failureThreshold: 1, resetTimeout: 60000, probe: async () => false });
+    breaker.recordAttempt('upes', outage);
+
+    expect(await breaker.halfOpen('upes')).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.getRetryAfter('upes')).toBe(60);
+  });
+});
+
+describe('attendance routes with the portal down', () => {
+  let auth;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ userId: '500123456', password: 'secret', institutionId: 'upes' })
+      .expect(200);
+    auth = `Bearer ${res.body.token}`;
+
+    portalCircuitBreaker.open('upes');
+  });
+
+  afterAll(async () => {
+    portalCircuitBreaker.reset();
+    await browserPool.drain();
+  });
+
+  it('refuses fetches with PORTAL_DOWN and Retry-After', async () => {
+    const res = await request(app)
+      .post('/api/attendance/fetch')
+      .set('Authorization', auth)
+      .send({ password: 'secret' })
+      .expect(503);
+
+    expect(res.body).toMatchObject({ code: 'PORTAL_DOWN', retryable: true });
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('shows the circuit state on the status endpoint', async () => {
+    const res = await request(app).get('/api/attendance/status');
+
+    expect(res.body.services.upesPortal).toBe('open');
+    expect(res.body.portal).toMatchObject({ state: 'open', failureThreshold: 5 });
+  }, 60000);
+
+  it('reports no portal on the status endpoint when no institution is enabled', async () => {
+    const get = jest.spyOn(institutionRegistry, 'get').mockReturnValue(null);
+
+    try {
+      const res = await request(app).get('/api/attendance/status').expect(503);
+      expect(res.body).toMatchObject({ portal: null, services: { upesPortal: null }, error: 'No institution is enabled' });
+    } finally {
+      get.mockRestore();
+    }
+  });
+});
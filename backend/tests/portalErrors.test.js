@@ -0,0 +1,146 @@
+const express = require('express');
+const request = require('supertest');
+const { createMockPortal, LOGIN_PATH } = require('../mock-portal/server');
+const { describeWithBrowser } = require('./helpers/fixtureBrowser');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createPortalAdapter } = require('../services/portalAdapterFactory');
+const institutionRegistry = require('../services/institutionRegistry');
+const portalSessionStore = require('../services/portalSessionStore');
+const browserPool = require('../services/browserPool');
+const { BrowserPool } = browserPool;
+const {
+  PortalError,
+  PortalAuthError,
+  PortalLockoutError,
+  PortalUnavailableError,
+  PortalTimeoutError,
+  ScrapeSchemaError,
+  BrowserLaunchError,
+  UnsupportedFlowError,
+  toPortalError,
+  describeError
+} = require('../services/portalErrors');
+
+describe('portal errors', () => {
+  it('carry a stable code, HTTP status and retryability', () => {
+    const described = [
+      new PortalAuthError('Login failed: Invalid username or password.'),
+      new PortalLockoutError('RATE_LIMITED: Account locked'),
+      new PortalUnavailableError('Portal unavailable: HTTP 503 from login page'),
+      new PortalTimeoutError('Navigation timeout of 30000 ms exceeded'),
+      new ScrapeSchemaError('User ID field not found'),
+      new BrowserLaunchError('Browser launch failed: no executable')
+    ].map(error => {
+      const { statusCode, code, retryable } = describeError(error);
+      return [error.name, code, statusCode, retryable];
+    });
+
+    expect(described).toEqual([
+      ['PortalAuthError', 'INVALID_CREDENTIALS', 401, false],
+      ['PortalLockoutError', 'RATE_LIMITED', 429, false],
+      ['PortalUnavailableError', 'PORTAL_UNAVAILABLE', 503, true],
+      ['PortalTimeoutError', 'TIMEOUT_ERROR', 504, true],
+      ['ScrapeSchemaError', 'SCRAPE_SCHEMA_ERROR', 502, false],
+      ['BrowserLaunchError', 'SERVICE_UNAVAILABLE', 503, true]
+    ]);
+    expect(new UnsupportedFlowError('login form has a captcha')).toBeInstanceOf(PortalError);
+  });
+
+  it('does not classify by message text', () => {
+    // A lockout message mentioning "Login failed" is still a lockout
+    expect(describeError(new PortalLockoutError('Login failed: RATE_LIMITED')).code).toBe('RATE_LIMITED');
+    expect(describeError(toPortalError(new Error('Login failed: RATE_LIMITED'))).code).toBe('FETCH_ERROR');
+  });
+
+  it('converts Puppeteer and network errors', () => {
+    const timeout = new Error('Navigation timeout of 30000 ms exceeded');
+    timeout.name = 'TimeoutError';
+    const lockout = new PortalLockoutError('RATE_LIMITED: Account locked');
+
+    expect(toPortalError(timeout)).toBeInstanceOf(PortalTimeoutError);
+    expect(toPortalError(new Error('net::ERR_CONNECTION_REFUSED at https://myupes-beta.upes.ac.in'))).toBeInstanceOf(PortalUnavailableError);
+    expect(toPortalError(lockout)).toBe(lockout);
+  });
+
+  it('reject callers waiting for a browser when the pool shuts down', async () => {
+    const pool = new BrowserPool({ min: 0, max: 0, acquireTimeout: 60000 });
+    const waiting = pool.acquire();
+
+    await pool.drain();
+
+    const error = await waiting.catch(rejection => rejection);
+    expect(error).toBeInstanceOf(BrowserLaunchError);
+    expect(describeError(error)).toMatchObject({ statusCode: 503, code: 'SERVICE_UNAVAILABLE' });
+  });
+
+  it('are answered the same way by the global error handler', async () => {
+    const app = express();
+    app.get('/lockout', () => {
+      throw new PortalLockoutError('RATE_LIMITED: Account locked');
+    });
+    app.get('/plain', () => {
+      const error = new Error('Job not found');
+      error.statusCode = 404;
+      throw error;
+    });
+    app.use(errorHandler);
+
+    const lockout = await request(app).get('/lockout').expect(429);
+    expect(lockout.body).toEqual({
+      error: 'Too many login attempts. Please wait 15-30 minutes before trying again.',
+      code: 'RATE_LIMITED',
+      retryable: false
+    });
+
+    const plain = await request(app).get('/plain').expect(404);
+    expect(plain.body).toEqual({ error: 'Job not found' });
+  });
+});
+
+describe('portal errors from the adapters', () => {
+  let server;
+  let institution;
+
+  beforeAll(async () => {
+    server = createMockPortal({ slowDelay: 10 }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    institution = {
+      ...institutionRegistry.get('upes'),
+      loginUrl: `http://127.0.0.1:${server.address().port}${LOGIN_PATH}`
+    };
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    portalSessionStore.sessions.clear();
+  });
+
+  it('types HTTP client failures', async () => {
+    const locked = createPortalAdapter(institution, { fetchMode: 'http' });
+    await expect(locked.fetchAttendanceReport('500123458', 'test-password')).rejects.toThrow(PortalLockoutError);
+
+    const rejected = createPortalAdapter(institution, { fetchMode: 'http' });
+    await expect(rejected.fetchAttendanceReport('500123457', 'wrong-password')).rejects.toThrow(PortalAuthError);
+
+    const unreachable = createPortalAdapter({ ...institution, loginUrl: 'http://127.0.0.1:9/app/login' }, { fetchMode: 'http' });
+    await expect(unreachable.fetchAttendanceReport('500123456', 'test-password')).rejects.toThrow(PortalUnavailableError);
+  });
+
+  describeWithBrowser('in the browser', () => {
+    afterAll(async () => {
+      await browserPool.drain();
+    });
+
+    it('keeps a lockout a lockout through the login form', async () => {
+      const adapter = createPortalAdapter(institution, { fetchMode: 'browser' });
+
+      const error = await adapter.fetchAttendanceReport('500123458', 'test-password').catch(caught => caught);
+
+      expect(error).toBeInstanceOf(PortalLockoutError);
+      expect(describeError(error).code).toBe('RATE_LIMITED');
+    }, 60000);
+  });
+});
@@ -0,0 +1,100 @@
+const { PortalSessionStore } = require('../services/portalSessionStore');
+const { encrypt } = require('../utils/encryption');
+
+const userKey = 'upes:500123456';
+const cookies = [{ name: 'ASP.NET_SessionId', value: 'abc123', domain: 'myupes-beta.upes.ac.in' }];
+
+describe('PortalSessionStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new PortalSessionStore({ ttl: 60000 });
+  });
+
+  afterEach(() => {
+    clearInterval(store.purgeTimer);
+    jest.restoreAllMocks();
+  });
+
+  it('restores the saved cookies for the same password', async () => {
+    await store.save(userKey, 'test-password', cookies);
+
+    expect(await store.restore(userKey, 'test-password')).toEqual(cookies);
+  });
+
+  it('keeps the cookies encrypted and never stores the password', async () => {
+    await store.save(userKey, 'test-password', cookies);
+
+    const session = store.sessions.get(userKey);
+    expect(session.cookies).not.toContain('abc123');
+    expect(JSON.stringify(session)).not.toContain('test-password');
+  });
+
+  it('ignores empty cookie lists', async () => {
+    await store.save(userKey, 'test-password', []);
+
+    expect(store.sessions.has(userKey)).toBe(false);
+    expect(await store.restore(userKey, 'test-password')).toBeNull();
+  });
+
+  it('refuses the session to a different password without dropping it', async () => {
+    await store.save(userKey, 'test-password', cookies);
+
+    expect(await store.restore(userKey, 'wrong-password')).toBeNull();
+    expect(await store.restore(userKey, 'test-password')).toEqual(cookies);
+  });
+
+  it('drops the session once it has expired', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await store.save(userKey, 'test-password', cookies);
+
+    Date.now.mockReturnValue(now + 60000);
+
+    expect(await store.restore(userKey, 'test-password')).toBeNull();
+    expect(store.sessions.has(userKey)).toBe(false);
+  });
+
+  it('purges expired sessions and keeps live ones', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await store.save(userKey, 'test-password', cookies);
+
+    Date.now.mockReturnValue(now + 30000);
+    await store.save('upes:500654321', 'other-password', cookies);
+
+    Date.now.mockReturnValue(now + 60000);
+    store.purgeExpired();
+
+    expect([...store.sessions.keys()]).toEqual(['upes:500654321']);
+  });
+
+  it('drops a session that can no longer be decrypted', async () => {
+    await store.save(userKey, 'test-password', cookies);
+    const session = store.sessions.get(userKey);
+    const [iv, ciphertext] = session.cookies.split(':');
+    session.cookies = `${iv}:${ciphertext.slice(0, -2)}${ciphertext.endsWith('00') ? 'ff' : '00'}`;
+
+    expect(await store.restore(userKey, 'test-password')).toBeNull();
+    expect(store.sessions.has(userKey)).toBe(false);
+  });
+
+  it.each([
+    ['garbage instead of an encrypted payload', () => 'not-encrypted'],
+    ['a payload that is not JSON', () => encrypt('not json')],
+    ['JSON that is not a cookie list', () => encrypt(JSON.stringify({ name: 'ASP.NET_SessionId' }))]
+  ])('drops a session holding %s', async (description, corrupt) => {
+    await store.save(userKey, 'test-password', cookies);
+    store.sessions.get(userKey).cookies = corrupt();
+
+    expect(await store.restore(userKey, 'test-password')).toBeNull();
+    expect(store.sessions.has(userKey)).toBe(false);
+  });
+
+  it('forgets an invalidated session', async () => {
+    await store.save(userKey, 'test-password', cookies);
+    store.invalidate(userKey);
+
+    expect(await store.restore(userKey, 'test-password')).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+const DynamicAttendanceScrapingService = require('../../services/dynamicAttendanceScrapingService');
+const { describeWithBrowser, launchFixtureBrowser, loadFixture } = require('../helpers/fixtureBrowser');
+
+describeWithBrowser('DynamicAttendanceScrapingService against saved portal pages', () => {
+  let browser;
+  let page;
+  let service;
+
+  beforeAll(async () => {
+    browser = await launchFixtureBrowser();
+  });
+
+  afterAll(async () => {
+    if (browser) await browser.close();
+  });
+
+  beforeEach(async () => {
+    page = await browser.newPage();
+    service = new DynamicAttendanceScrapingService();
+    service.page = page;
+
+    await loadFixture(page, 'attendance-table');
+  });
+
+  afterEach(async () => {
+    await page.close();
+  });
+
+  describe('extractRowData', () => {
+    it('reads a row with labelled cells', async () => {
+      const [row] = await page.$$('tbody tr');
+
+      await expect(service.extractRowData(row)).resolves.toEqual({
+        subject: 'Data Structures',
+        subjectCode: 'CSEG2001',
+        total: 15,
+        attended: 13,
+        percentage: 86.67,
+        status: 'Good',
+        faculty: 'Dr. R. Mehta',
+        componentType: null
+      });
+    });
+
+    it('reads a row by cell position when there are no labels', async () => {
+      const rows = await page.$$('tbody tr');
+
+      await expect(service.extractRowData(rows[1])).resolves.toEqual({
+        subject: 'Operating Systems',
+        subjectCode: null,
+        total: 28,
+        attended: 20,
+        percentage: 71.43,
+        status: 'Warning',
+        faculty: null,
+        componentType: null
+      });
+    });
+
+    it('reads a subject without any classes yet', async () => {
+      const rows = await page.$$('tbody tr');
+
+      await expect(service.extractRowData(rows[2])).resolves.toEqual({
+        subject: 'Cloud Computing Lab',
+        subjectCode: 'CSEG2112',
+        total: 0,
+        attended: 0,
+        percentage: 0,
+        status: 'Critical',
+        faculty: 'Prof. A. Iyer',
+        componentType: null
+      });
+    });
+
+    it('skips the header row', async () => {
+      const headerRow = await page.$('thead tr');
+
+      await expect(service.extractRowData(headerRow)).resolves.toBeNull();
+    });
+  });
+
+  describe('extractAttendanceFromTable', () => {
+    it('collects every body row of the attendance table', async () => {
+      const attendance = await service.extractAttendanceFromTable();
+
+      expect(attendance.map(record => record.subject)).toEqual([
+        'Data Structures',
+        'Operating Systems',
+        'Cloud Computing Lab'
+      ]);
+    });
+  });
+});
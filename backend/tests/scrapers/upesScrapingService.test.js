@@ -0,0 +1,122 @@
+const EventEmitter = require('events');
+const UPESScrapingService = require('../../services/upesScrapingService');
+const { describeWithBrowser, launchFixtureBrowser, loadFixture } = require('../helpers/fixtureBrowser');
+
+const AVATAR_PHOTO = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+describeWithBrowser('UPESScrapingService against saved portal pages', () => {
+  let browser;
+  let page;
+  let service;
+
+  beforeAll(async () => {
+    browser = await launchFixtureBrowser();
+  });
+
+  afterAll(async () => {
+    if (browser) await browser.close();
+  });
+
+  beforeEach(async () => {
+    page = await browser.newPage();
+    service = new UPESScrapingService({ renderTimeout: 1000 });
+    service.page = page;
+    // Signed in user, used when the dashboard doesn't show a student ID
+    service.userId = '590018413';
+  });
+
+  afterEach(async () => {
+    await page.close();
+  });
+
+  describe('scrapeAttendanceData', () => {
+    it('reads every subject row of the attendance wrapper', async () => {
+      await loadFixture(page, 'dashboard');
+
+      await expect(service.scrapeAttendanceData()).resolves.toEqual([
+        { subject: 'Data Structures', subjectCode: null, faculty: null, componentType: null, attended: 13, total: 15, percentage: 86.67, status: 'Good' },
+        { subject: 'Operating Systems', subjectCode: null, faculty: null, componentType: null, attended: 20, total: 28, percentage: 71.43, status: 'Warning' },
+        { subject: 'Discrete Mathematics', subjectCode: null, faculty: null, componentType: null, attended: 9, total: 16, percentage: 56.25, status: 'Critical' },
+        { subject: 'Algorithms Lab', subjectCode: null, faculty: null, componentType: null, attended: 12, total: 12, percentage: 100, status: 'Good' }
+      ]);
+    });
+
+    it('falls back to loose attendance spans when the wrapper is missing', async () => {
+      await loadFixture(page, 'dashboard-without-wrapper');
+
+      await expect(service.scrapeAttendanceData()).resolves.toEqual([
+        { subject: 'Programming in C', subjectCode: null, faculty: null, componentType: null, attended: 18, total: 20, percentage: 90, status: 'Good' },
+        { subject: 'Digital Electronics', subjectCode: null, faculty: null, componentType: null, attended: 14, total: 21, percentage: 66.67, status: 'Warning' }
+      ]);
+    });
+
+    it.each([
+      'login',
+      'login-invalid-credentials',
+      'login-lockout',
+      'maintenance'
+    ])('finds no attendance on the %s page', async (fixture) => {
+      await loadFixture(page, fixture);
+
+      await expect(service.scrapeAttendanceData()).resolves.toEqual([]);
+    });
+  });
+
+  describe('getStudentProfile', () => {
+    it('reads the profile header of the dashboard', async () => {
+      await loadFixture(page, 'dashboard');
+
+      await expect(service.getStudentProfile()).resolves.toEqual({
+        name: 'Aarav Sharma',
+        studentId: '500123456',
+        course: 'B.Tech CSE',
+        semester: 'Semester 5',
+        status: 'Active',
+        profilePhoto: AVATAR_PHOTO
+      });
+    });
+
+    it('uses the welcome message and fallback photo selectors', async () => {
+      await loadFixture(page, 'dashboard-without-wrapper');
+
+      await expect(service.getStudentProfile()).resolves.toEqual({
+        name: 'Diya Verma',
+        studentId: '590018413',
+        course: 'BCA',
+        semester: 'Semester 2',
+        status: 'Active',
+        profilePhoto: 'https://example.com/photos/student.jpg'
+      });
+    });
+
+    it('falls back to the signed in user on the maintenance page', async () => {
+      await loadFixture(page, 'maintenance');
+
+      await expect(service.getStudentProfile()).resolves.toEqual({
+        name: 'Student Name',
+        studentId: '590018413',
+        course: null,
+        semester: null,
+        status: 'Active',
+        profilePhoto: null
+      });
+    });
+  });
+});
+
+describe('UPESScrapingService login', () => {
+  it('stops the previous API capture when the login is retried', async () => {
+    const page = new EventEmitter();
+    const service = new UPESScrapingService();
+    service.page = page;
+    service.restoreSession = async () => true;
+    service.saveSession = async () => {};
+
+    await service.login('500123456', 'test-password');
+    await service.login('500123456', 'test-password');
+    expect(page.listenerCount('response')).toBe(1);
+
+    await service.close();
+    expect(page.listenerCount('response')).toBe(0);
+  });
+});
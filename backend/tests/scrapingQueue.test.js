@@ -0,0 +1,188 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../index');
+const config = require('../config/environment');
+const localDatabase = require('../services/localDatabase');
+const scrapingQueue = require('../services/scrapingQueue');
+const { ScrapingQueue, JOB_STATES } = scrapingQueue;
+
+/**
+ * Task that runs until its job is stopped, resolving with the abort reason
+ */
+const waitForAbort = (job) => new Promise(resolve => {
+  job.signal.addEventListener('abort', () => resolve(job.signal.reason), { once: true });
+});
+
+/**
+ * Task that runs until the test settles it
+ */
+const deferredTask = () => {
+  const task = jest.fn(() => new Promise((resolve, reject) => Object.assign(task, { resolve, reject })));
+  return task;
+};
+
+describe('ScrapingQueue', () => {
+  it('runs a job and keeps its result', async () => {
+    const queue = new ScrapingQueue({ concurrency: 1 });
+    const job = queue.enqueue({ userId: 'upes:500123456', task: async () => ({ success: true }) });
+
+    await new Promise(resolve => queue.once('finished', resolve));
+
+    expect(job.state).toBe(JOB_STATES.SUCCEEDED);
+    expect(job.result).toEqual({ success: true });
+  });
+
+  it('aborts the task of a job that times out', async () => {
+    const queue = new ScrapingQueue({ jobTimeout: 20 });
+    const job = queue.enqueue({ userId: 'upes:500123456', task: waitForAbort });
+
+    await new Promise(resolve => queue.once('finished', resolve));
+
+    expect(job.state).toBe(JOB_STATES.FAILED);
+    expect(job.error).toMatchObject({ code: 'TIMEOUT_ERROR', statusCode: 504, retryable: true });
+    expect(job.signal.aborted).toBe(true);
+    expect(job.signal.reason.name).toBe('TimeoutError');
+  });
+
+  it('runs at most `concurrency` jobs at once, in the order they were queued', async () => {
+    const queue = new ScrapingQueue({ concurrency: 2 });
+    const tasks = [deferredTask(), deferredTask(), deferredTask(), deferredTask()];
+    const jobs = tasks.map((task, index) => queue.enqueue({ userId: `upes:50012345${index}`, task }));
+
+    expect(jobs.map(job => job.state)).toEqual(['running', 'running', 'queued', 'queued']);
+    expect(jobs.map(job => queue.getPosition(job))).toEqual([0, 0, 1, 2]);
+    expect(tasks[2]).not.toHaveBeenCalled();
+
+    tasks[1].resolve({ success: true });
+    await new Promise(resolve => queue.once('started', resolve));
+
+    expect(jobs.map(job => job.state)).toEqual(['running', 'succeeded', 'running', 'queued']);
+    expect(queue.getPosition(jobs[3])).toBe(1);
+    expect(queue.getActiveJobForUser('upes:500123451')).toBeNull();
+
+    tasks[0].reject(Object.assign(new Error('Invalid login credentials.'), { code: 'INVALID_CREDENTIALS', statusCode: 401 }));
+    await new Promise(resolve => queue.once('started', resolve));
+
+    expect(jobs[0].error).toMatchObject({ code: 'INVALID_CREDENTIALS', statusCode: 401, retryable: false });
+    expect(jobs[3].state).toBe(JOB_STATES.RUNNING);
+
+    queue.cancel(jobs[2].id);
+    queue.cancel(jobs[3].id);
+  });
+
+  it('refuses jobs once the waiting line is full', () => {
+    const queue = new ScrapingQueue({ concurrency: 1, maxQueueSize: 1 });
+    const running = queue.enqueue({ userId: 'upes:500123456', task: waitForAbort });
+    const waiting = queue.enqueue({ userId: 'upes:500123457', task: waitForAbort });
+
+    expect(() => queue.enqueue({ userId: 'upes:500123458', task: waitForAbort }))
+      .toThrow(expect.objectContaining({ code: 'QUEUE_FULL', statusCode: 503 }));
+
+    queue.cancel(waiting.id);
+    queue.cancel(running.id);
+  });
+
+  it('never runs a job cancelled while it waited', async () => {
+    const queue = new ScrapingQueue({ concurrency: 1 });
+    const first = deferredTask();
+    const cancelled = deferredTask();
+    const last = deferredTask();
+    queue.enqueue({ userId: 'upes:500123456', task: first });
+    const waiting = queue.enqueue({ userId: 'upes:500123457', task: cancelled });
+    const next = queue.enqueue({ userId: 'upes:500123458', task: last });
+
+    queue.cancel(waiting.id);
+    expect(waiting.state).toBe(JOB_STATES.CANCELLED);
+    expect(queue.getPosition(next)).toBe(1);
+
+    first.resolve({ success: true });
+    await new Promise(resolve => queue.once('started', resolve));
+
+    expect(cancelled).not.toHaveBeenCalled();
+    expect(next.state).toBe(JOB_STATES.RUNNING);
+    queue.cancel(next.id);
+  });
+
+  it('times out a job its client abandoned', async () => {
+    const queue = new ScrapingQueue();
+    const job = queue.enqueue({ userId: 'upes:500123456', task: waitForAbort });
+
+    queue.abandon(job.id);
+
+    expect(job.error.code).toBe('TIMEOUT_ERROR');
+    expect(job.signal.reason.name).toBe('TimeoutError');
+  });
+
+  it('cancels a job with an AbortError', async () => {
+    const queue = new ScrapingQueue();
+    const onCancel = jest.fn();
+    const job = queue.enqueue({ userId: 'upes:500123456', task: waitForAbort, onCancel });
+
+    queue.cancel(job.id);
+    await Promise.resolve();
+
+    expect(job.state).toBe(JOB_STATES.CANCELLED);
+    expect(job.signal.reason.name).toBe('AbortError');
+    expect(onCancel).toHaveBeenCalledWith(job);
+  });
+});
+
+describe('job progress stream', () => {
+  const grace = config.global.queue.streamReconnectGrace;
+  let server;
+  let auth;
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  /**
+   * Open the progress stream of a job and close it once the first event arrived
+   */
+  const openAndDropStream = (jobId) => new Promise((resolve, reject) => {
+    const req = http.get({
+      port: server.address().port,
+      path: `/api/attendance/fetch/${jobId}/events`,
+      headers: { Authorization: auth }
+    }, res => {
+      res.once('data', () => {
+        req.destroy();
+        resolve();
+      });
+    });
+    req.on('error', reject);
+  });
+
+  beforeAll(async () => {
+    config.global.queue.streamReconnectGrace = 150;
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const res = await request(server)
+      .post('/api/auth/login')
+      .send({ userId: '500123456', password: 'secret', institutionId: 'upes' })
+      .expect(200);
+    auth = `Bearer ${res.body.token}`;
+  });
+
+  afterAll(async () => {
+    config.global.queue.streamReconnectGrace = grace;
+    await new Promise(resolve => server.close(resolve));
+    await localDatabase.close();
+  });
+
+  it('keeps a fetch the client follows by polling after its stream dropped', async () => {
+    const job = scrapingQueue.enqueue({ userId: 'upes:500123456', task: waitForAbort });
+    await openAndDropStream(job.id);
+
+    // Polling for well over the grace period
+    for (let poll = 0; poll < 8; poll++) {
+      await sleep(50);
+      const res = await request(server).get(`/api/attendance/jobs/${job.id}`).set('Authorization', auth).expect(200);
+      expect(res.body.data.state).toBe(JOB_STATES.RUNNING);
+    }
+
+    // The client stops polling too: now it has left
+    await sleep(300);
+    expect(job.state).toBe(JOB_STATES.FAILED);
+    expect(job.error.code).toBe('TIMEOUT_ERROR');
+  });
+});
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SelectorRegistry } = require('../services/selectorRegistry');
+
+const shipped = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'selectors.json'), 'utf8'));
+
+/**
+ * Copy of the shipped registry with one dotted path removed
+ */
+const without = (key) => {
+  const registry = JSON.parse(JSON.stringify(shipped));
+  const parts = key.split('.');
+  const section = parts.slice(0, -1).reduce((current, part) => current[part], registry);
+  delete section[parts[parts.length - 1]];
+  return registry;
+};
+
+describe('SelectorRegistry', () => {
+  let tempDir;
+  let filePath;
+
+  const write = (registry) => fs.writeFileSync(filePath, JSON.stringify(registry));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendease-selectors-'));
+    filePath = path.join(tempDir, 'selectors.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('loads the shipped registry', () => {
+    write(shipped);
+    const registry = new SelectorRegistry(filePath);
+
+    expect(registry.get().version).toBe(shipped.version);
+    expect(registry.select('login.userIdField')).toEqual(shipped.login.userIdField);
+    expect(registry.getStrategies('rows').every(strategy => strategy.type === 'rows')).toBe(true);
+  });
+
+  it('refuses to start without a selector the scrapers read', () => {
+    write(without('login.lockoutText'));
+
+    expect(() => new SelectorRegistry(filePath)).toThrow('"login.lockoutText" must be a non-empty list of strings');
+  });
+
+  it('keeps the current registry when a reload is missing selectors the scrapers read', () => {
+    write(shipped);
+    const registry = new SelectorRegistry(filePath);
+
+    ['login.submitButtonText', 'login.lockoutText', 'dashboard.indicators', 'dashboard.logoutLink'].forEach(key => {
+      write({ ...without(key), version: 'broken' });
+      expect(registry.reload()).toBe(false);
+      expect(registry.get().version).toBe(shipped.version);
+    });
+
+    write({ ...shipped, dashboard: { ...shipped.dashboard, indicators: ['nav'] } });
+    expect(registry.reload()).toBe(false);
+
+    write({ ...shipped, version: 'next' });
+    expect(registry.reload()).toBe(true);
+    expect(registry.get().version).toBe('next');
+  });
+});
@@ -0,0 +1,7 @@
+// Jest sets NODE_ENV=test, but config/environment only knows the "testing" profile
+process.env.NODE_ENV = 'testing';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'attendease-test-secret-at-least-32-characters';
+// Retries back off for seconds in production; tests only need the retries to happen
+process.env.SCRAPE_RETRY_DELAY = process.env.SCRAPE_RETRY_DELAY || '10';
+// The local database stays in memory instead of backend/data
+process.env.DATABASE_PATH = process.env.DATABASE_PATH || ':memory:';
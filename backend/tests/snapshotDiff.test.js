@@ -0,0 +1,242 @@
+const request = require('supertest');
+const app = require('../index');
+const snapshotStore = require('../services/snapshotStore');
+const passwordProofStore = require('../services/passwordProofStore');
+const localDatabase = require('../services/localDatabase');
+const { diffReports, detectCorrections } = require('../services/snapshotDiff');
+
+const record = (subject, attended, total, status, extra = {}) => ({
+  subject,
+  subjectCode: extra.subjectCode || null,
+  componentType: extra.componentType || 'Theory',
+  attended,
+  total,
+  percentage: total > 0 ? parseFloat(((attended / total) * 100).toFixed(2)) : 0,
+  status
+});
+
+const report = (timestamp, attendance) => ({ timestamp, attendance });
+
+describe('diffReports', () => {
+  it('reports classes held, attended, percentage and status changes per subject', () => {
+    const previous = report('2025-08-05T09:00:00.000Z', [
+      record('Data Structures', 13, 15, 'Good', { subjectCode: 'CSEG2001' }),
+      record('Operating Systems', 21, 28, 'Good', { subjectCode: 'CSEG2004' }),
+      record('Algorithms Lab', 12, 12, 'Good', { subjectCode: 'CSEG2102', componentType: 'Lab' })
+    ]);
+    const current = report('2025-08-07T09:00:00.000Z', [
+      record('Data Structures', 15, 17, 'Good', { subjectCode: 'CSEG2001' }),
+      // Missed two classes and dropped below the minimum
+      record('Operating Systems', 21, 30, 'Warning', { subjectCode: 'CSEG2004' }),
+      record('Algorithms Lab', 12, 12, 'Good', { subjectCode: 'CSEG2102', componentType: 'Lab' })
+    ]);
+
+    const { subjects, totals } = diffReports(previous, current);
+
+    expect(subjects[0]).toMatchObject({
+      subject: 'Data Structures',
+      change: 'updated',
+      newClassesHeld: 2,
+      newClassesAttended: 2,
+      percentageChange: 1.57,
+      statusChange: null
+    });
+    expect(subjects[1]).toMatchObject({
+      subject: 'Operating Systems',
+      newClassesHeld: 2,
+      newClassesAttended: 0,
+      percentageChange: -5,
+      statusChange: { from: 'Good', to: 'Warning' }
+    });
+    expect(subjects[2]).toMatchObject({ subject: 'Algorithms Lab', change: 'unchanged', newClassesHeld: 0 });
+    expect(totals).toEqual({ newClassesHeld: 4, newClassesAttended: 2, statusChanges: 1, changedSubjects: 2 });
+  });
+
+  it('matches subjects without a code by name and keeps components apart', () => {
+    const previous = report('2025-08-05T09:00:00.000Z', [
+      record('Physics', 8, 10, 'Good'),
+      record('Physics', 4, 4, 'Good', { componentType: 'Lab' }),
+      record('Workshop', 2, 2, 'Good')
+    ]);
+    const current = report('2025-08-07T09:00:00.000Z', [
+      record('PHYSICS', 9, 11, 'Good'),
+      record('Physics', 4, 5, 'Good', { componentType: 'Lab' }),
+      record('Ethics', 1, 1, 'Good')
+    ]);
+
+    const { subjects } = diffReports(previous, current);
+
+    expect(subjects.map(({ subject, componentType, change, newClassesHeld }) => [subject, componentType, change, newClassesHeld])).toEqual([
+      ['PHYSICS', 'Theory', 'updated', 1],
+      ['Physics', 'Lab', 'updated', 1],
+      ['Ethics', 'Theory', 'added', 1],
+      ['Workshop', 'Theory', 'removed', -2]
+    ]);
+  });
+});
+
+describe('detectCorrections', () => {
+  const session = (date, status) => ({ date, timeSlot: '09:00-09:55', type: 'Lecture', status });
+
+  it('flags lowered counts with the sessions behind them', () => {
+    const previous = report('2025-08-05T09:00:00.000Z', [
+      { ...record('Data Structures', 3, 3, 'Good', { subjectCode: 'CSEG2001' }), sessions: [session('2025-08-01', 'Present'), session('2025-08-04', 'Present'), session('2025-08-05', 'Present')] },
+      record('Operating Systems', 20, 28, 'Warning', { subjectCode: 'CSEG2004' })
+    ]);
+    const current = report('2025-08-07T09:00:00.000Z', [
+      // One class re-marked absent, another one deleted
+      { ...record('Data Structures', 1, 2, 'Critical', { subjectCode: 'CSEG2001' }), sessions: [session('2025-08-01', 'Present'), session('2025-08-04', 'Absent')] },
+      record('Operating Systems', 22, 30, 'Warning', { subjectCode: 'CSEG2004' })
+    ]);
+
+    const corrections = detectCorrections(previous, current);
+
+    expect(corrections).toEqual([
+      {
+        type: 'attended_decreased',
+        subject: 'Data Structures',
+        subjectCode: 'CSEG2001',
+        componentType: 'Theory',
+        before: { subject: 'Data Structures', subjectCode: 'CSEG2001', componentType: 'Theory', attended: 3, total: 3, percentage: 100, status: 'Good' },
+        after: { subject: 'Data Structures', subjectCode: 'CSEG2001', componentType: 'Theory', attended: 1, total: 2, percentage: 50, status: 'Critical' },
+        sessions: [{ date: '2025-08-04', timeSlot: '09:00-09:55', type: 'Lecture', before: 'Present', after: 'Absent' }]
+      },
+      expect.objectContaining({
+        type: 'total_decreased',
+        subject: 'Data Structures',
+        sessions: [{ date: '2025-08-05', timeSlot: '09:00-09:55', type: 'Lecture', before: 'Present', after: null }]
+      })
+    ]);
+  });
+
+  it('tells renamed subjects from removed ones', () => {
+    const previous = report('2025-08-05T09:00:00.000Z', [
+      record('Discrete Maths', 9, 16, 'Critical'),
+      record('Operating Systems', 20, 28, 'Warning', { subjectCode: 'CSEG2004' }),
+      record('Workshop', 2, 2, 'Good')
+    ]);
+    const current = report('2025-08-07T09:00:00.000Z', [
+      record('Discrete Mathematics', 9, 16, 'Critical'),
+      record('Operating System Concepts', 20, 28, 'Warning', { subjectCode: 'CSEG2004' })
+    ]);
+
+    const corrections = detectCorrections(previous, current);
+
+    expect(corrections.map(({ type, before, after }) => [type, before.subject, after && after.subject])).toEqual([
+      ['subject_renamed', 'Operating Systems', 'Operating System Concepts'],
+      ['subject_renamed', 'Discrete Maths', 'Discrete Mathematics'],
+      ['subject_removed', 'Workshop', null]
+    ]);
+  });
+
+  it('finds nothing in classes being held and marked', () => {
+    const previous = report('2025-08-05T09:00:00.000Z', [record('Data Structures', 13, 15, 'Good')]);
+    const current = report('2025-08-07T09:00:00.000Z', [record('Data Structures', 13, 17, 'Good'), record('Ethics', 1, 1, 'Good')]);
+
+    expect(detectCorrections(previous, current)).toEqual([]);
+  });
+});
+
+describe('attendance changes route', () => {
+  let auth;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ userId: '500123456', password: 'secret', institutionId: 'upes' })
+      .expect(200);
+    auth = `Bearer ${res.body.token}`;
+
+    // As if a fetch with this password had succeeded
+    await passwordProofStore.record('upes:500123456', 'secret');
+  });
+
+  afterAll(async () => {
+    await localDatabase.close();
+  });
+
+  it('needs the password the portal last accepted', async () => {
+    const res = await request(app)
+      .get('/api/attendance/changes')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'guessed')
+      .expect(403);
+    expect(res.body.code).toBe('PASSWORD_PROOF_FAILED');
+
+    await request(app)
+      .get('/api/attendance/corrections')
+      .set('Authorization', auth)
+      .expect(401);
+  });
+
+  it('rejects impossible dates', async () => {
+    const res = await request(app)
+      .get('/api/attendance/changes?since=2025-02-30')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('needs two snapshots to compare', async () => {
+    await snapshotStore.saveSnapshot('upes:500123456', report('2025-08-01T09:00:00.000Z', [record('Data Structures', 10, 12, 'Good')]));
+
+    const res = await request(app)
+      .get('/api/attendance/changes')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({ previous: null, subjects: [], totals: null });
+  });
+
+  it('compares the latest snapshot with the previous one, or the last one before ?since', async () => {
+    await snapshotStore.saveSnapshot('upes:500123456', report('2025-08-05T09:00:00.000Z', [record('Data Structures', 13, 15, 'Good')]));
+    await snapshotStore.saveSnapshot('upes:500123456', report('2025-08-07T09:00:00.000Z', [record('Data Structures', 15, 17, 'Good')]));
+
+    const latest = await request(app)
+      .get('/api/attendance/changes')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(200);
+    expect(latest.body.data.previous.capturedAt).toBe('2025-08-05T09:00:00.000Z');
+    expect(latest.body.data.subjects[0]).toMatchObject({ newClassesHeld: 2, newClassesAttended: 2 });
+
+    const since = await request(app)
+      .get('/api/attendance/changes?since=2025-08-05')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(200);
+    expect(since.body.data.previous.capturedAt).toBe('2025-08-01T09:00:00.000Z');
+    expect(since.body.data.subjects[0]).toMatchObject({ newClassesHeld: 5, newClassesAttended: 5 });
+    expect(since.body.data.corrections).toEqual([]);
+  });
+
+  it('records corrections as events when a snapshot is saved', async () => {
+    const saved = await snapshotStore.saveSnapshot('upes:500123456', report('2025-08-08T09:00:00.000Z', [record('Data Structures', 14, 16, 'Good')]));
+    expect(saved.corrections.map(correction => correction.type)).toEqual(['attended_decreased', 'total_decreased']);
+
+    const changes = await request(app)
+      .get('/api/attendance/changes')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(200);
+    expect(changes.body.data.corrections).toHaveLength(2);
+
+    const res = await request(app)
+      .get('/api/attendance/corrections')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(200);
+
+    expect(res.body.data.pagination).toMatchObject({ total: 2 });
+    expect(res.body.data.corrections[0]).toMatchObject({
+      subject: 'Data Structures',
+      before: { attended: 15, total: 17 },
+      after: { attended: 14, total: 16 },
+      snapshotId: saved.id,
+      capturedAt: '2025-08-08T09:00:00.000Z',
+      previousCapturedAt: '2025-08-07T09:00:00.000Z'
+    });
+  });
+});
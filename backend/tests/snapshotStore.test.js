@@ -0,0 +1,229 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../index');
+const snapshotStore = require('../services/snapshotStore');
+const passwordProofStore = require('../services/passwordProofStore');
+const localDatabase = require('../services/localDatabase');
+const { SnapshotStore } = snapshotStore;
+const { LocalDatabase } = localDatabase;
+
+const report = (timestamp, attended) => ({
+  timestamp,
+  summary: { totalSubjects: 1, overallPercentage: Math.round((attended / 15) * 100) },
+  attendance: [{
+    subject: 'Data Structures',
+    attended,
+    total: 15,
+    sessions: [{ date: '2025-07-21', timeSlot: '09:00-09:55', type: 'Lecture', status: 'Present' }]
+  }]
+});
+
+describe('SnapshotStore', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendease-snapshots-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('lists a user\'s snapshots newest first, by page and date range', async () => {
+    const database = new LocalDatabase({ databasePath: ':memory:' });
+    const store = new SnapshotStore({ database });
+    await store.saveSnapshot('upes:500123456', report('2025-08-01T09:00:00.000Z', 10));
+    await store.saveSnapshot('upes:500123456', report('2025-08-02T09:00:00.000Z', 11));
+    await store.saveSnapshot('upes:500123456', report('2025-08-03T09:00:00.000Z', 12));
+    await store.saveSnapshot('upes:500123457', report('2025-08-02T09:00:00.000Z', 5));
+
+    const firstPage = await store.listSnapshots('upes:500123456', { page: 1, limit: 2 });
+    expect(firstPage.total).toBe(3);
+    expect(firstPage.snapshots.map(snapshot => snapshot.capturedAt)).toEqual([
+      '2025-08-03T09:00:00.000Z',
+      '2025-08-02T09:00:00.000Z'
+    ]);
+    expect(firstPage.snapshots[0].report.attendance[0].attended).toBe(12);
+
+    const secondPage = await store.listSnapshots('upes:500123456', { page: 2, limit: 2 });
+    expect(secondPage.snapshots.map(snapshot => snapshot.report.attendance[0].attended)).toEqual([10]);
+
+    const ranged = await store.listSnapshots('upes:500123456', {
+      from: '2025-08-02T00:00:00.000Z',
+      to: '2025-08-02T23:59:59.999Z'
+    });
+    expect(ranged.total).toBe(1);
+
+    await database.close();
+  });
+
+  it('keeps snapshots in the database file across restarts', async () => {
+    const databasePath = path.join(tempDir, 'nested', 'attendance.sqlite');
+
+    const database = new LocalDatabase({ databasePath });
+    const store = new SnapshotStore({ database });
+    const saved = await store.saveSnapshot('upes:500123456', {
+      ...report('2025-08-01T09:00:00.000Z', 10),
+      student: { name: 'Test Student', photo: 'data:image/jpeg;base64,/9j/4AAQ' }
+    });
+    // Written by close() when the delayed write hasn't happened yet
+    await database.close();
+
+    expect(fs.existsSync(databasePath)).toBe(true);
+
+    const reopened = new SnapshotStore({ database: new LocalDatabase({ databasePath }) });
+    const { snapshots } = await reopened.listSnapshots('upes:500123456');
+    expect(snapshots).toEqual([{ id: saved.id, capturedAt: '2025-08-01T09:00:00.000Z', report: report('2025-08-01T09:00:00.000Z', 10) }]);
+    await reopened.database.close();
+  });
+
+  it('keeps only a user\'s newest snapshots', async () => {
+    const database = new LocalDatabase({ databasePath: ':memory:' });
+    const store = new SnapshotStore({ database, maxSnapshotsPerUser: 2 });
+    await store.saveSnapshot('upes:500123457', report('2025-07-31T09:00:00.000Z', 9));
+    await store.saveSnapshot('upes:500123456', report('2025-08-01T09:00:00.000Z', 10));
+    await store.saveSnapshot('upes:500123456', report('2025-08-02T09:00:00.000Z', 11));
+    await store.saveSnapshot('upes:500123456', report('2025-08-03T09:00:00.000Z', 12));
+
+    const { snapshots, total } = await store.listSnapshots('upes:500123456');
+    expect(total).toBe(2);
+    expect(snapshots.map(snapshot => snapshot.capturedAt)).toEqual(['2025-08-03T09:00:00.000Z', '2025-08-02T09:00:00.000Z']);
+    expect((await store.listSnapshots('upes:500123457')).total).toBe(1);
+
+    await database.close();
+  });
+
+  it('batches the writes of changes made close together', async () => {
+    const databasePath = path.join(tempDir, 'batched.sqlite');
+    const database = new LocalDatabase({ databasePath, persistDelay: 20 });
+    const writeFile = jest.spyOn(database, 'writeFile');
+    const store = new SnapshotStore({ database });
+
+    await store.saveSnapshot('upes:500123456', report('2025-08-01T09:00:00.000Z', 10));
+    await store.saveSnapshot('upes:500123456', report('2025-08-02T09:00:00.000Z', 11));
+    expect(fs.existsSync(databasePath)).toBe(false);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await database.persisting;
+    expect(writeFile).toHaveBeenCalledTimes(1);
+    expect(fs.existsSync(databasePath)).toBe(true);
+
+    await database.close();
+    expect(writeFile).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('attendance history route', () => {
+  let auth;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ userId: '500123456', password: 'secret', institutionId: 'upes' })
+      .expect(200);
+    auth = `Bearer ${res.body.token}`;
+
+    // As if a fetch with this password had succeeded
+    await passwordProofStore.record('upes:500123456', 'secret');
+    await snapshotStore.saveSnapshot('upes:500123456', report('2025-08-01T09:00:00.000Z', 10));
+    await snapshotStore.saveSnapshot('upes:500123456', report('2025-08-02T09:00:00.000Z', 11));
+    await snapshotStore.saveSnapshot('upes:500123456', report('2025-08-04T09:00:00.000Z', 12));
+  });
+
+  afterAll(async () => {
+    await localDatabase.close();
+  });
+
+  it('returns paginated snapshots without session lists', async () => {
+    const res = await request(app)
+      .get('/api/attendance/history/500123456?limit=2')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(200);
+
+    expect(res.body.data.pagination).toEqual({ page: 1, limit: 2, total: 3, totalPages: 2 });
+    expect(res.body.data.history.map(entry => entry.capturedAt)).toEqual([
+      '2025-08-04T09:00:00.000Z',
+      '2025-08-02T09:00:00.000Z'
+    ]);
+    expect(res.body.data.history[0]).toMatchObject({
+      summary: { totalSubjects: 1 },
+      attendance: [{ subject: 'Data Structures', attended: 12, total: 15 }]
+    });
+    expect(res.body.data.history[0].attendance[0].sessions).toBeUndefined();
+  });
+
+  it('filters by date, including the whole of the "to" day', async () => {
+    const res = await request(app)
+      .get('/api/attendance/history/500123456?from=2025-08-01&to=2025-08-02')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(200);
+
+    expect(res.body.data.history.map(entry => entry.capturedAt)).toEqual([
+      '2025-08-02T09:00:00.000Z',
+      '2025-08-01T09:00:00.000Z'
+    ]);
+    expect(res.body.data.filters).toEqual({ from: '2025-08-01T00:00:00.000Z', to: '2025-08-02T23:59:59.999Z' });
+  });
+
+  it('rejects other users and invalid queries', async () => {
+    await request(app)
+      .get('/api/attendance/history/500123457')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(403);
+
+    const res = await request(app)
+      .get('/api/attendance/history/500123456?limit=1000&from=yesterday')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+
+    // Not a day of February
+    await request(app)
+      .get('/api/attendance/history/500123456?from=2025-02-30')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(400);
+  });
+
+  it('serves the timetable of the latest snapshot', async () => {
+    await snapshotStore.saveSnapshot('upes:500123456', {
+      ...report('2025-08-05T09:00:00.000Z', 13),
+      timetable: [{ day: 'Monday', startTime: '09:00', endTime: '09:55', subject: 'Data Structures', subjectCode: null, linked: true }]
+    });
+
+    const res = await request(app)
+      .get('/api/attendance/timetable')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'secret')
+      .expect(200);
+    expect(res.body.data).toEqual({
+      fetchedAt: '2025-08-05T09:00:00.000Z',
+      timetable: [expect.objectContaining({ day: 'Monday', subject: 'Data Structures' })],
+      weeklyClasses: [{ subject: 'Data Structures', subjectCode: null, classesPerWeek: 1 }]
+    });
+
+    await request(app).get('/api/attendance/timetable').set('Authorization', auth).expect(401);
+  });
+
+  it('needs the password the portal last accepted', async () => {
+    let res = await request(app)
+      .get('/api/attendance/history/500123456')
+      .set('Authorization', auth)
+      .expect(401);
+    expect(res.body.code).toBe('PORTAL_PASSWORD_REQUIRED');
+
+    res = await request(app)
+      .get('/api/attendance/history/500123456')
+      .set('Authorization', auth)
+      .set('X-Portal-Password', 'guessed')
+      .expect(403);
+    expect(res.body.code).toBe('PASSWORD_PROOF_FAILED');
+    expect(JSON.stringify(res.body)).not.toContain('history');
+  });
+});
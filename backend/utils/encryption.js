@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+require('dotenv').config();
+
+const KEY_SALT = 'attendease-encryption';
+
+let cachedKey = null;
+
+/**
+ * Get the encryption key
+ * Derived from ENCRYPTION_KEY (falls back to the JWT secret) so any string length can be configured.
+ * @returns {Buffer} Key of config.global.encryption.keyLength bytes
+ */
+function getKey() {
+  if (!cachedKey) {
+    const secret = process.env.ENCRYPTION_KEY || config.global.jwtSecret;
+    cachedKey = crypto.scryptSync(secret, KEY_SALT, config.global.encryption.keyLength);
+  }
+  return cachedKey;
+}
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Text to encrypt
+ * @returns {string} Encrypted payload as "iv:ciphertext" (hex)
+ */
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(config.global.encryption.algorithm, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return `${iv.toString('hex')}:${ciphertext.toString('hex')}`;
+}
+
+/**
+ * Decrypt a payload produced by encrypt()
+ * @param {string} payload - Encrypted payload
+ * @returns {string} Decrypted text
+ */
+function decrypt(payload) {
+  const [ivHex, ciphertextHex] = payload.split(':');
+  const decipher = crypto.createDecipheriv(
+    config.global.encryption.algorithm,
+    getKey(),
+    Buffer.from(ivHex, 'hex')
+  );
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertextHex, 'hex')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -3,6 +3,7 @@ import LoginForm from './components/LoginForm';
 import AttendanceDashboard from './components/AttendanceDashboard';
 import LoadingScreen from './components/LoadingScreen';
 import ErrorMessage from './components/ErrorMessage';
+import QueueStatus from './components/QueueStatus';
 import { authService } from './services/authService';
 import { attendanceService } from './services/attendanceService';
 
@@ -14,6 +15,8 @@ function App() {
   const [attendanceData, setAttendanceData] = useState(null);
   const [error, setError] = useState(null);
   const [fetchingAttendance, setFetchingAttendance] = useState(false);
+  const [fetchJob, setFetchJob] = useState(null);
+  const [fetchProgress, setFetchProgress] = useState(null);
 
   // Check for existing authentication on component mount
   useEffect(() => {
@@ -54,8 +57,8 @@ function App() {
         setIsAuthenticated(true);
         setUser(response.user);
         
-        // Auto-fetch attendance after successful login
-        await handleFetchAttendance(credentials.password);
+        // Auto-fetch attendance after successful login (progress is shown by QueueStatus)
+        handleFetchAttendance(credentials.password);
       }
     } catch (error) {
       console.error('Login failed:', error);
@@ -75,16 +78,19 @@ function App() {
       console.error('Logout error:', error);
     } finally {
       localStorage.removeItem('authToken');
+      attendanceService.forgetPortalPassword();
       setIsAuthenticated(false);
       setUser(null);
       setAttendanceData(null);
+      setFetchJob(null);
+      setFetchProgress(null);
       setError(null);
       setIsLoading(false);
     }
   };
 
-  // Handle attendance fetching
-  const handleFetchAttendance = async (password) => {
+  // Handle attendance fetching (force skips the backend's cached report)
+  const handleFetchAttendance = async (password, { force = false } = {}) => {
     if (!password) {
       setError('Password is required to fetch attendance data');
       return;
@@ -95,11 +101,15 @@ function App() {
 
     try {
       const token = localStorage.getItem('authToken');
-      const response = await attendanceService.fetchAttendance({ password }, token);
+      const response = await attendanceService.fetchAttendance({ password }, token, {
+        onUpdate: (job) => setFetchJob({ ...job, receivedAt: Date.now() }),
+        onStage: setFetchProgress,
+        force
+      });
       
       if (response.success) {
         setAttendanceData(response.data);
-      } else {
+      } else if (!response.cancelled) {
         throw new Error(response.error || 'Failed to fetch attendance data');
       }
     } catch (error) {
@@ -107,6 +117,21 @@ function App() {
       setError(error.message || 'Failed to fetch attendance data. Please try again.');
     } finally {
       setFetchingAttendance(false);
+      setFetchJob(null);
+      setFetchProgress(null);
+    }
+  };
+
+  // Handle cancelling a pending fetch job
+  const handleCancelFetch = async () => {
+    if (!fetchJob) return;
+
+    try {
+      const token = localStorage.getItem('authToken');
+      await attendanceService.cancelJob(fetchJob.jobId, token);
+    } catch (error) {
+      console.error('Cancel fetch failed:', error);
+      setError(error.message || 'Failed to cancel the attendance fetch.');
     }
   };
 
@@ -115,7 +140,8 @@ function App() {
     // For retry, we need the password again for security
     const password = prompt('Please enter your password again to fetch attendance:');
     if (password) {
-      handleFetchAttendance(password);
+      // A refresh asked for by the user always goes to the portal
+      handleFetchAttendance(password, { force: true });
     }
   };
 
@@ -208,6 +234,12 @@ function App() {
               </div>
             </div>
           </div>
+        ) : fetchingAttendance && fetchJob ? (
+          <QueueStatus
+            job={fetchJob}
+            progress={fetchProgress}
+            onCancel={handleCancelFetch}
+          />
         ) : (
           <AttendanceDashboard
             user={user}
@@ -1,6 +1,6 @@
 import React from 'react';
 
-const AttendanceCard = ({ subject }) => {
+const AttendanceCard = ({ subject, change, onSelect }) => {
   const getStatusColor = (status) => {
     switch (status.toLowerCase()) {
       case 'good':
@@ -39,6 +39,17 @@ const AttendanceCard = ({ subject }) => {
     }
   };
 
+  const getComponentColor = (componentType) => {
+    switch (componentType.toLowerCase()) {
+      case 'lab':
+        return 'bg-purple-100 text-purple-800';
+      case 'tutorial':
+        return 'bg-indigo-100 text-indigo-800';
+      default:
+        return 'bg-blue-100 text-blue-800';
+    }
+  };
+
   const getPercentageColor = (percentage) => {
     if (percentage >= 75) return 'text-green-600';
     if (percentage >= 65) return 'text-yellow-600';
@@ -62,6 +73,8 @@ const AttendanceCard = ({ subject }) => {
 
   const classesToAttend = calculateClassesToAttend(subject);
 
+  const formatDelta = (value) => (value >= 0 ? `+${value}` : `${value}`);
+
   return (
     <div className="bg-white rounded-lg shadow-md border border-gray-200 hover:shadow-lg transition-shadow duration-200">
       <div className="p-6">
@@ -71,6 +84,21 @@ const AttendanceCard = ({ subject }) => {
             <h3 className="text-lg font-semibold text-gray-900 truncate">
               {subject.subject}
             </h3>
+            {(subject.subjectCode || subject.componentType) && (
+              <div className="flex items-center gap-2 mt-1">
+                {subject.subjectCode && (
+                  <span className="text-xs font-mono text-gray-500">{subject.subjectCode}</span>
+                )}
+                {subject.componentType && (
+                  <span className={`inline-flex px-2 py-0.5 rounded text-xs font-medium ${getComponentColor(subject.componentType)}`}>
+                    {subject.componentType}
+                  </span>
+                )}
+              </div>
+            )}
+            {subject.faculty && (
+              <p className="text-sm text-gray-600 truncate mt-1">{subject.faculty}</p>
+            )}
           </div>
           <div className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium border ${getStatusColor(subject.status)}`}>
             {getStatusIcon(subject.status)}
@@ -78,6 +106,25 @@ const AttendanceCard = ({ subject }) => {
           </div>
         </div>
 
+        {/* Changes since the previous fetch */}
+        {change?.change === 'updated' && (
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            {(change.newClassesHeld !== 0 || change.newClassesAttended !== 0) && (
+              <span
+                className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800"
+                title={`${change.newClassesAttended} of ${change.newClassesHeld} new classes attended since your fetch on ${change.since}`}
+              >
+                {formatDelta(change.newClassesAttended)}/{formatDelta(change.newClassesHeld)} since {change.since}
+              </span>
+            )}
+            {change.statusChange && (
+              <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium border ${getStatusColor(change.statusChange.to)}`}>
+                {change.statusChange.from} → {change.statusChange.to}
+              </span>
+            )}
+          </div>
+        )}
+
         {/* Attendance Percentage */}
         <div className="mb-4">
           <div className="flex items-center justify-between mb-2">
@@ -164,6 +211,19 @@ const AttendanceCard = ({ subject }) => {
             </div>
           </div>
         )}
+
+        {/* Session Details */}
+        {onSelect && subject.sessions?.length > 0 && (
+          <button
+            onClick={() => onSelect(subject)}
+            className="mt-4 w-full inline-flex items-center justify-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+            </svg>
+            View sessions
+          </button>
+        )}
       </div>
     </div>
   );
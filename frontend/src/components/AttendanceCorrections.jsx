@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { attendanceService } from '../services/attendanceService';
+import { formatDate } from '../utils/attendanceUtils';
+
+const CORRECTIONS_SHOWN = 20;
+
+const CORRECTION_LABELS = {
+  attended_decreased: 'Attended classes lowered',
+  total_decreased: 'Held classes removed',
+  subject_removed: 'Subject removed',
+  subject_renamed: 'Subject renamed'
+};
+
+// Plain text record of a correction, to show the faculty
+const toEvidenceText = (correction, user) => {
+  const counts = (record) => (record
+    ? `${record.subject}${record.subjectCode ? ` (${record.subjectCode})` : ''}: ${record.attended}/${record.total} classes, ${record.percentage}%, ${record.status}`
+    : 'not listed');
+
+  const lines = [
+    'AttendEase - attendance correction record',
+    `Student: ${user?.userId || 'Unknown'}`,
+    `Correction: ${CORRECTION_LABELS[correction.type] || correction.type}`,
+    `Component: ${correction.componentType || 'Not specified'}`,
+    '',
+    `Before (portal on ${formatDate(correction.previousCapturedAt)}): ${counts(correction.before)}`,
+    `After (portal on ${formatDate(correction.capturedAt)}): ${counts(correction.after)}`
+  ];
+
+  if (correction.sessions?.length > 0) {
+    lines.push('', 'Affected classes:');
+    correction.sessions.forEach(session => {
+      lines.push(`- ${session.date} ${session.timeSlot || ''} ${session.type || ''}: ${session.before} -> ${session.after || 'removed'}`);
+    });
+  }
+
+  return lines.join('\n');
+};
+
+const AttendanceCorrections = ({ user, lastFetchedAt }) => {
+  const [corrections, setCorrections] = useState([]);
+  const [total, setTotal] = useState(0);
+
+  // New corrections can only appear with a new fetch
+  useEffect(() => {
+    let cancelled = false;
+    const token = localStorage.getItem('authToken');
+
+    attendanceService.getAttendanceCorrections(token, { limit: CORRECTIONS_SHOWN })
+      .then((response) => {
+        if (!cancelled) {
+          setCorrections(response.data.corrections);
+          setTotal(response.data.pagination.total);
+        }
+      })
+      .catch(() => {
+        // Corrections are a notice only; the dashboard works without them
+        if (!cancelled) setCorrections([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [lastFetchedAt]);
+
+  const handleDownloadEvidence = (correction) => {
+    const blob = new Blob([toEvidenceText(correction, user)], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `attendance-correction-${correction.subjectCode || correction.subject}-${correction.capturedAt.slice(0, 10)}.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (corrections.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-orange-50 border border-orange-200 rounded-lg p-6">
+      <div className="flex items-start mb-4">
+        <svg className="w-5 h-5 text-orange-600 mr-2 mt-0.5 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+          <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+        </svg>
+        <div>
+          <h3 className="text-lg font-semibold text-orange-900">Portal Corrections</h3>
+          <p className="text-sm text-orange-800">
+            The portal changed attendance it had already recorded. Download a record to discuss it with your faculty.
+          </p>
+        </div>
+      </div>
+
+      <ul className="space-y-3">
+        {corrections.map((correction) => (
+          <li key={correction.id} className="bg-white rounded-lg border border-orange-100 p-4">
+            <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+              <div className="min-w-0">
+                <p className="text-sm font-semibold text-gray-900">
+                  {CORRECTION_LABELS[correction.type] || correction.type}: {correction.subject}
+                  {correction.componentType && <span className="font-normal text-gray-500"> ({correction.componentType})</span>}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Between {formatDate(correction.previousCapturedAt)} and {formatDate(correction.capturedAt)}
+                </p>
+                <p className="text-sm text-gray-700 mt-2">
+                  {correction.type === 'subject_renamed'
+                    ? `${correction.before.subject} → ${correction.after.subject}`
+                    : `${correction.before.attended}/${correction.before.total} (${correction.before.percentage}%) → ${
+                      correction.after ? `${correction.after.attended}/${correction.after.total} (${correction.after.percentage}%)` : 'no longer listed'
+                    }`}
+                </p>
+                {correction.sessions?.length > 0 && (
+                  <ul className="mt-2 text-xs text-gray-600 space-y-1">
+                    {correction.sessions.map((session) => (
+                      <li key={`${session.date}-${session.timeSlot}`}>
+                        {session.date} {session.timeSlot}: {session.before} → {session.after || 'removed'}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <button
+                onClick={() => handleDownloadEvidence(correction)}
+                className="flex-shrink-0 inline-flex items-center px-3 py-1.5 border border-orange-300 text-xs font-medium rounded-md text-orange-800 bg-white hover:bg-orange-50 focus:outline-none focus:ring-2 focus:ring-orange-500"
+              >
+                Download record
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {total > corrections.length && (
+        <p className="text-xs text-orange-800 mt-3">
+          Showing the {corrections.length} most recent of {total} corrections.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceCorrections;
@@ -1,8 +1,13 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import LoadingScreen from './LoadingScreen';
 import AttendanceCard from './AttendanceCard';
+import SubjectDetail from './SubjectDetail';
 import AttendanceSummary from './AttendanceSummary';
+import AttendanceHistory from './AttendanceHistory';
+import AttendanceCorrections from './AttendanceCorrections';
 import { exportToPDF } from '../utils/pdfExporter';
+import { formatSinceLabel } from '../utils/attendanceUtils';
+import { attendanceService } from '../services/attendanceService';
 
 const AttendanceDashboard = ({ 
   user, 
@@ -11,6 +16,31 @@ const AttendanceDashboard = ({
   onRefresh, 
   onLogout 
 }) => {
+  const [selectedSubject, setSelectedSubject] = useState(null);
+  const [changes, setChanges] = useState(null);
+
+  const lastFetchedAt = attendanceData?.metadata?.cachedAt || attendanceData?.timestamp;
+
+  // Compare with the previous fetch whenever new data arrives
+  useEffect(() => {
+    if (!lastFetchedAt) return;
+
+    let cancelled = false;
+    const token = localStorage.getItem('authToken');
+    attendanceService.getAttendanceChanges(token)
+      .then((response) => {
+        if (!cancelled) setChanges(response.data);
+      })
+      .catch(() => {
+        // Changes are a hint only; the dashboard works without them
+        if (!cancelled) setChanges(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [lastFetchedAt]);
+
   if (isLoading) {
     return <LoadingScreen message="Fetching your attendance data..." />;
   }
@@ -53,6 +83,16 @@ const AttendanceDashboard = ({
   // Debug: Log the student data
   console.log('Student data received:', attendanceData.student);
 
+  // Change of a subject since the previous fetch (subjects are matched by name and component)
+  const getSubjectChange = (subject) => {
+    if (!changes?.previous) return null;
+
+    const change = changes.subjects.find(candidate =>
+      candidate.subject === subject.subject && candidate.componentType === (subject.componentType || null)
+    );
+    return change ? { ...change, since: formatSinceLabel(changes.previous.capturedAt) } : null;
+  };
+
   const handleExportPDF = () => {
     exportToPDF(attendanceData, user);
   };
@@ -142,10 +182,10 @@ const AttendanceDashboard = ({
                 )}
               </div>
 
-              {/* Last Updated */}
+              {/* Last Updated (when the report was fetched from the portal, even if served from cache) */}
               <div className="mb-4 text-center w-full">
                 <p className="text-xs text-gray-500">
-                  Last Updated: {new Date(attendanceData.timestamp).toLocaleDateString('en-US', {
+                  Last Updated: {new Date(attendanceData.metadata?.cachedAt || attendanceData.timestamp).toLocaleDateString('en-US', {
                     year: 'numeric',
                     month: 'short',
                     day: 'numeric',
@@ -153,6 +193,14 @@ const AttendanceDashboard = ({
                     minute: '2-digit'
                   })}
                 </p>
+                {attendanceData.metadata?.servedFromCache && (
+                  <span
+                    className="inline-flex items-center mt-2 px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800"
+                    title="Use Refresh Data to fetch the latest attendance from the portal"
+                  >
+                    Cached copy
+                  </span>
+                )}
               </div>
 
               {/* Action Buttons */}
@@ -187,6 +235,9 @@ const AttendanceDashboard = ({
         </div>
       </div>
 
+      {/* Corrections the portal made after the fact */}
+      <AttendanceCorrections user={user} lastFetchedAt={lastFetchedAt} />
+
       {/* Attendance Cards */}
       {attendanceList.length > 0 ? (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -194,6 +245,8 @@ const AttendanceDashboard = ({
             <AttendanceCard
               key={`${subject.subject}-${index}`}
               subject={subject}
+              change={getSubjectChange(subject)}
+              onSelect={setSelectedSubject}
             />
           ))}
         </div>
@@ -212,6 +265,16 @@ const AttendanceDashboard = ({
           </p>
         </div>
       )}
+
+      {/* Attendance History */}
+      <AttendanceHistory user={user} lastFetchedAt={lastFetchedAt} />
+
+      {selectedSubject && (
+        <SubjectDetail
+          subject={selectedSubject}
+          onClose={() => setSelectedSubject(null)}
+        />
+      )}
     </div>
   );
 };
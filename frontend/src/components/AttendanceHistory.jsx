@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { attendanceService } from '../services/attendanceService';
+
+const PAGE_SIZE = 10;
+
+const AttendanceHistory = ({ user, lastFetchedAt }) => {
+  const [history, setHistory] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Reload when the page or filters change, and after every new fetch
+  useEffect(() => {
+    if (!user?.userId) return;
+
+    let cancelled = false;
+    const loadHistory = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const token = localStorage.getItem('authToken');
+        const response = await attendanceService.getAttendanceHistory(user.userId, token, {
+          page,
+          limit: PAGE_SIZE,
+          from,
+          to
+        });
+        if (!cancelled) {
+          setHistory(response.data.history);
+          setPagination(response.data.pagination);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setError(error.message || 'Failed to load attendance history');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.userId, page, from, to, lastFetchedAt]);
+
+  const handleFromChange = (event) => {
+    setFrom(event.target.value);
+    setPage(1);
+  };
+
+  const handleToChange = (event) => {
+    setTo(event.target.value);
+    setPage(1);
+  };
+
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const totalClasses = (entry) => entry.attendance.reduce(
+    (totals, record) => ({
+      attended: totals.attended + (record.attended || 0),
+      total: totals.total + (record.total || 0)
+    }),
+    { attended: 0, total: 0 }
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Attendance History</h3>
+          <p className="text-sm text-gray-500">Every attendance fetch is saved here as a snapshot.</p>
+        </div>
+
+        <div className="flex items-end gap-3">
+          <label className="text-xs text-gray-500">
+            From
+            <input
+              type="date"
+              value={from}
+              max={to || undefined}
+              onChange={handleFromChange}
+              className="block mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+          <label className="text-xs text-gray-500">
+            To
+            <input
+              type="date"
+              value={to}
+              min={from || undefined}
+              onChange={handleToChange}
+              className="block mt-1 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : history.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4 text-center">
+          {isLoading ? 'Loading history...' : 'No snapshots in this period.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide">
+                <th className="py-2 pr-4">Fetched</th>
+                <th className="py-2 pr-4">Overall</th>
+                <th className="py-2 pr-4">Classes Attended</th>
+                <th className="py-2 pr-4">Safe / Warning / Critical</th>
+              </tr>
+            </thead>
+            <tbody className={`divide-y divide-gray-100 text-sm ${isLoading ? 'opacity-50' : ''}`}>
+              {history.map((entry) => {
+                const { attended, total } = totalClasses(entry);
+                return (
+                  <tr key={entry.id}>
+                    <td className="py-2 pr-4 text-gray-900">{formatDate(entry.capturedAt)}</td>
+                    <td className="py-2 pr-4 font-semibold text-gray-900">
+                      {entry.summary?.overallPercentage != null ? `${entry.summary.overallPercentage}%` : '-'}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-700">{attended} / {total}</td>
+                    <td className="py-2 pr-4">
+                      <span className="text-green-700">{entry.summary?.safeSubjects || 0}</span>
+                      {' / '}
+                      <span className="text-yellow-700">{entry.summary?.warningSubjects || 0}</span>
+                      {' / '}
+                      <span className="text-red-700">{entry.summary?.criticalSubjects || 0}</span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1 || isLoading}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span className="text-gray-500">
+            Page {pagination.page} of {pagination.totalPages} ({pagination.total} snapshots)
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.totalPages || isLoading}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceHistory;
@@ -1,13 +1,40 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { authService } from '../services/authService';
 
 const LoginForm = ({ onSubmit, isLoading }) => {
   const [credentials, setCredentials] = useState({
     userId: '',
-    password: ''
+    password: '',
+    institutionId: ''
   });
   
   const [errors, setErrors] = useState({});
   const [showPassword, setShowPassword] = useState(false);
+  const [institutions, setInstitutions] = useState([]);
+
+  // Load the institutions users can sign in with
+  useEffect(() => {
+    let cancelled = false;
+
+    authService.getInstitutions()
+      .then(({ institutions, defaultInstitutionId }) => {
+        if (cancelled) return;
+        setInstitutions(institutions);
+        setCredentials(prev => ({
+          ...prev,
+          institutionId: prev.institutionId || defaultInstitutionId
+        }));
+      })
+      .catch(() => {
+        // The server falls back to the default institution when none is sent
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const institution = institutions.find(item => item.id === credentials.institutionId);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -34,6 +61,8 @@ const LoginForm = ({ onSubmit, isLoading }) => {
       newErrors.userId = 'User ID must be at least 2 characters';
     } else if (!/^[a-zA-Z0-9._@-]+$/.test(credentials.userId)) {
       newErrors.userId = 'User ID contains invalid characters';
+    } else if (institution?.userIdPattern && !new RegExp(institution.userIdPattern).test(credentials.userId.trim())) {
+      newErrors.userId = institution.userIdHint || `Invalid ${institution.shortName} User ID`;
     }
 
     if (!credentials.password.trim()) {
@@ -55,7 +84,8 @@ const LoginForm = ({ onSubmit, isLoading }) => {
 
     onSubmit({
       userId: credentials.userId.trim(),
-      password: credentials.password.trim()
+      password: credentials.password.trim(),
+      ...(credentials.institutionId && { institutionId: credentials.institutionId })
     });
   };
 
@@ -65,6 +95,29 @@ const LoginForm = ({ onSubmit, isLoading }) => {
 
   return (
     <form onSubmit={handleSubmit} className="space-y-6">
+      {/* Institution Field (only when there is a choice) */}
+      {institutions.length > 1 && (
+        <div>
+          <label htmlFor="institutionId" className="block text-sm font-medium text-gray-700 mb-1">
+            Institution
+          </label>
+          <select
+            id="institutionId"
+            name="institutionId"
+            value={credentials.institutionId}
+            onChange={handleInputChange}
+            className="block w-full px-3 py-2 border border-gray-300 bg-white rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            disabled={isLoading}
+          >
+            {institutions.map(item => (
+              <option key={item.id} value={item.id}>
+                {item.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {/* User ID Field */}
       <div>
         <label htmlFor="userId" className="block text-sm font-medium text-gray-700 mb-1">
@@ -82,7 +135,7 @@ const LoginForm = ({ onSubmit, isLoading }) => {
                 ? 'border-red-300 bg-red-50' 
                 : 'border-gray-300 bg-white'
             }`}
-            placeholder="Enter your UPES User ID"
+            placeholder={`Enter your ${institution?.shortName || 'UPES'} User ID`}
             disabled={isLoading}
             autoComplete="username"
             maxLength="50"
@@ -95,8 +148,10 @@ const LoginForm = ({ onSubmit, isLoading }) => {
             </div>
           )}
         </div>
-        {errors.userId && (
+        {errors.userId ? (
           <p className="mt-1 text-sm text-red-600">{errors.userId}</p>
+        ) : institution?.userIdHint && (
+          <p className="mt-1 text-xs text-gray-500">{institution.userIdHint}</p>
         )}
       </div>
 
@@ -194,7 +249,7 @@ const LoginForm = ({ onSubmit, isLoading }) => {
       {/* Help Text */}
       <div className="text-center">
         <p className="text-xs text-gray-500">
-          Having trouble? Make sure you're using your UPES Beta Portal credentials.
+          Having trouble? Make sure you're using your {institution?.name || 'UPES Beta Portal'} credentials.
         </p>
       </div>
     </form>
@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+
+const STATE_LABELS = {
+  queued: 'Waiting in queue',
+  running: 'Fetching your attendance data',
+  succeeded: 'Attendance data ready',
+  failed: 'Attendance fetch failed',
+  cancelled: 'Attendance fetch cancelled'
+};
+
+// Steps of a fetch as reported by the backend progress stream
+const FETCH_STAGES = [
+  { key: 'initBrowser', label: 'Starting browser' },
+  { key: 'login', label: 'Logging in to UPES portal' },
+  { key: 'scrapeAttendanceData', label: 'Reading attendance' },
+  { key: 'getStudentProfile', label: 'Reading student profile' },
+  { key: 'scrapeSessions', label: 'Reading class sessions' },
+  { key: 'scrapeTimetable', label: 'Reading timetable' }
+];
+
+const QueueStatus = ({ job, progress, onCancel }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Tick every second so elapsed time and wait estimate stay current between polls
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!job) {
+    return null;
+  }
+
+  const formatDuration = (milliseconds) => {
+    const totalSeconds = Math.max(0, Math.round(milliseconds / 1000));
+    if (totalSeconds < 60) {
+      return `${totalSeconds}s`;
+    }
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return seconds > 0 ? `${minutes}m ${seconds}s` : `${minutes}m`;
+  };
+
+  const isQueued = job.state === 'queued';
+  const isRunning = job.state === 'running';
+  const elapsed = now - new Date(job.createdAt).getTime();
+
+  // Prefer the live stream; the polled job carries the same data with some delay
+  const currentProgress = progress || job.progress;
+  const currentStageIndex = FETCH_STAGES.findIndex(stage => stage.key === currentProgress?.stage);
+  const stageSince = currentProgress?.timestamp ? now - new Date(currentProgress.timestamp).getTime() : 0;
+
+  // The estimate is relative to the last poll, so count it down locally
+  const estimatedRemaining = job.estimatedWaitMs != null && job.receivedAt
+    ? job.estimatedWaitMs - (now - job.receivedAt)
+    : job.estimatedWaitMs;
+
+  return (
+    <div className="max-w-md mx-auto">
+      <div className="bg-white rounded-lg shadow-lg p-8 text-center">
+        {/* Spinner */}
+        <div className="flex justify-center mb-6">
+          <div className={`w-16 h-16 border-4 rounded-full animate-spin ${
+            isQueued ? 'border-yellow-200 border-t-yellow-500' : 'border-blue-200 border-t-blue-600'
+          }`}></div>
+        </div>
+
+        {/* Job State */}
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">
+          {STATE_LABELS[job.state] || 'Processing...'}
+        </h3>
+
+        {isQueued && job.position > 0 && (
+          <p className="text-sm text-gray-600 mb-4">
+            You are <span className="font-semibold text-gray-900">#{job.position}</span> in line
+          </p>
+        )}
+
+        {isRunning && (
+          <ul className="text-sm text-left space-y-2 mb-6">
+            {FETCH_STAGES.map((stage, index) => {
+              const isDone = currentStageIndex > index || currentProgress?.stage === 'complete';
+              const isCurrent = currentStageIndex === index;
+
+              return (
+                <li key={stage.key} className="flex items-center justify-between">
+                  <span className={`flex items-center ${
+                    isDone ? 'text-green-700' : isCurrent ? 'text-blue-700 font-medium' : 'text-gray-400'
+                  }`}>
+                    <span className="w-5 mr-2 text-center">
+                      {isDone ? '✓' : isCurrent ? '•' : '○'}
+                    </span>
+                    {stage.label}
+                  </span>
+                  {isCurrent && (
+                    <span className="text-xs text-gray-500">{formatDuration(stageSince)}</span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {/* Queue Details */}
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          <div className="bg-gray-50 rounded-lg p-3">
+            <p className="text-xs text-gray-500 uppercase tracking-wide">Estimated Wait</p>
+            <p className="text-sm font-semibold text-gray-900">
+              {estimatedRemaining != null
+                ? (estimatedRemaining > 0 ? `~${formatDuration(estimatedRemaining)}` : 'Almost done')
+                : '—'}
+            </p>
+          </div>
+          <div className="bg-gray-50 rounded-lg p-3">
+            <p className="text-xs text-gray-500 uppercase tracking-wide">Elapsed</p>
+            <p className="text-sm font-semibold text-gray-900">
+              {formatDuration(elapsed)}
+            </p>
+          </div>
+        </div>
+
+        {/* Progress Bar */}
+        <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
+          <div
+            className={`h-2 rounded-full transition-all duration-500 ${
+              isQueued ? 'bg-yellow-500 animate-pulse' : 'bg-blue-600'
+            }`}
+            style={{ width: `${isQueued ? 5 : Math.max(5, currentProgress?.percentage || 0)}%` }}
+          ></div>
+        </div>
+        <p className="text-xs text-gray-500 mb-6">
+          {isQueued ? 'Waiting for a free slot' : `${currentProgress?.percentage || 0}% complete`}
+        </p>
+
+        {onCancel && (isQueued || isRunning) && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+
+        <div className="mt-6 text-xs text-gray-500">
+          <p>💡 Tip: You can keep this page open, it updates automatically</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QueueStatus;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+
+const formatDate = (isoDate) => {
+  if (!isoDate) return 'Unknown date';
+  return new Date(`${isoDate}T00:00:00`).toLocaleDateString('en-IN', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+};
+
+const SubjectDetail = ({ subject, onClose }) => {
+  const [showAbsentOnly, setShowAbsentOnly] = useState(false);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  if (!subject) {
+    return null;
+  }
+
+  const sessions = subject.sessions || [];
+  const presentCount = sessions.filter(session => session.status === 'Present').length;
+  const absentCount = sessions.filter(session => session.status === 'Absent').length;
+  const visibleSessions = showAbsentOnly
+    ? sessions.filter(session => session.status === 'Absent')
+    : sessions;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col"
+        onClick={(event) => event.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-start justify-between p-6 border-b border-gray-200">
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold text-gray-900">{subject.subject}</h3>
+            <p className="text-sm text-gray-500">
+              {[subject.subjectCode, subject.faculty].filter(Boolean).join(' · ') || 'Class sessions'}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="ml-4 text-gray-400 hover:text-gray-600 focus:outline-none"
+            aria-label="Close"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Counts */}
+        <div className="grid grid-cols-3 gap-4 p-6 pb-4">
+          <div className="text-center bg-gray-50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-gray-900">{sessions.length}</div>
+            <div className="text-sm text-gray-600">Sessions</div>
+          </div>
+          <div className="text-center bg-green-50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-green-700">{presentCount}</div>
+            <div className="text-sm text-green-700">Present</div>
+          </div>
+          <div className="text-center bg-red-50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-red-700">{absentCount}</div>
+            <div className="text-sm text-red-700">Absent</div>
+          </div>
+        </div>
+
+        <div className="px-6 pb-2">
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              checked={showAbsentOnly}
+              onChange={(event) => setShowAbsentOnly(event.target.checked)}
+            />
+            Show missed classes only
+          </label>
+        </div>
+
+        {/* Session list */}
+        <div className="overflow-y-auto px-6 pb-6">
+          {visibleSessions.length > 0 ? (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 font-medium">Date</th>
+                  <th className="py-2 font-medium">Time</th>
+                  <th className="py-2 font-medium">Type</th>
+                  <th className="py-2 font-medium text-right">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleSessions.map((session, index) => (
+                  <tr key={`${session.date}-${session.timeSlot}-${index}`} className="border-b border-gray-100">
+                    <td className="py-2 text-gray-900">{formatDate(session.date)}</td>
+                    <td className="py-2 text-gray-600">{session.timeSlot || '—'}</td>
+                    <td className="py-2 text-gray-600">{session.type || '—'}</td>
+                    <td className="py-2 text-right">
+                      <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${
+                        session.status === 'Present'
+                          ? 'bg-green-100 text-green-800'
+                          : session.status === 'Absent'
+                            ? 'bg-red-100 text-red-800'
+                            : 'bg-gray-100 text-gray-800'
+                      }`}>
+                        {session.status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-center text-gray-500 py-6">
+              {showAbsentOnly ? 'No missed classes. Well done!' : 'The portal has no session details for this subject.'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SubjectDetail;
@@ -1,6 +1,21 @@
 import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api';
+const JOB_POLL_INTERVAL = 2000; // 2 seconds between job status checks
+
+// The portal password from the last successful fetch, kept in memory only.
+// Stored data (history, changes, corrections, schedules) is only served with it.
+let portalPassword = null;
+
+/**
+ * Request headers for routes that need the portal password
+ * @param {string} token - JWT authentication token
+ * @returns {Object} Headers
+ */
+const withPasswordProof = (token) => ({
+  'Authorization': `Bearer ${token}`,
+  ...(portalPassword && { 'X-Portal-Password': encodeURIComponent(portalPassword) })
+});
 
 // Create axios instance for attendance operations
 const attendanceApiClient = axios.create({
@@ -46,6 +61,8 @@ attendanceApiClient.interceptors.response.use(
       } else if (errorData?.code === 'TOKEN_EXPIRED') {
         localStorage.removeItem('authToken');
         return Promise.reject(new Error('Your session has expired. Please login again.'));
+      } else if (errorData?.code === 'PORTAL_PASSWORD_REQUIRED') {
+        return Promise.reject(new Error('Fetch your attendance first to see your saved data.'));
       }
       return Promise.reject(new Error('Authentication failed. Please login again.'));
     } else if (status === 429) {
@@ -56,6 +73,11 @@ attendanceApiClient.interceptors.response.use(
     }
 
     if (status === 503) {
+      if (errorData?.code === 'PORTAL_DOWN') {
+        const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+        const wait = retryAfter > 60 ? `${Math.ceil(retryAfter / 60)} minutes` : 'a minute';
+        return Promise.reject(new Error(`The UPES portal appears to be down. Please try again in ${wait}.`));
+      }
       return Promise.reject(new Error('Service is temporarily unavailable. Please try again in a few minutes.'));
     }
 
@@ -78,13 +100,16 @@ attendanceApiClient.interceptors.response.use(
 
 export const attendanceService = {
   /**
-   * Fetch attendance data from UPES portal
+   * Queue an attendance fetch on the backend
    * @param {Object} credentials - User credentials
    * @param {string} credentials.password - User password
    * @param {string} token - JWT authentication token
-   * @returns {Promise<Object>} Attendance data response
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Skip the backend's attendance cache
+   * @returns {Promise<Object>} Queued job (jobId, state, position, estimatedWaitMs),
+   *   or a finished one (state, result, servedFromCache, cachedAt) when served from the cache
    */
-  async fetchAttendance(credentials, token) {
+  async startAttendanceFetch(credentials, token, { force = false } = {}) {
     try {
       const config = {
         headers: {
@@ -92,11 +117,10 @@ export const attendanceService = {
         }
       };
 
-      console.log('Fetching attendance data...');
-      const response = await attendanceApiClient.post('/attendance/fetch', credentials, config);
-      
-      console.log('Attendance data fetched successfully');
-      return response.data;
+      console.log('Queueing attendance fetch...');
+      const url = force ? '/attendance/fetch?force=true' : '/attendance/fetch';
+      const response = await attendanceApiClient.post(url, credentials, config);
+      return response.data.data;
     } catch (error) {
       console.error('Attendance fetch error:', error);
       throw error;
@@ -104,12 +128,12 @@ export const attendanceService = {
   },
 
   /**
-   * Get attendance history for a user
-   * @param {string} userId - User ID
+   * Get the current state of an attendance fetch job
+   * @param {string} jobId - Job ID
    * @param {string} token - JWT authentication token
-   * @returns {Promise<Object>} Attendance history response
+   * @returns {Promise<Object>} Job data
    */
-  async getAttendanceHistory(userId, token) {
+  async getJob(jobId, token) {
     try {
       const config = {
         headers: {
@@ -117,6 +141,207 @@ export const attendanceService = {
         }
       };
 
+      const response = await attendanceApiClient.get(`/attendance/jobs/${jobId}`, config);
+      return response.data.data;
+    } catch (error) {
+      console.error('Job status error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Cancel a queued or running attendance fetch job
+   * @param {string} jobId - Job ID
+   * @param {string} token - JWT authentication token
+   * @returns {Promise<Object>} Cancelled job data
+   */
+  async cancelJob(jobId, token) {
+    try {
+      const config = {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      };
+
+      const response = await attendanceApiClient.delete(`/attendance/jobs/${jobId}`, config);
+      return response.data.data;
+    } catch (error) {
+      console.error('Job cancel error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the weekly timetable from the latest attendance fetch
+   * @param {string} token - JWT authentication token
+   * @returns {Promise<Object>} { fetchedAt, timetable, weeklyClasses }
+   */
+  async getTimetable(token) {
+    try {
+      const config = {
+        headers: withPasswordProof(token)
+      };
+
+      const response = await attendanceApiClient.get('/attendance/timetable', config);
+      return response.data.data;
+    } catch (error) {
+      console.error('Timetable error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether a job is still waiting or running
+   * @param {Object} job - Job data
+   * @returns {boolean} True while the job is pending
+   */
+  isJobPending(job) {
+    return job?.state === 'queued' || job?.state === 'running';
+  },
+
+  /**
+   * Poll a job until it finishes
+   * @param {string} jobId - Job ID
+   * @param {string} token - JWT authentication token
+   * @param {Object} options - Polling options
+   * @param {Function} options.onUpdate - Called with every job update
+   * @param {number} options.interval - Milliseconds between polls
+   * @returns {Promise<Object>} Finished job data
+   */
+  async pollJob(jobId, token, { onUpdate, interval = JOB_POLL_INTERVAL } = {}) {
+    let job = await this.getJob(jobId, token);
+    onUpdate?.(job);
+
+    while (this.isJobPending(job)) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+      job = await this.getJob(jobId, token);
+      onUpdate?.(job);
+    }
+
+    return job;
+  },
+
+  /**
+   * Subscribe to the progress stream of a job (Server-Sent Events)
+   * @param {string} jobId - Job ID
+   * @param {string} token - JWT authentication token
+   * @param {Object} handlers - Event handlers
+   * @param {Function} handlers.onStage - Called with { stage, percentage, timestamp }
+   * @param {Function} handlers.onJob - Called with job state snapshots
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToJobEvents(jobId, token, { onStage, onJob } = {}) {
+    if (typeof EventSource === 'undefined') {
+      return () => {};
+    }
+
+    // EventSource cannot send an Authorization header, so the token goes in the query string
+    const url = `${API_BASE_URL}/attendance/fetch/${jobId}/events?token=${encodeURIComponent(token)}`;
+    const eventSource = new EventSource(url);
+
+    const parse = (handler) => (event) => {
+      try {
+        handler?.(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Job event parse error:', error);
+      }
+    };
+
+    eventSource.addEventListener('stage', parse(onStage));
+    eventSource.addEventListener('job', parse(onJob));
+    eventSource.addEventListener('done', (event) => {
+      parse(onJob)(event);
+      eventSource.close();
+    });
+
+    // Polling still reports the final state, so a broken stream is not fatal
+    eventSource.onerror = () => {
+      if (eventSource.readyState === EventSource.CLOSED) {
+        console.warn('Job progress stream closed');
+      }
+    };
+
+    return () => eventSource.close();
+  },
+
+  /**
+   * Fetch attendance data from UPES portal
+   * Queues the fetch and waits for the job to finish.
+   * @param {Object} credentials - User credentials
+   * @param {string} credentials.password - User password
+   * @param {string} token - JWT authentication token
+   * @param {Object} options - Options passed to pollJob (e.g. onUpdate)
+   * @param {Function} options.onStage - Subscribes to the progress stream when given
+   * @param {boolean} options.force - Fetch from the portal even when a cached report exists
+   * @returns {Promise<Object>} Attendance data response
+   */
+  async fetchAttendance(credentials, token, options = {}) {
+    const queuedJob = await this.startAttendanceFetch(credentials, token, { force: options.force });
+
+    if (queuedJob.servedFromCache) {
+      console.log('Attendance data served from cache');
+      portalPassword = credentials.password;
+      return {
+        success: true,
+        data: queuedJob.result
+      };
+    }
+
+    options.onUpdate?.(queuedJob);
+
+    const unsubscribe = options.onStage
+      ? this.subscribeToJobEvents(queuedJob.jobId, token, { onStage: options.onStage })
+      : () => {};
+
+    let job;
+    try {
+      job = await this.pollJob(queuedJob.jobId, token, options);
+    } finally {
+      unsubscribe();
+    }
+
+    if (job.state === 'cancelled') {
+      return { success: false, cancelled: true };
+    }
+
+    if (job.state !== 'succeeded') {
+      throw new Error(job.error?.message || 'Failed to fetch attendance data');
+    }
+
+    console.log('Attendance data fetched successfully');
+    portalPassword = credentials.password;
+    return {
+      success: true,
+      data: job.result
+    };
+  },
+
+  /**
+   * Forget the portal password kept since the last fetch (on logout)
+   */
+  forgetPortalPassword() {
+    portalPassword = null;
+  },
+
+  /**
+   * Get attendance history for a user
+   * @param {string} userId - User ID
+   * @param {string} token - JWT authentication token
+   * @param {Object} params - Query parameters
+   * @param {number} params.page - Page number, from 1
+   * @param {number} params.limit - Snapshots per page
+   * @param {string} params.from - Earliest date (YYYY-MM-DD)
+   * @param {string} params.to - Latest date (YYYY-MM-DD, inclusive)
+   * @returns {Promise<Object>} Attendance history response (history, pagination, filters)
+   */
+  async getAttendanceHistory(userId, token, params = {}) {
+    try {
+      const config = {
+        headers: withPasswordProof(token),
+        // Leave out empty filters
+        params: Object.fromEntries(Object.entries(params).filter(([, value]) => value))
+      };
+
       const response = await attendanceApiClient.get(`/attendance/history/${userId}`, config);
       return response.data;
     } catch (error) {
@@ -125,6 +350,51 @@ export const attendanceService = {
     }
   },
 
+  /**
+   * Get per-subject changes since the previous attendance fetch
+   * @param {string} token - JWT authentication token
+   * @param {Object} params - Query parameters
+   * @param {string} params.since - Compare with the last fetch before this date instead (YYYY-MM-DD)
+   * @returns {Promise<Object>} Changes response (current, previous, subjects, totals)
+   */
+  async getAttendanceChanges(token, params = {}) {
+    try {
+      const config = {
+        headers: withPasswordProof(token),
+        params: Object.fromEntries(Object.entries(params).filter(([, value]) => value))
+      };
+
+      const response = await attendanceApiClient.get('/attendance/changes', config);
+      return response.data;
+    } catch (error) {
+      console.error('Attendance changes error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get corrections the portal made to attendance after the fact
+   * @param {string} token - JWT authentication token
+   * @param {Object} params - Query parameters
+   * @param {number} params.page - Page number, from 1
+   * @param {number} params.limit - Events per page
+   * @returns {Promise<Object>} Corrections response (corrections, pagination)
+   */
+  async getAttendanceCorrections(token, params = {}) {
+    try {
+      const config = {
+        headers: withPasswordProof(token),
+        params: Object.fromEntries(Object.entries(params).filter(([, value]) => value))
+      };
+
+      const response = await attendanceApiClient.get('/attendance/corrections', config);
+      return response.data;
+    } catch (error) {
+      console.error('Attendance corrections error:', error);
+      throw error;
+    }
+  },
+
   /**
    * Check service status
    * @returns {Promise<Object>} Service status response
@@ -59,6 +59,7 @@ export const authService = {
    * @param {Object} credentials - User credentials
    * @param {string} credentials.userId - User ID
    * @param {string} credentials.password - Password
+   * @param {string} [credentials.institutionId] - Institution the user belongs to
    * @returns {Promise<Object>} Login response
    */
   async login(credentials) {
@@ -71,6 +72,20 @@ export const authService = {
     }
   },
 
+  /**
+   * Get the institutions users can sign in with
+   * @returns {Promise<Object>} Institutions and the default institution ID
+   */
+  async getInstitutions() {
+    try {
+      const response = await apiClient.get('/auth/institutions');
+      return response.data;
+    } catch (error) {
+      console.error('Institutions fetch error:', error);
+      throw error;
+    }
+  },
+
   /**
    * Logout user
    * @returns {Promise<Object>} Logout response
@@ -411,6 +411,25 @@ export const isDataStale = (timestamp, maxAgeHours = 24) => {
   return ageInHours > maxAgeHours;
 };
 
+/**
+ * Short label for when a previous fetch happened, as in "+2/+2 since Tue"
+ * @param {string} timestamp - Time of the previous fetch
+ * @returns {string} Time today, weekday within the last week, otherwise month and day
+ */
+export const formatSinceLabel = (timestamp) => {
+  const date = new Date(timestamp);
+  const now = new Date();
+  const ageInDays = (now - date) / (1000 * 60 * 60 * 24);
+
+  if (date.toDateString() === now.toDateString()) {
+    return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  }
+  if (ageInDays < 6) {
+    return date.toLocaleDateString('en-US', { weekday: 'short' });
+  }
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
 export default {
   calculateClassesNeeded,
   calculateClassesCanMiss,
@@ -424,5 +443,6 @@ export default {
   calculateProjectedAttendance,
   exportToCSV,
   debounce,
-  isDataStale
+  isDataStale,
+  formatSinceLabel
 };
\ No newline at end of file
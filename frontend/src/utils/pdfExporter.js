@@ -91,7 +91,7 @@ export const exportToPDF = (attendanceData, user) => {
 
     // Prepare table data
     const headers = [
-      ['S.No', 'Subject', 'Attended', 'Total', 'Percentage', 'Status', 'Action Needed']
+      ['S.No', 'Code', 'Subject', 'Type', 'Faculty', 'Attended', 'Total', 'Percentage', 'Status', 'Action Needed']
     ];
 
     const tableData = attendanceData.attendance?.map((subject, index) => {
@@ -102,7 +102,10 @@ export const exportToPDF = (attendanceData, user) => {
 
       return [
         `${index + 1}`,
+        subject.subjectCode || '-',
         subject.subject || 'N/A',
+        subject.componentType || '-',
+        subject.faculty || '-',
         `${subject.attendedClasses || 0}`,
         `${subject.totalClasses || 0}`,
         `${(subject.percentage || 0).toFixed(1)}%`,
@@ -129,18 +132,21 @@ export const exportToPDF = (attendanceData, user) => {
         fillColor: [248, 250, 252]
       },
       columnStyles: {
-        0: { cellWidth: 15 }, // S.No
-        1: { cellWidth: 50 }, // Subject
-        2: { cellWidth: 20 }, // Attended
-        3: { cellWidth: 20 }, // Total
-        4: { cellWidth: 25 }, // Percentage
-        5: { cellWidth: 20 }, // Status
-        6: { cellWidth: 40 }  // Action Needed
+        0: { cellWidth: 10 }, // S.No
+        1: { cellWidth: 18 }, // Code
+        2: { cellWidth: 30 }, // Subject
+        3: { cellWidth: 13 }, // Type
+        4: { cellWidth: 24 }, // Faculty
+        5: { cellWidth: 15 }, // Attended
+        6: { cellWidth: 12 }, // Total
+        7: { cellWidth: 16 }, // Percentage
+        8: { cellWidth: 14 }, // Status
+        9: { cellWidth: 18 }  // Action Needed
       },
       margin: { left: margin, right: margin },
       didParseCell: function(data) {
         // Color code based on status
-        if (data.column.index === 5 && data.cell.section === 'body') {
+        if (data.column.index === 8 && data.cell.section === 'body') {
           const status = data.cell.text[0]?.toLowerCase();
           if (status === 'critical') {
             data.cell.styles.textColor = [239, 68, 68]; // Red
@@ -155,7 +161,7 @@ export const exportToPDF = (attendanceData, user) => {
         }
         
         // Color code percentages
-        if (data.column.index === 4 && data.cell.section === 'body') {
+        if (data.column.index === 7 && data.cell.section === 'body') {
           const percentage = parseFloat(data.cell.text[0]);
           if (percentage >= 75) {
             data.cell.styles.textColor = [16, 185, 129]; // Green